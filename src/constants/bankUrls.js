@@ -178,12 +178,16 @@ export const BANK_URLS = {
   // ============================================
   kuveytturk: {
     test: {
-      api: 'https://boatest.kuveytturk.com.tr/boa.virtualpos.services/Home/ThreeDModelPayGate',
-      gate: 'https://boatest.kuveytturk.com.tr/boa.virtualpos.services/Home/ThreeDModelProvisionGate'
+      api: 'https://boatest.kuveytturk.com.tr/boa.virtualpos.services/Home/ThreeDModelProvisionGate',
+      gate: 'https://boatest.kuveytturk.com.tr/boa.virtualpos.services/Home/ThreeDModelPayGate',
+      direct: 'https://boatest.kuveytturk.com.tr/boa.virtualpos.services/Home/Non3DPayGate',
+      service: 'https://boatest.kuveytturk.com.tr/BOA.Integration.WCFService/BOA.Integration.VirtualPos/VirtualPosService.svc'
     },
     production: {
-      api: 'https://boa.kuveytturk.com.tr/sanalposservice/Home/ThreeDModelPayGate',
-      gate: 'https://boa.kuveytturk.com.tr/sanalposservice/Home/ThreeDModelProvisionGate'
+      api: 'https://boa.kuveytturk.com.tr/sanalposservice/Home/ThreeDModelProvisionGate',
+      gate: 'https://boa.kuveytturk.com.tr/sanalposservice/Home/ThreeDModelPayGate',
+      direct: 'https://boa.kuveytturk.com.tr/sanalposservice/Home/Non3DPayGate',
+      service: 'https://boa.kuveytturk.com.tr/BOA.Integration.WCFService/BOA.Integration.VirtualPos/VirtualPosService.svc'
     }
   },
 
@@ -0,0 +1,131 @@
+/**
+ * Bank Statement Column Mappings
+ * Banka üye işyeri panellerinden indirilen işlem dosyalarının (CSV/XLSX) kolon eşlemeleri
+ * Başlıklar büyük/küçük harf ve Türkçe karakter farkı gözetmeden eşleşir (bkz. normalizeHeader)
+ * Anahtar: bankCode, yoksa provider (Payten/NestPay bankaları ortak panel kullanır)
+ */
+
+export const STATEMENT_MAPPINGS = {
+  // ============================================
+  // GARANTI BBVA - Sanal POS işlem listesi
+  // ============================================
+  garanti: {
+    name: 'Garanti BBVA',
+    columns: {
+      orderId: ['Sipariş No', 'Sipariş Numarası', 'Order ID'],
+      authCode: ['Provizyon No', 'Onay Kodu', 'Auth Code'],
+      refNumber: ['Referans No', 'RRN', 'Retrefnum'],
+      amount: ['İşlem Tutarı', 'Tutar', 'Amount'],
+      currency: ['Para Birimi', 'Döviz Kodu', 'Currency'],
+      date: ['İşlem Tarihi', 'Tarih', 'Transaction Date'],
+      type: ['İşlem Tipi', 'İşlem Türü', 'Transaction Type'],
+      installment: ['Taksit Sayısı', 'Taksit', 'Installment'],
+      card: ['Kart No', 'Kart Numarası', 'Card Number']
+    },
+    types: {
+      sale: ['Satış', 'Sales', 'Provizyon Kapama', 'Postauth'],
+      pre_auth: ['Ön Provizyon', 'Preauth'],
+      refund: ['İade', 'Refund'],
+      cancel: ['İptal', 'Void']
+    },
+    decimal: ','
+  },
+
+  // ============================================
+  // YAPI KREDI - POSNET işlem raporu
+  // ============================================
+  ykb: {
+    name: 'Yapı Kredi',
+    columns: {
+      orderId: ['Sipariş No', 'XID', 'Order ID'],
+      authCode: ['Onay Kodu', 'Provizyon Kodu', 'Auth Code'],
+      refNumber: ['Host Log Key', 'HostLogKey', 'Referans No'],
+      amount: ['Tutar', 'İşlem Tutarı', 'Amount'],
+      currency: ['Döviz', 'Para Birimi', 'Currency'],
+      date: ['İşlem Tarihi', 'Tarih'],
+      type: ['İşlem Tipi', 'İşlem'],
+      installment: ['Taksit', 'Taksit Sayısı'],
+      card: ['Kart No', 'Kart Numarası']
+    },
+    types: {
+      sale: ['Satış', 'Sale', 'Finansallaştırma', 'Capt'],
+      pre_auth: ['Provizyon', 'Auth'],
+      refund: ['İade', 'Return'],
+      cancel: ['İptal', 'Reverse']
+    },
+    decimal: ','
+  },
+
+  // ============================================
+  // AKBANK - Sanal POS işlem listesi
+  // ============================================
+  akbank: {
+    name: 'Akbank',
+    columns: {
+      orderId: ['Sipariş Numarası', 'Sipariş No', 'Order Id'],
+      authCode: ['Onay Kodu', 'Provizyon Kodu', 'Auth Code'],
+      refNumber: ['RRN', 'Referans Numarası', 'Referans No'],
+      amount: ['Tutar', 'İşlem Tutarı', 'Amount'],
+      currency: ['Para Birimi', 'Currency'],
+      date: ['İşlem Tarihi', 'Tarih', 'Transaction Date'],
+      type: ['İşlem Tipi', 'İşlem Kodu', 'Transaction Type'],
+      installment: ['Taksit Sayısı', 'Taksit'],
+      card: ['Kart Numarası', 'Kart No']
+    },
+    types: {
+      sale: ['Satış', 'Sale', '1000', 'Ön Provizyon Kapama', '1006'],
+      pre_auth: ['Ön Provizyon', '1005'],
+      refund: ['İade', 'Refund', '1002'],
+      cancel: ['İptal', 'Void', '1003']
+    },
+    decimal: ','
+  },
+
+  // ============================================
+  // PAYTEN (NESTPAY) - Merchant Center işlem raporu
+  // İş Bankası, Halkbank, Ziraat, TEB, ING, Şekerbank
+  // ============================================
+  payten: {
+    name: 'NestPay (Payten)',
+    columns: {
+      orderId: ['Sipariş Numarası', 'Order ID', 'OrderId'],
+      authCode: ['Onay Kodu', 'Auth Code', 'AuthCode'],
+      refNumber: ['Host Ref No', 'HostRefNum', 'Referans No'],
+      amount: ['Tutar', 'Amount', 'Total'],
+      currency: ['Para Birimi', 'Currency'],
+      date: ['İşlem Tarihi', 'Transaction Date', 'Tarih'],
+      type: ['İşlem Tipi', 'Trans Type', 'Type'],
+      installment: ['Taksit', 'Installment'],
+      card: ['Kart Numarası', 'Card Number', 'Masked Pan']
+    },
+    types: {
+      sale: ['Satış', 'Auth', 'PostAuth', 'Provizyon Kapama'],
+      pre_auth: ['Ön Provizyon', 'PreAuth'],
+      refund: ['İade', 'Credit'],
+      cancel: ['İptal', 'Void']
+    },
+    decimal: '.'
+  }
+};
+
+/**
+ * Normalize header / type label for matching
+ * "İşlem Tutarı" → "islemtutari"
+ */
+export function normalizeHeader(value) {
+  return String(value ?? '')
+    .toLocaleLowerCase('tr-TR')
+    .replace(/ı/g, 'i')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/[^a-z0-9]/g, '');
+}
+
+/**
+ * Get mapping for a POS (bankCode → provider)
+ */
+export function getStatementMapping(bankCode, provider) {
+  return STATEMENT_MAPPINGS[bankCode] || STATEMENT_MAPPINGS[provider] || null;
+}
+
+export default STATEMENT_MAPPINGS;
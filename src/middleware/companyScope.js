@@ -0,0 +1,27 @@
+/**
+ * Company Scope
+ * Firma bazlı kayıtların (kayıtlı kart, ödeme planı, ödeme linki, checkout) hangi firmaya ait
+ * olduğunu çözer. Öncelik auth ile çözülen firma (req.company); yoksa istekteki company
+ * parametresi aktif bir firmaya ait olmalı. Firma çözülemezse istek reddedilir, varsayılan
+ * firmaya düşülmez.
+ */
+
+import mongoose from 'mongoose';
+import { Company } from '../models/index.js';
+
+/**
+ * Resolve company ID for the request
+ * @returns {Promise<ObjectId|string|null>} null = firma çözülemedi
+ */
+export async function getCompanyId(req) {
+  const authCompany = req.company?._id || req.company;
+  if (authCompany) return authCompany;
+
+  const companyId = req.query.company || req.body?.company;
+  if (!companyId || !mongoose.Types.ObjectId.isValid(String(companyId))) return null;
+
+  const company = await Company.findOne({ _id: companyId, status: true }).select('_id');
+  return company?._id || null;
+}
+
+export default getCompanyId;
@@ -0,0 +1,205 @@
+/**
+ * Idempotency Middleware
+ * Idempotency-Key header'ı olan istekleri firma/API key kapsamında bir kez çalıştırır
+ *
+ * - Aynı key + aynı istek: ilk cevap tekrar döner (Idempotent-Replayed: true)
+ * - Aynı key + farklı istek: 422 IDEMPOTENCY_KEY_MISMATCH
+ * - Eşzamanlı tekrar: ilk isteğin bitmesi beklenir, bitmezse 409 IDEMPOTENCY_IN_PROGRESS
+ * - Cevap kaydedilmeden kilit süresi doldu (süreç çöktü): istek tekrar çalıştırılmaz,
+ *   409 IDEMPOTENCY_OUTCOME_UNKNOWN - sonuç işlem sorgusu / mutabakat ile netleşir
+ */
+
+import crypto from 'crypto';
+import { IdempotencyKey } from '../models/index.js';
+
+const KEY_TTL = 24 * 60 * 60 * 1000;    // 24 saat
+const WAIT_TIMEOUT = 30 * 1000;         // Eşzamanlı isteği bekleme süresi
+const LOCK_TTL = 10 * 60 * 1000;        // 'processing' kilidi - en uzun isteğin (failover dahil) süresinden uzun
+const WAIT_INTERVAL = 250;
+const MAX_KEY_LENGTH = 255;
+
+/**
+ * Stable JSON (sorted keys) so that key order doesn't change the hash
+ */
+function stableStringify(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(stableStringify).join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort().map(k => `${JSON.stringify(k)}:${stableStringify(value[k])}`).join(',')}}`;
+  }
+  return JSON.stringify(value ?? null);
+}
+
+/**
+ * Get idempotency scope for the caller
+ * Öncelik auth ile çözülen firma; çözülemediyse API key ve gövdedeki firma birlikte
+ * kullanılır (aynı key'i paylaşan firmaların Idempotency-Key'leri çakışmaz)
+ */
+function getScope(req) {
+  const companyId = req.company?._id || req.company;
+  if (companyId) return `company:${companyId}`;
+
+  const parts = [];
+  if (req.apiKey?._id) {
+    parts.push(`apikey:${req.apiKey._id}`);
+  } else if (req.headers['x-api-key']) {
+    // Ham key kayda yazılmaz
+    parts.push(`apikey:${crypto.createHash('sha256').update(String(req.headers['x-api-key'])).digest('hex')}`);
+  }
+  if (req.body?.company) parts.push(`company:${req.body.company}`);
+
+  return parts.length ? parts.join('|') : 'global';
+}
+
+function hashRequest(req) {
+  return crypto
+    .createHash('sha256')
+    .update(`${req.method} ${req.baseUrl}${req.path}\n${stableStringify(req.body || {})}`)
+    .digest('hex');
+}
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+function replay(res, record) {
+  res.setHeader('Idempotent-Replayed', 'true');
+  return res.status(record.responseStatus || 200).json(record.responseBody);
+}
+
+function mismatch(res) {
+  return res.status(422).json({
+    status: false,
+    error: 'Idempotency-Key farklı bir istek için kullanılmış',
+    code: 'IDEMPOTENCY_KEY_MISMATCH'
+  });
+}
+
+function isStale(record) {
+  const lockedUntil = record.lockedUntil || new Date(record.createdAt.getTime() + LOCK_TTL);
+  return record.status === 'processing' && lockedUntil <= new Date();
+}
+
+/**
+ * First request never stored a response - banka tarafı sonuç bilinmiyor, tekrar çalıştırmak
+ * çift tahsilat / iade riski taşır
+ */
+function outcomeUnknown(res) {
+  return res.status(409).json({
+    status: false,
+    error: 'Bu Idempotency-Key ile yapılan isteğin sonucu bilinmiyor, işlem durumunu sorgulayın (mutabakat)',
+    code: 'IDEMPOTENCY_OUTCOME_UNKNOWN'
+  });
+}
+
+/**
+ * Wait for the first request with the same key to finish
+ * Kilit süresi dolarsa beklemeyi bırakır
+ */
+async function waitForCompletion(scope, key) {
+  const deadline = Date.now() + WAIT_TIMEOUT;
+  while (Date.now() < deadline) {
+    await sleep(WAIT_INTERVAL);
+    const record = await IdempotencyKey.findOne({ scope, key });
+    if (!record || record.status === 'completed' || isStale(record)) {
+      return record;
+    }
+  }
+  return null;
+}
+
+/**
+ * Capture the response and store it on the key
+ */
+function captureResponse(res, scope, key) {
+  const originalJson = res.json.bind(res);
+  res.json = (body) => {
+    IdempotencyKey.updateOne(
+      { scope, key },
+      {
+        $set: {
+          status: 'completed',
+          responseStatus: res.statusCode,
+          responseBody: body,
+          completedAt: new Date()
+        },
+        $unset: { lockedUntil: 1 }
+      }
+    ).catch(error => {
+      console.error('[Idempotency] Save error:', error.message);
+    });
+    return originalJson(body);
+  };
+}
+
+/**
+ * Idempotency middleware factory
+ */
+export function idempotency() {
+  return async (req, res, next) => {
+    const key = req.headers['idempotency-key'];
+    if (!key) return next();
+
+    if (key.length > MAX_KEY_LENGTH) {
+      return res.status(400).json({
+        status: false,
+        error: `Idempotency-Key en fazla ${MAX_KEY_LENGTH} karakter olabilir`
+      });
+    }
+
+    const scope = getScope(req);
+    const requestHash = hashRequest(req);
+
+    try {
+      // Kilidi al - unique index eşzamanlı iki isteğin ikisinin de girmesini engeller
+      await IdempotencyKey.create({
+        scope,
+        key,
+        method: req.method,
+        path: `${req.baseUrl}${req.path}`,
+        requestHash,
+        status: 'processing',
+        lockedUntil: new Date(Date.now() + LOCK_TTL),
+        expiresAt: new Date(Date.now() + KEY_TTL)
+      });
+    } catch (error) {
+      if (error.code !== 11000) {
+        return res.status(500).json({ status: false, error: error.message });
+      }
+
+      let existing = await IdempotencyKey.findOne({ scope, key });
+      if (existing && existing.requestHash !== requestHash) {
+        return mismatch(res);
+      }
+
+      if (existing && existing.status === 'processing' && !isStale(existing)) {
+        existing = await waitForCompletion(scope, key);
+        if (!existing) {
+          return res.status(409).json({
+            status: false,
+            error: 'Aynı Idempotency-Key ile bir istek hâlâ işleniyor',
+            code: 'IDEMPOTENCY_IN_PROGRESS'
+          });
+        }
+      }
+
+      // İlk istek cevap kaydedemeden çöktü - tekrar çalıştırılmaz
+      if (existing && isStale(existing)) {
+        return outcomeUnknown(res);
+      }
+
+      if (existing) {
+        return replay(res, existing);
+      }
+
+      // Kayıt bu arada silindi (TTL) - tekrar dene
+      return idempotency()(req, res, next);
+    }
+
+    captureResponse(res, scope, key);
+    next();
+  };
+}
+
+export default idempotency;
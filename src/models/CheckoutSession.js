@@ -0,0 +1,95 @@
+import mongoose from 'mongoose';
+
+/**
+ * Checkout Session Model
+ * Servis tarafında barındırılan ödeme sayfası (/payment/checkout/:sessionId)
+ * Üye işyeri sadece oturum açar, kart bilgisi bu sayfada girilir
+ */
+
+const checkoutSessionSchema = new mongoose.Schema({
+  company: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Company',
+    required: true
+  },
+  sessionId: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  amount: {
+    type: Number,
+    required: true
+  },
+  currency: {
+    type: String,
+    enum: ['try', 'eur', 'usd', 'gbp'],
+    default: 'try'
+  },
+  // İzin verilen taksit sayıları (boş = kart/POS'un sunduğu tüm seçenekler)
+  installments: [Number],
+  customer: {
+    name: String,
+    email: String,
+    phone: String
+  },
+  bookingCode: String,
+  externalId: String,
+  description: String,
+  // Dönüş: redirect (successUrl/failUrl, yoksa returnUrl) veya postMessage (returnUrl origin'ine)
+  returnUrl: {
+    type: String,
+    required: true
+  },
+  successUrl: String,
+  failUrl: String,
+  returnMode: {
+    type: String,
+    enum: ['redirect', 'postMessage'],
+    default: 'redirect'
+  },
+  // open: ödeme bekleniyor (başarısız denemeden sonra da), completed: başarılı ödeme alındı
+  status: {
+    type: String,
+    enum: ['open', 'completed', 'expired', 'cancelled'],
+    default: 'open'
+  },
+  // Son deneme (tüm denemeler Transaction.checkoutSession ile bağlı)
+  transaction: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Transaction'
+  },
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  // Başlatılmış, sonucu beklenen ödeme - sonuçlanana (veya süre dolana) kadar yeni ödeme başlatılmaz
+  inFlight: {
+    claimId: String,
+    transaction: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Transaction'
+    },
+    until: Date
+  },
+  completedAt: Date,
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes
+checkoutSessionSchema.index({ company: 1, createdAt: -1 });
+checkoutSessionSchema.index({ status: 1, expiresAt: 1 });
+
+/**
+ * Check if session can still take payments
+ */
+checkoutSessionSchema.methods.isPayable = function () {
+  return this.status === 'open' && this.expiresAt > new Date();
+};
+
+export default mongoose.model('CheckoutSession', checkoutSessionSchema);
@@ -1,4 +1,5 @@
 import mongoose from 'mongoose';
+import { encrypt, decrypt } from '../config/encryption.js';
 
 const companySchema = new mongoose.Schema({
   name: {
@@ -26,6 +27,32 @@ const companySchema = new mongoose.Schema({
     callbackUrl: {
       type: String,
       default: null
+    },
+    // Webhook imza anahtarı (encrypted)
+    webhookSecret: {
+      type: String,
+      default: null
+    },
+    // Ödeme sayfaları (checkout, ödeme linki) görünümü
+    branding: {
+      displayName: String,
+      logoUrl: String,
+      primaryColor: String,     // #RRGGBB
+      backgroundColor: String   // #RRGGBB
+    },
+    // 3D sonuç sayfası davranışı (ödeme bazında resultHandling ile ezilebilir)
+    resultHandling: {
+      mode: {
+        type: String,
+        enum: ['page', 'redirect', 'postMessage'],
+        default: 'page'
+      },
+      successUrl: String,
+      failUrl: String,
+      // postMessage sadece bu origin'lere gönderilir
+      allowedOrigins: [String],
+      // Özel sonuç sayfası: {{title}} {{status}} {{message}} {{amount}} {{currency}} {{transactionId}} ...
+      pageTemplate: String
     }
   }
 }, {
@@ -36,4 +63,29 @@ const companySchema = new mongoose.Schema({
 companySchema.index({ code: 1 });
 companySchema.index({ status: 1 });
 
+// Encrypt webhook secret before save
+companySchema.pre('save', function (next) {
+  if (this.isModified('settings.webhookSecret') && this.settings.webhookSecret) {
+    // Don't re-encrypt if already encrypted (contains ':')
+    if (!this.settings.webhookSecret.includes(':')) {
+      this.settings.webhookSecret = encrypt(this.settings.webhookSecret);
+    }
+  }
+  next();
+});
+
+// Method to get decrypted webhook secret
+companySchema.methods.getWebhookSecret = function () {
+  return this.settings?.webhookSecret ? decrypt(this.settings.webhookSecret) : null;
+};
+
+// Don't return webhook secret in JSON
+companySchema.methods.toJSON = function () {
+  const obj = this.toObject();
+  if (obj.settings) {
+    obj.settings.webhookSecret = obj.settings.webhookSecret ? '••••••••' : null;
+  }
+  return obj;
+};
+
 export default mongoose.model('Company', companySchema);
@@ -0,0 +1,47 @@
+import mongoose from 'mongoose';
+
+/**
+ * Idempotency Key Model
+ * Idempotency-Key header ile gelen isteklerin kilidi ve kaydedilmiş cevabı
+ */
+
+const idempotencyKeySchema = new mongoose.Schema({
+  // Firma / API key kapsamı (company:<id> | apikey:<id>|company:<id>)
+  scope: {
+    type: String,
+    required: true
+  },
+  key: {
+    type: String,
+    required: true
+  },
+  method: String,
+  path: String,
+  // sha256(method + path + body) - aynı key farklı istekle kullanılamaz
+  requestHash: {
+    type: String,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['processing', 'completed'],
+    default: 'processing'
+  },
+  responseStatus: Number,
+  responseBody: mongoose.Schema.Types.Mixed,
+  completedAt: Date,
+  // 'processing' kilidinin bitişi - geçmişse istek çökmüş sayılır, sonuç bilinmiyor (tekrar çalıştırılmaz)
+  lockedUntil: Date,
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes
+idempotencyKeySchema.index({ scope: 1, key: 1 }, { unique: true });
+idempotencyKeySchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+export default mongoose.model('IdempotencyKey', idempotencyKeySchema);
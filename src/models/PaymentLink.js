@@ -0,0 +1,102 @@
+import mongoose from 'mongoose';
+
+/**
+ * Payment Link Model
+ * Misafire e-posta/SMS ile gönderilen ödeme bağlantısı (pay-by-link)
+ * Tutar sabittir, misafir kart bilgisini /payment/link/:token sayfasında girer
+ */
+
+const paymentLinkSchema = new mongoose.Schema({
+  company: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Company',
+    required: true
+  },
+  token: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  amount: {
+    type: Number,
+    required: true
+  },
+  currency: {
+    type: String,
+    enum: ['try', 'eur', 'usd', 'gbp'],
+    default: 'try'
+  },
+  // İzin verilen taksit sayıları (boş = kart/POS'un sunduğu tüm seçenekler)
+  installments: [Number],
+  // single: ilk başarılı ödemede kapanır, multi: maxUses'a kadar (boş = sınırsız)
+  usage: {
+    type: String,
+    enum: ['single', 'multi'],
+    default: 'single'
+  },
+  maxUses: Number,
+  status: {
+    type: String,
+    enum: ['active', 'opened', 'paid', 'expired', 'cancelled'],
+    default: 'active'
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  bookingCode: String,
+  externalId: String,
+  description: String,
+  customer: {
+    name: String,
+    email: String,
+    phone: String
+  },
+  // Durum takibi
+  openCount: {
+    type: Number,
+    default: 0
+  },
+  openedAt: Date,
+  lastOpenedAt: Date,
+  // Başarılı ödemeler (tüm denemeler Transaction.paymentLink ile bağlı)
+  payments: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Transaction'
+  }],
+  paidAt: Date,
+  // Başlatılmış, sonucu beklenen ödeme - sonuçlanana (veya süre dolana) kadar yeni ödeme başlatılmaz
+  inFlight: {
+    claimId: String,
+    transaction: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Transaction'
+    },
+    until: Date
+  },
+  cancelledAt: Date,
+  createdBy: String
+}, {
+  timestamps: true
+});
+
+// Indexes
+paymentLinkSchema.index({ company: 1, createdAt: -1 });
+paymentLinkSchema.index({ status: 1, expiresAt: 1 });
+paymentLinkSchema.index({ bookingCode: 1 }, { sparse: true });
+
+/**
+ * Check if link is past its expiry date
+ */
+paymentLinkSchema.methods.isExpired = function () {
+  return this.expiresAt < new Date();
+};
+
+/**
+ * Check if link can still take payments
+ */
+paymentLinkSchema.methods.isPayable = function () {
+  return ['active', 'opened'].includes(this.status) && !this.isExpired();
+};
+
+export default mongoose.model('PaymentLink', paymentLinkSchema);
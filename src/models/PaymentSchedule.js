@@ -0,0 +1,137 @@
+import mongoose from 'mongoose';
+
+/**
+ * Payment Schedule Model
+ * Kayıtlı kart ile ileri tarihli tahsilat planı
+ * - plan: sabit tarihli tahsilatlar (ör: depozito sonrası girişten N gün önce bakiye)
+ * - recurring: periyodik tahsilat (ör: kurumsal aylık faturalama)
+ */
+
+const scheduledChargeSchema = new mongoose.Schema({
+  amount: {
+    type: Number,
+    required: true
+  },
+  dueDate: {
+    type: Date,
+    required: true
+  },
+  description: String,
+  status: {
+    type: String,
+    enum: ['pending', 'processing', 'success', 'failed', 'cancelled'],
+    default: 'pending'
+  },
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  // Sıradaki deneme (ilk deneme = dueDate, sonra retryPolicy'e göre)
+  nextAttemptAt: Date,
+  // Denemenin başladığı an - süreç çökerse 'processing' kalan tahsilat bu tarihe göre kurtarılır
+  processingAt: Date,
+  // Son deneme işlemi ve tüm denemeler
+  transaction: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Transaction'
+  },
+  transactions: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Transaction'
+  }],
+  lastError: String,
+  completedAt: Date
+});
+
+const paymentScheduleSchema = new mongoose.Schema({
+  company: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Company',
+    required: true
+  },
+  // Boş ise kart/tutara göre 3D'siz ödemeye izinli POS seçilir
+  pos: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'VirtualPos'
+  },
+  type: {
+    type: String,
+    enum: ['plan', 'recurring'],
+    default: 'plan'
+  },
+  status: {
+    type: String,
+    enum: ['active', 'paused', 'completed', 'cancelled'],
+    default: 'active'
+  },
+  // Ödeme yöntemi: kayıtlı kart
+  customerRef: {
+    type: String,
+    required: true
+  },
+  cardToken: {
+    type: String,
+    required: true
+  },
+  currency: {
+    type: String,
+    enum: ['try', 'eur', 'usd', 'gbp'],
+    default: 'try'
+  },
+  bookingCode: String,
+  externalId: String,
+  description: String,
+  charges: [scheduledChargeSchema],
+  // Periyodik tahsilat ayarları (type = recurring)
+  recurring: {
+    amount: Number,
+    interval: {
+      type: String,
+      enum: ['day', 'week', 'month']
+    },
+    intervalCount: {
+      type: Number,
+      default: 1
+    },
+    nextDate: Date,          // Oluşturulacak sıradaki tahsilat tarihi
+    endDate: Date,
+    maxCharges: Number
+  },
+  // Başarısız tahsilat tekrar politikası
+  retryPolicy: {
+    maxAttempts: {
+      type: Number,
+      default: 3
+    },
+    intervalHours: {
+      type: Number,
+      default: 24
+    }
+  },
+  // Worker sorgusu için: bekleyen en yakın deneme zamanı
+  nextRunAt: Date,
+  cancelledAt: Date
+}, {
+  timestamps: true
+});
+
+// Indexes
+paymentScheduleSchema.index({ status: 1, nextRunAt: 1 });
+paymentScheduleSchema.index({ company: 1, createdAt: -1 });
+paymentScheduleSchema.index({ bookingCode: 1 }, { sparse: true });
+paymentScheduleSchema.index({ 'charges.status': 1, 'charges.processingAt': 1 });
+
+/**
+ * Recalculate nextRunAt from pending charges
+ */
+paymentScheduleSchema.methods.updateNextRun = function () {
+  const pending = this.charges
+    .filter(c => c.status === 'pending')
+    .map(c => c.nextAttemptAt || c.dueDate)
+    .sort((a, b) => a - b);
+
+  this.nextRunAt = this.status === 'active' && pending.length ? pending[0] : null;
+  return this.nextRunAt;
+};
+
+export default mongoose.model('PaymentSchedule', paymentScheduleSchema);
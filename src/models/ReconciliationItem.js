@@ -0,0 +1,87 @@
+import mongoose from 'mongoose';
+
+/**
+ * Reconciliation Item Model
+ * Ekstre satırı ile sistemdeki işlemin eşleşme sonucu
+ * Farklar (tutar farkı, eksik kayıt) çözülene kadar açık kalır; her aksiyon history'ye yazılır
+ */
+
+const historyEntrySchema = new mongoose.Schema({
+  action: {
+    type: String,
+    enum: ['resolve', 'ignore', 'reopen', 'comment'],
+    required: true
+  },
+  note: String,
+  user: String,
+  at: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
+
+const reconciliationItemSchema = new mongoose.Schema({
+  import: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'StatementImport',
+    required: true
+  },
+  company: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Company'
+  },
+  pos: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'VirtualPos'
+  },
+  status: {
+    type: String,
+    enum: ['matched', 'amount_mismatch', 'missing_in_system', 'missing_in_bank'],
+    required: true
+  },
+  transaction: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Transaction'
+  },
+  // Ekstre satırı (missing_in_bank için boş)
+  row: {
+    line: Number,                    // Dosyadaki satır numarası
+    orderId: String,
+    authCode: String,
+    refNumber: String,
+    amount: Number,
+    currency: String,
+    date: Date,
+    type: String,                    // sale, pre_auth, refund, cancel
+    installment: Number,
+    card: String
+  },
+  bankAmount: Number,
+  systemAmount: Number,
+  difference: Number,                // bankAmount - systemAmount
+  matchedBy: {
+    type: String,
+    enum: ['orderId', 'refNumber', 'authCode']
+  },
+  resolution: {
+    status: {
+      type: String,
+      enum: ['none', 'open', 'resolved', 'ignored'],
+      default: 'none'                // matched kayıtlar için none
+    },
+    note: String,
+    resolvedBy: String,
+    resolvedAt: Date
+  },
+  // Denetim kaydı
+  history: [historyEntrySchema]
+}, {
+  timestamps: true
+});
+
+// Indexes
+reconciliationItemSchema.index({ import: 1, status: 1 });
+reconciliationItemSchema.index({ import: 1, 'resolution.status': 1 });
+reconciliationItemSchema.index({ transaction: 1 }, { sparse: true });
+
+export default mongoose.model('ReconciliationItem', reconciliationItemSchema);
@@ -0,0 +1,86 @@
+import mongoose from 'mongoose';
+
+/**
+ * Settlement Model
+ * POS bazında günlük gün sonu (batch close) raporu
+ * Pencere: [periodStart, periodEnd) - periodEnd bankanın gün sonu saati (bkz. VirtualPos.getBatchWindow)
+ * Batch'e giren işlemler Transaction.settlement ile bu kayda bağlanır
+ */
+
+const amountSchema = new mongoose.Schema({
+  count: { type: Number, default: 0 },
+  amount: { type: Number, default: 0 }
+}, { _id: false });
+
+// Para birimi + taksit kırılımı
+const settlementTotalSchema = new mongoose.Schema({
+  currency: {
+    type: String,
+    enum: ['try', 'eur', 'usd', 'gbp'],
+    required: true
+  },
+  installment: Number,                        // Sadece totals satırlarında
+  sales: { type: amountSchema, default: () => ({}) },
+  refunds: { type: amountSchema, default: () => ({}) },
+  cancels: { type: amountSchema, default: () => ({}) },
+  net: { type: Number, default: 0 }            // sales - refunds - cancels
+}, { _id: false });
+
+const settlementSchema = new mongoose.Schema({
+  company: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Company',
+    required: true
+  },
+  pos: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'VirtualPos',
+    required: true
+  },
+  bankCode: String,
+  provider: String,
+  // İş günü (YYYY-MM-DD, Türkiye saati)
+  businessDate: {
+    type: String,
+    required: true
+  },
+  cutoff: String,                    // Kapanışta kullanılan gün sonu saati (HH:mm)
+  periodStart: {
+    type: Date,
+    required: true
+  },
+  periodEnd: {
+    type: Date,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['closed'],
+    default: 'closed'
+  },
+  // Para birimi + taksit kırılımı
+  totals: [settlementTotalSchema],
+  // Para birimi özeti
+  summary: [settlementTotalSchema],
+  // Batch'e bağlanan işlem sayısı (ön provizyon ve blokaj çözme dahil)
+  transactionCount: {
+    type: Number,
+    default: 0
+  },
+  closedAt: {
+    type: Date,
+    default: Date.now
+  },
+  closedBy: {
+    type: String,
+    default: 'system'                // system (worker) veya kullanıcı id
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes
+settlementSchema.index({ pos: 1, businessDate: 1 }, { unique: true });
+settlementSchema.index({ company: 1, businessDate: -1 });
+
+export default mongoose.model('Settlement', settlementSchema);
@@ -0,0 +1,54 @@
+import mongoose from 'mongoose';
+
+/**
+ * Statement Import Model
+ * Banka üye işyeri panelinden indirilen işlem dosyası (CSV/XLSX) ve mutabakat özeti
+ * Satır bazında sonuçlar ReconciliationItem koleksiyonunda tutulur
+ */
+
+const statementImportSchema = new mongoose.Schema({
+  company: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Company',
+    required: true
+  },
+  pos: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'VirtualPos',
+    required: true
+  },
+  bankCode: String,
+  mapping: String,                   // Kullanılan kolon eşlemesi (bkz. constants/statementMappings.js)
+  fileName: String,
+  format: {
+    type: String,
+    enum: ['csv', 'xlsx']
+  },
+  // Mutabakat penceresi (gün sonu saatine göre)
+  periodStart: Date,
+  periodEnd: Date,
+  rowCount: {
+    type: Number,
+    default: 0
+  },
+  // Sonuç sayıları
+  summary: {
+    matched: { type: Number, default: 0 },
+    amountMismatch: { type: Number, default: 0 },
+    missingInSystem: { type: Number, default: 0 },
+    missingInBank: { type: Number, default: 0 },
+    open: { type: Number, default: 0 }           // Çözülmemiş fark sayısı
+  },
+  createdBy: {
+    type: String,
+    default: 'system'
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes
+statementImportSchema.index({ company: 1, createdAt: -1 });
+statementImportSchema.index({ pos: 1, periodStart: -1 });
+
+export default mongoose.model('StatementImport', statementImportSchema);
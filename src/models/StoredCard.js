@@ -0,0 +1,118 @@
+import mongoose from 'mongoose';
+import { encrypt, decrypt } from '../config/encryption.js';
+
+/**
+ * Stored Card Model
+ * Müşteri kartı kasası - kart bilgileri şifreli, dışarıya sadece token verilir
+ * Müşteri = firma + firmadaki müşteri referansı (customerRef)
+ */
+
+const storedCardSchema = new mongoose.Schema({
+  company: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Company',
+    required: true
+  },
+  // Firma tarafındaki müşteri/cari kodu
+  customerRef: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  // Opak token (card_xxx) - ödeme isteklerinde kart yerine kullanılır
+  token: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  // Aynı kartın tekrar kaydını önlemek için (HMAC, geri çözülemez)
+  fingerprint: {
+    type: String,
+    required: true
+  },
+  // Kart bilgisi (şifreli)
+  card: {
+    holder: String,          // şifreli
+    number: String,          // şifreli
+    expiry: String,          // şifreli
+    masked: String,          // 540134******7890
+    bin: Number,
+    last4: String
+  },
+  // BIN bilgisi
+  bin: {
+    bank: String,
+    brand: String,
+    type: String,
+    family: String,
+    country: String
+  },
+  // Son kullanma ayının son günü (yaklaşan/geçmiş kart sorguları için)
+  expiresAt: Date,
+  label: String,
+  // Kartın kaydedildiği işlem
+  sourceTransaction: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Transaction'
+  },
+  lastUsedAt: Date
+}, {
+  timestamps: true
+});
+
+// Indexes
+storedCardSchema.index({ company: 1, customerRef: 1 });
+storedCardSchema.index({ company: 1, customerRef: 1, fingerprint: 1 }, { unique: true });
+storedCardSchema.index({ company: 1, expiresAt: 1 });
+
+// Encrypt card data before save
+storedCardSchema.pre('save', function (next) {
+  if (this.isModified('card.holder') && this.card.holder && !this.card.holder.includes(':')) {
+    this.card.holder = encrypt(this.card.holder);
+  }
+  if (this.isModified('card.number') && this.card.number && !this.card.number.includes(':')) {
+    this.card.number = encrypt(this.card.number);
+  }
+  if (this.isModified('card.expiry') && this.card.expiry && !this.card.expiry.includes(':')) {
+    this.card.expiry = encrypt(this.card.expiry);
+  }
+  next();
+});
+
+// Get decrypted card (CVV saklanmaz)
+storedCardSchema.methods.getDecryptedCard = function () {
+  return {
+    holder: decrypt(this.card.holder),
+    number: decrypt(this.card.number),
+    expiry: decrypt(this.card.expiry),
+    masked: this.card.masked,
+    bin: this.card.bin
+  };
+};
+
+// Kart son kullanma tarihi geçmiş mi
+storedCardSchema.methods.isExpired = function (date = new Date()) {
+  return !!this.expiresAt && this.expiresAt < date;
+};
+
+// Safe JSON (hide encrypted card)
+storedCardSchema.methods.toJSON = function () {
+  const obj = this.toObject();
+  return {
+    token: obj.token,
+    customerRef: obj.customerRef,
+    label: obj.label,
+    card: {
+      masked: obj.card?.masked,
+      last4: obj.card?.last4,
+      bin: obj.card?.bin
+    },
+    bin: obj.bin,
+    expiresAt: obj.expiresAt,
+    expired: this.isExpired(),
+    lastUsedAt: obj.lastUsedAt,
+    createdAt: obj.createdAt
+  };
+};
+
+export default mongoose.model('StoredCard', storedCardSchema);
@@ -1,10 +1,15 @@
 import mongoose from 'mongoose';
 import { encrypt, decrypt, maskCardNumber } from '../config/encryption.js';
 
+// MIT (merchant-initiated) tahsilat sebepleri
+export const MIT_REASONS = ['no_show', 'damage', 'minibar', 'late_checkout', 'extra_charge', 'other'];
+// unscheduled: tek seferlik (no-show, hasar), recurring: planlı/tekrarlayan tahsilat
+export const MIT_TYPES = ['unscheduled', 'recurring'];
+
 const logEntrySchema = new mongoose.Schema({
   type: {
     type: String,
-    enum: ['init', '3d_form', '3d_redirect', '3d_callback', 'provision', 'refund', 'cancel', 'status', 'pre_auth', 'post_auth', 'error']
+    enum: ['init', '3d_form', '3d_redirect', '3d_callback', 'provision', 'refund', 'cancel', 'status', 'pre_auth', 'post_auth', 'reconcile', 'notification', 'error']
   },
   request: mongoose.Schema.Types.Mixed,
   response: mongoose.Schema.Types.Mixed,
@@ -37,6 +42,19 @@ const transactionSchema = new mongoose.Schema({
     type: mongoose.Schema.Types.ObjectId,
     ref: 'Transaction'
   },
+  // POS failover: aynı ödemenin denemeleri (grup = ilk denemenin _id'si)
+  attemptGroup: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Transaction'
+  },
+  attemptNumber: {
+    type: Number,
+    default: 1
+  },
+  previousAttempt: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Transaction'
+  },
   // Banka tarafı sipariş numarası
   orderId: String,
   // Ödeme bilgisi
@@ -53,6 +71,31 @@ const transactionSchema = new mongoose.Schema({
     type: Number,
     default: 1
   },
+  // Fiyatlandırma (amount = vade farkı dahil çekilen toplam)
+  pricing: {
+    baseAmount: Number,         // İndirim ve vade farkı öncesi tutar
+    discountRate: Number,       // Kampanya indirimi %
+    discount: Number,           // Kampanya indirim tutarı
+    customerRate: Number,       // Müşteriye yansıtılan oran %
+    installmentAmount: Number,  // Taksit başı tutar
+    plusInstallment: Number,    // Ekstra taksit (kampanya)
+    commissionRate: Number,     // Banka komisyon oranı %
+    commission: Number,         // Banka komisyonu
+    net: Number                 // Üye işyeri net tutarı
+  },
+  // Kart kasası: kayıt isteği / kullanılan-oluşan token
+  vault: {
+    save: Boolean,             // Başarılı ödemede kartı kaydet
+    customerRef: String,       // Firma tarafı müşteri referansı
+    token: String              // StoredCard token
+  },
+  // Uygulanan taksit kampanyası (VirtualPos.installment.campaigns)
+  campaign: {
+    id: mongoose.Schema.Types.ObjectId,
+    name: String,
+    plusInstallment: Number,
+    discountRate: Number
+  },
   // Kart bilgisi (şifreli)
   card: {
     holder: String,          // şifreli
@@ -77,7 +120,7 @@ const transactionSchema = new mongoose.Schema({
   // Durum
   status: {
     type: String,
-    enum: ['pending', 'processing', 'success', 'failed', 'cancelled', 'refunded'],
+    enum: ['pending', 'processing', 'success', 'failed', 'cancelled', 'partially_refunded', 'refunded', 'expired'],
     default: 'pending'
   },
   // 3D Secure - Mixed type to allow provider-specific data (formData, confirm3D, etc.)
@@ -103,12 +146,89 @@ const transactionSchema = new mongoose.Schema({
   externalId: String,
   // Rezervasyon kodu (ORS için)
   bookingCode: String,
+  // Ödeme linki (pay-by-link) ile yapılan ödeme
+  paymentLink: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'PaymentLink'
+  },
+  // 3D sonuç davranışı (ödeme bazında, boş ise POS / firma ayarı)
+  resultHandling: {
+    mode: {
+      type: String,
+      enum: ['page', 'redirect', 'postMessage']
+    },
+    successUrl: String,
+    failUrl: String,
+    origin: String
+  },
+  // Barındırılan ödeme sayfası (checkout) oturumu
+  checkoutSession: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'CheckoutSession'
+  },
+  // Üye işyeri başlatımlı tahsilat (MIT) - misafir yokken no-show/hasar vb.
+  mit: {
+    type: {
+      type: String,
+      enum: MIT_TYPES
+    },
+    reason: {
+      type: String,
+      enum: MIT_REASONS
+    },
+    description: String,
+    originalTransaction: {              // Kartın kullanıldığı ilk işlem (itiraz kanıtı)
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Transaction'
+    },
+    // İlk (kart sahibinin başlattığı) işlemin banka referansları - itiraz kanıtı için saklanır,
+    // bankaya gönderilmez (bankaya sadece MIT/recurring işareti gider)
+    originalOrderId: String,
+    originalAuthCode: String,
+    originalRefNumber: String
+  },
   // Tamamlanma zamanı
   completedAt: Date,
-  // İade zamanı
+  // Son mutabakat (banka durum sorgusu) denemesi - sonuçsuz kalan işlemler sıranın sonuna geçer
+  lastReconciledAt: Date,
+  // Mutabakat sonuçlandıramadı (sorgulanamayan iade) - banka ile kontrol edilip elle sonuçlandırılır
+  manualReviewAt: Date,
+  // İade edilen toplam tutar (başarılı refund alt işlemlerinin toplamı)
+  refundedAmount: {
+    type: Number,
+    default: 0
+  },
+  // Devam eden (processing) iadeler için ayrılan tutar - eşzamanlı iadeler bakiyeyi aşamaz
+  refundReservedAmount: {
+    type: Number,
+    default: 0
+  },
+  // Refund kaydı: ana işlemde rezervasyonu henüz çözülmedi
+  refundReserved: Boolean,
+  // İade zamanı (tutarın tamamı iade edildiğinde)
   refundedAt: Date,
   // İptal zamanı
-  cancelledAt: Date
+  cancelledAt: Date,
+  // Ön provizyondan kapatılan tutar (kalan bloke bankada çözülür)
+  capturedAmount: Number,
+  // Provizyon kapama zamanı
+  capturedAt: Date,
+  // 3D callback işleniyor - süre dolana kadar aynı işlem için ikinci callback provizyon göndermez
+  callbackLockedUntil: Date,
+  // Ön provizyonda devam eden kapama / çözme işlemi - sonuçlanana (veya süre dolana) kadar yenisi başlatılmaz
+  preAuthLock: {
+    transaction: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Transaction'
+    },
+    until: Date
+  },
+  // Gün sonu (batch) - işlemin girdiği kapanmış batch raporu ve iş günü
+  settlement: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Settlement'
+  },
+  batchDate: String             // YYYY-MM-DD
 }, {
   timestamps: true
 });
@@ -116,12 +236,25 @@ const transactionSchema = new mongoose.Schema({
 // Indexes
 transactionSchema.index({ pos: 1, createdAt: -1 });
 transactionSchema.index({ status: 1 });
+transactionSchema.index({ status: 1, createdAt: 1 });
+transactionSchema.index({ status: 1, lastReconciledAt: 1, createdAt: 1 });
 transactionSchema.index({ type: 1 });
 transactionSchema.index({ externalId: 1 });
+transactionSchema.index({ bookingCode: 1 }, { sparse: true });
+transactionSchema.index({ 'mit.originalTransaction': 1 }, { sparse: true });
+transactionSchema.index({ paymentLink: 1 }, { sparse: true });
+transactionSchema.index({ checkoutSession: 1 }, { sparse: true });
 transactionSchema.index({ orderId: 1 });
 transactionSchema.index({ parentTransaction: 1 });
+transactionSchema.index({ attemptGroup: 1 }, { sparse: true });
 transactionSchema.index({ 'card.bin': 1 });
+transactionSchema.index({ 'campaign.id': 1 }, { sparse: true });
 transactionSchema.index({ createdAt: -1 });
+transactionSchema.index({ pos: 1, completedAt: 1 });
+transactionSchema.index({ settlement: 1 }, { sparse: true });
+// Analitik (zaman serisi): tip ve kart bankası filtreleri
+transactionSchema.index({ type: 1, createdAt: 1 });
+transactionSchema.index({ 'bin.bankCode': 1, createdAt: 1 });
 
 // Encrypt card data before save
 transactionSchema.pre('save', function (next) {
@@ -171,17 +304,32 @@ transactionSchema.methods.addLog = function (type, request, response) {
   this.logs.push({ type, request, response, at: new Date() });
 };
 
-// İade edilebilir mi kontrol et
+// İade edilebilir kalan tutar
+transactionSchema.methods.getRefundableAmount = function () {
+  const remaining = (this.amount || 0) - (this.refundedAmount || 0) - (this.refundReservedAmount || 0);
+  return Math.max(0, Math.round(remaining * 100) / 100);
+};
+
+// İade edilebilir mi kontrol et (kısmi iadeler dahil)
 transactionSchema.methods.canRefund = function () {
   return this.type === 'payment' &&
-         this.status === 'success' &&
-         !this.refundedAt;
+         ['success', 'partially_refunded'].includes(this.status) &&
+         this.getRefundableAmount() > 0;
 };
 
 // İptal edilebilir mi kontrol et (gün sonu öncesi)
-transactionSchema.methods.canCancel = function () {
+// pos yüklüyse bankanın gün sonu saati kullanılır, değilse gece yarısı varsayılır
+transactionSchema.methods.canCancel = function (pos = this.pos) {
   if (this.type !== 'payment' || this.status !== 'success') return false;
 
+  // Gün sonu alınmış batch'teki işlem ancak iade edilebilir
+  if (this.settlement) return false;
+
+  if (typeof pos?.getBatchWindow === 'function') {
+    const { end } = pos.getBatchWindow({ date: this.completedAt || this.createdAt });
+    return Date.now() < end.getTime();
+  }
+
   // Gün sonu kontrolü - işlem bugün mü yapılmış?
   const today = new Date();
   today.setHours(0, 0, 0, 0);
@@ -191,9 +339,14 @@ transactionSchema.methods.canCancel = function () {
   return txDate.getTime() === today.getTime();
 };
 
-// Post-auth yapılabilir mi (pre-auth için)
+// Post-auth yapılabilir mi (pre-auth için, henüz kapatılmamış/çözülmemiş)
 transactionSchema.methods.canPostAuth = function () {
-  return this.type === 'pre_auth' && this.status === 'success';
+  return this.type === 'pre_auth' && this.status === 'success' && !this.capturedAt;
+};
+
+// Ön provizyon blokesi çözülebilir mi (kapama yapılmadıysa)
+transactionSchema.methods.canReleasePreAuth = function () {
+  return this.canPostAuth();
 };
 
 // Safe JSON (hide encrypted card)
@@ -29,6 +29,8 @@ export const PAYMENT_MODELS = {
 
 // ============================================================================
 // BANK DEFINITIONS
+// batchCutoff: varsayılan gün sonu (batch close) saati, Türkiye saati HH:mm
+// Üye işyeri sözleşmesinde farklı saat varsa POS.batchCutoff ile ezilir
 // ============================================================================
 export const BANKS = {
   garanti: {
@@ -37,6 +39,7 @@ export const BANKS = {
     provider: 'garanti',
     color: '#00854a',
     logo: 'garanti',
+    batchCutoff: '22:00',
     supportedPaymentModels: ['3d', '3d_pay', 'regular']
   },
   akbank: {
@@ -45,6 +48,7 @@ export const BANKS = {
     provider: 'akbank',
     color: '#e31e24',
     logo: 'akbank',
+    batchCutoff: '23:30',
     supportedPaymentModels: ['3d', 'regular']
   },
   ykb: {
@@ -53,6 +57,7 @@ export const BANKS = {
     provider: 'ykb',
     color: '#004b93',
     logo: 'ykb',
+    batchCutoff: '23:00',
     supportedPaymentModels: ['3d', '3d_pay', 'regular']
   },
   isbank: {
@@ -61,6 +66,7 @@ export const BANKS = {
     provider: 'payten',
     color: '#004990',
     logo: 'isbank',
+    batchCutoff: '23:00',
     supportedPaymentModels: ['3d', '3d_pay', '3d_host', 'regular']
   },
   halkbank: {
@@ -69,6 +75,7 @@ export const BANKS = {
     provider: 'payten',
     color: '#00528e',
     logo: 'halkbank',
+    batchCutoff: '23:00',
     supportedPaymentModels: ['3d', '3d_pay', 'regular']
   },
   ziraat: {
@@ -77,6 +84,7 @@ export const BANKS = {
     provider: 'payten',
     color: '#e30613',
     logo: 'ziraat',
+    batchCutoff: '23:00',
     supportedPaymentModels: ['3d', '3d_pay', 'regular']
   },
   vakifbank: {
@@ -85,6 +93,7 @@ export const BANKS = {
     provider: 'vakifbank',
     color: '#fdc600',
     logo: 'vakifbank',
+    batchCutoff: '23:30',
     supportedPaymentModels: ['3d', '3d_pay', 'regular']
   },
   teb: {
@@ -93,6 +102,7 @@ export const BANKS = {
     provider: 'payten',
     color: '#00529b',
     logo: 'teb',
+    batchCutoff: '23:00',
     supportedPaymentModels: ['3d', '3d_pay', 'regular']
   },
   qnb: {
@@ -101,6 +111,7 @@ export const BANKS = {
     provider: 'qnb',
     color: '#5c068c',
     logo: 'qnb',
+    batchCutoff: '23:00',
     supportedPaymentModels: ['3d', '3d_pay', 'regular']
   },
   denizbank: {
@@ -109,6 +120,7 @@ export const BANKS = {
     provider: 'denizbank',
     color: '#003b73',
     logo: 'denizbank',
+    batchCutoff: '23:00',
     supportedPaymentModels: ['3d', '3d_pay', 'regular']
   },
   ingbank: {
@@ -117,6 +129,7 @@ export const BANKS = {
     provider: 'payten',
     color: '#ff6200',
     logo: 'ingbank',
+    batchCutoff: '23:00',
     supportedPaymentModels: ['3d', '3d_pay', 'regular']
   },
   sekerbank: {
@@ -125,6 +138,7 @@ export const BANKS = {
     provider: 'payten',
     color: '#ed1c24',
     logo: 'sekerbank',
+    batchCutoff: '23:00',
     supportedPaymentModels: ['3d', '3d_pay', 'regular']
   },
   kuveytturk: {
@@ -133,6 +147,7 @@ export const BANKS = {
     provider: 'kuveytturk',
     color: '#00a651',
     logo: 'kuveytturk',
+    batchCutoff: '23:00',
     supportedPaymentModels: ['3d', 'regular']
   },
   // ============================================================================
@@ -145,6 +160,7 @@ export const BANKS = {
     color: '#2c3e50',
     logo: 'paytr',
     isAggregator: true,
+    batchCutoff: '00:00',
     supportedPaymentModels: ['3d']  // PayTR sadece 3D
   },
   iyzico: {
@@ -154,6 +170,7 @@ export const BANKS = {
     color: '#1e64ff',
     logo: 'iyzico',
     isAggregator: true,
+    batchCutoff: '00:00',
     supportedPaymentModels: ['3d', 'regular']
   },
   sigmapay: {
@@ -163,10 +180,48 @@ export const BANKS = {
     color: '#6366f1',
     logo: 'sigmapay',
     isAggregator: true,
+    batchCutoff: '00:00',
     supportedPaymentModels: ['regular']  // Crypto = non-3D
   }
 };
 
+// ============================================================================
+// BATCH (GÜN SONU) WINDOWS
+// ============================================================================
+export const DEFAULT_BATCH_CUTOFF = '00:00';
+export const BATCH_CUTOFF_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+// Türkiye 2016'dan beri yaz saati uygulamıyor (sabit UTC+3)
+const BATCH_UTC_OFFSET_MS = 3 * 60 * 60 * 1000;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Batch window: [start, end) - end = gün sonu saati
+ * date verilirse o anı içeren batch, businessDate (YYYY-MM-DD) verilirse o günün batch'i.
+ * Cutoff 00:00 takvim gününe denk gelir; 23:00 ise 23:00 sonrası işlemler ertesi günün batch'ine girer
+ * @returns {{ businessDate: string, start: Date, end: Date }}
+ */
+export function getBatchWindow(cutoff, { date, businessDate } = {}) {
+  const [hours, minutes] = (cutoff || DEFAULT_BATCH_CUTOFF).split(':').map(Number);
+  const cutoffMs = (hours * 60 + minutes) * 60000;
+
+  let end;
+  if (businessDate) {
+    const dayStart = Date.parse(`${businessDate}T00:00:00Z`);
+    end = dayStart + (cutoffMs || DAY_MS);
+  } else {
+    const local = new Date(date || Date.now()).getTime() + BATCH_UTC_OFFSET_MS;
+    end = Math.floor(local / DAY_MS) * DAY_MS + cutoffMs;
+    if (local >= end) end += DAY_MS;
+  }
+
+  return {
+    businessDate: new Date(end - 1).toISOString().slice(0, 10),
+    start: new Date(end - DAY_MS - BATCH_UTC_OFFSET_MS),
+    end: new Date(end - BATCH_UTC_OFFSET_MS)
+  };
+}
+
 // Installment rate schema
 const installmentRateSchema = new mongoose.Schema({
   count: { type: Number, required: true },       // 2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 12
@@ -271,6 +326,11 @@ const virtualPosSchema = new mongoose.Schema({
     enum: ['3d', '3d_pay', '3d_host'],
     default: '3d'
   },
+  // Gün sonu saati (HH:mm, Türkiye saati) - boş ise bankanın varsayılanı
+  batchCutoff: {
+    type: String,
+    match: BATCH_CUTOFF_PATTERN
+  },
   // 3D'siz ödeme izni (ödeme linki vb. durumlar için)
   allowDirectPayment: {
     type: Boolean,
@@ -312,6 +372,8 @@ const virtualPosSchema = new mongoose.Schema({
   urls: {
     api: String,
     gate: String,
+    direct: String,     // Non-3D uç noktası (ayrı adres kullanan bankalar)
+    service: String,    // SOAP/servis uç noktası (iade, iptal, sorgu)
     test: String,       // Test ortam URL
     production: String  // Production URL
   },
@@ -366,6 +428,16 @@ virtualPosSchema.pre('save', function (next) {
   next();
 });
 
+// Gün sonu saati (POS ayarı → banka varsayılanı)
+virtualPosSchema.methods.getBatchCutoff = function () {
+  return this.batchCutoff || BANKS[this.bankCode]?.batchCutoff || DEFAULT_BATCH_CUTOFF;
+};
+
+// İşlem zamanını (veya iş gününü) içeren gün sonu penceresi
+virtualPosSchema.methods.getBatchWindow = function (options = {}) {
+  return getBatchWindow(this.getBatchCutoff(), options);
+};
+
 // Method to get decrypted credentials
 virtualPosSchema.methods.getDecryptedCredentials = function () {
   return {
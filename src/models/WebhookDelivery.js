@@ -0,0 +1,70 @@
+import mongoose from 'mongoose';
+
+/**
+ * Webhook Delivery Model
+ * Firma callbackUrl'ine gönderilen işlem bildirimleri ve deneme geçmişi
+ */
+
+const attemptSchema = new mongoose.Schema({
+  at: {
+    type: Date,
+    default: Date.now
+  },
+  statusCode: Number,
+  responseBody: String,    // İlk 1000 karakter
+  error: String,
+  duration: Number,        // ms
+  manual: {
+    type: Boolean,
+    default: false         // Admin tarafından tekrar gönderim
+  }
+}, { _id: false });
+
+const webhookDeliverySchema = new mongoose.Schema({
+  company: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Company',
+    required: true
+  },
+  transaction: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Transaction'
+  },
+  // payment.success, refund.failed, pre_auth.success ...
+  event: {
+    type: String,
+    required: true
+  },
+  url: {
+    type: String,
+    required: true
+  },
+  payload: {
+    type: mongoose.Schema.Types.Mixed,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'success', 'failed'],
+    default: 'pending'
+  },
+  attempts: [attemptSchema],
+  attemptCount: {
+    type: Number,
+    default: 0
+  },
+  nextAttemptAt: Date,
+  // Gönderim kilidi: deneme sırasında başka süreç (worker / başka instance) aynı kaydı almaz
+  lockedUntil: Date,
+  lastError: String,
+  deliveredAt: Date
+}, {
+  timestamps: true
+});
+
+// Indexes
+webhookDeliverySchema.index({ company: 1, createdAt: -1 });
+webhookDeliverySchema.index({ transaction: 1 });
+webhookDeliverySchema.index({ status: 1, nextAttemptAt: 1 });
+
+export default mongoose.model('WebhookDelivery', webhookDeliverySchema);
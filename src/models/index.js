@@ -1,6 +1,15 @@
 export { default as Company } from './Company.js';
 export { default as VirtualPos } from './VirtualPos.js';
-export { default as Transaction } from './Transaction.js';
+export { default as Transaction, MIT_REASONS, MIT_TYPES } from './Transaction.js';
 export { default as ApiKey } from './ApiKey.js';
 export { default as User } from './User.js';
 export { default as Bin } from './Bin.js';
+export { default as WebhookDelivery } from './WebhookDelivery.js';
+export { default as IdempotencyKey } from './IdempotencyKey.js';
+export { default as StoredCard } from './StoredCard.js';
+export { default as PaymentSchedule } from './PaymentSchedule.js';
+export { default as PaymentLink } from './PaymentLink.js';
+export { default as CheckoutSession } from './CheckoutSession.js';
+export { default as Settlement } from './Settlement.js';
+export { default as StatementImport } from './StatementImport.js';
+export { default as ReconciliationItem } from './ReconciliationItem.js';
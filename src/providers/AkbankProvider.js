@@ -235,9 +235,10 @@ export default class AkbankProvider extends BaseProvider {
     const formData = this.transaction.secure?.formData;
     const confirm3D = this.transaction.secure?.confirm3D;
 
+    // 3000 sadece 3D doğrulamasıdır; satış/ön provizyon ayrımı provizyon isteğindeki txnCode ile yapılır
     const requestData = {
       version: '1.00',
-      txnCode: '1000',
+      txnCode: this.isPreAuth() ? '1005' : '1000',
       requestDateTime: this.getRequestDateTime(),
       randomNumber: this.generateRandomNumber(),
       terminal: {
@@ -324,6 +325,8 @@ export default class AkbankProvider extends BaseProvider {
 
     const orderId = this.getOrderId();
     const amount = this.formatAmount();
+    // MIT: kart sahibi yok - CVV'siz, MOTO işaretli
+    const isMit = Boolean(this.getMitType());
 
     // Store orderId for refund/cancel operations
     this.transaction.orderId = orderId;
@@ -340,7 +343,7 @@ export default class AkbankProvider extends BaseProvider {
       },
       card: {
         cardNumber: card.number.replace(/\s/g, ''),
-        cvv2: card.cvv,
+        cvv2: isMit ? '' : card.cvv,
         expireDate: this.formatExpiry(card.expiry)
       },
       reward: {
@@ -351,7 +354,7 @@ export default class AkbankProvider extends BaseProvider {
       transaction: {
         amount: parseFloat(amount),
         currencyCode: this.getCurrencyCode(),
-        motoInd: 0,
+        motoInd: isMit ? 1 : 0,
         installCount: this.transaction.installment || 1
       },
       customer: {
@@ -419,12 +422,15 @@ export default class AkbankProvider extends BaseProvider {
     return {
       payment3D: true,
       paymentDirect: true,
+      mit: true,
       refund: true,
       cancel: true,
       status: true,
       history: false,
       preAuth: true,
+      preAuth3D: true,
       postAuth: true,
+      preAuthRelease: true,
       paymentModels: ['3d', 'regular']
     };
   }
@@ -449,7 +455,7 @@ export default class AkbankProvider extends BaseProvider {
         orderId: originalTransaction.orderId
       },
       transaction: {
-        amount: originalTransaction.amount,
+        amount: this.transaction.amount,
         currencyCode: this.getCurrencyCode()
       }
     };
@@ -481,11 +487,6 @@ export default class AkbankProvider extends BaseProvider {
         this.transaction.completedAt = new Date();
         await this.transaction.save();
 
-        // Update original transaction
-        originalTransaction.status = 'refunded';
-        originalTransaction.refundedAt = new Date();
-        await originalTransaction.save();
-
         return this.successResponse({
           message: 'İade başarılı',
           refNumber: result.transaction?.rrn
@@ -766,7 +767,7 @@ export default class AkbankProvider extends BaseProvider {
         orderId: preAuthTransaction.orderId
       },
       transaction: {
-        amount: preAuthTransaction.amount,
+        amount: this.transaction.amount,
         currencyCode: this.getCurrencyCode()
       }
     };
@@ -826,4 +827,12 @@ export default class AkbankProvider extends BaseProvider {
       return this.errorResponse('NETWORK_ERROR', error.message);
     }
   }
+
+  /**
+   * Release pre-authorization (void the hold)
+   * 1003 iptal isteği ön provizyon blokesini de kaldırır
+   */
+  async releasePreAuth(preAuthTransaction) {
+    return this.cancel(preAuthTransaction);
+  }
 }
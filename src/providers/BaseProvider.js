@@ -56,6 +56,13 @@ export default class BaseProvider {
     return `${baseUrl}/payment/${this.transaction._id}/callback`;
   }
 
+  /**
+   * 3D akışı ön provizyon olarak mı yürüyor (Transaction.type = 'pre_auth')
+   */
+  isPreAuth() {
+    return this.transaction.type === 'pre_auth';
+  }
+
   /**
    * Get currency code
    */
@@ -83,6 +90,14 @@ export default class BaseProvider {
     return this.transaction.getDecryptedCard();
   }
 
+  /**
+   * Merchant-initiated transaction type (kart sahibi yok, CVV gönderilmez)
+   * @returns {'unscheduled'|'recurring'|null}
+   */
+  getMitType() {
+    return this.transaction.mit?.type || null;
+  }
+
   /**
    * POST request helper
    */
@@ -246,6 +261,15 @@ export default class BaseProvider {
     throw new Error(`postAuth() is not supported by ${this.constructor.name}`);
   }
 
+  /**
+   * Release pre-authorization (void the hold without capture)
+   * @param {Transaction} preAuthTransaction - Pre-auth transaction
+   * @returns {Promise<{success: boolean, message?: string}>}
+   */
+  async releasePreAuth(preAuthTransaction) {
+    throw new Error(`releasePreAuth() is not supported by ${this.constructor.name}`);
+  }
+
   // ==========================================
   // Capability check methods
   // ==========================================
@@ -263,7 +287,10 @@ export default class BaseProvider {
       status: false,          // Status query
       history: false,         // Order history
       preAuth: false,         // Pre-authorization
+      preAuth3D: false,       // Pre-authorization with 3D Secure (initialize + callback)
       postAuth: false,        // Post-authorization
+      preAuthRelease: false,  // Release (void) pre-authorization
+      mit: false,             // Merchant-initiated (CVV'siz, MIT/recurring işaretli) direct payment
       paymentModels: ['3d']   // Default sadece 3D
     };
   }
@@ -56,6 +56,13 @@ export default class DenizbankProvider extends BaseProvider {
     return month + year;
   }
 
+  /**
+   * 3D TxnType - ön provizyonda PreAuth, provizyon isteği de aynı tipi taşır
+   */
+  getTxnType() {
+    return this.isPreAuth() ? 'PreAuth' : 'Auth';
+  }
+
   /**
    * Format installment
    */
@@ -85,9 +92,10 @@ export default class DenizbankProvider extends BaseProvider {
     const callbackUrl = this.getCallbackUrl();
     const rnd = this.microtime();  // PHP microtime() format: "0.12345678 1234567890"
     const installment = this.formatInstallment();
+    const txnType = this.getTxnType();
 
     // Hash string: ShopCode + OrderId + Amount + OkUrl + FailUrl + TxnType + InstallmentCount + Rnd + MerchantPass
-    const hashStr = shopCode + orderId + amount + callbackUrl + callbackUrl + 'Auth' + installment + rnd + merchantPassword;
+    const hashStr = shopCode + orderId + amount + callbackUrl + callbackUrl + txnType + installment + rnd + merchantPassword;
 
     const formData = {
       Pan: card.number.replace(/\s/g, ''),
@@ -102,7 +110,7 @@ export default class DenizbankProvider extends BaseProvider {
       FailUrl: callbackUrl,
       Rnd: rnd,
       Hash: this.calculateHash(hashStr),
-      TxnType: 'Auth',
+      TxnType: txnType,
       InstallmentCount: installment,
       SecureType: '3DModel',
       Lang: 'tr'
@@ -216,7 +224,7 @@ export default class DenizbankProvider extends BaseProvider {
       PurchAmount: formData?.PurchAmount || this.formatAmount(),
       Currency: this.getCurrencyCode(),
       OrderId: formData?.OrderId,
-      TxnType: 'Auth',
+      TxnType: this.getTxnType(),
       UserCode: userCode,
       UserPass: userPassword,
       SecureType: 'NonSecure',
@@ -364,11 +372,12 @@ export default class DenizbankProvider extends BaseProvider {
       SecureType: 'NonSecure',
       Pan: card.number.replace(/\s/g, ''),
       Expiry: this.formatExpiry(card.expiry),
-      Cvv2: card.cvv,
+      // MIT: kart sahibi yok - CVV'siz, MOTO işaretli
+      Cvv2: this.getMitType() ? '' : card.cvv,
       BonusAmount: '',
       CardType: this.getCardType(this.transaction.cardAssociation),
       Lang: 'TR',
-      MOTO: '0'
+      MOTO: this.getMitType() ? '1' : '0'
     };
 
     try {
@@ -429,11 +438,13 @@ export default class DenizbankProvider extends BaseProvider {
     return {
       payment3D: true,
       paymentDirect: true,
+      mit: true,
       refund: true,
       cancel: true,
       status: true,
       history: false,
       preAuth: true,
+      preAuth3D: true,
       postAuth: true,
       paymentModels: ['3d', '3d_pay', 'regular']
     };
@@ -449,7 +460,7 @@ export default class DenizbankProvider extends BaseProvider {
     const merchantPassword = this.credentials.secretKey;
 
     const orderId = this.getOrderId();
-    const amount = originalTransaction.amount.toFixed(2);
+    const amount = this.transaction.amount.toFixed(2);
     const rnd = this.microtime();
 
     // Get original orderId with fallback
@@ -498,11 +509,6 @@ export default class DenizbankProvider extends BaseProvider {
         this.transaction.completedAt = new Date();
         await this.transaction.save();
 
-        // Update original transaction
-        originalTransaction.status = 'refunded';
-        originalTransaction.refundedAt = new Date();
-        await originalTransaction.save();
-
         return this.successResponse({
           message: 'İade başarılı',
           refNumber: result.HostRefNum
@@ -768,7 +774,7 @@ export default class DenizbankProvider extends BaseProvider {
     const userPassword = this.credentials.password;
 
     const orderId = this.getOrderId();
-    const amount = preAuthTransaction.amount.toFixed(2);
+    const amount = this.transaction.amount.toFixed(2);
 
     const postAuthData = {
       ShopCode: shopCode,
@@ -27,13 +27,13 @@ export default class GarantiProvider extends BaseProvider {
 
   /**
    * Generate security hash for 3D form (SHA512)
-   * Format: SHA512(terminalId + orderId + amount + currency + successUrl + errorUrl + 'sales' + installment + storeKey + hashedPassword)
+   * Format: SHA512(terminalId + orderId + amount + currency + successUrl + errorUrl + txnType + installment + storeKey + hashedPassword)
    */
-  generate3DHash(orderId, amount, currency, successUrl, errorUrl, installment) {
+  generate3DHash(orderId, amount, currency, successUrl, errorUrl, installment, txnType = 'sales') {
     const { terminalId, secretKey } = this.credentials;
     const hashedPassword = this.getHashedPassword();
 
-    const securityData = terminalId + orderId + amount + currency + successUrl + errorUrl + 'sales' + installment + secretKey + hashedPassword;
+    const securityData = terminalId + orderId + amount + currency + successUrl + errorUrl + txnType + installment + secretKey + hashedPassword;
 
     return crypto
       .createHash('sha512')
@@ -93,13 +93,14 @@ export default class GarantiProvider extends BaseProvider {
 
     // Determine security level based on payment model
     const securityLevel = paymentModel === '3d_pay' ? '3D_PAY' : '3D';
+    const txnType = this.getTxnType();
 
     // Generate security hash (SHA512)
-    const securityHash = this.generate3DHash(orderId, amount, currency, callbackUrl, callbackUrl, installment);
+    const securityHash = this.generate3DHash(orderId, amount, currency, callbackUrl, callbackUrl, installment, txnType);
 
     // Base form data
     const formData = {
-      txntype: 'sales',
+      txntype: txnType,
       secure3dsecuritylevel: securityLevel,
       mode: this.getMode(),
       orderid: orderId,
@@ -141,6 +142,13 @@ export default class GarantiProvider extends BaseProvider {
     return { success: true };
   }
 
+  /**
+   * 3D işlem tipi: satış veya ön provizyon
+   */
+  getTxnType() {
+    return this.isPreAuth() ? 'preauth' : 'sales';
+  }
+
   /**
    * Format expiry month (MM)
    */
@@ -361,7 +369,7 @@ export default class GarantiProvider extends BaseProvider {
   <Description></Description>
 </Order>
 <Transaction>
-  <Type>sales</Type>
+  <Type>${this.getTxnType()}</Type>
   <InstallmentCnt>${installment}</InstallmentCnt>
   <Amount>${amount}</Amount>
   <CurrencyCode>${currency}</CurrencyCode>
@@ -385,11 +393,13 @@ export default class GarantiProvider extends BaseProvider {
     return {
       payment3D: true,
       paymentDirect: true,
+      mit: true,
       refund: true,
       cancel: true,
       status: true,
       history: false,
       preAuth: true,
+      preAuth3D: true,
       postAuth: true,
       // Desteklenen ödeme modelleri
       paymentModels: ['3d', '3d_pay', 'regular']
@@ -438,10 +448,6 @@ export default class GarantiProvider extends BaseProvider {
         this.transaction.completedAt = new Date();
         await this.transaction.save();
 
-        // Mark original transaction as refunded
-        originalTransaction.refundedAt = new Date();
-        await originalTransaction.save();
-
         return this.successResponse({
           message: 'İade başarılı',
           authCode: result.Transaction?.AuthCode,
@@ -951,6 +957,8 @@ export default class GarantiProvider extends BaseProvider {
     const currency = this.getCurrencyCode();
     const installment = this.transaction.installment > 1 ? this.transaction.installment.toString() : '';
     const cardNumber = card.number.replace(/\s/g, '');
+    // MIT: kart sahibi yok - CVV gönderilmez, işlem MOTO olarak işaretlenir
+    const isMit = Boolean(this.getMitType());
 
     // For non-3D, include card number in hash
     const securityHash = this.generateProvisionHash(orderId, cardNumber, amount, currency);
@@ -967,10 +975,11 @@ export default class GarantiProvider extends BaseProvider {
       amount,
       currency,
       installment,
+      motoInd: isMit ? 'Y' : 'H',
       card: {
         number: cardNumber,
         expiry: this.formatExpiryMonth(card.expiry) + this.formatExpiryYear(card.expiry),
-        cvv: card.cvv
+        cvv: isMit ? '' : card.cvv
       }
     });
 
@@ -1021,7 +1030,7 @@ export default class GarantiProvider extends BaseProvider {
    * Build direct payment XML (non-3D)
    */
   buildDirectPaymentXml(params) {
-    const { mode, terminalId, merchantId, securityHash, orderId, amount, currency, installment, card } = params;
+    const { mode, terminalId, merchantId, securityHash, orderId, amount, currency, installment, card, motoInd = 'H' } = params;
 
     return `<?xml version="1.0" encoding="ISO-8859-9"?>
 <GVPSRequest>
@@ -1054,7 +1063,7 @@ export default class GarantiProvider extends BaseProvider {
   <Amount>${amount}</Amount>
   <CurrencyCode>${currency}</CurrencyCode>
   <CardholderPresentCode>0</CardholderPresentCode>
-  <MotoInd>H</MotoInd>
+  <MotoInd>${motoInd}</MotoInd>
   <Description></Description>
 </Transaction>
 </GVPSRequest>`;
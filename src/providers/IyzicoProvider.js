@@ -7,13 +7,26 @@ import https from 'https';
 import axios from 'axios';
 import BaseProvider from './BaseProvider.js';
 
+/**
+ * iyzico API keys from POS credentials
+ * apiKey / apiSecret extra alanında yoksa username / secretKey kullanılır
+ */
+export function getIyzicoKeys(credentials) {
+  const extra = credentials.extra || {};
+  return {
+    apiKey: extra.apiKey || credentials.username,
+    apiSecret: extra.apiSecret || credentials.secretKey
+  };
+}
+
 export default class IyzicoProvider extends BaseProvider {
   constructor(transaction, virtualPos) {
     super(transaction, virtualPos);
     this.httpsAgent = new https.Agent({ rejectUnauthorized: false });
-    this.baseUrl = this.pos.testMode
+    // POS'ta tanımlı API adresi (simülatör vb.), yoksa ortam varsayılanı
+    this.baseUrl = this.urls.api || (this.pos.testMode
       ? 'https://sandbox-api.iyzipay.com'
-      : 'https://api.iyzipay.com';
+      : 'https://api.iyzipay.com');
   }
 
   /**
@@ -108,7 +121,6 @@ export default class IyzicoProvider extends BaseProvider {
 
   async initialize() {
     const card = this.getCard();
-    const { apiKey, apiSecret } = this.credentials;
 
     const orderId = this.getOrderId();
     const price = this.formatPrice(this.transaction.amount);
@@ -220,7 +232,7 @@ export default class IyzicoProvider extends BaseProvider {
    * Send request to iyzico API
    */
   async sendRequest(path, data) {
-    const { apiKey, apiSecret } = this.credentials;
+    const { apiKey, apiSecret } = getIyzicoKeys(this.credentials);
 
     const randomString = this.generateRandomString();
     const pki = this.generatePkiString(data);
@@ -320,7 +332,6 @@ export default class IyzicoProvider extends BaseProvider {
    */
   async directPayment() {
     const card = this.getCard();
-    const { apiKey, apiSecret } = this.credentials;
 
     const orderId = this.getOrderId();
     const price = this.formatPrice(this.transaction.amount);
@@ -442,7 +453,7 @@ export default class IyzicoProvider extends BaseProvider {
    * Refund a completed payment via iyzico API
    */
   async refund(originalTransaction) {
-    const price = this.formatPrice(originalTransaction.amount);
+    const price = this.formatPrice(this.transaction.amount);
     const ip = this.transaction.customer?.ip || '127.0.0.1';
 
     const refundRequest = {
@@ -469,11 +480,6 @@ export default class IyzicoProvider extends BaseProvider {
         this.transaction.completedAt = new Date();
         await this.transaction.save();
 
-        // Update original transaction
-        originalTransaction.status = 'refunded';
-        originalTransaction.refundedAt = new Date();
-        await originalTransaction.save();
-
         return this.successResponse({
           message: 'İade başarılı',
           refNumber: response.hostReference
@@ -0,0 +1,820 @@
+/**
+ * Kuveyt Türk POS Provider (KuveytTurkVPosMessage XML + SOAP)
+ *
+ * Credentials:
+ *   merchantId → MerchantId (Mağaza No)
+ *   terminalId → CustomerId (Müşteri No)
+ *   username   → UserName (API kullanıcısı)
+ *   password   → Password (API kullanıcı şifresi)
+ */
+
+import crypto from 'crypto';
+import https from 'https';
+import axios from 'axios';
+import xml2js from 'xml2js';
+import BaseProvider, { CURRENCY_CODES } from './BaseProvider.js';
+import { getBankUrls } from '../constants/bankUrls.js';
+
+const API_VERSION = 'TDV2.0.0';
+const SOAP_NAMESPACE = 'http://boa.net/BOA.Integration.VirtualPos/Service';
+
+export default class KuveytTurkProvider extends BaseProvider {
+  constructor(transaction, virtualPos) {
+    super(transaction, virtualPos);
+    this.httpsAgent = new https.Agent({ rejectUnauthorized: false });
+    this.xmlParser = new xml2js.Parser({
+      explicitRoot: false,
+      explicitArray: false,
+      tagNameProcessors: [xml2js.processors.stripPrefix]
+    });
+
+    // Non-3D ve SOAP servis adresleri (api/gate dışındaki uç noktalar), POS'ta tanımlıysa o kullanılır
+    const defaultUrls = getBankUrls(virtualPos.bankCode, virtualPos.testMode) || {};
+    this.urls.direct = virtualPos.urls?.direct || defaultUrls.direct;
+    this.urls.service = virtualPos.urls?.service || defaultUrls.service;
+  }
+
+  /**
+   * Get order ID
+   */
+  getOrderId() {
+    const bookingCode = this.transaction.bookingCode || '';
+    const orderId = 'ORS' + bookingCode + Date.now().toString(36);
+    return orderId.substring(0, 20).padEnd(20, '0');
+  }
+
+  /**
+   * Currency code (4 digit: 0949, 0840, 0978, 0826)
+   */
+  getKuveytCurrencyCode(currency = this.transaction.currency) {
+    return String(CURRENCY_CODES[currency] || 949).padStart(4, '0');
+  }
+
+  /**
+   * Amount in kuruş (100.50 → 10050)
+   */
+  toMinorUnits(amount) {
+    return Math.round(amount * 100).toString();
+  }
+
+  /**
+   * Installment count (0 = peşin)
+   */
+  getInstallmentCount() {
+    return this.transaction.installment > 1 ? this.transaction.installment : 0;
+  }
+
+  /**
+   * Card type for KuveytTurkVPosMessage
+   */
+  getCardType(cardNumber) {
+    const brand = this.transaction.bin?.brand || '';
+    if (brand === 'mastercard' || String(cardNumber).startsWith('5')) return 'MasterCard';
+    if (brand === 'troy' || String(cardNumber).startsWith('9')) return 'Troy';
+    return 'Visa';
+  }
+
+  /**
+   * Format expiry → { month: 'MM', year: 'YY' }
+   */
+  formatExpiry(expiry) {
+    const parts = expiry.split('/');
+    const month = parts[0].padStart(2, '0');
+    let year = parts[1];
+    if (year.length === 4) {
+      year = year.slice(2);
+    }
+    return { month, year };
+  }
+
+  /**
+   * Hashed password: base64(sha1(password))
+   */
+  getHashedPassword() {
+    const { password } = this.credentials;
+    if (!password) {
+      throw new Error('Kuveyt Türk POS: password (API şifresi) eksik');
+    }
+    return crypto.createHash('sha1').update(password, 'latin1').digest('base64');
+  }
+
+  /**
+   * base64(sha1(...)) helper
+   */
+  sha1Base64(data) {
+    return crypto.createHash('sha1').update(data, 'latin1').digest('base64');
+  }
+
+  /**
+   * 3D enrollment hash
+   * MerchantId + MerchantOrderId + Amount + OkUrl + FailUrl + UserName + HashedPassword
+   */
+  calculateEnrollmentHash({ orderId, amount, okUrl, failUrl }) {
+    const { merchantId, username } = this.credentials;
+    return this.sha1Base64(
+      merchantId + orderId + amount + okUrl + failUrl + username + this.getHashedPassword()
+    );
+  }
+
+  /**
+   * Provision / API hash
+   * MerchantId + MerchantOrderId + Amount + UserName + HashedPassword
+   */
+  calculateApiHash({ orderId, amount }) {
+    const { merchantId, username } = this.credentials;
+    return this.sha1Base64(merchantId + orderId + amount + username + this.getHashedPassword());
+  }
+
+  /**
+   * Callback hash
+   * MerchantOrderId + ResponseCode + OrderId + HashedPassword
+   */
+  calculateResponseHash(response) {
+    return this.sha1Base64(
+      (response.MerchantOrderId || '') +
+      (response.ResponseCode || '') +
+      (response.OrderId || '') +
+      this.getHashedPassword()
+    );
+  }
+
+  /**
+   * Verify bank signature on a response
+   * HashData zorunludur; imzasız cevap doğrulanmamış sayılır
+   */
+  verifyResponseHash(response) {
+    return Boolean(response?.HashData) && response.HashData === this.calculateResponseHash(response);
+  }
+
+  /**
+   * Escape XML special characters
+   */
+  escapeXml(value) {
+    return String(value ?? '')
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;');
+  }
+
+  /**
+   * Build KuveytTurkVPosMessage for card-present requests (3D enrollment / Non-3D)
+   */
+  buildCardMessage(params) {
+    const { merchantId, terminalId, username } = this.credentials;
+    const { orderId, amount, hash, card, transactionType, security, okUrl, failUrl } = params;
+
+    return `<?xml version="1.0" encoding="utf-8"?>
+<KuveytTurkVPosMessage xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance" xmlns:xsd="http://www.w3.org/2001/XMLSchema">
+  <APIVersion>${API_VERSION}</APIVersion>
+  <OkUrl>${this.escapeXml(okUrl || '')}</OkUrl>
+  <FailUrl>${this.escapeXml(failUrl || '')}</FailUrl>
+  <HashData>${hash}</HashData>
+  <MerchantId>${merchantId}</MerchantId>
+  <CustomerId>${terminalId}</CustomerId>
+  <DeviceData>
+    <DeviceChannel>02</DeviceChannel>
+    <ClientIP>${this.escapeXml(this.transaction.customer?.ip || '')}</ClientIP>
+  </DeviceData>
+  <CardHolderData>
+    <Email>${this.escapeXml(this.transaction.customer?.email || '')}</Email>
+  </CardHolderData>
+  <UserName>${this.escapeXml(username)}</UserName>
+  <CardNumber>${card.number}</CardNumber>
+  <CardExpireDateYear>${card.expiry.year}</CardExpireDateYear>
+  <CardExpireDateMonth>${card.expiry.month}</CardExpireDateMonth>
+  <CardCVV2>${card.cvv}</CardCVV2>
+  <CardHolderName>${this.escapeXml(card.holder || '')}</CardHolderName>
+  <CardType>${this.getCardType(card.number)}</CardType>
+  <TransactionType>${transactionType}</TransactionType>
+  <InstallmentCount>${this.getInstallmentCount()}</InstallmentCount>
+  <Amount>${amount}</Amount>
+  <DisplayAmount>${amount}</DisplayAmount>
+  <CurrencyCode>${this.getKuveytCurrencyCode()}</CurrencyCode>
+  <MerchantOrderId>${orderId}</MerchantOrderId>
+  <TransactionSecurity>${security}</TransactionSecurity>
+</KuveytTurkVPosMessage>`;
+  }
+
+  /**
+   * Build SOAP envelope for VirtualPosService operations
+   */
+  buildSoapRequest(action, params) {
+    const { merchantId, terminalId, username } = this.credentials;
+    const { orderId, amount, currency, transactionType, original } = params;
+    const hash = this.calculateApiHash({ orderId, amount });
+
+    return `<?xml version="1.0" encoding="utf-8"?>
+<soapenv:Envelope xmlns:soapenv="http://schemas.xmlsoap.org/soap/envelope/" xmlns:ser="${SOAP_NAMESPACE}">
+  <soapenv:Body>
+    <ser:${action}>
+      <ser:request>
+        <ser:IsFromExternalNetwork>true</ser:IsFromExternalNetwork>
+        <ser:BusinessKey>0</ser:BusinessKey>
+        <ser:ResourceId>0</ser:ResourceId>
+        <ser:ActionId>0</ser:ActionId>
+        <ser:LanguageId>0</ser:LanguageId>
+        <ser:CustomerId>${terminalId}</ser:CustomerId>
+        <ser:MailOrTelephoneOrder>true</ser:MailOrTelephoneOrder>
+        <ser:Amount>${amount}</ser:Amount>
+        <ser:MerchantId>${merchantId}</ser:MerchantId>
+        <ser:OrderId>${original?.result?.transactionId || 0}</ser:OrderId>
+        <ser:RRN>${original?.result?.refNumber || ''}</ser:RRN>
+        <ser:Stan>${original?.result?.hostRefNumber || ''}</ser:Stan>
+        <ser:ProvisionNumber>${original?.result?.authCode || ''}</ser:ProvisionNumber>
+        <ser:VPosMessage>
+          <ser:APIVersion>${API_VERSION}</ser:APIVersion>
+          <ser:InstallmentMaturityCommisionFlag>0</ser:InstallmentMaturityCommisionFlag>
+          <ser:HashData>${hash}</ser:HashData>
+          <ser:MerchantId>${merchantId}</ser:MerchantId>
+          <ser:SubMerchantId>0</ser:SubMerchantId>
+          <ser:CustomerId>${terminalId}</ser:CustomerId>
+          <ser:UserName>${this.escapeXml(username)}</ser:UserName>
+          <ser:CardType>Visa</ser:CardType>
+          <ser:BatchID>0</ser:BatchID>
+          <ser:TransactionType>${transactionType}</ser:TransactionType>
+          <ser:InstallmentCount>0</ser:InstallmentCount>
+          <ser:Amount>${amount}</ser:Amount>
+          <ser:DisplayAmount>0</ser:DisplayAmount>
+          <ser:CancelAmount>${amount}</ser:CancelAmount>
+          <ser:MerchantOrderId>${orderId}</ser:MerchantOrderId>
+          <ser:FECAmount>0</ser:FECAmount>
+          <ser:CurrencyCode>${this.getKuveytCurrencyCode(currency)}</ser:CurrencyCode>
+          <ser:QeryId>0</ser:QeryId>
+          <ser:DebtId>0</ser:DebtId>
+          <ser:SurchargeAmount>0</ser:SurchargeAmount>
+          <ser:SGKDebtAmount>0</ser:SGKDebtAmount>
+          <ser:TransactionSecurity>1</ser:TransactionSecurity>
+        </ser:VPosMessage>
+      </ser:request>
+    </ser:${action}>
+  </soapenv:Body>
+</soapenv:Envelope>`;
+  }
+
+  /**
+   * Call VirtualPosService SOAP action and return the <Action>Result node
+   */
+  async callSoap(action, xml) {
+    if (!this.urls.service) {
+      throw new Error('Kuveyt Türk servis URL tanımlı değil');
+    }
+
+    const response = await axios.post(this.urls.service, xml, {
+      headers: {
+        'Content-Type': 'text/xml; charset=utf-8',
+        SOAPAction: `${SOAP_NAMESPACE}/IVirtualPosService/${action}`
+      },
+      httpsAgent: this.httpsAgent,
+      timeout: 30000
+    });
+
+    const parsed = await this.xmlParser.parseStringPromise(response.data);
+    return parsed?.Body?.[`${action}Response`]?.[`${action}Result`] || {};
+  }
+
+  /**
+   * Extract first error message from SOAP Results
+   */
+  getSoapError(result) {
+    const items = result?.Results?.Result;
+    const first = Array.isArray(items) ? items[0] : items;
+    return {
+      code: first?.ErrorCode || result?.Value?.ResponseCode || 'ERROR',
+      message: first?.ErrorMessage || result?.Value?.ResponseMessage
+    };
+  }
+
+  /**
+   * Get provider capabilities
+   */
+  getCapabilities() {
+    return {
+      payment3D: true,
+      paymentDirect: true,
+      refund: true,
+      cancel: true,
+      status: true,
+      history: false,
+      preAuth: false,
+      postAuth: false,
+      paymentModels: ['3d', 'regular']
+    };
+  }
+
+  /**
+   * Initialize 3D - ThreeDModelPayGate enrollment
+   * Banka ACS formunu (HTML) döner, tarayıcıya aynen gösterilir
+   */
+  async initialize() {
+    const { merchantId, terminalId, username } = this.credentials;
+    if (!merchantId) {
+      throw new Error('Kuveyt Türk POS: merchantId (Mağaza No) eksik');
+    }
+    if (!terminalId) {
+      throw new Error('Kuveyt Türk POS: terminalId (Müşteri No) eksik');
+    }
+    if (!username) {
+      throw new Error('Kuveyt Türk POS: username (API kullanıcısı) eksik');
+    }
+
+    const card = this.getCard();
+    const orderId = this.getOrderId();
+    const amount = this.toMinorUnits(this.transaction.amount);
+    const callbackUrl = this.getCallbackUrl();
+
+    const hash = this.calculateEnrollmentHash({
+      orderId,
+      amount,
+      okUrl: callbackUrl,
+      failUrl: callbackUrl
+    });
+
+    const xml = this.buildCardMessage({
+      orderId,
+      amount,
+      hash,
+      okUrl: callbackUrl,
+      failUrl: callbackUrl,
+      transactionType: 'Sale',
+      security: 3,
+      card: {
+        number: card.number.replace(/\s/g, ''),
+        expiry: this.formatExpiry(card.expiry),
+        cvv: card.cvv,
+        holder: card.holder
+      }
+    });
+
+    const logData = {
+      orderId,
+      amount,
+      installment: this.getInstallmentCount(),
+      currency: this.getKuveytCurrencyCode(),
+      url: this.urls.gate
+    };
+
+    try {
+      const response = await axios.post(this.urls.gate, xml, {
+        headers: { 'Content-Type': 'application/xml' },
+        httpsAgent: this.httpsAgent,
+        timeout: 30000
+      });
+
+      const html = typeof response.data === 'string' ? response.data : '';
+
+      // Hata durumunda banka HTML yerine VPosTransactionResponseContract döner
+      if (!html || html.includes('<VPosTransactionResponseContract')) {
+        const result = html ? await this.xmlParser.parseStringPromise(html) : {};
+        await this.log('init', logData, result);
+        return {
+          success: false,
+          code: result?.ResponseCode || 'INIT_ERROR',
+          error: result?.ResponseMessage || '3D doğrulama başlatılamadı'
+        };
+      }
+
+      this.transaction.orderId = orderId;
+      this.transaction.secure = this.transaction.secure || {};
+      this.transaction.secure.formData = { orderId, amount };
+      this.transaction.secure.acsHtml = html;
+
+      await this.saveSecure();  // Save formData FIRST (Mixed type needs markModified)
+      await this.log('init', logData, { acsFormReceived: true });
+
+      return { success: true };
+    } catch (error) {
+      await this.log('error', logData, { error: error.message });
+      return { success: false, code: 'NETWORK_ERROR', error: error.message };
+    }
+  }
+
+  async getFormHtml() {
+    const html = this.transaction.secure?.acsHtml;
+    if (!html) {
+      throw new Error('3D form verisi bulunamadı');
+    }
+
+    await this.log('3d_redirect', { url: this.urls.gate }, { orderId: this.transaction.orderId });
+    return html;
+  }
+
+  async processCallback(postData) {
+    const raw = postData.AuthenticationResponse;
+    if (!raw) {
+      await this.log('3d_callback', postData, { error: 'AuthenticationResponse eksik' });
+      this.transaction.status = 'failed';
+      this.transaction.result = {
+        success: false,
+        code: 'INVALID_CALLBACK',
+        message: '3D doğrulama cevabı alınamadı'
+      };
+      await this.transaction.save();
+      return { success: false, message: this.transaction.result.message };
+    }
+
+    const response = await this.xmlParser.parseStringPromise(decodeURIComponent(raw.replace(/\+/g, ' ')));
+
+    await this.log('3d_callback', { MerchantOrderId: response.MerchantOrderId, ResponseCode: response.ResponseCode }, {
+      responseCode: response.ResponseCode,
+      responseMessage: response.ResponseMessage
+    });
+
+    if (response.ResponseCode !== '00') {
+      this.transaction.status = 'failed';
+      this.transaction.result = {
+        success: false,
+        code: response.ResponseCode,
+        message: response.ResponseMessage || '3D doğrulama başarısız'
+      };
+      await this.transaction.save();
+      return { success: false, message: this.transaction.result.message };
+    }
+
+    // Banka imzası kontrolü
+    if (!this.verifyResponseHash(response)) {
+      this.transaction.status = 'failed';
+      this.transaction.result = {
+        success: false,
+        code: 'HASH_MISMATCH',
+        message: '3D cevabı doğrulanamadı'
+      };
+      await this.transaction.save();
+      return { success: false, message: this.transaction.result.message };
+    }
+
+    // Store 3D data (markModified required for Mixed type)
+    this.transaction.secure = {
+      ...this.transaction.secure,
+      acsHtml: undefined,
+      confirm3D: {
+        md: response.MD,
+        bankOrderId: response.OrderId
+      }
+    };
+    this.transaction.markModified('secure');
+    await this.transaction.save();
+
+    return this.processProvision(response);
+  }
+
+  async processProvision(secureData) {
+    const { merchantId, terminalId, username } = this.credentials;
+    const formData = this.transaction.secure?.formData;
+    const orderId = formData?.orderId || secureData.MerchantOrderId;
+    const amount = formData?.amount || this.toMinorUnits(this.transaction.amount);
+    const hash = this.calculateApiHash({ orderId, amount });
+
+    const xml = `<?xml version="1.0" encoding="utf-8"?>
+<KuveytTurkVPosMessage xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance" xmlns:xsd="http://www.w3.org/2001/XMLSchema">
+  <APIVersion>${API_VERSION}</APIVersion>
+  <HashData>${hash}</HashData>
+  <MerchantId>${merchantId}</MerchantId>
+  <CustomerId>${terminalId}</CustomerId>
+  <UserName>${this.escapeXml(username)}</UserName>
+  <TransactionType>Sale</TransactionType>
+  <InstallmentCount>${this.getInstallmentCount()}</InstallmentCount>
+  <Amount>${amount}</Amount>
+  <MerchantOrderId>${orderId}</MerchantOrderId>
+  <TransactionSecurity>3</TransactionSecurity>
+  <KuveytTurkVPosAdditionalData>
+    <AdditionalData>
+      <Key>MD</Key>
+      <Data>${secureData.MD}</Data>
+    </AdditionalData>
+  </KuveytTurkVPosAdditionalData>
+</KuveytTurkVPosMessage>`;
+
+    try {
+      const response = await axios.post(this.urls.api, xml, {
+        headers: { 'Content-Type': 'application/xml' },
+        httpsAgent: this.httpsAgent,
+        timeout: 30000
+      });
+
+      const result = await this.xmlParser.parseStringPromise(response.data);
+      await this.log('provision', { orderId, amount }, result);
+
+      return this.handlePaymentResult(result);
+    } catch (error) {
+      this.transaction.status = 'failed';
+      this.transaction.result = {
+        success: false,
+        code: 'NETWORK_ERROR',
+        message: error.message
+      };
+      await this.log('error', {}, { error: error.message });
+      await this.transaction.save();
+
+      return { success: false, message: 'Bağlantı hatası' };
+    }
+  }
+
+  /**
+   * Apply VPosTransactionResponseContract to transaction
+   */
+  async handlePaymentResult(result) {
+    // Onay cevabı banka imzası olmadan kabul edilmez
+    if (result?.ResponseCode === '00' && !this.verifyResponseHash(result)) {
+      this.transaction.status = 'failed';
+      this.transaction.result = {
+        success: false,
+        code: 'HASH_MISMATCH',
+        message: 'Banka cevabı doğrulanamadı'
+      };
+      await this.transaction.save();
+
+      return this.errorResponse('HASH_MISMATCH', this.transaction.result.message, result);
+    }
+
+    if (result?.ResponseCode === '00') {
+      this.transaction.status = 'success';
+      this.transaction.result = {
+        success: true,
+        authCode: result.ProvisionNumber,
+        refNumber: result.RRN,
+        hostRefNumber: result.Stan,
+        transactionId: result.OrderId,
+        message: 'Ödeme başarılı'
+      };
+      this.transaction.completedAt = new Date();
+      await this.transaction.clearCvv();
+
+      return this.successResponse({
+        message: 'Ödeme başarılı',
+        authCode: result.ProvisionNumber,
+        refNumber: result.RRN,
+        transactionId: result.OrderId
+      });
+    }
+
+    this.transaction.status = 'failed';
+    this.transaction.result = {
+      success: false,
+      code: result?.ResponseCode,
+      message: result?.ResponseMessage || 'Ödeme reddedildi'
+    };
+    await this.transaction.save();
+
+    return this.errorResponse(result?.ResponseCode, this.transaction.result.message, result);
+  }
+
+  /**
+   * Non-3D Payment
+   */
+  async directPayment() {
+    const card = this.getCard();
+    const orderId = this.getOrderId();
+    const amount = this.toMinorUnits(this.transaction.amount);
+
+    // Store orderId for refund/cancel operations
+    this.transaction.orderId = orderId;
+    await this.transaction.save();
+
+    const xml = this.buildCardMessage({
+      orderId,
+      amount,
+      hash: this.calculateApiHash({ orderId, amount }),
+      transactionType: 'Sale',
+      security: 1,
+      card: {
+        number: card.number.replace(/\s/g, ''),
+        expiry: this.formatExpiry(card.expiry),
+        cvv: card.cvv,
+        holder: card.holder
+      }
+    });
+
+    try {
+      const response = await axios.post(this.urls.direct, xml, {
+        headers: { 'Content-Type': 'application/xml' },
+        httpsAgent: this.httpsAgent,
+        timeout: 30000
+      });
+
+      const result = await this.xmlParser.parseStringPromise(response.data);
+      await this.log('provision', { orderId, amount }, result);
+
+      return this.handlePaymentResult(result);
+    } catch (error) {
+      this.transaction.status = 'failed';
+      this.transaction.result = {
+        success: false,
+        code: 'NETWORK_ERROR',
+        message: error.message
+      };
+      await this.log('error', {}, { error: error.message });
+      await this.transaction.save();
+
+      return this.errorResponse('NETWORK_ERROR', 'Bağlantı hatası');
+    }
+  }
+
+  /**
+   * Refund a completed payment (DrawBack / PartialDrawback)
+   */
+  async refund(originalTransaction) {
+    const orderId = originalTransaction.orderId;
+    const amount = this.toMinorUnits(this.transaction.amount);
+    // Tutarın tamamı iade edilmiyorsa kısmi iade servisi kullanılır
+    const action = this.transaction.amount < originalTransaction.amount ? 'PartialDrawback' : 'DrawBack';
+
+    const xml = this.buildSoapRequest(action, {
+      orderId,
+      amount,
+      currency: originalTransaction.currency,
+      transactionType: action,
+      original: originalTransaction
+    });
+
+    try {
+      const result = await this.callSoap(action, xml);
+      await this.log('refund', { orderId, amount }, result);
+
+      if (result.Success === 'true' && result.Value?.ResponseCode === '00') {
+        this.transaction.status = 'success';
+        this.transaction.result = {
+          success: true,
+          message: 'İade başarılı',
+          refNumber: result.Value?.RRN,
+          authCode: result.Value?.ProvisionNumber
+        };
+        this.transaction.completedAt = new Date();
+        await this.transaction.save();
+
+        return this.successResponse({
+          message: 'İade başarılı',
+          refNumber: result.Value?.RRN
+        });
+      }
+
+      const error = this.getSoapError(result);
+      this.transaction.status = 'failed';
+      this.transaction.result = {
+        success: false,
+        code: error.code,
+        message: error.message || 'İade başarısız'
+      };
+      await this.transaction.save();
+
+      return this.errorResponse(error.code, this.transaction.result.message, result);
+    } catch (error) {
+      await this.log('error', {}, { error: error.message });
+      this.transaction.status = 'failed';
+      this.transaction.result = {
+        success: false,
+        code: 'NETWORK_ERROR',
+        message: error.message
+      };
+      await this.transaction.save();
+
+      return this.errorResponse('NETWORK_ERROR', error.message);
+    }
+  }
+
+  /**
+   * Cancel a payment (SaleReversal - same day only)
+   */
+  async cancel(originalTransaction) {
+    const orderId = originalTransaction.orderId;
+    const amount = this.toMinorUnits(originalTransaction.amount);
+
+    const xml = this.buildSoapRequest('SaleReversal', {
+      orderId,
+      amount,
+      currency: originalTransaction.currency,
+      transactionType: 'SaleReversal',
+      original: originalTransaction
+    });
+
+    try {
+      const result = await this.callSoap('SaleReversal', xml);
+      await this.log('cancel', { orderId, amount }, result);
+
+      if (result.Success === 'true' && result.Value?.ResponseCode === '00') {
+        this.transaction.status = 'success';
+        this.transaction.result = {
+          success: true,
+          message: 'İptal başarılı',
+          refNumber: result.Value?.RRN
+        };
+        this.transaction.completedAt = new Date();
+        await this.transaction.save();
+
+        // Update original transaction
+        originalTransaction.status = 'cancelled';
+        originalTransaction.cancelledAt = new Date();
+        await originalTransaction.save();
+
+        return this.successResponse({ message: 'İptal başarılı' });
+      }
+
+      const error = this.getSoapError(result);
+      this.transaction.status = 'failed';
+      this.transaction.result = {
+        success: false,
+        code: error.code,
+        message: error.message || 'İptal başarısız'
+      };
+      await this.transaction.save();
+
+      return this.errorResponse(error.code, this.transaction.result.message, result);
+    } catch (error) {
+      await this.log('error', {}, { error: error.message });
+      this.transaction.status = 'failed';
+      this.transaction.result = {
+        success: false,
+        code: 'NETWORK_ERROR',
+        message: error.message
+      };
+      await this.transaction.save();
+
+      return this.errorResponse('NETWORK_ERROR', error.message);
+    }
+  }
+
+  /**
+   * Query payment status (GetMerchantOrderDetail)
+   */
+  async status(orderId) {
+    const { merchantId, terminalId, username } = this.credentials;
+    const hash = this.calculateApiHash({ orderId, amount: '0' });
+
+    // Sorgu aralığı: son 30 gün
+    const endDate = new Date();
+    const startDate = new Date(endDate.getTime() - 30 * 24 * 60 * 60 * 1000);
+
+    const xml = `<?xml version="1.0" encoding="utf-8"?>
+<soapenv:Envelope xmlns:soapenv="http://schemas.xmlsoap.org/soap/envelope/" xmlns:ser="${SOAP_NAMESPACE}">
+  <soapenv:Body>
+    <ser:GetMerchantOrderDetail>
+      <ser:request>
+        <ser:IsFromExternalNetwork>true</ser:IsFromExternalNetwork>
+        <ser:BusinessKey>0</ser:BusinessKey>
+        <ser:ResourceId>0</ser:ResourceId>
+        <ser:ActionId>0</ser:ActionId>
+        <ser:LanguageId>0</ser:LanguageId>
+        <ser:CustomerId>${terminalId}</ser:CustomerId>
+        <ser:MailOrTelephoneOrder>true</ser:MailOrTelephoneOrder>
+        <ser:Amount>0</ser:Amount>
+        <ser:MerchantId>${merchantId}</ser:MerchantId>
+        <ser:OrderId>0</ser:OrderId>
+        <ser:TransactionType>0</ser:TransactionType>
+        <ser:VPosMessage>
+          <ser:APIVersion>${API_VERSION}</ser:APIVersion>
+          <ser:HashData>${hash}</ser:HashData>
+          <ser:MerchantId>${merchantId}</ser:MerchantId>
+          <ser:SubMerchantId>0</ser:SubMerchantId>
+          <ser:CustomerId>${terminalId}</ser:CustomerId>
+          <ser:UserName>${this.escapeXml(username)}</ser:UserName>
+          <ser:CardType>Visa</ser:CardType>
+          <ser:BatchID>0</ser:BatchID>
+          <ser:TransactionType>GetMerchantOrderDetail</ser:TransactionType>
+          <ser:InstallmentCount>0</ser:InstallmentCount>
+          <ser:Amount>0</ser:Amount>
+          <ser:DisplayAmount>0</ser:DisplayAmount>
+          <ser:CancelAmount>0</ser:CancelAmount>
+          <ser:MerchantOrderId>${orderId}</ser:MerchantOrderId>
+          <ser:FECAmount>0</ser:FECAmount>
+          <ser:CurrencyCode>${this.getKuveytCurrencyCode()}</ser:CurrencyCode>
+          <ser:QeryId>0</ser:QeryId>
+          <ser:DebtId>0</ser:DebtId>
+          <ser:SurchargeAmount>0</ser:SurchargeAmount>
+          <ser:SGKDebtAmount>0</ser:SGKDebtAmount>
+          <ser:TransactionSecurity>1</ser:TransactionSecurity>
+        </ser:VPosMessage>
+        <ser:MerchantOrderId>${orderId}</ser:MerchantOrderId>
+        <ser:StartDate>${startDate.toISOString().split('T')[0]}</ser:StartDate>
+        <ser:EndDate>${endDate.toISOString().split('T')[0]}</ser:EndDate>
+      </ser:request>
+    </ser:GetMerchantOrderDetail>
+  </soapenv:Body>
+</soapenv:Envelope>`;
+
+    try {
+      const result = await this.callSoap('GetMerchantOrderDetail', xml);
+      await this.log('status', { orderId }, result);
+
+      if (result.Success !== 'true') {
+        const error = this.getSoapError(result);
+        return this.errorResponse(error.code, error.message || 'Sorgu başarısız', result);
+      }
+
+      const orders = result.Value?.OrderContract;
+      const order = Array.isArray(orders) ? orders[0] : orders;
+
+      return {
+        success: true,
+        orderId,
+        status: order?.LastOrderStatusDescription || order?.OrderStatus || 'unknown',
+        amount: order?.FirstAmount,
+        authCode: order?.ProvNumber,
+        refNumber: order?.RRN,
+        rawResponse: result
+      };
+    } catch (error) {
+      await this.log('error', {}, { error: error.message });
+      return this.errorResponse('NETWORK_ERROR', 'Bağlantı hatası');
+    }
+  }
+}
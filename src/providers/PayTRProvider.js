@@ -1,5 +1,7 @@
 /**
  * PayTR Payment Gateway Provider
+ * Kesin sonuç sunucudan sunucuya bildirimle gelir (Bildirim URL: CALLBACK_BASE_URL/payment/notify/paytr)
+ * Tarayıcı dönüşü (merchant_ok_url / merchant_fail_url) sadece bildirimin belirlediği durumu gösterir
  */
 
 import crypto from 'crypto';
@@ -7,6 +9,18 @@ import https from 'https';
 import axios from 'axios';
 import BaseProvider from './BaseProvider.js';
 
+/**
+ * PayTR keys from POS credentials
+ * merchant_key / merchant_salt extra alanında yoksa secretKey / password kullanılır
+ */
+export function getPaytrKeys(credentials) {
+  const extra = credentials.extra || {};
+  return {
+    merchantKey: extra.merchantKey || credentials.secretKey,
+    merchantSalt: extra.merchantSalt || credentials.password
+  };
+}
+
 export default class PayTRProvider extends BaseProvider {
   constructor(transaction, virtualPos) {
     super(transaction, virtualPos);
@@ -39,7 +53,7 @@ export default class PayTRProvider extends BaseProvider {
    * Calculate PayTR token (HMAC-SHA256)
    */
   calculateToken(data) {
-    const { merchantId, merchantSalt, merchantKey } = this.credentials;
+    const { merchantSalt, merchantKey } = getPaytrKeys(this.credentials);
     const hashStr = data + merchantSalt;
     return crypto.createHmac('sha256', merchantKey).update(hashStr).digest('base64');
   }
@@ -52,6 +66,7 @@ export default class PayTRProvider extends BaseProvider {
     const amount = this.formatAmount();
     const callbackUrl = this.getCallbackUrl();
     const installment = this.transaction.installment > 1 ? this.transaction.installment : 0;
+    const testMode = this.pos.testMode ? '1' : '0';
 
     // User basket (required by PayTR)
     const userBasket = JSON.stringify([
@@ -67,7 +82,7 @@ export default class PayTRProvider extends BaseProvider {
       'card' +
       installment +
       this.getCurrencyCodePayTR() +
-      '0' + // test_mode
+      testMode +
       '0';  // non_3d
 
     const paytrToken = this.calculateToken(hashStr);
@@ -85,10 +100,10 @@ export default class PayTRProvider extends BaseProvider {
       payment_type: 'card',
       payment_amount: amount,
       currency: this.getCurrencyCodePayTR(),
-      test_mode: this.pos.testMode ? '1' : '0',
+      test_mode: testMode,
       non_3d: '0',
-      merchant_ok_url: callbackUrl + 'ok',
-      merchant_fail_url: callbackUrl + 'fail',
+      merchant_ok_url: callbackUrl,
+      merchant_fail_url: callbackUrl,
       user_name: this.transaction.customer?.name || '',
       user_address: this.transaction.customer?.address || '',
       user_phone: this.transaction.customer?.phone || '',
@@ -155,31 +170,96 @@ export default class PayTRProvider extends BaseProvider {
     return this.generateFormHtml(targetUrl, formData);
   }
 
+  /**
+   * Browser redirect after 3D - display only
+   * postData.status tarayıcıdan gelir ve doğrulanamaz; durum bildirimle belirlenir
+   */
   async processCallback(postData) {
-    await this.log('3d_callback', postData, {});
+    await this.log('3d_callback', postData, { status: this.transaction.status });
+    await this.transaction.save();
 
-    if (postData.status === 'success') {
-      this.transaction.status = 'success';
-      this.transaction.result = {
-        success: true,
-        authCode: postData.paytr_token || '',
-        refNumber: postData.merchant_oid || ''
-      };
-      this.transaction.completedAt = new Date();
-      await this.transaction.clearCvv();
+    if (this.transaction.status === 'success') {
+      return { success: true, displayOnly: true, message: 'Odeme basarili' };
+    }
 
-      return { success: true, message: 'Odeme basarili' };
-    } else {
-      this.transaction.status = 'failed';
-      this.transaction.result = {
+    if (this.transaction.status === 'failed') {
+      return { success: false, displayOnly: true, message: this.transaction.result?.message || 'Odeme basarisiz' };
+    }
+
+    // Bildirim henüz gelmedi
+    return { success: false, pending: true, displayOnly: true, message: 'Odeme sonucu bekleniyor' };
+  }
+
+  /**
+   * Calculate notification hash
+   * base64(HMAC-SHA256(merchant_key, merchant_oid + merchant_salt + status + total_amount))
+   */
+  calculateNotificationHash({ merchant_oid, status, total_amount }) {
+    const { merchantSalt, merchantKey } = getPaytrKeys(this.credentials);
+    const hashStr = `${merchant_oid}${merchantSalt}${status}${total_amount}`;
+    return crypto.createHmac('sha256', merchantKey).update(hashStr).digest('base64');
+  }
+
+  /**
+   * Verify notification hash (timing safe)
+   */
+  verifyNotificationHash(postData) {
+    if (!postData.hash) return false;
+
+    const expected = Buffer.from(this.calculateNotificationHash(postData));
+    const received = Buffer.from(String(postData.hash));
+    return expected.length === received.length && crypto.timingSafeEqual(expected, received);
+  }
+
+  /**
+   * Settle transaction from server-to-server notification
+   * Idempotent: sadece pending/processing işlem güncellenir, tekrar gelen bildirim değişiklik yapmaz
+   * @returns {Promise<{settled: boolean, success: boolean}>} settled = bu bildirim ile sonuçlandı
+   */
+  async processNotification(postData) {
+    if (!this.verifyNotificationHash(postData)) {
+      await this.log('error', { merchant_oid: postData.merchant_oid }, { error: 'Bildirim hash doğrulanamadı' });
+      await this.transaction.save();
+
+      const error = new Error('PayTR bildirim hash doğrulanamadı');
+      error.code = 'INVALID_HASH';
+      error.status = 400;
+      throw error;
+    }
+
+    const success = postData.status === 'success';
+    const now = new Date();
+    const result = success
+      ? {
+        success: true,
+        code: '00',
+        message: 'Odeme basarili',
+        refNumber: postData.merchant_oid,
+        rawResponse: postData
+      }
+      : {
         success: false,
         code: postData.failed_reason_code || 'FAILED',
-        message: postData.failed_reason_msg || 'Odeme basarisiz'
+        message: postData.failed_reason_msg || 'Odeme basarisiz',
+        rawResponse: postData
       };
-      await this.saveSecure();  // Use helper for Mixed type
 
-      return { success: false, message: this.transaction.result.message };
-    }
+    const update = await this.transaction.constructor.updateOne(
+      { _id: this.transaction._id, status: { $in: ['pending', 'processing'] } },
+      {
+        $set: {
+          status: success ? 'success' : 'failed',
+          result,
+          'card.cvv': null,
+          ...(success ? { completedAt: now } : {})
+        },
+        $push: {
+          logs: { type: 'notification', request: this.sanitizeForMongo(postData), response: { settled: true }, at: now }
+        }
+      }
+    );
+
+    return { settled: update.modifiedCount > 0, success };
   }
 
   /**
@@ -203,6 +283,7 @@ export default class PayTRProvider extends BaseProvider {
       refund: true,
       cancel: false,  // PayTR doesn't support cancel, only refund
       status: false,
+      notification: true,  // Sunucudan sunucuya sonuç bildirimi
       history: false,
       preAuth: false,
       postAuth: false,
@@ -214,13 +295,14 @@ export default class PayTRProvider extends BaseProvider {
    * Refund a completed payment via PayTR API
    */
   async refund(originalTransaction) {
-    const { merchantId, merchantSalt, merchantKey } = this.credentials;
+    const { merchantId } = this.credentials;
+    const { merchantSalt, merchantKey } = getPaytrKeys(this.credentials);
 
     // Get original orderId with fallback
     const orgOrderId = originalTransaction.orderId || originalTransaction.secure?.formData?.merchant_oid;
 
     // PayTR refund hash: merchant_id + merchant_oid + return_amount + merchant_salt
-    const returnAmount = Math.round(originalTransaction.amount * 100); // Kuruş cinsinden
+    const returnAmount = Math.round(this.transaction.amount * 100); // Kuruş cinsinden
     const hashStr = merchantId + orgOrderId + returnAmount + merchantSalt;
     const paytrToken = crypto.createHmac('sha256', merchantKey).update(hashStr).digest('base64');
 
@@ -234,8 +316,9 @@ export default class PayTRProvider extends BaseProvider {
 
     try {
 
+      // İade adresi API adresinden çözülür (.../odeme/api/get-token → .../odeme/iade)
       const response = await axios.post(
-        'https://www.paytr.com/odeme/iade',
+        new URL('../iade', this.urls.api || 'https://www.paytr.com/odeme/api/get-token').toString(),
         this.encodeForm(refundData),
         {
           headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
@@ -256,11 +339,6 @@ export default class PayTRProvider extends BaseProvider {
         this.transaction.completedAt = new Date();
         await this.transaction.save();
 
-        // Update original transaction
-        originalTransaction.status = 'refunded';
-        originalTransaction.refundedAt = new Date();
-        await originalTransaction.save();
-
         return this.successResponse({
           message: 'İade başarılı',
           refNumber: result.return_id
@@ -23,6 +23,7 @@ export default class PaytenProvider extends BaseProvider {
       status: true,
       history: true,
       preAuth: true,
+      preAuth3D: true,
       postAuth: true,
       // Desteklenen ödeme modelleri
       paymentModels: ['3d', '3d_pay', '3d_host', 'regular']
@@ -98,7 +99,7 @@ export default class PaytenProvider extends BaseProvider {
       storetype: storeType,
       currency: this.getCurrencyCode(),
       lang: 'tr',
-      islemtipi: 'Auth',
+      islemtipi: this.isPreAuth() ? 'PreAuth' : 'Auth',
       taksit: this.transaction.installment > 1 ? this.transaction.installment.toString() : '',
       Hashalgorithm: 'ver3'
     };
@@ -246,7 +247,7 @@ export default class PaytenProvider extends BaseProvider {
         GroupId: '',
         TransId: '',
         UserId: '',
-        Type: 'Auth',
+        Type: this.isPreAuth() ? 'PreAuth' : 'Auth',
         Number: secureData.md,
         Expires: '',
         Cvv2Val: '',
@@ -430,9 +431,6 @@ export default class PaytenProvider extends BaseProvider {
         this.transaction.completedAt = new Date();
         await this.transaction.save();
 
-        originalTransaction.refundedAt = new Date();
-        await originalTransaction.save();
-
         return this.successResponse({
           message: 'İade başarılı',
           authCode: result.AuthCode,
@@ -43,6 +43,13 @@ export default class QNBProvider extends BaseProvider {
     return month + year;
   }
 
+  /**
+   * TxnType for 3D (hash ve form aynı değeri kullanır)
+   */
+  getTxnType() {
+    return this.isPreAuth() ? 'PreAuth' : 'Auth';
+  }
+
   /**
    * Format installment
    */
@@ -73,9 +80,10 @@ export default class QNBProvider extends BaseProvider {
     const callbackUrl = this.getCallbackUrl();
     const rnd = this.microtime();  // PHP microtime() format
     const installment = this.formatInstallment();
+    const txnType = this.getTxnType();
 
     // Hash string: MbrId + OrderId + Amount + OkUrl + FailUrl + TxnType + InstallmentCount + Rnd + MerchantPass
-    const hashStr = '5' + orderId + amount + callbackUrl + callbackUrl + 'Auth' + installment + rnd + merchantPassword;
+    const hashStr = '5' + orderId + amount + callbackUrl + callbackUrl + txnType + installment + rnd + merchantPassword;
 
     const formData = {
       MbrId: '5',
@@ -85,7 +93,7 @@ export default class QNBProvider extends BaseProvider {
       MerchantID: merchantId,
       UserCode: userCode,
       SecureType: '3DModel',
-      TxnType: 'Auth',
+      TxnType: txnType,
       InstallmentCount: installment,
       Currency: this.getCurrencyCode(),
       OkUrl: callbackUrl,
@@ -270,8 +278,10 @@ export default class QNBProvider extends BaseProvider {
       PurchAmount: amount,
       InstallmentCount: installment,
       Pan: card.number.replace(/\s/g, ''),
-      Cvv2: card.cvv,
+      // MIT: kart sahibi yok - CVV'siz, MOTO işaretli
+      Cvv2: this.getMitType() ? '' : card.cvv,
       Expiry: this.formatExpiry(card.expiry),
+      MOTO: this.getMitType() ? '1' : '0',
       Lang: 'TR'
     };
 
@@ -332,12 +342,15 @@ export default class QNBProvider extends BaseProvider {
     return {
       payment3D: true,
       paymentDirect: true,
+      mit: true,
       refund: true,
       cancel: true,
       status: true,
       history: false,
       preAuth: true,
+      preAuth3D: true,
       postAuth: true,
+      preAuthRelease: true,
       paymentModels: ['3d', '3d_pay', 'regular']
     };
   }
@@ -352,7 +365,7 @@ export default class QNBProvider extends BaseProvider {
     const merchantPassword = this.credentials.secretKey;
 
     const orderId = this.getOrderId();
-    const amount = originalTransaction.amount.toFixed(2);
+    const amount = this.transaction.amount.toFixed(2);
     const rnd = this.microtime();
 
     // Get original orderId with fallback
@@ -402,11 +415,6 @@ export default class QNBProvider extends BaseProvider {
         this.transaction.completedAt = new Date();
         await this.transaction.save();
 
-        // Update original transaction
-        originalTransaction.status = 'refunded';
-        originalTransaction.refundedAt = new Date();
-        await originalTransaction.save();
-
         return this.successResponse({
           message: 'İade başarılı',
           refNumber: result.HostRefNum
@@ -670,7 +678,7 @@ export default class QNBProvider extends BaseProvider {
     const userPassword = this.credentials.password;
 
     const orderId = this.getOrderId();
-    const amount = preAuthTransaction.amount.toFixed(2);
+    const amount = this.transaction.amount.toFixed(2);
 
     const postAuthData = {
       MbrId: '5',
@@ -739,4 +747,12 @@ export default class QNBProvider extends BaseProvider {
       return this.errorResponse('NETWORK_ERROR', error.message);
     }
   }
+
+  /**
+   * Release pre-authorization (void the hold)
+   * Void (OrgOrderId) ön provizyon blokesini kaldırır
+   */
+  async releasePreAuth(preAuthTransaction) {
+    return this.cancel(preAuthTransaction);
+  }
 }
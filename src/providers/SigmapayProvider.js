@@ -45,7 +45,7 @@ export default class SigmapayProvider extends BaseProvider {
 
     const orderId = this.getOrderId();
     const amount = this.formatAmount();
-    const callbackUrl = this.getCallbackUrl() + 'sigma';
+    const callbackUrl = this.getCallbackUrl();
     const description = encodeURIComponent('booking');
 
     // Signature: amount:currency:MBC:orderId:description:1:clientId:backURL:secretKey1:secretKey2
@@ -271,7 +271,7 @@ export default class VakifbankProvider extends BaseProvider {
   }
 
   /**
-   * Build payment XML
+   * Build 3D payment XML (ön provizyonda TransactionType=Auth)
    */
   buildPaymentXml(params) {
     const { merchantId, password, terminalId, orderId, amount, currency, card, eci, cavv, installment } = params;
@@ -286,7 +286,7 @@ export default class VakifbankProvider extends BaseProvider {
   <MerchantId>${merchantId}</MerchantId>
   <Password>${password}</Password>
   <TerminalNo>${terminalId}</TerminalNo>
-  <TransactionType>Sale</TransactionType>
+  <TransactionType>${this.isPreAuth() ? 'Auth' : 'Sale'}</TransactionType>
   <CurrencyAmount>${amount}</CurrencyAmount>
   <CurrencyCode>${currency}</CurrencyCode>
   <Pan>${card.number}</Pan>
@@ -329,7 +329,8 @@ export default class VakifbankProvider extends BaseProvider {
         expiry: this.formatExpiryYYYYMM(card.expiry),
         holder: card.holder
       },
-      installment: this.transaction.installment
+      installment: this.transaction.installment,
+      isMit: Boolean(this.getMitType())
     });
 
     try {
@@ -384,13 +385,16 @@ export default class VakifbankProvider extends BaseProvider {
    * Build direct payment XML
    */
   buildDirectPaymentXml(params) {
-    const { merchantId, password, terminalId, orderId, amount, currency, card, installment } = params;
+    const { merchantId, password, terminalId, orderId, amount, currency, card, installment, isMit = false } = params;
 
     let installmentTag = '';
     if (installment > 1) {
       installmentTag = `<NumberOfInstallments>${installment}</NumberOfInstallments>`;
     }
 
+    // MIT: kart sahibi yok - CVV gönderilmez, kaynak MOTO (1)
+    const cvvTag = isMit ? '' : `<Cvv>${card.cvv}</Cvv>`;
+
     return `<?xml version="1.0" encoding="utf-8"?>
 <VposRequest>
   <MerchantId>${merchantId}</MerchantId>
@@ -400,12 +404,12 @@ export default class VakifbankProvider extends BaseProvider {
   <CurrencyAmount>${amount}</CurrencyAmount>
   <CurrencyCode>${currency}</CurrencyCode>
   <Pan>${card.number}</Pan>
-  <Cvv>${card.cvv}</Cvv>
+  ${cvvTag}
   <Expiry>${card.expiry}</Expiry>
   <CardHoldersName>${card.holder || ''}</CardHoldersName>
   <OrderId>${orderId}</OrderId>
   <ClientIp>${this.transaction.customer?.ip || ''}</ClientIp>
-  <TransactionDeviceSource>0</TransactionDeviceSource>
+  <TransactionDeviceSource>${isMit ? 1 : 0}</TransactionDeviceSource>
   ${installmentTag}
 </VposRequest>`;
   }
@@ -417,12 +421,15 @@ export default class VakifbankProvider extends BaseProvider {
     return {
       payment3D: true,
       paymentDirect: true,
+      mit: true,
       refund: true,
       cancel: true,
       status: true,
       history: false,
       preAuth: true,
+      preAuth3D: true,
       postAuth: true,
+      preAuthRelease: true,
       paymentModels: ['3d', '3d_pay', 'regular']
     };
   }
@@ -544,7 +551,7 @@ export default class VakifbankProvider extends BaseProvider {
       password,
       terminalId,
       orderId: this.getOrderId(),
-      amount: originalTransaction.amount.toFixed(2),
+      amount: this.transaction.amount.toFixed(2),
       currency: this.getCurrencyCode(),
       refTransactionId: originalTransaction.result?.refNumber || orgOrderId
     });
@@ -571,11 +578,6 @@ export default class VakifbankProvider extends BaseProvider {
         this.transaction.completedAt = new Date();
         await this.transaction.save();
 
-        // Update original transaction
-        originalTransaction.status = 'refunded';
-        originalTransaction.refundedAt = new Date();
-        await originalTransaction.save();
-
         return this.successResponse({
           message: 'İade başarılı',
           refNumber: result?.TransactionId
@@ -808,7 +810,7 @@ export default class VakifbankProvider extends BaseProvider {
       password,
       terminalId,
       orderId: this.getOrderId(),
-      amount: preAuthTransaction.amount.toFixed(2),
+      amount: this.transaction.amount.toFixed(2),
       currency: this.getCurrencyCode(),
       refTransactionId: preAuthTransaction.result?.refNumber || preAuthTransaction.orderId
     });
@@ -864,4 +866,12 @@ export default class VakifbankProvider extends BaseProvider {
       return this.errorResponse('NETWORK_ERROR', error.message);
     }
   }
+
+  /**
+   * Release pre-authorization (void the hold)
+   * Cancel isteği ReferenceTransactionId ile blokeyi kaldırır
+   */
+  async releasePreAuth(preAuthTransaction) {
+    return this.cancel(preAuthTransaction);
+  }
 }
@@ -28,7 +28,9 @@ export default class YKBProvider extends BaseProvider {
       status: true,
       history: false,
       preAuth: true,
+      preAuth3D: true,
       postAuth: true,
+      preAuthRelease: true,
       paymentModels: ['3d', '3d_pay', 'regular']
     };
   }
@@ -245,7 +247,8 @@ export default class YKBProvider extends BaseProvider {
           installment: installment,
           XID: orderId,
           cardHolderName: card.holder || 'CARDHOLDER',
-          tranType: 'Sale'
+          // Ön provizyonda oosTranData provizyonu da Auth olarak yapılır
+          tranType: this.isPreAuth() ? 'Auth' : 'Sale'
         }
       }
     };
@@ -662,9 +665,6 @@ export default class YKBProvider extends BaseProvider {
         this.transaction.completedAt = new Date();
         await this.transaction.save();
 
-        originalTransaction.refundedAt = new Date();
-        await originalTransaction.save();
-
         return this.successResponse({
           message: 'İade başarılı',
           authCode: result.authCode,
@@ -697,6 +697,7 @@ export default class YKBProvider extends BaseProvider {
 
   /**
    * Cancel a payment (reverse)
+   * Ön provizyon iptalinde ters kayıt 'auth' işlemine yapılır
    */
   async cancel(originalTransaction) {
     const { merchantId, terminalId, username, password } = this.credentials;
@@ -713,7 +714,7 @@ export default class YKBProvider extends BaseProvider {
         reverse: {
           hostlogkey: hostLogKey,
           authCode: authCode,
-          transaction: 'sale'
+          transaction: originalTransaction.type === 'pre_auth' ? 'auth' : 'sale'
         }
       }
     };
@@ -970,4 +971,12 @@ export default class YKBProvider extends BaseProvider {
       return this.errorResponse('NETWORK_ERROR', 'Bağlantı hatası');
     }
   }
+
+  /**
+   * Release pre-authorization (void the hold)
+   * reverse isteği 'auth' işlem tipiyle gönderilir (bkz. cancel)
+   */
+  async releasePreAuth(preAuthTransaction) {
+    return this.cancel(preAuthTransaction);
+  }
 }
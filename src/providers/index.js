@@ -9,6 +9,7 @@ import AkbankProvider from './AkbankProvider.js';
 import VakifbankProvider from './VakifbankProvider.js';
 import QNBProvider from './QNBProvider.js';
 import DenizbankProvider from './DenizbankProvider.js';
+import KuveytTurkProvider from './KuveytTurkProvider.js';
 import PayTRProvider from './PayTRProvider.js';
 import IyzicoProvider from './IyzicoProvider.js';
 import SigmapayProvider from './SigmapayProvider.js';
@@ -21,6 +22,7 @@ const PROVIDERS = {
   vakifbank: VakifbankProvider,
   qnb: QNBProvider,
   denizbank: DenizbankProvider,
+  kuveytturk: KuveytTurkProvider,
   paytr: PayTRProvider,
   iyzico: IyzicoProvider,
   sigmapay: SigmapayProvider,
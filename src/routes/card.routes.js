@@ -0,0 +1,80 @@
+/**
+ * Stored Card Routes
+ * Auth handled at server level via apiKeyAuth + gatewayAuth
+ * Kartlar firma + customerRef ile tanımlı müşteriye aittir
+ */
+
+import { Router } from 'express';
+import { listCards, deleteCard, getExpiringCards } from '../services/CardVaultService.js';
+import { getCompanyId } from '../middleware/companyScope.js';
+
+const router = Router();
+
+/**
+ * GET /
+ * List customer's stored cards (masked)
+ */
+router.get('/', async (req, res) => {
+  try {
+    const { customerRef } = req.query;
+
+    if (!customerRef) {
+      return res.status(400).json({ status: false, error: 'customerRef gerekli' });
+    }
+
+    const companyId = await getCompanyId(req);
+    if (!companyId) {
+      return res.status(400).json({ status: false, error: 'No active company found' });
+    }
+
+    const cards = await listCards(companyId, customerRef);
+    res.json({ status: true, cards });
+  } catch (error) {
+    res.status(500).json({ status: false, error: error.message });
+  }
+});
+
+/**
+ * GET /expiring
+ * Cards expiring within `days` (default 60), expired ones included
+ */
+router.get('/expiring', async (req, res) => {
+  try {
+    const { customerRef, days = 60, includeExpired } = req.query;
+
+    const companyId = await getCompanyId(req);
+    if (!companyId) {
+      return res.status(400).json({ status: false, error: 'No active company found' });
+    }
+
+    const cards = await getExpiringCards(companyId, {
+      days: parseInt(days) || 60,
+      customerRef: customerRef || null,
+      includeExpired: includeExpired !== 'false'
+    });
+
+    res.json({ status: true, cards });
+  } catch (error) {
+    res.status(500).json({ status: false, error: error.message });
+  }
+});
+
+/**
+ * DELETE /:token
+ * Delete stored card
+ */
+router.delete('/:token', async (req, res) => {
+  try {
+    const companyId = await getCompanyId(req);
+    if (!companyId) {
+      return res.status(400).json({ status: false, error: 'No active company found' });
+    }
+
+    await deleteCard(companyId, req.params.token);
+    res.json({ status: true, message: 'Kart silindi' });
+  } catch (error) {
+    res.status(error.status || 500).json({ status: false, error: error.message, code: error.code });
+  }
+});
+
+export default router;
@@ -0,0 +1,248 @@
+/**
+ * Checkout Routes
+ * API: oturum oluşturma, sorgulama, iptal (apiKeyAuth + gatewayAuth)
+ * Public: /payment/checkout/:sessionId barındırılan ödeme sayfası
+ * Üye işyeri kart verisine dokunmaz - sonuç dönüş URL'i + webhook ile bildirilir
+ */
+
+import { Router } from 'express';
+import PaymentService from '../services/PaymentService.js';
+import CheckoutService from '../services/CheckoutService.js';
+import { getBranding, renderCardPage, renderMessagePage } from '../views/paymentPages.js';
+import { getCompanyId } from '../middleware/companyScope.js';
+
+const router = Router();
+
+/**
+ * Session response with public URL
+ */
+function toSessionResponse(session) {
+  return { ...session.toJSON(), url: CheckoutService.getCheckoutUrl(session) };
+}
+
+/**
+ * POST /sessions
+ * Create checkout session
+ */
+router.post('/sessions', async (req, res) => {
+  try {
+    const {
+      amount, currency, installments, customer, bookingCode, externalId, description,
+      returnUrl, successUrl, failUrl, returnMode
+    } = req.body;
+
+    if (!amount || !currency || !returnUrl) {
+      return res.status(400).json({
+        status: false,
+        error: 'amount, currency ve returnUrl gerekli'
+      });
+    }
+
+    const companyId = await getCompanyId(req);
+    if (!companyId) {
+      return res.status(400).json({ status: false, error: 'No active company found' });
+    }
+
+    const session = await CheckoutService.createSession({
+      companyId,
+      amount,
+      currency,
+      installments,
+      customer,
+      bookingCode,
+      externalId,
+      description,
+      returnUrl,
+      successUrl,
+      failUrl,
+      returnMode
+    });
+
+    res.json({ status: true, session: toSessionResponse(session) });
+  } catch (error) {
+    res.status(error.status || 500).json({ status: false, error: error.message, code: error.code });
+  }
+});
+
+/**
+ * GET /sessions/:sessionId
+ * Get session status with payment attempts
+ */
+router.get('/sessions/:sessionId', async (req, res) => {
+  try {
+    const companyId = await getCompanyId(req);
+    if (!companyId) {
+      return res.status(400).json({ status: false, error: 'No active company found' });
+    }
+
+    const { session, transactions } = await CheckoutService.getSession(req.params.sessionId, companyId);
+    res.json({ status: true, session: toSessionResponse(session), transactions });
+  } catch (error) {
+    res.status(error.status || 500).json({ status: false, error: error.message, code: error.code });
+  }
+});
+
+/**
+ * POST /sessions/:sessionId/cancel
+ * Cancel open session
+ */
+router.post('/sessions/:sessionId/cancel', async (req, res) => {
+  try {
+    const companyId = await getCompanyId(req);
+    if (!companyId) {
+      return res.status(400).json({ status: false, error: 'No active company found' });
+    }
+
+    const session = await CheckoutService.cancelSession(req.params.sessionId, companyId);
+    res.json({ status: true, session: toSessionResponse(session) });
+  } catch (error) {
+    res.status(error.status || 500).json({ status: false, error: error.message, code: error.code });
+  }
+});
+
+export default router;
+
+// ============================================================================
+// PUBLIC ROUTES (no auth - checkout page opened by guest)
+// Mounted at /payment/checkout
+// ============================================================================
+
+export const publicCheckoutRoutes = Router();
+
+/**
+ * GET /payment/checkout/:sessionId
+ * Checkout page
+ */
+publicCheckoutRoutes.get('/:sessionId', async (req, res) => {
+  res.setHeader('Content-Type', 'text/html; charset=utf-8');
+
+  try {
+    const session = await CheckoutService.getPayableSession(req.params.sessionId);
+
+    res.send(renderCardPage({
+      basePath: `/payment/checkout/${encodeURIComponent(session.sessionId)}`,
+      amount: session.amount,
+      currency: session.currency,
+      branding: getBranding(session.company),
+      lines: [session.description, session.bookingCode && `Rezervasyon: ${session.bookingCode}`],
+      customer: session.customer
+    }));
+  } catch (error) {
+    res.status(error.status || 400).send(renderMessagePage('Ödeme yapılamıyor', error.message));
+  }
+});
+
+/**
+ * POST /payment/checkout/:sessionId/installments
+ * Live BIN lookup + installment options (limited to session's allowed installments)
+ */
+publicCheckoutRoutes.post('/:sessionId/installments', async (req, res) => {
+  try {
+    const { bin } = req.body;
+
+    if (!bin) {
+      return res.status(400).json({ success: false, error: 'bin gerekli' });
+    }
+
+    const session = await CheckoutService.getPayableSession(req.params.sessionId);
+
+    const result = await PaymentService.queryBin(
+      session.company._id,
+      String(bin).replace(/\D/g, '').slice(0, 8),
+      session.amount,
+      session.currency
+    );
+
+    if (!result.success) {
+      return res.status(400).json(result);
+    }
+
+    res.json({
+      success: true,
+      bank: result.bank,
+      brand: result.brand,
+      cardType: result.cardType,
+      cardFamily: result.cardFamily,
+      installments: CheckoutService.filterInstallmentOptions(session, result.installments)
+    });
+  } catch (error) {
+    res.status(error.status || 500).json({ success: false, error: error.message, code: error.code });
+  }
+});
+
+/**
+ * POST /payment/checkout/:sessionId/pay
+ * Start 3D payment for the session amount - returns formUrl
+ */
+publicCheckoutRoutes.post('/:sessionId/pay', async (req, res) => {
+  try {
+    const { card, installment } = req.body;
+
+    if (!card?.holder || !card?.number || !card?.expiry || !card?.cvv) {
+      return res.status(400).json({
+        success: false,
+        error: 'Kart bilgileri eksik (holder, number, expiry, cvv)'
+      });
+    }
+
+    const installmentCount = parseInt(installment) || 1;
+    const cardNumber = card.number.replace(/\D/g, '');
+
+    // Oturum kilitlenir - eşzamanlı ikinci ödeme 409 alır
+    const { session, claimId } = await CheckoutService.claimPayableSession(req.params.sessionId);
+
+    let result;
+    try {
+      CheckoutService.assertSessionInstallment(session, installmentCount);
+
+      const companyId = session.company._id;
+
+      // POS seçimi /pay ile aynı: BIN sorgusu
+      const binResult = await PaymentService.queryBin(companyId, cardNumber.slice(0, 8), session.amount, session.currency);
+      if (!binResult.success) {
+        await CheckoutService.releaseCheckoutClaim(session, claimId);
+        return res.status(400).json(binResult);
+      }
+
+      result = await PaymentService.createPayment({
+        posId: binResult.pos.id,
+        amount: session.amount,
+        currency: session.currency,
+        installment: installmentCount,
+        card: {
+          holder: card.holder,
+          number: cardNumber,
+          expiry: card.expiry,
+          cvv: card.cvv
+        },
+        customer: {
+          name: session.customer?.name || card.holder,
+          email: session.customer?.email,
+          phone: session.customer?.phone,
+          ip: req.ip
+        },
+        externalId: session.externalId,
+        bookingCode: session.bookingCode,
+        checkoutSession: session._id,
+        resultHandling: CheckoutService.getSessionResultHandling(session),
+        companyId,
+        failover: true
+      });
+    } catch (error) {
+      await CheckoutService.releaseCheckoutClaim(session, claimId).catch(() => {});
+      throw error;
+    }
+
+    // Başlatılan ödeme 3D sonucuna kadar oturumu tutar; başlatılamadıysa kilit bırakılır
+    if (result.transactionId) {
+      await CheckoutService.recordCheckoutAttempt(session, result.transactionId, result.success ? claimId : null);
+    }
+    if (!result.success || !result.transactionId) {
+      await CheckoutService.releaseCheckoutClaim(session, claimId);
+    }
+
+    res.json(result);
+  } catch (error) {
+    res.status(error.status || 400).json({ success: false, error: error.message, code: error.code });
+  }
+});
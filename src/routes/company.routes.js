@@ -3,6 +3,7 @@
  * Auth handled at server level via apiKeyAuth + gatewayAuth
  */
 
+import crypto from 'crypto';
 import { Router } from 'express';
 import { Company, ApiKey } from '../models/index.js';
 
@@ -95,7 +96,11 @@ const updateCompanyHandler = async (req, res) => {
 
     if (name) company.name = name;
     if (typeof status === 'boolean') company.status = status;
-    if (settings) company.settings = { ...company.settings, ...settings };
+    if (settings) {
+      // Webhook secret sadece /webhook-secret ile değiştirilir
+      const { webhookSecret, ...rest } = settings;
+      company.settings = { ...company.settings, ...rest };
+    }
 
     await company.save();
 
@@ -183,4 +188,30 @@ router.post('/:id/api-keys', async (req, res) => {
   }
 });
 
+/**
+ * POST /:id/webhook-secret
+ * Generate (or rotate) webhook signing secret
+ */
+router.post('/:id/webhook-secret', async (req, res) => {
+  try {
+    const company = await Company.findById(req.params.id);
+
+    if (!company) {
+      return res.status(404).json({ status: false, error: 'Firma bulunamadı' });
+    }
+
+    const secret = `whsec_${crypto.randomBytes(24).toString('hex')}`;
+    company.settings.webhookSecret = secret;
+    await company.save();
+
+    res.json({
+      status: true,
+      webhookSecret: secret,
+      warning: 'Secret sadece bir kez gösterilir, kaydetmeyi unutmayın!'
+    });
+  } catch (error) {
+    res.status(500).json({ status: false, error: error.message });
+  }
+});
+
 export default router;
@@ -0,0 +1,89 @@
+/**
+ * Merchant-Initiated Transaction (MIT) Routes
+ * No-show, hasar, minibar vb. misafir yokken yapılan tahsilatlar
+ * Auth handled at server level via apiKeyAuth + gatewayAuth
+ */
+
+import { Router } from 'express';
+import PaymentService from '../services/PaymentService.js';
+import { Transaction, MIT_REASONS } from '../models/index.js';
+import { idempotency } from '../middleware/idempotency.js';
+
+const router = Router();
+
+/**
+ * POST /charge
+ * Charge stored card (cardToken) or the card of the original transaction
+ */
+router.post('/charge', idempotency(), async (req, res) => {
+  try {
+    const { originalTransactionId, cardToken, posId, amount, currency, reason, description, bookingCode, externalId } = req.body;
+
+    if (!originalTransactionId || !amount || !reason) {
+      return res.status(400).json({
+        status: false,
+        error: 'originalTransactionId, amount ve reason gerekli'
+      });
+    }
+
+    if (!MIT_REASONS.includes(reason)) {
+      return res.status(400).json({
+        status: false,
+        error: `Geçersiz reason (${MIT_REASONS.join(', ')})`
+      });
+    }
+
+    const chargeAmount = parseFloat(amount);
+    if (isNaN(chargeAmount) || chargeAmount <= 0) {
+      return res.status(400).json({ status: false, error: 'Geçersiz tutar' });
+    }
+
+    const result = await PaymentService.createMerchantCharge({
+      originalTransactionId,
+      cardToken,
+      posId,
+      amount: chargeAmount,
+      currency: currency?.toLowerCase(),
+      reason,
+      description,
+      bookingCode,
+      externalId
+    });
+
+    res.json({ status: true, ...result });
+  } catch (error) {
+    res.status(error.status || 400).json({ status: false, error: error.message, code: error.code });
+  }
+});
+
+/**
+ * GET /
+ * List MIT charges (by bookingCode or original transaction)
+ */
+router.get('/', async (req, res) => {
+  try {
+    const { bookingCode, originalTransactionId } = req.query;
+
+    if (!bookingCode && !originalTransactionId) {
+      return res.status(400).json({
+        status: false,
+        error: 'bookingCode veya originalTransactionId gerekli'
+      });
+    }
+
+    const query = { 'mit.reason': { $exists: true } };
+    if (bookingCode) query.bookingCode = bookingCode;
+    if (originalTransactionId) query['mit.originalTransaction'] = originalTransactionId;
+
+    const charges = await Transaction.find(query)
+      .populate('pos', 'name provider')
+      .select('-card.holder -card.number -card.expiry -card.cvv -logs')
+      .sort({ createdAt: -1 });
+
+    res.json({ status: true, charges });
+  } catch (error) {
+    res.status(500).json({ status: false, error: error.message });
+  }
+});
+
+export default router;
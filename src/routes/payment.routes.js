@@ -1,12 +1,17 @@
 /**
  * Payment Routes
  * Auth handled at server level via apiKeyAuth + gatewayAuth
+ * Mutating routes accept an Idempotency-Key header (see middleware/idempotency.js)
  * Note: /form and /callback routes are mounted separately as public routes
  */
 
 import { Router } from 'express';
 import PaymentService from '../services/PaymentService.js';
 import { VirtualPos, Company } from '../models/index.js';
+import { idempotency } from '../middleware/idempotency.js';
+import { resolveCardToken } from '../services/CardVaultService.js';
+import { resolveResult, validateResultHandling } from '../services/ResultHandlingService.js';
+import { getBranding, renderResultPage } from '../views/paymentPages.js';
 
 const router = Router();
 
@@ -56,28 +61,73 @@ router.post('/bin', async (req, res) => {
 });
 
 /**
- * POST /pay
- * Start payment
+ * Validate card input (raw card fields or stored card token)
+ * @returns {string|null} error message
+ */
+function validateCardInput({ card, cardToken, saveCard, customerRef }) {
+  if (cardToken) return null;
+
+  if (!card.holder || !card.number || !card.expiry || !card.cvv) {
+    return 'Kart bilgileri eksik (holder, number, expiry, cvv)';
+  }
+
+  if (saveCard && !customerRef) {
+    return 'Kart kaydı için customerRef gerekli';
+  }
+
+  return null;
+}
+
+/**
+ * Resolve card for payment and vault info for the transaction
+ * Kayıtlı kartta CVV saklanmaz - istekte card.cvv gönderilebilir
  */
-router.post('/pay', async (req, res) => {
+async function resolvePaymentCard(companyId, { card, cardToken, saveCard, customerRef }) {
+  if (cardToken) {
+    const { storedCard, card: vaultCard } = await resolveCardToken(companyId, cardToken, customerRef);
+    return {
+      card: { ...vaultCard, cvv: card?.cvv || '' },
+      vault: { token: cardToken, customerRef: storedCard.customerRef }
+    };
+  }
+
+  return {
+    card: {
+      holder: card.holder,
+      number: card.number.replace(/\s/g, ''),
+      expiry: card.expiry,
+      cvv: card.cvv
+    },
+    vault: saveCard ? { save: true, customerRef } : undefined
+  };
+}
+
+// Start payment handler (forcedModel: /pay/direct için 'regular')
+const createPaymentHandler = (forcedModel) => async (req, res) => {
   try {
-    const { posId, amount, currency, installment, card, customer, externalId, company } = req.body;
+    const { posId, amount, currency, installment, card, cardToken, customer, externalId, bookingCode, company } = req.body;
+    const paymentModel = forcedModel || req.body.paymentModel || '3d';
 
-    // Validate required fields
-    if (!amount || !currency || !card) {
+    if (!['3d', 'regular'].includes(paymentModel)) {
       return res.status(400).json({
         status: false,
-        error: 'amount, currency ve card gerekli'
+        error: 'paymentModel 3d veya regular olmalı'
       });
     }
 
-    if (!card.holder || !card.number || !card.expiry || !card.cvv) {
+    // Validate required fields
+    if (!amount || !currency || (!card && !cardToken)) {
       return res.status(400).json({
         status: false,
-        error: 'Kart bilgileri eksik (holder, number, expiry, cvv)'
+        error: 'amount, currency ve card (veya cardToken) gerekli'
       });
     }
 
+    const cardError = validateCardInput(req.body);
+    if (cardError) {
+      return res.status(400).json({ status: false, error: cardError });
+    }
+
     // Get company ID from request or use first active company
     let companyId = company;
     if (!companyId) {
@@ -91,13 +141,21 @@ router.post('/pay', async (req, res) => {
       companyId = defaultCompany._id;
     }
 
+    // Card fields or stored card token
+    const { card: paymentCard, vault } = await resolvePaymentCard(companyId, req.body);
+
+    // 3D sonuç davranışı (redirect URL'leri / izinli postMessage origin'i)
+    const resultHandling = paymentModel === '3d'
+      ? await validateResultHandling(companyId, req.body.resultHandling)
+      : undefined;
+
     // Find POS if not specified
     let targetPosId = posId;
     if (!targetPosId) {
       // Use BIN query to find suitable POS
       const binResult = await PaymentService.queryBin(
         companyId,
-        card.number.slice(0, 8),
+        paymentCard.number.slice(0, 8),
         parseFloat(amount),
         currency.toLowerCase()
       );
@@ -114,21 +172,36 @@ router.post('/pay', async (req, res) => {
       amount: parseFloat(amount),
       currency: currency.toLowerCase(),
       installment: parseInt(installment) || 1,
-      card: {
-        holder: card.holder,
-        number: card.number.replace(/\s/g, ''),
-        expiry: card.expiry,
-        cvv: card.cvv
-      },
+      card: paymentCard,
       customer: customer || {},
-      externalId
+      externalId,
+      bookingCode,
+      paymentModel,
+      vault,
+      resultHandling,
+      // POS otomatik seçildiyse hata durumunda sıradaki POS denenir
+      companyId,
+      failover: !posId
     });
 
     res.json(result);
   } catch (error) {
-    res.status(500).json({ status: false, error: error.message });
+    res.status(error.status || 500).json({ status: false, error: error.message, code: error.code });
   }
-});
+};
+
+/**
+ * POST /pay
+ * Start payment (3D by default, paymentModel: 'regular' for non-3D)
+ */
+router.post('/pay', idempotency(), createPaymentHandler());
+
+/**
+ * POST /pay/direct
+ * Non-3D payment - bank result returned synchronously
+ * Requires POS allowDirectPayment + provider paymentDirect capability
+ */
+router.post('/pay/direct', idempotency(), createPaymentHandler('regular'));
 
 /**
  * GET /:id
@@ -153,11 +226,11 @@ router.get('/:id', async (req, res) => {
 
 /**
  * POST /refund
- * Refund a completed payment
+ * Refund a completed payment (amount optional - partial refund)
  */
-router.post('/refund', async (req, res) => {
+router.post('/refund', idempotency(), async (req, res) => {
   try {
-    const { transactionId } = req.body;
+    const { transactionId, amount } = req.body;
 
     if (!transactionId) {
       return res.status(400).json({
@@ -166,7 +239,18 @@ router.post('/refund', async (req, res) => {
       });
     }
 
-    const result = await PaymentService.refundPayment(transactionId);
+    let refundAmount;
+    if (amount !== undefined && amount !== null && amount !== '') {
+      refundAmount = parseFloat(amount);
+      if (isNaN(refundAmount) || refundAmount <= 0) {
+        return res.status(400).json({
+          status: false,
+          error: 'Geçersiz iade tutarı'
+        });
+      }
+    }
+
+    const result = await PaymentService.refundPayment(transactionId, refundAmount);
     res.json({ status: true, ...result });
   } catch (error) {
     res.status(400).json({ status: false, error: error.message });
@@ -177,7 +261,7 @@ router.post('/refund', async (req, res) => {
  * POST /cancel
  * Cancel a payment (same day only)
  */
-router.post('/cancel', async (req, res) => {
+router.post('/cancel', idempotency(), async (req, res) => {
   try {
     const { transactionId } = req.body;
 
@@ -211,51 +295,102 @@ router.get('/status/:id', async (req, res) => {
 /**
  * POST /pre-auth
  * Create pre-authorization (block amount without capture)
+ * paymentModel: 'regular' (default, non-3D) or '3d' (formUrl döner, sonuç callback ile)
  */
-router.post('/pre-auth', async (req, res) => {
+router.post('/pre-auth', idempotency(), async (req, res) => {
   try {
-    const { posId, amount, currency, installment, card, customer, externalId } = req.body;
+    const { posId, amount, currency, installment, card, cardToken, customer, externalId, bookingCode } = req.body;
+    const paymentModel = req.body.paymentModel || 'regular';
 
-    if (!posId || !amount || !currency || !card) {
+    if (!['3d', 'regular'].includes(paymentModel)) {
       return res.status(400).json({
         status: false,
-        error: 'posId, amount, currency ve card gerekli'
+        error: 'paymentModel 3d veya regular olmalı'
       });
     }
 
-    if (!card.holder || !card.number || !card.expiry || !card.cvv) {
+    if (!posId || !amount || !currency || (!card && !cardToken)) {
       return res.status(400).json({
         status: false,
-        error: 'Kart bilgileri eksik (holder, number, expiry, cvv)'
+        error: 'posId, amount, currency ve card (veya cardToken) gerekli'
       });
     }
 
+    const cardError = validateCardInput(req.body);
+    if (cardError) {
+      return res.status(400).json({ status: false, error: cardError });
+    }
+
+    const pos = await VirtualPos.findById(posId).select('company');
+    if (!pos) {
+      return res.status(404).json({ status: false, error: 'Sanal pos bulunamadı' });
+    }
+
+    // Card fields or stored card token
+    const { card: paymentCard, vault } = await resolvePaymentCard(pos.company, req.body);
+
+    const resultHandling = paymentModel === '3d'
+      ? await validateResultHandling(pos.company, req.body.resultHandling)
+      : undefined;
+
     const result = await PaymentService.createPreAuth({
       posId,
       amount: parseFloat(amount),
       currency: currency.toLowerCase(),
       installment: parseInt(installment) || 1,
-      card: {
-        holder: card.holder,
-        number: card.number.replace(/\s/g, ''),
-        expiry: card.expiry,
-        cvv: card.cvv
-      },
+      card: paymentCard,
       customer: customer || {},
-      externalId
+      externalId,
+      bookingCode,
+      paymentModel,
+      vault,
+      resultHandling
     });
 
     res.json({ status: true, ...result });
   } catch (error) {
-    res.status(400).json({ status: false, error: error.message });
+    res.status(error.status || 400).json({ status: false, error: error.message, code: error.code });
   }
 });
 
 /**
  * POST /post-auth
- * Capture pre-authorized amount
+ * Capture pre-authorized amount (amount boşsa tamamı kapatılır)
  */
-router.post('/post-auth', async (req, res) => {
+router.post('/post-auth', idempotency(), async (req, res) => {
+  try {
+    const { transactionId, amount } = req.body;
+
+    if (!transactionId) {
+      return res.status(400).json({
+        status: false,
+        error: 'transactionId gerekli'
+      });
+    }
+
+    let captureAmount;
+    if (amount !== undefined && amount !== null && amount !== '') {
+      captureAmount = parseFloat(amount);
+      if (isNaN(captureAmount) || captureAmount <= 0) {
+        return res.status(400).json({
+          status: false,
+          error: 'Geçersiz kapama tutarı'
+        });
+      }
+    }
+
+    const result = await PaymentService.createPostAuth(transactionId, captureAmount);
+    res.json({ status: true, ...result });
+  } catch (error) {
+    res.status(400).json({ status: false, error: error.message });
+  }
+});
+
+/**
+ * POST /pre-auth/release
+ * Release pre-authorization hold without capture
+ */
+router.post('/pre-auth/release', idempotency(), async (req, res) => {
   try {
     const { transactionId } = req.body;
 
@@ -266,7 +401,7 @@ router.post('/post-auth', async (req, res) => {
       });
     }
 
-    const result = await PaymentService.createPostAuth(transactionId);
+    const result = await PaymentService.releasePreAuth(transactionId);
     res.json({ status: true, ...result });
   } catch (error) {
     res.status(400).json({ status: false, error: error.message });
@@ -330,94 +465,26 @@ publicPaymentRoutes.options('/:id/callback', (req, res) => {
 });
 
 /**
- * POST /payment/:id/callback
- * 3D callback from bank
- * No auth - called by bank
+ * 3D callback handler
+ * Bankalar POST eder; PayTR dönüşü GET olabilir (query) - GET sadece sonuç gösterir
  */
-publicPaymentRoutes.post('/:id/callback', async (req, res) => {
+const createCallbackHandler = ({ displayOnly = false } = {}) => async (req, res) => {
   // Allow all origins for callback (bank redirects here)
   res.setHeader('Access-Control-Allow-Origin', '*');
   res.setHeader('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
   res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
 
   try {
-    const result = await PaymentService.processCallback(req.params.id, req.body);
-
-    // Return HTML result page
-    const statusClass = result.success ? 'success' : 'error';
-    const statusText = result.success ? 'Payment Successful' : 'Payment Failed';
-    const message = result.message || '';
-
-    // Get frontend URL from env or default
-    const frontendUrl = process.env.FRONTEND_URL || 'http://localhost:5173';
-
-    res.send(`
-<!DOCTYPE html>
-<html>
-<head>
-  <meta charset="UTF-8">
-  <title>${statusText}</title>
-  <style>
-    body { font-family: Arial, sans-serif; display: flex; justify-content: center; align-items: center; height: 100vh; margin: 0; background: #f5f5f5; }
-    .result { text-align: center; padding: 40px; background: white; border-radius: 10px; box-shadow: 0 2px 10px rgba(0,0,0,0.1); max-width: 400px; }
-    .success { color: #27ae60; }
-    .error { color: #e74c3c; }
-    .icon { font-size: 60px; margin-bottom: 20px; }
-    h1 { margin: 0 0 10px; }
-    p { color: #666; margin: 0; }
-  </style>
-</head>
-<body>
-  <div class="result">
-    <div class="icon ${statusClass}">${result.success ? '✓' : '✗'}</div>
-    <h1 class="${statusClass}">${statusText}</h1>
-    <p>${message}</p>
-    <p id="status">Yönlendiriliyor...</p>
-  </div>
-  <script>
-    var result = ${JSON.stringify(result)};
-    var sent = false;
-
-    function sendToParent() {
-      if (sent) return;
-      try {
-        // Try multiple methods to reach parent
-        if (window.top !== window) {
-          window.top.postMessage({ type: 'payment_result', data: result }, '*');
-          sent = true;
-        } else if (window.parent !== window) {
-          window.parent.postMessage({ type: 'payment_result', data: result }, '*');
-          sent = true;
-        } else if (window.opener) {
-          window.opener.postMessage({ type: 'payment_result', data: result }, '*');
-          sent = true;
-        }
-      } catch(e) {
-        console.error('postMessage error:', e);
-      }
-    }
-
-    // Try immediately
-    sendToParent();
-
-    // Retry a few times
-    setTimeout(sendToParent, 100);
-    setTimeout(sendToParent, 500);
-    setTimeout(sendToParent, 1000);
-
-    // Fallback: redirect to frontend with result after 3 seconds
-    setTimeout(function() {
-      if (!sent) {
-        var redirectUrl = '${frontendUrl}/payment/result?success=' + result.success + '&message=' + encodeURIComponent(result.message || '');
-        window.location.href = redirectUrl;
-      }
-    }, 3000);
-  </script>
-</body>
-</html>
-    `);
+    // Query sadece PayTR tarayıcı dönüşünde (GET) okunur; bankanın POST callback'inde
+    // URL'e eklenen parametreler doğrulanan veriye karışmaz
+    const data = displayOnly ? { ...req.query, ...req.body } : req.body;
+    await PaymentService.processCallback(req.params.id, data, { displayOnly });
+
+    // Sonuç davranışı: ödeme → POS → firma ayarı (redirect / postMessage / sayfa)
+    const target = await resolveResult(req.params.id);
+    res.send(renderResultPage(target, getBranding(target.company)));
   } catch (error) {
-    res.status(400).send(`
+    res.status(error.status || 400).send(`
       <html>
         <head><title>Error</title></head>
         <body>
@@ -427,4 +494,35 @@ publicPaymentRoutes.post('/:id/callback', async (req, res) => {
       </html>
     `);
   }
+};
+
+/**
+ * POST /payment/:id/callback
+ * 3D callback from bank
+ * No auth - called by bank
+ */
+publicPaymentRoutes.post('/:id/callback', createCallbackHandler());
+
+/**
+ * GET /payment/:id/callback
+ * Browser redirect (PayTR merchant_ok_url / merchant_fail_url)
+ * Sonuç PayTR bildiriminden gelir; diğer provider'lar GET ile sonuçlandırılamaz
+ */
+publicPaymentRoutes.get('/:id/callback', createCallbackHandler({ displayOnly: true }));
+
+/**
+ * POST /payment/notify/paytr
+ * PayTR server-to-server notification (PayTR panelinde Bildirim URL olarak tanımlanır)
+ * Hash doğrulanır; PayTR düz metin "OK" alana kadar bildirimi tekrarlar
+ */
+publicPaymentRoutes.post('/notify/paytr', async (req, res) => {
+  res.setHeader('Content-Type', 'text/plain; charset=utf-8');
+
+  try {
+    await PaymentService.processPaytrNotification(req.body);
+    res.send('OK');
+  } catch (error) {
+    console.error('[PayTR] Notification error:', error.message);
+    res.status(error.status || 500).send(`PAYTR notification failed: ${error.message}`);
+  }
 });
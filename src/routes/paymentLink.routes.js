@@ -0,0 +1,282 @@
+/**
+ * Payment Link Routes
+ * API: link oluşturma, listeleme, iptal (apiKeyAuth + gatewayAuth)
+ * Public: /payment/link/:token ödeme sayfası (misafir kart bilgisini girer)
+ */
+
+import { Router } from 'express';
+import { PaymentLink } from '../models/index.js';
+import PaymentService from '../services/PaymentService.js';
+import PaymentLinkService from '../services/PaymentLinkService.js';
+import { getBranding, renderCardPage, renderMessagePage } from '../views/paymentPages.js';
+import { getCompanyId } from '../middleware/companyScope.js';
+
+const router = Router();
+
+/**
+ * Link response with public URL
+ */
+function toLinkResponse(link) {
+  return { ...link.toJSON(), url: PaymentLinkService.getLinkUrl(link) };
+}
+
+/**
+ * GET /
+ * List payment links
+ */
+router.get('/', async (req, res) => {
+  try {
+    const { page = 1, limit = 20, company, status, bookingCode } = req.query;
+
+    const query = {};
+    if (company) query.company = company;
+    if (status) query.status = status;
+    if (bookingCode) query.bookingCode = bookingCode;
+
+    // Süresi dolanları listeden önce işaretle
+    await PaymentLinkService.expireLinks(company ? { company } : {});
+
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+    const total = await PaymentLink.countDocuments(query);
+
+    const links = await PaymentLink.find(query)
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(parseInt(limit));
+
+    res.json({
+      status: true,
+      links: links.map(toLinkResponse),
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total,
+        pages: Math.ceil(total / parseInt(limit))
+      }
+    });
+  } catch (error) {
+    res.status(500).json({ status: false, error: error.message });
+  }
+});
+
+/**
+ * POST /
+ * Create payment link
+ */
+router.post('/', async (req, res) => {
+  try {
+    const { amount, currency, installments, usage, maxUses, expiresAt, bookingCode, externalId, description, customer } = req.body;
+
+    if (!amount || !currency) {
+      return res.status(400).json({
+        status: false,
+        error: 'amount ve currency gerekli'
+      });
+    }
+
+    const companyId = await getCompanyId(req);
+    if (!companyId) {
+      return res.status(400).json({ status: false, error: 'No active company found' });
+    }
+
+    const link = await PaymentLinkService.createLink({
+      companyId,
+      amount,
+      currency,
+      installments,
+      usage,
+      maxUses,
+      expiresAt,
+      bookingCode,
+      externalId,
+      description,
+      customer,
+      createdBy: req.user?.id
+    });
+
+    res.json({ status: true, link: toLinkResponse(link) });
+  } catch (error) {
+    res.status(error.status || 500).json({ status: false, error: error.message, code: error.code });
+  }
+});
+
+/**
+ * GET /:id
+ * Get payment link with payment attempts
+ */
+router.get('/:id', async (req, res) => {
+  try {
+    const companyId = await getCompanyId(req);
+    if (!companyId) {
+      return res.status(400).json({ status: false, error: 'No active company found' });
+    }
+
+    const { link, transactions } = await PaymentLinkService.getLink(req.params.id, companyId);
+    res.json({ status: true, link: toLinkResponse(link), transactions });
+  } catch (error) {
+    res.status(error.status || 500).json({ status: false, error: error.message, code: error.code });
+  }
+});
+
+/**
+ * POST /:id/cancel
+ * Cancel payment link
+ */
+router.post('/:id/cancel', async (req, res) => {
+  try {
+    const companyId = await getCompanyId(req);
+    if (!companyId) {
+      return res.status(400).json({ status: false, error: 'No active company found' });
+    }
+
+    const link = await PaymentLinkService.cancelLink(req.params.id, companyId);
+    res.json({ status: true, link: toLinkResponse(link) });
+  } catch (error) {
+    res.status(error.status || 500).json({ status: false, error: error.message, code: error.code });
+  }
+});
+
+export default router;
+
+// ============================================================================
+// PUBLIC ROUTES (no auth - link page opened by guest)
+// Mounted at /payment/link
+// ============================================================================
+
+export const publicPaymentLinkRoutes = Router();
+
+/**
+ * GET /payment/link/:token
+ * Payment page - marks link as opened
+ */
+publicPaymentLinkRoutes.get('/:token', async (req, res) => {
+  res.setHeader('Content-Type', 'text/html; charset=utf-8');
+
+  try {
+    const link = await PaymentLinkService.getPayableLink(req.params.token);
+    await PaymentLinkService.markLinkOpened(link);
+
+    res.send(renderCardPage({
+      basePath: `/payment/link/${encodeURIComponent(link.token)}`,
+      amount: link.amount,
+      currency: link.currency,
+      branding: getBranding(link.company),
+      lines: [link.description, link.bookingCode && `Rezervasyon: ${link.bookingCode}`],
+      customer: link.customer
+    }));
+  } catch (error) {
+    res.status(error.status || 400).send(renderMessagePage('Ödeme yapılamıyor', error.message));
+  }
+});
+
+/**
+ * POST /payment/link/:token/installments
+ * Installment options for the card (limited to link's allowed installments)
+ */
+publicPaymentLinkRoutes.post('/:token/installments', async (req, res) => {
+  try {
+    const { bin } = req.body;
+
+    if (!bin) {
+      return res.status(400).json({ success: false, error: 'bin gerekli' });
+    }
+
+    const link = await PaymentLinkService.getPayableLink(req.params.token);
+
+    const result = await PaymentService.queryBin(
+      link.company._id,
+      String(bin).replace(/\D/g, '').slice(0, 8),
+      link.amount,
+      link.currency
+    );
+
+    if (!result.success) {
+      return res.status(400).json(result);
+    }
+
+    res.json({
+      success: true,
+      bank: result.bank,
+      brand: result.brand,
+      cardType: result.cardType,
+      installments: PaymentLinkService.filterInstallmentOptions(link, result.installments)
+    });
+  } catch (error) {
+    res.status(error.status || 500).json({ success: false, error: error.message, code: error.code });
+  }
+});
+
+/**
+ * POST /payment/link/:token/pay
+ * Start 3D payment for the link amount - returns formUrl
+ */
+publicPaymentLinkRoutes.post('/:token/pay', async (req, res) => {
+  try {
+    const { card, installment } = req.body;
+
+    if (!card?.holder || !card?.number || !card?.expiry || !card?.cvv) {
+      return res.status(400).json({
+        success: false,
+        error: 'Kart bilgileri eksik (holder, number, expiry, cvv)'
+      });
+    }
+
+    const installmentCount = parseInt(installment) || 1;
+    const cardNumber = card.number.replace(/\D/g, '');
+
+    // Link kilitlenir - eşzamanlı ikinci ödeme 409 alır
+    const { link, claimId } = await PaymentLinkService.claimPayableLink(req.params.token);
+
+    let result;
+    try {
+      PaymentLinkService.assertLinkInstallment(link, installmentCount);
+
+      const companyId = link.company._id;
+
+      // POS seçimi /pay ile aynı: BIN sorgusu
+      const binResult = await PaymentService.queryBin(companyId, cardNumber.slice(0, 8), link.amount, link.currency);
+      if (!binResult.success) {
+        await PaymentLinkService.releaseLinkClaim(link._id, claimId);
+        return res.status(400).json(binResult);
+      }
+
+      result = await PaymentService.createPayment({
+        posId: binResult.pos.id,
+        amount: link.amount,
+        currency: link.currency,
+        installment: installmentCount,
+        card: {
+          holder: card.holder,
+          number: cardNumber,
+          expiry: card.expiry,
+          cvv: card.cvv
+        },
+        customer: {
+          name: link.customer?.name || card.holder,
+          email: link.customer?.email,
+          phone: link.customer?.phone,
+          ip: req.ip
+        },
+        externalId: link.externalId,
+        bookingCode: link.bookingCode,
+        paymentLink: link._id,
+        companyId,
+        failover: true
+      });
+    } catch (error) {
+      await PaymentLinkService.releaseLinkClaim(link._id, claimId).catch(() => {});
+      throw error;
+    }
+
+    // Başlatılan ödeme 3D sonucuna kadar linki tutar; başlatılamadıysa kilit bırakılır
+    if (result.success && result.transactionId) {
+      await PaymentLinkService.attachLinkClaim(link._id, claimId, result.transactionId);
+    } else {
+      await PaymentLinkService.releaseLinkClaim(link._id, claimId);
+    }
+
+    res.json(result);
+  } catch (error) {
+    res.status(error.status || 400).json({ success: false, error: error.message, code: error.code });
+  }
+});
@@ -8,6 +8,7 @@ import mongoose from 'mongoose';
 import { VirtualPos, Company } from '../models/index.js';
 import { BANKS } from '../models/VirtualPos.js';
 import { getSupportedProviders, isProviderSupported } from '../providers/index.js';
+import { getPosUsage } from '../services/PosLimitService.js';
 
 const router = Router();
 
@@ -91,6 +92,7 @@ router.post('/', async (req, res) => {
       priority,
       paymentModel,
       allowDirectPayment,
+      batchCutoff,
       supportedCardFamilies
     } = req.body;
 
@@ -181,6 +183,7 @@ router.post('/', async (req, res) => {
       priority: priority || 0,
       paymentModel: paymentModel || '3d',
       allowDirectPayment: allowDirectPayment || false,
+      batchCutoff: batchCutoff || undefined,
       supportedCardFamilies: supportedCardFamilies || []
     });
 
@@ -225,6 +228,31 @@ router.get('/:id', async (req, res) => {
   }
 });
 
+/**
+ * GET /:id/usage
+ * Get POS limit usage (daily/monthly) and remaining headroom
+ */
+router.get('/:id/usage', async (req, res) => {
+  try {
+    // Validate ObjectId format
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(404).json({ status: false, error: 'Geçersiz POS ID formatı' });
+    }
+
+    const pos = await VirtualPos.findById(req.params.id);
+
+    if (!pos) {
+      return res.status(404).json({ status: false, error: 'POS bulunamadı' });
+    }
+
+    const usage = await getPosUsage(pos);
+
+    res.json({ status: true, ...usage });
+  } catch (error) {
+    res.status(500).json({ status: false, error: error.message });
+  }
+});
+
 /**
  * PUT /:id
  * Update POS
@@ -257,6 +285,7 @@ router.put('/:id', async (req, res) => {
       priority,
       paymentModel,
       allowDirectPayment,
+      batchCutoff,
       supportedCardFamilies
     } = req.body;
 
@@ -266,6 +295,8 @@ router.put('/:id', async (req, res) => {
     if (typeof priority === 'number') pos.priority = priority;
     if (paymentModel) pos.paymentModel = paymentModel;
     if (typeof allowDirectPayment === 'boolean') pos.allowDirectPayment = allowDirectPayment;
+    // Boş değer bankanın varsayılan gün sonu saatine döner
+    if (batchCutoff !== undefined) pos.batchCutoff = batchCutoff || undefined;
     if (supportedCardFamilies && Array.isArray(supportedCardFamilies)) {
       pos.supportedCardFamilies = supportedCardFamilies;
     }
@@ -0,0 +1,36 @@
+/**
+ * Report Routes
+ * Finans raporları (komisyon / net gelir)
+ * Auth handled at server level via apiKeyAuth + gatewayAuth
+ */
+
+import { Router } from 'express';
+import ReportService from '../services/ReportService.js';
+
+const router = Router();
+
+/**
+ * GET /commission?company=&pos=&bankCode=&currency=&from=&to=&groupBy=pos,bank,month,currency
+ * Gross, commission and net per group (komisyon işlem tarihindeki döneme göre hesaplanır)
+ */
+router.get('/commission', async (req, res) => {
+  try {
+    const { company, pos, bankCode, currency, from, to, groupBy } = req.query;
+
+    const report = await ReportService.getCommissionReport({
+      company,
+      pos,
+      bankCode,
+      currency,
+      from,
+      to,
+      groupBy
+    });
+
+    res.json({ status: true, ...report });
+  } catch (error) {
+    res.status(error.status || 500).json({ status: false, error: error.message });
+  }
+});
+
+export default router;
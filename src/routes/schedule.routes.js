@@ -0,0 +1,190 @@
+/**
+ * Payment Schedule Routes
+ * Planlı (bakiye) ve periyodik tahsilatlar
+ * Auth handled at server level via apiKeyAuth + gatewayAuth
+ */
+
+import { Router } from 'express';
+import { PaymentSchedule } from '../models/index.js';
+import ScheduleService from '../services/ScheduleService.js';
+import { getCompanyId } from '../middleware/companyScope.js';
+
+const router = Router();
+
+/**
+ * GET /
+ * List schedules
+ */
+router.get('/', async (req, res) => {
+  try {
+    const { page = 1, limit = 20, company, status, bookingCode, customerRef } = req.query;
+
+    const query = {};
+    if (company) query.company = company;
+    if (status) query.status = status;
+    if (bookingCode) query.bookingCode = bookingCode;
+    if (customerRef) query.customerRef = customerRef;
+
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+    const total = await PaymentSchedule.countDocuments(query);
+
+    const schedules = await PaymentSchedule.find(query)
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(parseInt(limit));
+
+    res.json({
+      status: true,
+      schedules,
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total,
+        pages: Math.ceil(total / parseInt(limit))
+      }
+    });
+  } catch (error) {
+    res.status(500).json({ status: false, error: error.message });
+  }
+});
+
+/**
+ * POST /
+ * Create schedule
+ * plan: { charges: [{ amount, dueDate }] }
+ * recurring: { recurring: { amount, interval, intervalCount, startDate, endDate, maxCharges } }
+ */
+router.post('/', async (req, res) => {
+  try {
+    const { posId, customerRef, cardToken, currency, type, charges, recurring, retryPolicy, bookingCode, externalId, description } = req.body;
+
+    if (!customerRef || !cardToken) {
+      return res.status(400).json({
+        status: false,
+        error: 'customerRef ve cardToken gerekli'
+      });
+    }
+
+    const companyId = await getCompanyId(req);
+    if (!companyId) {
+      return res.status(400).json({ status: false, error: 'No active company found' });
+    }
+
+    const schedule = await ScheduleService.createSchedule({
+      companyId,
+      posId,
+      customerRef,
+      cardToken,
+      currency,
+      type,
+      charges,
+      recurring,
+      retryPolicy,
+      bookingCode,
+      externalId,
+      description
+    });
+
+    res.json({ status: true, schedule });
+  } catch (error) {
+    res.status(error.status || 500).json({ status: false, error: error.message });
+  }
+});
+
+/**
+ * GET /:id
+ * Get schedule with charges
+ */
+router.get('/:id', async (req, res) => {
+  try {
+    const companyId = await getCompanyId(req);
+    if (!companyId) {
+      return res.status(400).json({ status: false, error: 'No active company found' });
+    }
+
+    const schedule = await PaymentSchedule.findOne({ _id: req.params.id, company: companyId })
+      .populate('charges.transaction', 'status amount result.code result.message completedAt');
+
+    if (!schedule) {
+      return res.status(404).json({ status: false, error: 'Ödeme planı bulunamadı' });
+    }
+
+    res.json({ status: true, schedule });
+  } catch (error) {
+    res.status(500).json({ status: false, error: error.message });
+  }
+});
+
+/**
+ * PATCH /:id
+ * Amend schedule (card, POS, retry policy, pending charges, recurring amount/end)
+ */
+router.patch('/:id', async (req, res) => {
+  try {
+    const companyId = await getCompanyId(req);
+    if (!companyId) {
+      return res.status(400).json({ status: false, error: 'No active company found' });
+    }
+
+    const schedule = await ScheduleService.amendSchedule(req.params.id, req.body, companyId);
+    res.json({ status: true, schedule });
+  } catch (error) {
+    res.status(error.status || 500).json({ status: false, error: error.message });
+  }
+});
+
+/**
+ * POST /:id/pause
+ * Pause schedule
+ */
+router.post('/:id/pause', async (req, res) => {
+  try {
+    const companyId = await getCompanyId(req);
+    if (!companyId) {
+      return res.status(400).json({ status: false, error: 'No active company found' });
+    }
+
+    const schedule = await ScheduleService.pauseSchedule(req.params.id, companyId);
+    res.json({ status: true, schedule });
+  } catch (error) {
+    res.status(error.status || 500).json({ status: false, error: error.message });
+  }
+});
+
+/**
+ * POST /:id/resume
+ * Resume paused schedule
+ */
+router.post('/:id/resume', async (req, res) => {
+  try {
+    const companyId = await getCompanyId(req);
+    if (!companyId) {
+      return res.status(400).json({ status: false, error: 'No active company found' });
+    }
+
+    const schedule = await ScheduleService.resumeSchedule(req.params.id, companyId);
+    res.json({ status: true, schedule });
+  } catch (error) {
+    res.status(error.status || 500).json({ status: false, error: error.message });
+  }
+});
+
+/**
+ * POST /:id/cancel
+ * Cancel schedule and its pending charges
+ */
+router.post('/:id/cancel', async (req, res) => {
+  try {
+    const companyId = await getCompanyId(req);
+    if (!companyId) {
+      return res.status(400).json({ status: false, error: 'No active company found' });
+    }
+
+    const schedule = await ScheduleService.cancelSchedule(req.params.id, companyId);
+    res.json({ status: true, schedule });
+  } catch (error) {
+    res.status(error.status || 500).json({ status: false, error: error.message });
+  }
+});
+
+export default router;
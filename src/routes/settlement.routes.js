@@ -0,0 +1,148 @@
+/**
+ * Settlement Routes
+ * Gün sonu (batch close) raporları - banka ekstresiyle mutabakat için
+ * Auth handled at server level via apiKeyAuth + gatewayAuth
+ */
+
+import { Router } from 'express';
+import { Settlement, Transaction } from '../models/index.js';
+import SettlementService from '../services/SettlementService.js';
+
+const router = Router();
+
+/**
+ * GET /
+ * List closed batches (from/to: businessDate YYYY-MM-DD)
+ */
+router.get('/', async (req, res) => {
+  try {
+    const { page = 1, limit = 20, company, pos, bankCode, from, to } = req.query;
+
+    const query = {};
+    if (company) query.company = company;
+    if (pos) query.pos = pos;
+    if (bankCode) query.bankCode = bankCode;
+    if (from || to) {
+      query.businessDate = {};
+      if (from) query.businessDate.$gte = from;
+      if (to) query.businessDate.$lte = to;
+    }
+
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+    const total = await Settlement.countDocuments(query);
+
+    const settlements = await Settlement.find(query)
+      .populate('pos', 'name bankCode provider')
+      .sort({ businessDate: -1, createdAt: -1 })
+      .skip(skip)
+      .limit(parseInt(limit));
+
+    res.json({
+      status: true,
+      settlements,
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total,
+        pages: Math.ceil(total / parseInt(limit))
+      }
+    });
+  } catch (error) {
+    res.status(500).json({ status: false, error: error.message });
+  }
+});
+
+/**
+ * GET /preview?posId=&businessDate=
+ * Open batch totals without closing (businessDate boş ise bugünkü batch)
+ */
+router.get('/preview', async (req, res) => {
+  try {
+    const { posId, businessDate } = req.query;
+
+    if (!posId) {
+      return res.status(400).json({ status: false, error: 'posId gerekli' });
+    }
+
+    const preview = await SettlementService.getBatchPreview(posId, businessDate);
+    res.json({ status: true, ...preview });
+  } catch (error) {
+    res.status(error.status || 500).json({ status: false, error: error.message });
+  }
+});
+
+/**
+ * POST /close
+ * Close batch manually (worker normally closes past days)
+ */
+router.post('/close', async (req, res) => {
+  try {
+    const { posId, businessDate } = req.body;
+
+    if (!posId || !businessDate) {
+      return res.status(400).json({ status: false, error: 'posId ve businessDate gerekli' });
+    }
+
+    const settlement = await SettlementService.closeBatch(posId, businessDate, {
+      closedBy: req.user?.id || 'system'
+    });
+
+    res.json({ status: true, settlement });
+  } catch (error) {
+    res.status(error.status || 500).json({ status: false, error: error.message });
+  }
+});
+
+/**
+ * GET /:id
+ * Get batch report
+ */
+router.get('/:id', async (req, res) => {
+  try {
+    const settlement = await Settlement.findById(req.params.id)
+      .populate('pos', 'name bankCode provider');
+
+    if (!settlement) {
+      return res.status(404).json({ status: false, error: 'Gün sonu raporu bulunamadı' });
+    }
+
+    res.json({ status: true, settlement });
+  } catch (error) {
+    res.status(500).json({ status: false, error: error.message });
+  }
+});
+
+/**
+ * GET /:id/transactions
+ * Transactions in the batch
+ */
+router.get('/:id/transactions', async (req, res) => {
+  try {
+    const { page = 1, limit = 100 } = req.query;
+    const query = { settlement: req.params.id };
+
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+    const total = await Transaction.countDocuments(query);
+
+    const transactions = await Transaction.find(query)
+      .select('-logs -secure')
+      .sort({ completedAt: 1 })
+      .skip(skip)
+      .limit(parseInt(limit));
+
+    res.json({
+      status: true,
+      transactions,
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total,
+        pages: Math.ceil(total / parseInt(limit))
+      }
+    });
+  } catch (error) {
+    res.status(500).json({ status: false, error: error.message });
+  }
+});
+
+export default router;
@@ -0,0 +1,156 @@
+/**
+ * Statement Routes
+ * Banka ekstresi içe aktarımı ve mutabakat raporları
+ * Auth handled at server level via apiKeyAuth + gatewayAuth
+ */
+
+import express, { Router } from 'express';
+import { StatementImport, ReconciliationItem } from '../models/index.js';
+import { STATEMENT_MAPPINGS } from '../constants/statementMappings.js';
+import StatementService from '../services/StatementService.js';
+
+const router = Router();
+
+// Dosya ham gövde olarak gelir (Content-Type fark etmeksizin), parametreler query'de
+const rawFile = express.raw({ type: () => true, limit: process.env.STATEMENT_MAX_SIZE || '20mb' });
+
+/**
+ * GET /mappings
+ * Supported statement formats (kolon başlıkları)
+ */
+router.get('/mappings', (req, res) => {
+  const mappings = Object.entries(STATEMENT_MAPPINGS).map(([key, mapping]) => ({
+    key,
+    name: mapping.name,
+    columns: mapping.columns,
+    types: mapping.types
+  }));
+
+  res.json({ status: true, mappings });
+});
+
+/**
+ * POST /imports?posId=&fileName=&format=&mapping=&from=&to=
+ * Import statement file (CSV/XLSX, ham gövde) and reconcile
+ */
+router.post('/imports', rawFile, async (req, res) => {
+  try {
+    const { posId, fileName, format, mapping, from, to } = req.query;
+
+    if (!posId) {
+      return res.status(400).json({ status: false, error: 'posId gerekli' });
+    }
+
+    const statementImport = await StatementService.importStatement(req.body, {
+      posId,
+      fileName,
+      format,
+      mapping,
+      from,
+      to,
+      createdBy: req.user?.id || 'system'
+    });
+
+    res.json({ status: true, import: statementImport });
+  } catch (error) {
+    res.status(error.status || 500).json({ status: false, error: error.message });
+  }
+});
+
+/**
+ * GET /imports
+ * List statement imports
+ */
+router.get('/imports', async (req, res) => {
+  try {
+    const { page = 1, limit = 20, company, pos, bankCode } = req.query;
+
+    const query = {};
+    if (company) query.company = company;
+    if (pos) query.pos = pos;
+    if (bankCode) query.bankCode = bankCode;
+
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+    const total = await StatementImport.countDocuments(query);
+
+    const imports = await StatementImport.find(query)
+      .populate('pos', 'name bankCode provider')
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(parseInt(limit));
+
+    res.json({
+      status: true,
+      imports,
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total,
+        pages: Math.ceil(total / parseInt(limit))
+      }
+    });
+  } catch (error) {
+    res.status(500).json({ status: false, error: error.message });
+  }
+});
+
+/**
+ * GET /imports/:id
+ * Reconciliation report with items (status: matched, amount_mismatch, missing_in_system, missing_in_bank)
+ */
+router.get('/imports/:id', async (req, res) => {
+  try {
+    const { page = 1, limit = 100, status, resolution } = req.query;
+
+    const report = await StatementService.getImportReport(req.params.id);
+
+    const query = { import: report.import._id };
+    if (status) query.status = status;
+    if (resolution) query['resolution.status'] = resolution;
+
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+    const total = await ReconciliationItem.countDocuments(query);
+
+    const items = await ReconciliationItem.find(query)
+      .populate('transaction', 'type status amount currency orderId result.authCode result.refNumber completedAt')
+      .sort({ status: 1, 'row.line': 1 })
+      .skip(skip)
+      .limit(parseInt(limit));
+
+    res.json({
+      status: true,
+      ...report,
+      items,
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total,
+        pages: Math.ceil(total / parseInt(limit))
+      }
+    });
+  } catch (error) {
+    res.status(error.status || 500).json({ status: false, error: error.message });
+  }
+});
+
+/**
+ * POST /items/:id/resolve
+ * Resolve / ignore / reopen a difference or add a note (denetim kaydına yazılır)
+ */
+router.post('/items/:id/resolve', async (req, res) => {
+  try {
+    const { action, note } = req.body;
+
+    const item = await StatementService.resolveItem(req.params.id, {
+      action,
+      note,
+      user: req.user?.id || 'system'
+    });
+
+    res.json({ status: true, item });
+  } catch (error) {
+    res.status(error.status || 500).json({ status: false, error: error.message });
+  }
+});
+
+export default router;
@@ -5,77 +5,100 @@
 
 import { Router } from 'express';
 import { Transaction, VirtualPos } from '../models/index.js';
+import TransactionExportService from '../services/TransactionExportService.js';
+import AnalyticsService from '../services/AnalyticsService.js';
+import ReconciliationService from '../services/ReconciliationService.js';
 
 const router = Router();
 
 /**
- * GET /
- * List transactions
+ * Build transaction filter from list query params
+ * Liste ve dışa aktarım aynı filtreleri kullanır
+ * @returns {Promise<object|null>} null = firmaya ait POS yok, sonuç boş
  */
-router.get('/', async (req, res) => {
-  try {
-    const { page = 1, limit = 20, status, currency, from, to, startDate, endDate, orderId, company, pos, minAmount, maxAmount } = req.query;
+async function buildListQuery(params) {
+  const { status, currency, from, to, startDate, endDate, orderId, company, pos, minAmount, maxAmount, manualReview } = params;
 
-    // Build query
-    const query = {};
+  const query = {};
 
-    // Filter by specific POS
-    if (pos) {
-      query.pos = pos;
-    }
-    // Filter by company (via POS) - only if pos not specified
-    else if (company) {
-      const posList = await VirtualPos.find({ company }).select('_id');
-      const posIds = posList.map(p => p._id);
-      if (posIds.length > 0) {
-        query.pos = { $in: posIds };
-      } else {
-        // No POS for this company = no transactions
-        return res.json({
-          status: true,
-          transactions: [],
-          pagination: { page: 1, limit: 20, total: 0, pages: 0 }
-        });
-      }
+  // Filter by specific POS
+  if (pos) {
+    query.pos = pos;
+  }
+  // Filter by company (via POS) - only if pos not specified
+  else if (company) {
+    const posList = await VirtualPos.find({ company }).select('_id');
+    const posIds = posList.map(p => p._id);
+    if (posIds.length > 0) {
+      query.pos = { $in: posIds };
+    } else {
+      // No POS for this company = no transactions
+      return null;
     }
+  }
 
-    // Status filter
-    if (status) {
-      query.status = status;
-    }
+  // Status filter
+  if (status) {
+    query.status = status;
+  }
 
-    // Currency filter
-    if (currency) {
-      query.currency = currency.toLowerCase();
-    }
+  // Manuel incelemedeki işlemler (mutabakatın sonuçlandıramadığı iadeler)
+  if (manualReview === 'true') {
+    query.manualReviewAt = { $ne: null };
+  }
 
-    // Amount range filter
-    if (minAmount || maxAmount) {
-      query.amount = {};
-      if (minAmount) query.amount.$gte = parseFloat(minAmount);
-      if (maxAmount) query.amount.$lte = parseFloat(maxAmount);
-    }
+  // Currency filter
+  if (currency) {
+    query.currency = currency.toLowerCase();
+  }
 
-    // Date range filter (support both from/to and startDate/endDate)
-    const dateFrom = startDate || from;
-    const dateTo = endDate || to;
-    if (dateFrom || dateTo) {
-      query.createdAt = {};
-      if (dateFrom) query.createdAt.$gte = new Date(dateFrom);
-      if (dateTo) {
-        // End of day for endDate
-        const endOfDay = new Date(dateTo);
-        endOfDay.setHours(23, 59, 59, 999);
-        query.createdAt.$lte = endOfDay;
-      }
+  // Amount range filter
+  if (minAmount || maxAmount) {
+    query.amount = {};
+    if (minAmount) query.amount.$gte = parseFloat(minAmount);
+    if (maxAmount) query.amount.$lte = parseFloat(maxAmount);
+  }
+
+  // Date range filter (support both from/to and startDate/endDate)
+  const dateFrom = startDate || from;
+  const dateTo = endDate || to;
+  if (dateFrom || dateTo) {
+    query.createdAt = {};
+    if (dateFrom) query.createdAt.$gte = new Date(dateFrom);
+    if (dateTo) {
+      // End of day for endDate
+      const endOfDay = new Date(dateTo);
+      endOfDay.setHours(23, 59, 59, 999);
+      query.createdAt.$lte = endOfDay;
     }
+  }
+
+  // Order ID filter (search in logs)
+  if (orderId) {
+    query.$or = [
+      { 'logs.request.OrderId': { $regex: orderId, $options: 'i' } },
+      { 'logs.request.orderId': { $regex: orderId, $options: 'i' } }
+    ];
+  }
+
+  return query;
+}
+
+/**
+ * GET /
+ * List transactions
+ */
+router.get('/', async (req, res) => {
+  try {
+    const { page = 1, limit = 20 } = req.query;
 
-    // Order ID filter (search in logs)
-    if (orderId) {
-      query.$or = [
-        { 'logs.request.OrderId': { $regex: orderId, $options: 'i' } },
-        { 'logs.request.orderId': { $regex: orderId, $options: 'i' } }
-      ];
+    const query = await buildListQuery(req.query);
+    if (!query) {
+      return res.json({
+        status: true,
+        transactions: [],
+        pagination: { page: 1, limit: 20, total: 0, pages: 0 }
+      });
     }
 
     // Pagination
@@ -104,6 +127,47 @@ router.get('/', async (req, res) => {
   }
 });
 
+/**
+ * GET /export?format=csv|xlsx&columns=id,amount,card,...
+ * Stream transactions as CSV / XLSX (liste filtreleriyle, sayfalama olmadan)
+ */
+router.get('/export', async (req, res) => {
+  try {
+    const { format = 'csv' } = req.query;
+
+    if (!['csv', 'xlsx'].includes(format)) {
+      return res.status(400).json({ status: false, error: 'format csv veya xlsx olmalı' });
+    }
+
+    const columns = TransactionExportService.resolveColumns(req.query.columns);
+    // Firmaya ait POS yoksa sadece başlık satırı döner
+    const query = await buildListQuery(req.query) || { _id: null };
+
+    await TransactionExportService.streamTransactions(res, query, { format, columns });
+  } catch (error) {
+    // Akış başladıktan sonra JSON hata dönülemez, bağlantı kesilir
+    if (res.headersSent) {
+      console.error('[Export] Stream error:', error.message);
+      return res.destroy();
+    }
+    res.status(error.status || 500).json({ status: false, error: error.message });
+  }
+});
+
+/**
+ * GET /export/columns
+ * Exportable columns
+ */
+router.get('/export/columns', (req, res) => {
+  const columns = Object.entries(TransactionExportService.EXPORT_COLUMNS).map(([key, column]) => ({
+    key,
+    header: column.header,
+    default: TransactionExportService.DEFAULT_COLUMNS.includes(key)
+  }));
+
+  res.json({ status: true, columns });
+});
+
 /**
  * GET /pos-list
  * Get list of POS for filter dropdown
@@ -122,11 +186,12 @@ router.get('/pos-list', async (req, res) => {
 
 /**
  * GET /stats
- * Get transaction statistics
+ * Get transaction statistics (today: timezone parametresindeki gün başından itibaren)
  */
 router.get('/stats', async (req, res) => {
   try {
     const { company } = req.query;
+    const timezone = AnalyticsService.resolveTimezone(req.query.timezone);
 
     // Filter by company
     let posIds = [];
@@ -167,8 +232,7 @@ router.get('/stats', async (req, res) => {
     ]);
 
     // Today's stats
-    const today = new Date();
-    today.setHours(0, 0, 0, 0);
+    const today = AnalyticsService.startOfToday(timezone);
 
     const todayStats = await Transaction.aggregate([
       {
@@ -194,7 +258,21 @@ router.get('/stats', async (req, res) => {
       }
     });
   } catch (error) {
-    res.status(500).json({ status: false, error: error.message });
+    res.status(error.status || 500).json({ status: false, error: error.message });
+  }
+});
+
+/**
+ * GET /analytics?interval=hour|day|week|month&timezone=&from=&to=&groupBy=
+ * Time-series metrics: count, volume, success rate, average ticket
+ * Filtreler: company, pos, provider, cardBank, cardFamily, brand, cardType, installment, paymentModel, currency, type
+ */
+router.get('/analytics', async (req, res) => {
+  try {
+    const analytics = await AnalyticsService.getTimeSeries(req.query);
+    res.json({ status: true, ...analytics });
+  } catch (error) {
+    res.status(error.status || 500).json({ status: false, error: error.message });
   }
 });
 
@@ -217,4 +295,24 @@ router.get('/:id', async (req, res) => {
   }
 });
 
+/**
+ * POST /:id/resolve-review
+ * Resolve a transaction on manual review ({ outcome: success|failed, note })
+ */
+router.post('/:id/resolve-review', async (req, res) => {
+  try {
+    const { outcome, note } = req.body;
+
+    const transaction = await ReconciliationService.resolveManualReview(req.params.id, {
+      outcome,
+      note,
+      user: req.user?.id || 'system'
+    });
+
+    res.json({ status: true, transaction });
+  } catch (error) {
+    res.status(error.status || 500).json({ status: false, error: error.message });
+  }
+});
+
 export default router;
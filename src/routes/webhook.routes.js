@@ -0,0 +1,93 @@
+/**
+ * Webhook Routes
+ * Auth handled at server level via apiKeyAuth + gatewayAuth
+ */
+
+import { Router } from 'express';
+import { WebhookDelivery } from '../models/index.js';
+import { redeliver } from '../services/WebhookService.js';
+
+const router = Router();
+
+/**
+ * GET /deliveries
+ * List webhook deliveries
+ */
+router.get('/deliveries', async (req, res) => {
+  try {
+    const { page = 1, limit = 20, company, status, event, transaction } = req.query;
+
+    const query = {};
+    if (company) query.company = company;
+    if (status) query.status = status;
+    if (event) query.event = event;
+    if (transaction) query.transaction = transaction;
+
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+    const total = await WebhookDelivery.countDocuments(query);
+
+    const deliveries = await WebhookDelivery.find(query)
+      .populate('company', 'name code')
+      .select('-payload -attempts.responseBody')
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(parseInt(limit));
+
+    res.json({
+      status: true,
+      deliveries,
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total,
+        pages: Math.ceil(total / parseInt(limit))
+      }
+    });
+  } catch (error) {
+    res.status(500).json({ status: false, error: error.message });
+  }
+});
+
+/**
+ * GET /deliveries/:id
+ * Get delivery with payload and all attempts
+ */
+router.get('/deliveries/:id', async (req, res) => {
+  try {
+    const delivery = await WebhookDelivery.findById(req.params.id)
+      .populate('company', 'name code');
+
+    if (!delivery) {
+      return res.status(404).json({ status: false, error: 'Webhook kaydı bulunamadı' });
+    }
+
+    res.json({ status: true, delivery });
+  } catch (error) {
+    res.status(500).json({ status: false, error: error.message });
+  }
+});
+
+/**
+ * POST /deliveries/:id/redeliver
+ * Send the delivery again
+ */
+router.post('/deliveries/:id/redeliver', async (req, res) => {
+  try {
+    const delivery = await redeliver(req.params.id);
+
+    res.json({
+      status: true,
+      delivery: {
+        id: delivery._id,
+        status: delivery.status,
+        attemptCount: delivery.attemptCount,
+        lastAttempt: delivery.attempts[delivery.attempts.length - 1],
+        nextAttemptAt: delivery.nextAttemptAt
+      }
+    });
+  } catch (error) {
+    res.status(error.status || 400).json({ status: false, error: error.message });
+  }
+});
+
+export default router;
@@ -27,6 +27,20 @@ import posRoutes from './routes/pos.routes.js';
 import paymentRoutes, { publicPaymentRoutes } from './routes/payment.routes.js';
 import transactionRoutes from './routes/transaction.routes.js';
 import binRoutes from './routes/bin.routes.js';
+import webhookRoutes from './routes/webhook.routes.js';
+import cardRoutes from './routes/card.routes.js';
+import mitRoutes from './routes/mit.routes.js';
+import scheduleRoutes from './routes/schedule.routes.js';
+import paymentLinkRoutes, { publicPaymentLinkRoutes } from './routes/paymentLink.routes.js';
+import checkoutRoutes, { publicCheckoutRoutes } from './routes/checkout.routes.js';
+import settlementRoutes from './routes/settlement.routes.js';
+import statementRoutes from './routes/statement.routes.js';
+import reportRoutes from './routes/report.routes.js';
+import simulatorRoutes, { isSimulatorEnabled } from './simulator/index.js';
+import { startWebhookWorker } from './services/WebhookService.js';
+import { startReconciliationWorker } from './services/ReconciliationService.js';
+import { startScheduleWorker } from './services/ScheduleService.js';
+import { startSettlementWorker } from './services/SettlementService.js';
 
 const app = express();
 const PORT = process.env.PORT || 7043;
@@ -37,6 +51,14 @@ app.use(cors({
   origin: process.env.CORS_ORIGIN || '*',
   credentials: true
 }));
+
+// Local bank simulator (development only)
+// Global body parser'lardan önce: banka istekleri ham XML/JSON gövdeyle gelir
+if (isSimulatorEnabled()) {
+  app.use('/simulator', simulatorRoutes);
+  console.log('Bank simulator enabled at /simulator');
+}
+
 app.use(express.json());
 app.use(express.urlencoded({ extended: true }));
 
@@ -110,6 +132,12 @@ app.use('/payment', (req, res, next) => {
   next();
 });
 
+// Payment link page (pay-by-link)
+app.use('/payment/link', publicPaymentLinkRoutes);
+
+// Hosted checkout page
+app.use('/payment/checkout', publicCheckoutRoutes);
+
 app.use('/payment', publicPaymentRoutes);
 
 // ============================================================================
@@ -131,6 +159,33 @@ app.use('/api/pos', posRoutes);
 // BIN management
 app.use('/api/bins', binRoutes);
 
+// Stored cards (card vault)
+app.use('/api/cards', cardRoutes);
+
+// Merchant-initiated charges (no-show, damage)
+app.use('/api/mit', mitRoutes);
+
+// Scheduled and recurring charges
+app.use('/api/schedules', scheduleRoutes);
+
+// Payment links
+app.use('/api/payment-links', paymentLinkRoutes);
+
+// Hosted checkout sessions
+app.use('/api/checkout', checkoutRoutes);
+
+// Webhook deliveries
+app.use('/api/webhooks', webhookRoutes);
+
+// End-of-day batch reports
+app.use('/api/settlements', settlementRoutes);
+
+// Bank statement import & reconciliation
+app.use('/api/statements', statementRoutes);
+
+// Finance reports
+app.use('/api/reports', reportRoutes);
+
 // Transaction history (MUST be before paymentRoutes due to /:id catch-all)
 app.use('/api/transactions', transactionRoutes);
 
@@ -174,6 +229,18 @@ async function start() {
     await connectDB();
     console.log('MongoDB connected');
 
+    // Retry failed webhook deliveries
+    startWebhookWorker();
+
+    // Settle transactions stuck in processing
+    startReconciliationWorker();
+
+    // Run due scheduled charges
+    startScheduleWorker();
+
+    // Close past end-of-day batches
+    startSettlementWorker();
+
     // Check for SSL certificates
     const certPath = path.join(__dirname, '../certs/cert.pem');
     const keyPath = path.join(__dirname, '../certs/key.pem');
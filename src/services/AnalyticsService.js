@@ -0,0 +1,357 @@
+/**
+ * Analytics Service
+ * Dashboard için zaman serisi ve boyut bazlı işlem metrikleri (adet, hacim, başarı oranı, ortalama sepet)
+ * Saat/gün/hafta/ay kovaları seçilen saat diliminde MongoDB aggregation ($dateTrunc) ile hesaplanır
+ */
+
+import { Transaction, VirtualPos } from '../models/index.js';
+import { roundAmount } from './CommissionService.js';
+
+export const DEFAULT_TIMEZONE = process.env.ANALYTICS_TIMEZONE || 'Europe/Istanbul';
+export const INTERVALS = ['hour', 'day', 'week', 'month'];
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const DEFAULT_RANGE_DAYS = 30;
+// Çok küçük aralık + uzun dönem (ör. 1 yıl saatlik) isteklerini sınırlar
+const MAX_BUCKETS = 1000;
+const INTERVAL_MS = {
+  hour: 60 * 60 * 1000,
+  day: 24 * 60 * 60 * 1000,
+  week: 7 * 24 * 60 * 60 * 1000,
+  month: 28 * 24 * 60 * 60 * 1000
+};
+
+// Satış gerçekleşmiş (sonradan iade/iptal edilmiş olsa da)
+const SUCCESS_STATUSES = ['success', 'partially_refunded', 'refunded', 'cancelled'];
+// Sonuçlanmamış işlemler başarı oranına girmez
+const OPEN_STATUSES = ['pending', 'processing'];
+
+/**
+ * Groupable dimensions → transaction field
+ * provider POS üzerinde tutulur, pos ile gruplanıp sonra birleştirilir
+ */
+export const DIMENSIONS = {
+  pos: '$pos',
+  provider: '$pos',
+  cardBank: '$bin.bankCode',
+  cardFamily: '$bin.family',
+  brand: '$bin.brand',
+  cardType: '$bin.type',
+  installment: '$installment',
+  paymentModel: '$paymentModel',
+  type: '$type'
+};
+
+/**
+ * Create error with status for the API response
+ */
+function analyticsError(message, status = 400) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+/**
+ * Validate IANA timezone name
+ */
+export function resolveTimezone(timezone) {
+  const zone = timezone || DEFAULT_TIMEZONE;
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: zone });
+  } catch {
+    throw analyticsError(`Geçersiz saat dilimi: ${zone}`);
+  }
+  return zone;
+}
+
+/**
+ * Offset of timezone from UTC at the given instant (ms)
+ */
+function getTimezoneOffset(date, timezone) {
+  const parts = Object.fromEntries(
+    new Intl.DateTimeFormat('en-US', {
+      timeZone: timezone,
+      hourCycle: 'h23',
+      year: 'numeric', month: '2-digit', day: '2-digit',
+      hour: '2-digit', minute: '2-digit', second: '2-digit'
+    }).formatToParts(date).map(part => [part.type, part.value])
+  );
+  const local = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+  return local - Math.floor(date.getTime() / 1000) * 1000;
+}
+
+/**
+ * Local calendar date (YYYY-MM-DD) of an instant in the timezone
+ */
+function toLocalDate(date, timezone) {
+  return new Date(date.getTime() + getTimezoneOffset(date, timezone)).toISOString().slice(0, 10);
+}
+
+/**
+ * Start of a local day (YYYY-MM-DD) in the timezone as UTC instant
+ * Yaz saati geçişlerinde ofset ikinci kez hesaplanır
+ */
+export function startOfLocalDay(localDate, timezone) {
+  const midnight = Date.parse(`${localDate}T00:00:00Z`);
+  let instant = midnight - getTimezoneOffset(new Date(midnight), timezone);
+  instant = midnight - getTimezoneOffset(new Date(instant), timezone);
+  return new Date(instant);
+}
+
+/**
+ * Start of today in the timezone
+ */
+export function startOfToday(timezone = DEFAULT_TIMEZONE, now = new Date()) {
+  return startOfLocalDay(toLocalDate(now, timezone), timezone);
+}
+
+/**
+ * Period from from/to (YYYY-MM-DD, yerel gün, to dahil) - varsayılan son 30 gün
+ */
+function resolveRange({ from, to }, timezone, now = new Date()) {
+  for (const value of [from, to]) {
+    if (value && !DATE_PATTERN.test(value)) {
+      throw analyticsError('from/to YYYY-MM-DD formatında olmalı');
+    }
+  }
+
+  // to dahil: bitiş, sonraki yerel günün başı
+  const end = to
+    ? startOfLocalDay(new Date(Date.parse(`${to}T00:00:00Z`) + INTERVAL_MS.day).toISOString().slice(0, 10), timezone)
+    : now;
+  const start = from
+    ? startOfLocalDay(from, timezone)
+    : startOfLocalDay(toLocalDate(new Date(end.getTime() - DEFAULT_RANGE_DAYS * INTERVAL_MS.day), timezone), timezone);
+
+  if (start >= end) {
+    throw analyticsError('from, to tarihinden sonra olamaz');
+  }
+
+  return { start, end };
+}
+
+function parseList(value) {
+  return [...new Set(String(value || '').split(',').map(item => item.trim()).filter(Boolean))];
+}
+
+/**
+ * Build $match stage from filters
+ * Dimension filtreleri virgülle çoklu değer alabilir (ör. brand=visa,mastercard)
+ */
+async function buildMatch(filters, { start, end }) {
+  const match = { createdAt: { $gte: start, $lt: end } };
+
+  const posQuery = {};
+  if (filters.company) posQuery.company = filters.company;
+  if (filters.provider) posQuery.provider = { $in: parseList(filters.provider) };
+
+  const posIds = parseList(filters.pos);
+  if (Object.keys(posQuery).length) {
+    if (posIds.length) posQuery._id = { $in: posIds };
+    const posList = await VirtualPos.find(posQuery).select('_id');
+    match.pos = { $in: posList.map(p => p._id) };
+  } else if (posIds.length) {
+    const posList = await VirtualPos.find({ _id: { $in: posIds } }).select('_id');
+    match.pos = { $in: posList.map(p => p._id) };
+  }
+
+  // Varsayılan: ödeme işlemleri (iade/iptal/ön provizyon hariç)
+  const types = parseList(filters.type);
+  match.type = { $in: types.length ? types : ['payment'] };
+
+  // cardBank eski kayıtlarda BIN'den tamamlandıktan sonra filtrelenir (cardBankStages)
+  const fields = {
+    cardFamily: 'bin.family',
+    brand: 'bin.brand',
+    cardType: 'bin.type',
+    paymentModel: 'paymentModel'
+  };
+  for (const [param, field] of Object.entries(fields)) {
+    const values = parseList(filters[param]).map(value => value.toLowerCase());
+    if (values.length) match[field] = { $in: values };
+  }
+
+  const installments = parseList(filters.installment).map(value => parseInt(value)).filter(Number.isFinite);
+  if (installments.length) match.installment = { $in: installments };
+
+  const currencies = parseList(filters.currency).map(value => value.toLowerCase());
+  if (currencies.length) match.currency = { $in: currencies };
+
+  return match;
+}
+
+/**
+ * Stages resolving bin.bankCode for cardBank grouping / filter
+ * bankCode saklanmadan önce oluşmuş kayıtlarda kart BIN'inden (8, yoksa 6 hane) bins koleksiyonundan okunur
+ */
+function cardBankStages(filters, groups) {
+  const values = parseList(filters.cardBank).map(value => value.toLowerCase());
+  if (!values.length && !groups.includes('cardBank')) return [];
+
+  const stages = [
+    {
+      $addFields: {
+        // card.bin sayı, bins.bin metin olarak saklanır
+        binKeys: [
+          { $toString: '$card.bin' },
+          { $substrCP: [{ $ifNull: [{ $toString: '$card.bin' }, ''] }, 0, 6] }
+        ]
+      }
+    },
+    {
+      $lookup: {
+        from: 'bins',
+        localField: 'binKeys',
+        foreignField: 'bin',
+        pipeline: [{ $project: { bin: 1, bankCode: 1 } }, { $sort: { bin: -1 } }],
+        as: 'binRecords'
+      }
+    },
+    {
+      $addFields: {
+        'bin.bankCode': {
+          $cond: [
+            { $gt: [{ $ifNull: ['$bin.bankCode', ''] }, ''] },
+            '$bin.bankCode',
+            { $ifNull: [{ $arrayElemAt: ['$binRecords.bankCode', 0] }, ''] }
+          ]
+        }
+      }
+    }
+  ];
+
+  if (values.length) stages.push({ $match: { 'bin.bankCode': { $in: values } } });
+
+  return stages;
+}
+
+/**
+ * Metric accumulators for $group
+ */
+function metricFields() {
+  const isSuccess = { $in: ['$status', SUCCESS_STATUSES] };
+  return {
+    count: { $sum: 1 },
+    successCount: { $sum: { $cond: [isSuccess, 1, 0] } },
+    completedCount: { $sum: { $cond: [{ $in: ['$status', OPEN_STATUSES] }, 0, 1] } },
+    volume: { $sum: { $cond: [isSuccess, '$amount', 0] } }
+  };
+}
+
+function sumFields() {
+  return {
+    count: { $sum: '$count' },
+    successCount: { $sum: '$successCount' },
+    completedCount: { $sum: '$completedCount' },
+    volume: { $sum: '$volume' }
+  };
+}
+
+/**
+ * Derived metrics (başarı oranı %, ortalama sepet)
+ */
+function withRates(row) {
+  return {
+    ...row,
+    volume: roundAmount(row.volume),
+    successRate: row.completedCount ? roundAmount(row.successCount / row.completedCount * 100) : 0,
+    avgTicket: row.successCount ? roundAmount(row.volume / row.successCount) : 0
+  };
+}
+
+/**
+ * Time-series analytics
+ * Hacim para birimleri arasında toplanamaz, seriler her zaman para birimi ile kırılır
+ * @param {object} params
+ * @param {'hour'|'day'|'week'|'month'} [params.interval='day']
+ * @param {string} [params.timezone] - IANA saat dilimi (varsayılan ANALYTICS_TIMEZONE)
+ * @param {string} [params.from] - YYYY-MM-DD
+ * @param {string} [params.to] - YYYY-MM-DD (dahil)
+ * @param {string} [params.groupBy] - DIMENSIONS anahtarları, virgülle
+ */
+export async function getTimeSeries(params = {}) {
+  const interval = params.interval || 'day';
+  if (!INTERVALS.includes(interval)) {
+    throw analyticsError(`interval ${INTERVALS.join(', ')} olmalı`);
+  }
+
+  const timezone = resolveTimezone(params.timezone);
+  const groups = parseList(params.groupBy);
+  const unknown = groups.filter(group => !DIMENSIONS[group]);
+  if (unknown.length) {
+    throw analyticsError(`Geçersiz groupBy: ${unknown.join(', ')} (${Object.keys(DIMENSIONS).join(', ')})`);
+  }
+
+  const range = resolveRange(params, timezone);
+  if ((range.end - range.start) / INTERVAL_MS[interval] > MAX_BUCKETS) {
+    throw analyticsError(`Dönem çok uzun: ${interval} aralığında en fazla ${MAX_BUCKETS} kova`);
+  }
+
+  const match = await buildMatch(params, range);
+
+  const groupId = {
+    bucket: {
+      $dateTrunc: { date: '$createdAt', unit: interval, timezone, startOfWeek: 'monday' }
+    },
+    currency: '$currency'
+  };
+  for (const group of groups) {
+    groupId[group] = DIMENSIONS[group];
+  }
+
+  const pipeline = [
+    { $match: match },
+    ...cardBankStages(params, groups),
+    { $group: { _id: groupId, ...metricFields() } }
+  ];
+
+  // Provider: önce POS bazında toplanır, az sayıdaki grup için POS'tan okunur
+  if (groups.includes('provider')) {
+    const regroupId = Object.fromEntries(Object.keys(groupId).map(key => [key, `$_id.${key}`]));
+    regroupId.provider = '$posInfo.provider';
+
+    pipeline.push(
+      { $lookup: { from: 'virtualpos', localField: '_id.provider', foreignField: '_id', pipeline: [{ $project: { provider: 1 } }], as: 'posInfo' } },
+      { $unwind: { path: '$posInfo', preserveNullAndEmptyArrays: true } },
+      { $group: { _id: regroupId, ...sumFields() } }
+    );
+  }
+
+  pipeline.push({ $sort: { '_id.bucket': 1, '_id.currency': 1 } });
+
+  const rows = await Transaction.aggregate(pipeline);
+
+  const series = rows.map(({ _id, ...metrics }) => withRates({ ..._id, ...metrics }));
+
+  // Dönem toplamları (kova olmadan)
+  const totals = new Map();
+  for (const row of series) {
+    const keys = { currency: row.currency, ...Object.fromEntries(groups.map(group => [group, row[group]])) };
+    const key = JSON.stringify(keys);
+    if (!totals.has(key)) totals.set(key, { ...keys, count: 0, successCount: 0, completedCount: 0, volume: 0 });
+    const total = totals.get(key);
+    total.count += row.count;
+    total.successCount += row.successCount;
+    total.completedCount += row.completedCount;
+    total.volume += row.volume;
+  }
+
+  return {
+    interval,
+    timezone,
+    period: range,
+    groupBy: groups,
+    series,
+    totals: [...totals.values()].map(withRates)
+  };
+}
+
+export default {
+  DEFAULT_TIMEZONE,
+  INTERVALS,
+  DIMENSIONS,
+  resolveTimezone,
+  startOfLocalDay,
+  startOfToday,
+  getTimeSeries
+};
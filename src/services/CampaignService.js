@@ -0,0 +1,81 @@
+/**
+ * Campaign Service
+ * Taksit kampanyalarını (ör: "Bonus +3 taksit", % indirim) karta göre eşleştirme
+ */
+
+/**
+ * Is campaign active on the given date
+ */
+function isCampaignActive(campaign, date) {
+  if (campaign.enabled === false) return false;
+  if (campaign.startDate && new Date(campaign.startDate) > date) return false;
+  if (campaign.endDate && new Date(campaign.endDate) < date) return false;
+  return true;
+}
+
+/**
+ * Does the campaign target this card
+ * binPrefix ve cardFamily tanımlıysa ikisi de eşleşmeli, tanımsızsa tüm kartlar
+ */
+function matchesCard(campaign, bin, binInfo) {
+  const prefixes = (campaign.binPrefix || []).filter(Boolean);
+  if (prefixes.length > 0) {
+    const binStr = String(bin || '').replace(/\s/g, '');
+    if (!prefixes.some(prefix => binStr.startsWith(String(prefix).trim()))) {
+      return false;
+    }
+  }
+
+  if (campaign.cardFamily) {
+    const cardFamily = String(binInfo?.family || '').toLowerCase();
+    if (cardFamily !== campaign.cardFamily.toLowerCase()) {
+      return false;
+    }
+  }
+
+  return true;
+}
+
+/**
+ * Find active campaigns on the POS matching the card
+ */
+export function findMatchingCampaigns(pos, bin, binInfo, date = new Date()) {
+  return (pos.installment?.campaigns || [])
+    .filter(c => isCampaignActive(c, date) && matchesCard(c, bin, binInfo));
+}
+
+/**
+ * Does the campaign apply to the installment count
+ * +taksit sadece taksitli seçeneklerde, indirim tüm seçeneklerde geçerli
+ */
+function appliesToCount(campaign, count) {
+  if (campaign.discountRate > 0) return true;
+  return count > 1 && campaign.plusInstallment > 0;
+}
+
+/**
+ * Pick the campaign to apply for an installment count
+ * Kampanyalar birleştirilmez: en yüksek indirim, eşitse en fazla +taksit seçilir
+ */
+export function selectCampaign(campaigns, count) {
+  const applicable = campaigns.filter(c => appliesToCount(c, count));
+  if (!applicable.length) return null;
+
+  applicable.sort((a, b) =>
+    (b.discountRate || 0) - (a.discountRate || 0) ||
+    (b.plusInstallment || 0) - (a.plusInstallment || 0)
+  );
+
+  const campaign = applicable[0];
+  return {
+    id: campaign._id,
+    name: campaign.name,
+    plusInstallment: count > 1 ? (campaign.plusInstallment || 0) : 0,
+    discountRate: campaign.discountRate || 0
+  };
+}
+
+export default {
+  findMatchingCampaigns,
+  selectCampaign
+};
@@ -0,0 +1,238 @@
+/**
+ * Card Vault Service
+ * Kart saklama (tokenization), token ile kart çözümleme ve kayıtlı kart yönetimi
+ */
+
+import crypto from 'crypto';
+import { StoredCard, Transaction, VirtualPos } from '../models/index.js';
+import { maskCardNumber } from '../config/encryption.js';
+import { getBinInfo } from './BinService.js';
+
+export const CARD_VAULT_ERROR_CODES = {
+  NOT_FOUND: 'CARD_TOKEN_NOT_FOUND',
+  EXPIRED: 'CARD_EXPIRED',
+  NOT_CONFIGURED: 'CARD_VAULT_NOT_CONFIGURED'
+};
+
+/**
+ * Create error with code/status for the API response
+ */
+function vaultError(message, code, status) {
+  const error = new Error(message);
+  error.code = code;
+  error.status = status;
+  return error;
+}
+
+/**
+ * Generate opaque card token
+ */
+function generateCardToken() {
+  return `card_${crypto.randomBytes(24).toString('base64url')}`;
+}
+
+let fingerprintKey = null;
+
+/**
+ * HMAC key for card fingerprints
+ * Şifreleme anahtarından ayrı tutulur; production'da tanımlı değilse kart kaydedilmez
+ */
+function getFingerprintKey() {
+  if (fingerprintKey) return fingerprintKey;
+
+  const key = process.env.CARD_FINGERPRINT_KEY;
+  if (key && key.length >= 32) {
+    fingerprintKey = Buffer.from(key);
+  } else if (process.env.NODE_ENV === 'production') {
+    throw vaultError('CARD_FINGERPRINT_KEY tanımlı değil (en az 32 karakter)', CARD_VAULT_ERROR_CODES.NOT_CONFIGURED, 500);
+  } else {
+    // Development: sabit tohumdan türetilir (encryption.js ile aynı KDF, farklı salt)
+    fingerprintKey = crypto.scryptSync('dev-secret-key', 'card-fingerprint', 32);
+  }
+  return fingerprintKey;
+}
+
+/**
+ * Card fingerprint (HMAC of PAN) - aynı kartı tekrar kaydetmemek için
+ */
+function getFingerprint(number) {
+  return crypto.createHmac('sha256', getFingerprintKey()).update(String(number).replace(/\s/g, '')).digest('hex');
+}
+
+/**
+ * Last day of expiry month (MM/YY or MM/YYYY)
+ */
+export function getExpiryDate(expiry) {
+  const [month, year] = String(expiry || '').split('/');
+  const m = parseInt(month, 10);
+  let y = parseInt(year, 10);
+  if (!m || !y || m < 1 || m > 12) return null;
+  if (y < 100) y += 2000;
+
+  // Ayın son günü 23:59:59
+  return new Date(y, m, 0, 23, 59, 59, 999);
+}
+
+/**
+ * Save card to the vault
+ * Aynı müşteri aynı kartı tekrar kaydederse mevcut token döner (son kullanma/isim güncellenir)
+ */
+export async function storeCard({ companyId, customerRef, card, binInfo = null, sourceTransaction = null, label = null }) {
+  if (!customerRef) {
+    throw new Error('Kart kaydı için customerRef gerekli');
+  }
+
+  const number = String(card.number).replace(/\s/g, '');
+  const fingerprint = getFingerprint(number);
+  const info = binInfo || await getBinInfo(parseInt(number.slice(0, 8), 10));
+
+  const existing = await StoredCard.findOne({ company: companyId, customerRef, fingerprint });
+  if (existing) {
+    existing.card.holder = card.holder;
+    existing.card.expiry = card.expiry;
+    existing.expiresAt = getExpiryDate(card.expiry);
+    if (label) existing.label = label;
+    await existing.save();
+    return existing;
+  }
+
+  return StoredCard.create({
+    company: companyId,
+    customerRef,
+    token: generateCardToken(),
+    fingerprint,
+    card: {
+      holder: card.holder,
+      number,
+      expiry: card.expiry,
+      masked: maskCardNumber(number),
+      bin: parseInt(number.slice(0, 8), 10),
+      last4: number.slice(-4)
+    },
+    bin: info ? {
+      bank: info.bank || '',
+      brand: info.brand || '',
+      type: info.type || '',
+      family: info.family || '',
+      country: info.country || ''
+    } : {},
+    expiresAt: getExpiryDate(card.expiry),
+    label,
+    sourceTransaction
+  });
+}
+
+/**
+ * Save card of a successful payment if requested (vault.save)
+ * Hataları yutar - ödeme sonucunu asla bozmaz
+ * @returns {Promise<string|null>} token
+ */
+export async function storeCardFromTransaction(transactionId) {
+  try {
+    const transaction = await Transaction.findById(transactionId);
+    if (!transaction?.vault?.save || transaction.vault.token || transaction.status !== 'success') {
+      return null;
+    }
+
+    const pos = await VirtualPos.findById(transaction.pos).select('company');
+    const card = transaction.getDecryptedCard();
+    if (!pos || !card.number) return null;
+
+    const storedCard = await storeCard({
+      companyId: pos.company,
+      customerRef: transaction.vault.customerRef,
+      card,
+      binInfo: transaction.bin,
+      sourceTransaction: transaction._id
+    });
+
+    await Transaction.updateOne(
+      { _id: transaction._id },
+      { $set: { 'vault.token': storedCard.token } }
+    );
+
+    return storedCard.token;
+  } catch (error) {
+    console.error('[CardVault] Store error:', error.message);
+    return null;
+  }
+}
+
+/**
+ * Resolve token to card data for a payment
+ * @returns {Promise<{storedCard: object, card: {holder, number, expiry}}>}
+ */
+export async function resolveCardToken(companyId, token, customerRef = null) {
+  const query = { company: companyId, token };
+  if (customerRef) query.customerRef = customerRef;
+
+  const storedCard = await StoredCard.findOne(query);
+  if (!storedCard) {
+    throw vaultError('Kayıtlı kart bulunamadı', CARD_VAULT_ERROR_CODES.NOT_FOUND, 404);
+  }
+
+  if (storedCard.isExpired()) {
+    throw vaultError('Kayıtlı kartın son kullanma tarihi geçmiş', CARD_VAULT_ERROR_CODES.EXPIRED, 422);
+  }
+
+  const card = storedCard.getDecryptedCard();
+
+  // Kullanım zamanı (async, don't wait)
+  StoredCard.updateOne({ _id: storedCard._id }, { $set: { lastUsedAt: new Date() } }).catch(() => {});
+
+  return {
+    storedCard,
+    card: {
+      holder: card.holder,
+      number: card.number,
+      expiry: card.expiry
+    }
+  };
+}
+
+/**
+ * List customer's cards
+ */
+export async function listCards(companyId, customerRef) {
+  const query = { company: companyId };
+  if (customerRef) query.customerRef = customerRef;
+
+  return StoredCard.find(query).sort({ createdAt: -1 });
+}
+
+/**
+ * Delete stored card
+ */
+export async function deleteCard(companyId, token) {
+  const storedCard = await StoredCard.findOneAndDelete({ company: companyId, token });
+  if (!storedCard) {
+    throw vaultError('Kayıtlı kart bulunamadı', CARD_VAULT_ERROR_CODES.NOT_FOUND, 404);
+  }
+  return storedCard;
+}
+
+/**
+ * Cards expiring within the given days (already expired ones included)
+ */
+export async function getExpiringCards(companyId, { days = 60, customerRef = null, includeExpired = true } = {}) {
+  const now = new Date();
+  const until = new Date(now.getTime() + days * 24 * 60 * 60 * 1000);
+
+  const query = {
+    company: companyId,
+    expiresAt: includeExpired ? { $lte: until } : { $gte: now, $lte: until }
+  };
+  if (customerRef) query.customerRef = customerRef;
+
+  return StoredCard.find(query).sort({ expiresAt: 1 });
+}
+
+export default {
+  getExpiryDate,
+  storeCard,
+  storeCardFromTransaction,
+  resolveCardToken,
+  listCards,
+  deleteCard,
+  getExpiringCards
+};
@@ -0,0 +1,368 @@
+/**
+ * Checkout Service
+ * Barındırılan ödeme sayfası oturumları: oluşturma, ödeme sonucu ve üye işyerine dönüş ayarı
+ * Ödeme /payment/checkout/:sessionId sayfasından createPayment + 3D form akışı ile alınır
+ */
+
+import crypto from 'crypto';
+import { CheckoutSession, Transaction, Company } from '../models/index.js';
+import { notifyEvent } from './WebhookService.js';
+import { getAllowedOrigins, RESULT_ERROR_CODES } from './ResultHandlingService.js';
+
+export const CHECKOUT_ERROR_CODES = {
+  NOT_FOUND: 'CHECKOUT_SESSION_NOT_FOUND',
+  NOT_PAYABLE: 'CHECKOUT_SESSION_NOT_PAYABLE',
+  IN_PROGRESS: 'CHECKOUT_PAYMENT_IN_PROGRESS',
+  INSTALLMENT_NOT_ALLOWED: 'CHECKOUT_INSTALLMENT_NOT_ALLOWED'
+};
+
+// Oturum geçerlilik süresi
+const SESSION_TTL_MINUTES = parseInt(process.env.CHECKOUT_SESSION_TTL_MINUTES) || 30;
+// Başlatılan ödemenin (3D formu) oturumu kilitli tuttuğu en uzun süre
+const CLAIM_TTL_MINUTES = parseInt(process.env.CHECKOUT_CLAIM_MINUTES) || 15;
+
+const NOT_PAYABLE_MESSAGES = {
+  completed: 'Bu ödeme zaten tamamlandı',
+  expired: 'Ödeme oturumunun süresi doldu',
+  cancelled: 'Ödeme oturumu iptal edildi'
+};
+
+/**
+ * Create error with code/status for the API response
+ */
+function checkoutError(message, code, status) {
+  const error = new Error(message);
+  error.code = code;
+  error.status = status;
+  return error;
+}
+
+/**
+ * Generate opaque session id
+ */
+function generateSessionId() {
+  return `cs_${crypto.randomBytes(24).toString('base64url')}`;
+}
+
+/**
+ * Validate absolute http(s) URL
+ */
+function isValidUrl(value) {
+  try {
+    const url = new URL(value);
+    return ['http:', 'https:'].includes(url.protocol);
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Public URL of the checkout page
+ */
+export function getCheckoutUrl(session) {
+  return `${process.env.CALLBACK_BASE_URL}/payment/checkout/${session.sessionId}`;
+}
+
+/**
+ * Create checkout session
+ */
+export async function createSession(data) {
+  const {
+    companyId, amount, currency = 'try', installments = [], customer, bookingCode, externalId,
+    description, returnUrl, successUrl, failUrl, returnMode = 'redirect'
+  } = data;
+
+  const sessionAmount = parseFloat(amount);
+  if (isNaN(sessionAmount) || sessionAmount <= 0) {
+    throw checkoutError('Geçersiz tutar', 'INVALID_AMOUNT', 400);
+  }
+
+  for (const [name, value] of Object.entries({ returnUrl, successUrl, failUrl })) {
+    if ((value || name === 'returnUrl') && !isValidUrl(value)) {
+      throw checkoutError(`Geçersiz ${name}`, 'INVALID_RETURN_URL', 400);
+    }
+  }
+
+  if (!['redirect', 'postMessage'].includes(returnMode)) {
+    throw checkoutError('returnMode redirect veya postMessage olmalı', 'INVALID_RETURN_MODE', 400);
+  }
+
+  // postMessage sadece firmanın izinli origin'lerine
+  if (returnMode === 'postMessage') {
+    const company = await Company.findById(companyId).select('settings.resultHandling');
+    if (!getAllowedOrigins(company).includes(new URL(returnUrl).origin)) {
+      throw checkoutError('returnUrl origin firma için izinli değil', RESULT_ERROR_CODES.ORIGIN_NOT_ALLOWED, 422);
+    }
+  }
+
+  const allowedInstallments = [...new Set((installments || []).map(i => parseInt(i)))];
+  if (allowedInstallments.some(i => isNaN(i) || i < 1)) {
+    throw checkoutError('Geçersiz taksit listesi', 'INVALID_INSTALLMENTS', 400);
+  }
+
+  const session = new CheckoutSession({
+    company: companyId,
+    sessionId: generateSessionId(),
+    amount: sessionAmount,
+    currency: currency.toLowerCase(),
+    installments: allowedInstallments.sort((a, b) => a - b),
+    customer: customer || {},
+    bookingCode,
+    externalId,
+    description,
+    returnUrl,
+    successUrl,
+    failUrl,
+    returnMode,
+    expiresAt: new Date(Date.now() + SESSION_TTL_MINUTES * 60 * 1000)
+  });
+
+  await session.save();
+  return session;
+}
+
+/**
+ * Mark sessions past their expiry date as expired
+ */
+export async function expireSessions(filter = {}) {
+  const result = await CheckoutSession.updateMany(
+    { ...filter, status: 'open', expiresAt: { $lt: new Date() } },
+    { $set: { status: 'expired' } }
+  );
+  return result.modifiedCount;
+}
+
+/**
+ * Get session by id if it can still take payments
+ * Error has `code` (CHECKOUT_*) and `status` (404/410)
+ */
+export async function getPayableSession(sessionId) {
+  await expireSessions({ sessionId });
+
+  const session = await CheckoutSession.findOne({ sessionId }).populate('company', 'name status settings.branding');
+  if (!session || !session.company?.status) {
+    throw checkoutError('Ödeme oturumu bulunamadı', CHECKOUT_ERROR_CODES.NOT_FOUND, 404);
+  }
+
+  if (!session.isPayable()) {
+    throw checkoutError(
+      NOT_PAYABLE_MESSAGES[session.status] || 'Ödeme oturumu kullanılamaz',
+      CHECKOUT_ERROR_CODES.NOT_PAYABLE,
+      410
+    );
+  }
+
+  return session;
+}
+
+/**
+ * Claim a payable session for a new payment
+ * Koşullu güncelleme: devam eden ödeme varken ikinci istek oturumu alamaz
+ * @returns {Promise<{session, claimId}>}
+ */
+export async function claimPayableSession(sessionId) {
+  await expireSessions({ sessionId });
+
+  const now = new Date();
+  const claimId = crypto.randomBytes(12).toString('hex');
+
+  const session = await CheckoutSession.findOneAndUpdate(
+    {
+      sessionId,
+      status: 'open',
+      expiresAt: { $gt: now },
+      $or: [
+        { 'inFlight.until': null },
+        { 'inFlight.until': { $lte: now } }
+      ]
+    },
+    { $set: { inFlight: { claimId, until: new Date(now.getTime() + CLAIM_TTL_MINUTES * 60 * 1000) } } },
+    { new: true }
+  ).populate('company', 'name status settings.branding');
+
+  if (!session) {
+    // Bulunamadı / tamamlanmış / süresi dolmuş ise getPayableSession aynı hatayı verir
+    await getPayableSession(sessionId);
+    throw checkoutError('Bu oturumda devam eden bir ödeme var', CHECKOUT_ERROR_CODES.IN_PROGRESS, 409);
+  }
+
+  if (!session.company?.status) {
+    await releaseCheckoutClaim(session, claimId);
+    throw checkoutError('Ödeme oturumu bulunamadı', CHECKOUT_ERROR_CODES.NOT_FOUND, 404);
+  }
+
+  return { session, claimId };
+}
+
+/**
+ * Release claim when the payment could not be started
+ */
+export async function releaseCheckoutClaim(session, claimId) {
+  await CheckoutSession.updateOne(
+    { _id: session._id, 'inFlight.claimId': claimId },
+    { $unset: { inFlight: 1 } }
+  );
+}
+
+/**
+ * Limit installment options to the ones allowed by the session
+ */
+export function filterInstallmentOptions(session, options = []) {
+  if (!session.installments?.length) return options;
+  return options.filter(o => session.installments.includes(o.count));
+}
+
+/**
+ * Assert chosen installment is allowed by the session
+ */
+export function assertSessionInstallment(session, installment) {
+  if (!session.installments?.length || session.installments.includes(installment)) return;
+
+  throw checkoutError(
+    `${installment} taksit bu ödemede kullanılamaz`,
+    CHECKOUT_ERROR_CODES.INSTALLMENT_NOT_ALLOWED,
+    422
+  );
+}
+
+/**
+ * Track started payment attempt on the session
+ * Claim, denemenin işlemine bağlanır - 3D sonucu gelince serbest bırakılır
+ */
+export async function recordCheckoutAttempt(session, transactionId, claimId = null) {
+  await CheckoutSession.updateOne(
+    { _id: session._id },
+    { $set: { transaction: transactionId }, $inc: { attempts: 1 } }
+  );
+
+  if (claimId) {
+    await CheckoutSession.updateOne(
+      { _id: session._id, 'inFlight.claimId': claimId },
+      { $set: { 'inFlight.transaction': transactionId } }
+    );
+  }
+}
+
+/**
+ * Record payment result on the session (after 3D callback / reconciliation)
+ * Başarılı ödeme oturumu kapatır; başarısız denemede oturum açık kalır
+ */
+export async function recordCheckoutResult(transactionId) {
+  const transaction = await Transaction.findById(transactionId)
+    .select('checkoutSession status amount currency installment');
+
+  if (!transaction?.checkoutSession) {
+    return null;
+  }
+
+  if (transaction.status !== 'success') {
+    await CheckoutSession.updateOne(
+      { _id: transaction.checkoutSession },
+      { $set: { transaction: transaction._id } }
+    );
+    // Sonuçlanan başarısız deneme oturumu bırakır, misafir tekrar deneyebilir
+    if (!['pending', 'processing'].includes(transaction.status)) {
+      await CheckoutSession.updateOne(
+        { _id: transaction.checkoutSession, 'inFlight.transaction': transaction._id },
+        { $unset: { inFlight: 1 } }
+      );
+    }
+    return CheckoutSession.findById(transaction.checkoutSession);
+  }
+
+  const session = await CheckoutSession.findOneAndUpdate(
+    { _id: transaction.checkoutSession, status: { $ne: 'completed' } },
+    { $set: { status: 'completed', transaction: transaction._id, completedAt: new Date() }, $unset: { inFlight: 1 } },
+    { new: true }
+  );
+
+  // Aynı sonuç ikinci kez geldi
+  if (!session) {
+    return CheckoutSession.findById(transaction.checkoutSession);
+  }
+
+  notifyEvent(session.company, 'checkout.completed', {
+    sessionId: session.sessionId,
+    bookingCode: session.bookingCode || null,
+    externalId: session.externalId || null,
+    transactionId: transaction._id,
+    amount: transaction.amount,
+    currency: transaction.currency,
+    installment: transaction.installment
+  }, transaction._id);
+
+  return session;
+}
+
+/**
+ * Result handling for session payments (Transaction.resultHandling)
+ * successUrl/failUrl yoksa returnUrl; postMessage returnUrl origin'ine
+ */
+export function getSessionResultHandling(session) {
+  return {
+    mode: session.returnMode,
+    successUrl: session.successUrl || session.returnUrl,
+    failUrl: session.failUrl || session.returnUrl,
+    origin: session.returnMode === 'postMessage' ? new URL(session.returnUrl).origin : undefined
+  };
+}
+
+/**
+ * Get session with its payment attempts
+ */
+export async function getSession(sessionId, companyId = null) {
+  await expireSessions({ sessionId });
+
+  const query = { sessionId };
+  if (companyId) query.company = companyId;
+
+  const session = await CheckoutSession.findOne(query);
+  if (!session) {
+    throw checkoutError('Ödeme oturumu bulunamadı', CHECKOUT_ERROR_CODES.NOT_FOUND, 404);
+  }
+
+  const transactions = await Transaction.find({ checkoutSession: session._id })
+    .populate('pos', 'name provider')
+    .select('-card.holder -card.number -card.expiry -card.cvv -logs')
+    .sort({ createdAt: -1 });
+
+  return { session, transactions };
+}
+
+/**
+ * Cancel open session
+ */
+export async function cancelSession(sessionId, companyId = null) {
+  const query = { sessionId };
+  if (companyId) query.company = companyId;
+
+  const session = await CheckoutSession.findOne(query);
+  if (!session) {
+    throw checkoutError('Ödeme oturumu bulunamadı', CHECKOUT_ERROR_CODES.NOT_FOUND, 404);
+  }
+
+  if (session.status !== 'open') {
+    throw checkoutError(`Ödeme oturumu iptal edilemez (durum: ${session.status})`, CHECKOUT_ERROR_CODES.NOT_PAYABLE, 409);
+  }
+
+  session.status = 'cancelled';
+  await session.save();
+
+  return session;
+}
+
+export default {
+  getCheckoutUrl,
+  createSession,
+  expireSessions,
+  getPayableSession,
+  claimPayableSession,
+  releaseCheckoutClaim,
+  filterInstallmentOptions,
+  assertSessionInstallment,
+  recordCheckoutAttempt,
+  recordCheckoutResult,
+  getSessionResultHandling,
+  getSession,
+  cancelSession
+};
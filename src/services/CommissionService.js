@@ -0,0 +1,124 @@
+/**
+ * Commission Service
+ * Taksit vade farkı (müşteri oranı) ve banka komisyonu hesaplama
+ */
+
+/**
+ * Round amount to 2 decimals
+ */
+export function roundAmount(value) {
+  return Math.round(value * 100) / 100;
+}
+
+/**
+ * Get commission period active on the given date
+ * En son başlamış dönem geçerlidir
+ */
+export function getActiveCommissionPeriod(pos, date = new Date()) {
+  const periods = (pos.commissionRates || [])
+    .filter(p => p.startDate && new Date(p.startDate) <= date)
+    .sort((a, b) => new Date(b.startDate) - new Date(a.startDate));
+
+  return periods[0] || null;
+}
+
+/**
+ * Card origin relative to the POS
+ * - foreign: yurtdışı kart
+ * - onus: kart bankası = POS bankası
+ * - domestic: başka yerli banka kartı
+ */
+export function getCardOrigin(pos, binInfo) {
+  const country = String(binInfo?.country || '').toLowerCase();
+  if (country && country !== 'tr' && country !== 'unknown') {
+    return 'foreign';
+  }
+
+  const cardBankCode = String(binInfo?.bankCode || '').toLowerCase();
+  if (cardBankCode && cardBankCode === pos.bankCode) {
+    return 'onus';
+  }
+
+  return 'domestic';
+}
+
+/**
+ * Get bank commission rate (%) for installment count
+ * Yurtdışı kartlarda foreignCardRate, başka banka kartlarında (tanımlıysa) foreignBankRate,
+ * diğer durumlarda taksit bazlı oran kullanılır
+ */
+export function getCommissionRate(pos, { count = 1, date = new Date(), binInfo = null } = {}) {
+  const period = getActiveCommissionPeriod(pos, date);
+  if (!period) {
+    return { rate: 0, periodId: null, origin: getCardOrigin(pos, binInfo) };
+  }
+
+  const origin = getCardOrigin(pos, binInfo);
+  const installmentRate = (period.rates || []).find(r => r.count === count)?.rate || 0;
+
+  let rate = installmentRate;
+  if (origin === 'foreign' && period.foreignCardRate) {
+    rate = period.foreignCardRate;
+  } else if (origin === 'domestic' && period.foreignBankRate) {
+    rate = period.foreignBankRate;
+  }
+
+  return { rate, periodId: period._id || null, origin };
+}
+
+/**
+ * Get customer rate (%) for installment count
+ * @returns {number|null} null = bu taksit sayısı kapalı
+ */
+export function getCustomerRate(pos, count) {
+  const rateItem = (pos.installment?.rates || []).find(r => r.count === count);
+  if (!rateItem) return 0;
+  if (rateItem.enabled === false) return null;
+  return rateItem.customerRate || 0;
+}
+
+/**
+ * Get extra installments defined on the installment rate (installment.rates[].plusInstallment)
+ */
+export function getRatePlusInstallment(pos, count) {
+  if (count <= 1) return 0;
+  return (pos.installment?.rates || []).find(r => r.count === count)?.plusInstallment || 0;
+}
+
+/**
+ * Calculate pricing for an amount and installment count
+ * İndirim (kampanya) vade farkından önce uygulanır
+ * @returns {object|null} null = taksit sayısı kapalı
+ */
+export function calculateInstallmentPricing(pos, amount, count = 1, binInfo = null, date = new Date(), { discountRate = 0 } = {}) {
+  const customerRate = count > 1 ? getCustomerRate(pos, count) : 0;
+  if (customerRate === null) return null;
+
+  const discount = roundAmount(amount * discountRate / 100);
+  const total = roundAmount((amount - discount) * (1 + customerRate / 100));
+  const { rate: commissionRate } = getCommissionRate(pos, { count, date, binInfo });
+  const commission = roundAmount(total * commissionRate / 100);
+
+  return {
+    count,
+    baseAmount: roundAmount(amount),
+    discountRate,
+    discount,
+    customerRate,
+    total,
+    installmentAmount: roundAmount(total / count),
+    commissionRate,
+    commission,
+    net: roundAmount(total - commission)
+  };
+}
+
+export default {
+  roundAmount,
+  getActiveCommissionPeriod,
+  getCardOrigin,
+  getCommissionRate,
+  getCustomerRate,
+  getRatePlusInstallment,
+  calculateInstallmentPricing
+};
@@ -0,0 +1,349 @@
+/**
+ * Payment Link Service
+ * Ödeme linki oluşturma, durum takibi (opened, paid, expired) ve iptal
+ * Ödeme /payment/link/:token sayfasından createPayment + 3D form akışı ile alınır
+ */
+
+import crypto from 'crypto';
+import { PaymentLink, Transaction } from '../models/index.js';
+import { notifyEvent } from './WebhookService.js';
+
+export const PAYMENT_LINK_ERROR_CODES = {
+  NOT_FOUND: 'PAYMENT_LINK_NOT_FOUND',
+  NOT_PAYABLE: 'PAYMENT_LINK_NOT_PAYABLE',
+  IN_PROGRESS: 'PAYMENT_LINK_PAYMENT_IN_PROGRESS',
+  INSTALLMENT_NOT_ALLOWED: 'PAYMENT_LINK_INSTALLMENT_NOT_ALLOWED'
+};
+
+// Bitiş tarihi verilmezse geçerlilik süresi
+const DEFAULT_TTL_HOURS = parseInt(process.env.PAYMENT_LINK_DEFAULT_TTL_HOURS) || 72;
+// Başlatılan ödemenin (3D formu) linki kilitli tuttuğu en uzun süre
+const CLAIM_TTL_MINUTES = parseInt(process.env.PAYMENT_LINK_CLAIM_MINUTES) || 15;
+const PAYABLE_STATUSES = ['active', 'opened'];
+
+const NOT_PAYABLE_MESSAGES = {
+  paid: 'Bu ödeme linki ile ödeme zaten yapıldı',
+  expired: 'Ödeme linkinin süresi doldu',
+  cancelled: 'Ödeme linki iptal edildi'
+};
+
+/**
+ * Create error with code/status for the API response
+ */
+function linkError(message, code, status) {
+  const error = new Error(message);
+  error.code = code;
+  error.status = status;
+  return error;
+}
+
+/**
+ * Generate opaque link token
+ */
+function generateLinkToken() {
+  return `plink_${crypto.randomBytes(24).toString('base64url')}`;
+}
+
+/**
+ * Public URL of the link page
+ */
+export function getLinkUrl(link) {
+  return `${process.env.CALLBACK_BASE_URL}/payment/link/${link.token}`;
+}
+
+/**
+ * Create payment link
+ */
+export async function createLink(data) {
+  const {
+    companyId, amount, currency = 'try', installments = [], usage = 'single', maxUses,
+    expiresAt, bookingCode, externalId, description, customer, createdBy
+  } = data;
+
+  const linkAmount = parseFloat(amount);
+  if (isNaN(linkAmount) || linkAmount <= 0) {
+    throw linkError('Geçersiz tutar', 'INVALID_AMOUNT', 400);
+  }
+
+  if (!['single', 'multi'].includes(usage)) {
+    throw linkError('usage single veya multi olmalı', 'INVALID_USAGE', 400);
+  }
+
+  const allowedInstallments = [...new Set((installments || []).map(i => parseInt(i)))];
+  if (allowedInstallments.some(i => isNaN(i) || i < 1)) {
+    throw linkError('Geçersiz taksit listesi', 'INVALID_INSTALLMENTS', 400);
+  }
+
+  const expiry = expiresAt
+    ? new Date(expiresAt)
+    : new Date(Date.now() + DEFAULT_TTL_HOURS * 60 * 60 * 1000);
+  if (isNaN(expiry.getTime()) || expiry <= new Date()) {
+    throw linkError('Bitiş tarihi ileri bir tarih olmalı', 'INVALID_EXPIRY', 400);
+  }
+
+  const link = new PaymentLink({
+    company: companyId,
+    token: generateLinkToken(),
+    amount: linkAmount,
+    currency: currency.toLowerCase(),
+    installments: allowedInstallments.sort((a, b) => a - b),
+    usage,
+    maxUses: usage === 'multi' && maxUses ? parseInt(maxUses) : undefined,
+    expiresAt: expiry,
+    bookingCode,
+    externalId,
+    description,
+    customer: customer || {},
+    createdBy
+  });
+
+  await link.save();
+  return link;
+}
+
+/**
+ * Mark links past their expiry date as expired
+ */
+export async function expireLinks(filter = {}) {
+  const result = await PaymentLink.updateMany(
+    { ...filter, status: { $in: PAYABLE_STATUSES }, expiresAt: { $lt: new Date() } },
+    { $set: { status: 'expired' } }
+  );
+  return result.modifiedCount;
+}
+
+/**
+ * Get link by token if it can still take payments
+ * Error has `code` (PAYMENT_LINK_*) and `status` (404/410)
+ */
+export async function getPayableLink(token) {
+  await expireLinks({ token });
+
+  const link = await PaymentLink.findOne({ token }).populate('company', 'name status settings.branding');
+  if (!link || !link.company?.status) {
+    throw linkError('Ödeme linki bulunamadı', PAYMENT_LINK_ERROR_CODES.NOT_FOUND, 404);
+  }
+
+  if (!link.isPayable()) {
+    throw linkError(
+      NOT_PAYABLE_MESSAGES[link.status] || 'Ödeme linki kullanılamaz',
+      PAYMENT_LINK_ERROR_CODES.NOT_PAYABLE,
+      410
+    );
+  }
+
+  return link;
+}
+
+/**
+ * Claim a payable link for a new payment (koşullu güncelleme ile tek istek alır)
+ * Single ve maxUses'lı linklerde aynı anda tek ödeme başlatılabilir, sınırsız multi linkler kilitlenmez
+ * @returns {Promise<{link, claimId}>}
+ */
+export async function claimPayableLink(token) {
+  await expireLinks({ token });
+
+  const now = new Date();
+  const claimId = crypto.randomBytes(12).toString('hex');
+
+  const link = await PaymentLink.findOneAndUpdate(
+    {
+      token,
+      status: { $in: PAYABLE_STATUSES },
+      expiresAt: { $gt: now },
+      $or: [
+        { usage: 'multi', maxUses: null },
+        { 'inFlight.until': null },
+        { 'inFlight.until': { $lte: now } }
+      ]
+    },
+    { $set: { inFlight: { claimId, until: new Date(now.getTime() + CLAIM_TTL_MINUTES * 60 * 1000) } } },
+    { new: true }
+  ).populate('company', 'name status settings.branding');
+
+  if (!link) {
+    // Bulunamadı / ödenmiş / süresi dolmuş ise getPayableLink aynı hatayı verir
+    await getPayableLink(token);
+    throw linkError('Bu ödeme linki ile devam eden bir ödeme var', PAYMENT_LINK_ERROR_CODES.IN_PROGRESS, 409);
+  }
+
+  if (!link.company?.status) {
+    await releaseLinkClaim(link._id, claimId);
+    throw linkError('Ödeme linki bulunamadı', PAYMENT_LINK_ERROR_CODES.NOT_FOUND, 404);
+  }
+
+  return { link, claimId };
+}
+
+/**
+ * Bind the started transaction to the claim (3D sonucu gelince serbest bırakılır)
+ */
+export async function attachLinkClaim(linkId, claimId, transactionId) {
+  await PaymentLink.updateOne(
+    { _id: linkId, 'inFlight.claimId': claimId },
+    { $set: { 'inFlight.transaction': transactionId } }
+  );
+}
+
+/**
+ * Release claim when the payment could not be started
+ */
+export async function releaseLinkClaim(linkId, claimId) {
+  await PaymentLink.updateOne(
+    { _id: linkId, 'inFlight.claimId': claimId },
+    { $unset: { inFlight: 1 } }
+  );
+}
+
+/**
+ * Track link page view (first view = opened)
+ */
+export async function markLinkOpened(link) {
+  const now = new Date();
+  const update = {
+    $inc: { openCount: 1 },
+    $set: { lastOpenedAt: now }
+  };
+  if (!link.openedAt) update.$set.openedAt = now;
+  if (link.status === 'active') update.$set.status = 'opened';
+
+  await PaymentLink.updateOne({ _id: link._id }, update);
+}
+
+/**
+ * Limit installment options to the ones allowed by the link
+ */
+export function filterInstallmentOptions(link, options = []) {
+  if (!link.installments?.length) return options;
+  return options.filter(o => link.installments.includes(o.count));
+}
+
+/**
+ * Assert chosen installment is allowed by the link
+ */
+export function assertLinkInstallment(link, installment) {
+  if (!link.installments?.length || link.installments.includes(installment)) return;
+
+  throw linkError(
+    `${installment} taksit bu ödeme linkinde kullanılamaz`,
+    PAYMENT_LINK_ERROR_CODES.INSTALLMENT_NOT_ALLOWED,
+    422
+  );
+}
+
+/**
+ * Record successful payment on the link (after 3D callback)
+ * Aynı işlem iki kez sayılmaz; single link ve maxUses'a ulaşan multi link kapanır
+ */
+export async function recordLinkPayment(transactionId) {
+  const transaction = await Transaction.findById(transactionId)
+    .select('paymentLink status amount currency installment bookingCode');
+
+  if (!transaction?.paymentLink || ['pending', 'processing'].includes(transaction.status)) {
+    return null;
+  }
+
+  // Sonuçlanan ödemenin kilidi - başarılıda link kapandıktan sonra kaldırılır
+  const releaseClaim = () => PaymentLink.updateOne(
+    { _id: transaction.paymentLink, 'inFlight.transaction': transaction._id },
+    { $unset: { inFlight: 1 } }
+  );
+
+  if (transaction.status !== 'success') {
+    await releaseClaim();
+    return null;
+  }
+
+  const link = await PaymentLink.findOneAndUpdate(
+    { _id: transaction.paymentLink, payments: { $ne: transaction._id } },
+    { $push: { payments: transaction._id }, $set: { paidAt: new Date() } },
+    { new: true }
+  );
+  if (!link) {
+    await releaseClaim();
+    return null;
+  }
+
+  const closed = link.usage === 'single' || (link.maxUses && link.payments.length >= link.maxUses);
+  if (closed && link.status !== 'cancelled') {
+    link.status = 'paid';
+    await link.save();
+  }
+  await releaseClaim();
+
+  notifyEvent(link.company, 'payment_link.paid', {
+    linkId: link._id,
+    token: link.token,
+    status: link.status,
+    bookingCode: link.bookingCode || null,
+    externalId: link.externalId || null,
+    paymentCount: link.payments.length,
+    transactionId: transaction._id,
+    amount: transaction.amount,
+    currency: transaction.currency,
+    installment: transaction.installment
+  }, transaction._id);
+
+  return link;
+}
+
+/**
+ * Get link with its payment attempts
+ */
+export async function getLink(linkId, companyId = null) {
+  await expireLinks({ _id: linkId });
+
+  const query = { _id: linkId };
+  if (companyId) query.company = companyId;
+
+  const link = await PaymentLink.findOne(query);
+  if (!link) {
+    throw linkError('Ödeme linki bulunamadı', PAYMENT_LINK_ERROR_CODES.NOT_FOUND, 404);
+  }
+
+  const transactions = await Transaction.find({ paymentLink: link._id })
+    .populate('pos', 'name provider')
+    .select('-card.holder -card.number -card.expiry -card.cvv -logs')
+    .sort({ createdAt: -1 });
+
+  return { link, transactions };
+}
+
+/**
+ * Cancel link (paid links cannot be cancelled - refund the payment instead)
+ */
+export async function cancelLink(linkId, companyId = null) {
+  const query = { _id: linkId };
+  if (companyId) query.company = companyId;
+
+  const link = await PaymentLink.findOne(query);
+  if (!link) {
+    throw linkError('Ödeme linki bulunamadı', PAYMENT_LINK_ERROR_CODES.NOT_FOUND, 404);
+  }
+
+  if (['paid', 'cancelled'].includes(link.status)) {
+    throw linkError(`Ödeme linki iptal edilemez (durum: ${link.status})`, PAYMENT_LINK_ERROR_CODES.NOT_PAYABLE, 409);
+  }
+
+  link.status = 'cancelled';
+  link.cancelledAt = new Date();
+  await link.save();
+
+  return link;
+}
+
+export default {
+  getLinkUrl,
+  createLink,
+  expireLinks,
+  getPayableLink,
+  claimPayableLink,
+  attachLinkClaim,
+  releaseLinkClaim,
+  markLinkOpened,
+  filterInstallmentOptions,
+  assertLinkInstallment,
+  recordLinkPayment,
+  getLink,
+  cancelLink
+};
@@ -6,6 +6,18 @@
 import { Transaction, VirtualPos } from '../models/index.js';
 import { getProvider, isProviderSupported } from '../providers/index.js';
 import { getBinInfo, isDomesticCard } from './BinService.js';
+import { filterPosByLimits, assertPosLimits } from './PosLimitService.js';
+import { calculateInstallmentPricing, getRatePlusInstallment, roundAmount } from './CommissionService.js';
+import { findMatchingCampaigns, selectCampaign } from './CampaignService.js';
+import { notifyTransaction } from './WebhookService.js';
+import { storeCardFromTransaction, resolveCardToken } from './CardVaultService.js';
+import { recordLinkPayment } from './PaymentLinkService.js';
+import { recordCheckoutResult } from './CheckoutService.js';
+
+// Kapama / çözme sonucu gelmeden süreç düşerse ön provizyon kilidi bu süreden sonra devralınabilir
+const PRE_AUTH_LOCK_MINUTES = parseInt(process.env.PRE_AUTH_LOCK_MINUTES) || 15;
+// Callback işlenirken (banka provizyon isteği dahil) tutulan kilit
+const CALLBACK_LOCK_MS = 5 * 60 * 1000;
 
 /**
  * Query BIN and get installment options
@@ -18,14 +30,14 @@ export async function queryBin(companyId, bin, amount, currency) {
   }
 
   // Find suitable POS for this card/currency
-  const pos = await findSuitablePos(companyId, currency, binInfo);
+  const pos = await findSuitablePos(companyId, currency, binInfo, amount);
 
   if (!pos) {
     return { success: false, error: 'Uygun sanal pos bulunamadı' };
   }
 
   // Generate installment options
-  const installments = generateInstallmentOptions(pos, amount, currency, binInfo);
+  const installments = generateInstallmentOptions(pos, amount, currency, binInfo, bin);
 
   // Return flattened response for frontend compatibility
   return {
@@ -56,69 +68,69 @@ export async function queryBin(companyId, bin, amount, currency) {
  * 2. POS that supports card family (world, bonus, etc.)
  * 3. Default POS for currency
  * 4. Any active POS for currency (by priority)
+ * POS'lar limitleri (min/max/günlük/aylık) aşılıyorsa atlanır
  */
-async function findSuitablePos(companyId, currency, binInfo) {
-  const currencyLower = currency.toLowerCase();
-  const cardBankCode = binInfo?.bankCode?.toLowerCase() || '';
-  const cardFamily = binInfo?.family?.toLowerCase() || '';
-
-  // Get all active POS for this currency
-  const allPos = await VirtualPos.find({
-    company: companyId,
-    currencies: currencyLower,
-    status: true
-  }).sort({ priority: -1 }); // Higher priority first
+async function findSuitablePos(companyId, currency, binInfo, amount) {
+  const candidates = await rankPosCandidates(companyId, currency, binInfo, amount);
 
-  if (!allPos.length) {
+  if (!candidates.length) {
     return null;
   }
 
-  // 1. Try to find POS with same bank (onus = best rates)
-  if (cardBankCode) {
-    const onusPos = allPos.find(p => p.bankCode === cardBankCode);
-    if (onusPos) {
-      console.log(`[POS] Selected onus POS: ${onusPos.name} (card bank: ${cardBankCode})`);
-      return onusPos;
-    }
-  }
+  console.log(`[POS] Selected: ${candidates[0].name}` +
+    (candidates.length > 1 ? ` (fallback: ${candidates.slice(1).map(p => p.name).join(', ')})` : ''));
+  return candidates[0];
+}
 
-  // 2. Try to find POS that supports the card family
-  if (cardFamily) {
-    const familyPos = allPos.find(p =>
-      p.supportedCardFamilies &&
-      p.supportedCardFamilies.some(f => f.toLowerCase() === cardFamily)
-    );
-    if (familyPos) {
-      console.log(`[POS] Selected family POS: ${familyPos.name} (card family: ${cardFamily})`);
-      return familyPos;
-    }
-  }
+/**
+ * Price one installment count, applying the best matching campaign
+ * @returns {object|null} null = taksit sayısı kapalı
+ */
+function priceInstallment(pos, amount, count, binInfo, campaigns, date) {
+  const campaign = selectCampaign(campaigns, count);
+  const pricing = calculateInstallmentPricing(pos, amount, count, binInfo, date, {
+    discountRate: campaign?.discountRate || 0
+  });
+  if (!pricing) return null;
 
-  // 3. Try default POS for currency
-  const defaultPos = allPos.find(p =>
-    p.defaultForCurrencies && p.defaultForCurrencies.includes(currencyLower)
-  );
-  if (defaultPos) {
-    console.log(`[POS] Selected default POS: ${defaultPos.name}`);
-    return defaultPos;
-  }
+  const plusInstallment = getRatePlusInstallment(pos, count) + (campaign?.plusInstallment || 0);
 
-  // 4. Return highest priority POS
-  console.log(`[POS] Selected by priority: ${allPos[0].name}`);
-  return allPos[0];
+  return { ...pricing, plusInstallment, campaign };
+}
+
+/**
+ * Format pricing as installment option
+ * amount = müşteriden çekilecek toplam (indirim ve vade farkı dahil)
+ */
+function toInstallmentOption(pricing) {
+  return {
+    count: pricing.count,
+    amount: pricing.total,
+    total: pricing.total,
+    installmentAmount: pricing.installmentAmount,
+    customerRate: pricing.customerRate,
+    discountRate: pricing.discountRate,
+    discount: pricing.discount,
+    plusInstallment: pricing.plusInstallment,
+    totalInstallments: pricing.count + pricing.plusInstallment,
+    campaign: pricing.campaign,
+    commissionRate: pricing.commissionRate,
+    commission: pricing.commission,
+    net: pricing.net
+  };
 }
 
 /**
  * Generate installment options
+ * Müşteri oranı (installment.rates[].customerRate), o tarihte geçerli
+ * banka komisyon dönemi (commissionRates) ve karta uyan kampanyalar ile hesaplanır
  */
-function generateInstallmentOptions(pos, amount, currency, binInfo) {
+function generateInstallmentOptions(pos, amount, currency, binInfo, bin, date = new Date()) {
   const options = [];
+  const campaigns = findMatchingCampaigns(pos, bin, binInfo, date);
 
   // Single payment always available
-  options.push({
-    count: 1,
-    amount: amount
-  });
+  options.push(toInstallmentOption(priceInstallment(pos, amount, 1, binInfo, campaigns, date)));
 
   // Installments only for TRY and credit cards
   if (currency === 'try' && pos.installment?.enabled && binInfo.type === 'credit') {
@@ -127,11 +139,10 @@ function generateInstallmentOptions(pos, amount, currency, binInfo) {
 
     if (amount >= minAmount) {
       for (let i = 2; i <= maxCount; i++) {
-        // Simple calculation - can be enhanced with commission rates
-        options.push({
-          count: i,
-          amount: amount // Same amount, just divided
-        });
+        const pricing = priceInstallment(pos, amount, i, binInfo, campaigns, date);
+        // Disabled installment count
+        if (!pricing) continue;
+        options.push(toInstallmentOption(pricing));
       }
     }
   }
@@ -139,11 +150,54 @@ function generateInstallmentOptions(pos, amount, currency, binInfo) {
   return options;
 }
 
+/**
+ * Assert POS can take non-3D (direct) payments
+ * Error has `code` (DIRECT_PAYMENT_NOT_ALLOWED) and `status` (422) for the API response
+ */
+function assertDirectPaymentAllowed(pos, provider) {
+  let message = null;
+
+  if (!pos.allowDirectPayment) {
+    message = 'Bu POS için 3D\'siz ödeme izni yok';
+  } else if (pos.threeDSecure?.required) {
+    message = 'Bu POS için 3D Secure zorunlu';
+  } else if (!provider.supports('paymentDirect')) {
+    message = `${pos.provider} 3D'siz ödemeyi desteklemiyor`;
+  }
+
+  if (message) {
+    const error = new Error(message);
+    error.code = 'DIRECT_PAYMENT_NOT_ALLOWED';
+    error.status = 422;
+    throw error;
+  }
+}
+
+// Başka POS ile tekrar denenebilir başlatma hataları (ağ/banka kaynaklı, kart reddi değil)
+// 91: Issuer or switch inoperative, 96: System malfunction (ISO 8583)
+const RETRYABLE_INIT_CODES = ['NETWORK_ERROR', 'TIMEOUT', 'SYSTEM_ERROR', '91', '96'];
+const RETRYABLE_NETWORK_ERRORS = ['ECONNREFUSED', 'ECONNRESET', 'ECONNABORTED', 'ETIMEDOUT', 'ENOTFOUND', 'EAI_AGAIN', 'EHOSTUNREACH'];
+
+/**
+ * Is the initialize error retryable on another POS
+ */
+function isRetryableInitError({ code, error } = {}) {
+  if (code && RETRYABLE_INIT_CODES.includes(String(code))) return true;
+  if (error) {
+    if (RETRYABLE_NETWORK_ERRORS.includes(error.code)) return true;
+    if (error.response?.status >= 500) return true;
+  }
+  return false;
+}
+
 /**
  * Create and start payment
+ * paymentModel 'regular' = 3D'siz direkt ödeme, banka sonucu senkron döner
+ * failover = true ise (POS otomatik seçildiğinde) yeniden denenebilir hatalarda
+ * sıradaki uygun POS denenir; tüm denemeler attemptGroup ile tek ödemeye bağlanır
  */
 export async function createPayment(data) {
-  const { posId, amount, currency, installment, card, customer, externalId } = data;
+  const { posId, amount, currency, card, companyId, failover = false, paymentModel } = data;
 
   // Get POS
   const pos = await VirtualPos.findById(posId).populate('company');
@@ -152,10 +206,6 @@ export async function createPayment(data) {
     throw new Error('Sanal pos bulunamadı veya aktif değil');
   }
 
-  if (!isProviderSupported(pos.provider)) {
-    throw new Error(`Provider henüz desteklenmiyor: ${pos.provider}`);
-  }
-
   // Get BIN info
   const bin = parseInt(card.number.replace(/\s/g, '').slice(0, 8), 10);
   const binInfo = await getBinInfo(bin);
@@ -165,12 +215,90 @@ export async function createPayment(data) {
     throw new Error('Yurtiçi kartlarla sadece TL ödeme yapabilirsiniz');
   }
 
+  // Direkt ödemede failover yok - banka tahsilatı yapmış olabilir
+  const canFailover = failover && paymentModel !== 'regular';
+  const tried = [];
+  let candidates = null;
+  let currentPos = pos;
+  let previousAttempt = null;
+  let lastAttemptError = null;
+
+  while (true) {
+    try {
+      return await startPayment(currentPos, data, { bin, binInfo, previousAttempt });
+    } catch (error) {
+      tried.push(currentPos._id.toString());
+
+      if (error.transaction) {
+        previousAttempt = error.transaction;
+        lastAttemptError = error;
+      }
+
+      // İlk POS'ta işlem oluşmadan alınan hatalar (taksit, limit) aynen döner;
+      // yedek POS bu ödemeyi alamıyorsa sıradakine geçilir
+      const retryable = error.transaction ? error.retryable : previousAttempt !== null;
+
+      let nextPos = null;
+      if (canFailover && retryable) {
+        candidates = candidates || await rankPosCandidates(
+          companyId || pos.company?._id || pos.company, currency, binInfo, amount
+        );
+        nextPos = candidates.find(p => !tried.includes(p._id.toString())) || null;
+      }
+
+      if (!nextPos) {
+        if (previousAttempt) notifyTransaction(previousAttempt);
+        throw lastAttemptError || error;
+      }
+
+      console.log(`[POS] Failover ${currentPos.name} → ${nextPos.name}: ${error.message}`);
+      currentPos = nextPos;
+    }
+  }
+}
+
+/**
+ * Create transaction on a POS and start the payment
+ * Başlatma hatasında error.transaction ve error.retryable set edilir
+ */
+async function startPayment(pos, data, { bin, binInfo, previousAttempt = null }) {
+  const { amount, currency, installment, card, customer, externalId, bookingCode, paymentModel, vault, paymentLink, checkoutSession, resultHandling } = data;
+  const isDirect = paymentModel === 'regular';
+
+  if (!isProviderSupported(pos.provider)) {
+    throw new Error(`Provider henüz desteklenmiyor: ${pos.provider}`);
+  }
+
+  // Price the chosen installment (same calculation as queryBin, campaigns included)
+  const installmentCount = installment || 1;
+  const options = generateInstallmentOptions(pos, amount, currency, binInfo || {}, card.number);
+  const pricing = options.find(o => o.count === installmentCount);
+  if (!pricing) {
+    throw new Error(`${installmentCount} taksit bu kart/POS için uygun değil`);
+  }
+
+  // Check POS limits (min/max/daily/monthly) against the charged total
+  await assertPosLimits(pos, pricing.total, currency);
+
   // Create transaction
   const transaction = new Transaction({
     pos: pos._id,
-    amount,
+    paymentModel: isDirect ? 'regular' : undefined,
+    amount: pricing.total,
     currency,
-    installment: installment || 1,
+    installment: installmentCount,
+    pricing: {
+      baseAmount: amount,
+      discountRate: pricing.discountRate,
+      discount: pricing.discount,
+      customerRate: pricing.customerRate,
+      installmentAmount: pricing.installmentAmount,
+      plusInstallment: pricing.plusInstallment,
+      commissionRate: pricing.commissionRate,
+      commission: pricing.commission,
+      net: pricing.net
+    },
+    campaign: pricing.campaign || undefined,
     card: {
       holder: card.holder,
       number: card.number,
@@ -180,6 +308,7 @@ export async function createPayment(data) {
     },
     bin: binInfo ? {
       bank: binInfo.bank || '',
+      bankCode: binInfo.bankCode || '',
       brand: binInfo.brand || '',
       type: binInfo.type || '',
       family: binInfo.family || '',
@@ -187,25 +316,38 @@ export async function createPayment(data) {
     } : {},
     customer: customer || {},
     status: 'pending',
-    externalId
+    externalId,
+    bookingCode,
+    paymentLink,
+    checkoutSession,
+    resultHandling,
+    vault: vault || undefined,
+    previousAttempt: previousAttempt?._id,
+    attemptNumber: previousAttempt ? (previousAttempt.attemptNumber || 1) + 1 : 1
   });
+  // İlk deneme grubun kimliğidir
+  transaction.attemptGroup = previousAttempt?.attemptGroup || previousAttempt?._id || transaction._id;
+
+  if (isDirect) {
+    assertDirectPaymentAllowed(pos, getProvider(transaction, pos));
+  }
 
   await transaction.save();
 
+  if (isDirect) {
+    return processDirectPayment(transaction, pos);
+  }
+
   // Initialize provider
   try {
     const provider = getProvider(transaction, pos);
     const result = await provider.initialize();
 
     if (!result.success) {
-      transaction.status = 'failed';
-      transaction.result = {
-        success: false,
-        code: result.code || 'INIT_ERROR',
-        message: result.error || 'Ödeme başlatılamadı'
-      };
-      await transaction.save();
-      throw new Error(transaction.result.message);
+      const error = new Error(result.error || result.message || 'Ödeme başlatılamadı');
+      error.code = result.code || 'INIT_ERROR';
+      error.retryable = isRetryableInitError({ code: result.code });
+      throw error;
     }
 
     // Reload transaction from DB to get formData saved by provider
@@ -218,9 +360,108 @@ export async function createPayment(data) {
     return {
       success: true,
       transactionId: transaction._id,
+      amount: transaction.amount,
+      installment: transaction.installment,
+      posId: pos._id,
+      attemptNumber: transaction.attemptNumber,
       // formUrl for 3D Secure iframe/redirect
       formUrl: `${process.env.CALLBACK_BASE_URL}/payment/${transaction._id}/form`
     };
+  } catch (error) {
+    transaction.status = 'failed';
+    transaction.result = {
+      success: false,
+      code: typeof error.code === 'string' ? error.code : 'ERROR',
+      message: error.message
+    };
+    await transaction.save();
+
+    if (error.retryable === undefined) {
+      error.retryable = isRetryableInitError({ error });
+    }
+    error.transaction = transaction;
+    throw error;
+  }
+}
+
+/**
+ * Rank eligible POS for a card
+ * Sıra: onus → kart ailesi → para birimi varsayılanı → öncelik
+ * Limitleri (min/max/günlük/aylık) aşılan POS'lar listeye alınmaz
+ */
+async function rankPosCandidates(companyId, currency, binInfo, amount) {
+  const currencyLower = currency.toLowerCase();
+  const cardBankCode = binInfo?.bankCode?.toLowerCase() || '';
+  const cardFamily = binInfo?.family?.toLowerCase() || '';
+
+  // Get all active POS for this currency
+  const activePos = await VirtualPos.find({
+    company: companyId,
+    currencies: currencyLower,
+    status: true
+  }).sort({ priority: -1 }); // Higher priority first
+
+  // Skip POS that are over their limits
+  const allPos = await filterPosByLimits(activePos, amount, currencyLower);
+
+  const onusPos = cardBankCode ? allPos.filter(p => p.bankCode === cardBankCode) : [];
+  const familyPos = cardFamily
+    ? allPos.filter(p =>
+      p.supportedCardFamilies &&
+      p.supportedCardFamilies.some(f => f.toLowerCase() === cardFamily))
+    : [];
+  const defaultPos = allPos.filter(p =>
+    p.defaultForCurrencies && p.defaultForCurrencies.includes(currencyLower)
+  );
+
+  return [...new Set([...onusPos, ...familyPos, ...defaultPos, ...allPos])];
+}
+
+/**
+ * Run non-3D payment and return bank result synchronously
+ * Sonuç provider tarafından callback akışındaki gibi transaction'a yazılır
+ */
+async function processDirectPayment(transaction, pos) {
+  // Banka cevabı gelmeden süreç kesilirse reconciliation worker sonuçlandırır
+  transaction.status = 'processing';
+  await transaction.save();
+
+  try {
+    const provider = getProvider(transaction, pos);
+    const result = await provider.directPayment();
+
+    let saved = await Transaction.findById(transaction._id);
+
+    // Sonucu transaction'a yazmayan provider'lar için
+    if (saved.status === 'processing' && !result.success) {
+      saved.status = 'failed';
+      saved.result = {
+        success: false,
+        code: result.code || 'ERROR',
+        message: result.message || 'Ödeme reddedildi'
+      };
+      await saved.save();
+    }
+
+    // Kart kaydı istendiyse başarılı ödemede kasaya ekle
+    if (await storeCardFromTransaction(saved._id)) {
+      saved = await Transaction.findById(transaction._id);
+    }
+
+    notifyTransaction(saved);
+
+    return {
+      success: saved.status === 'success',
+      transactionId: saved._id,
+      status: saved.status,
+      amount: saved.amount,
+      installment: saved.installment,
+      message: result.message || saved.result?.message,
+      code: saved.result?.code,
+      authCode: saved.result?.authCode,
+      refNumber: saved.result?.refNumber,
+      cardToken: saved.vault?.token
+    };
   } catch (error) {
     transaction.status = 'failed';
     transaction.result = {
@@ -229,6 +470,7 @@ export async function createPayment(data) {
       message: error.message
     };
     await transaction.save();
+    notifyTransaction(transaction);
     throw error;
   }
 }
@@ -253,16 +495,107 @@ export async function getPaymentForm(transactionId) {
 
 /**
  * Process 3D callback
+ * Sonuçlanmış işlemde callback tekrar işlenmez, kayıtlı sonuç döner
+ * @param {object} [options]
+ * @param {boolean} [options.displayOnly] - Tarayıcı dönüşü (GET): sadece sonucu bildirimden gelen provider'lar (PayTR)
  */
-export async function processCallback(transactionId, postData) {
+export async function processCallback(transactionId, postData, { displayOnly = false } = {}) {
   const transaction = await Transaction.findById(transactionId).populate('pos');
 
   if (!transaction) {
     throw new Error('İşlem bulunamadı');
   }
 
+  if (displayOnly && transaction.pos?.provider !== 'paytr') {
+    const error = new Error('Bu işlem için callback POST ile gönderilmeli');
+    error.status = 405;
+    throw error;
+  }
+
+  // Tekrarlanan / geç gelen / eşzamanlı callback sonucu değiştiremez: işlem önce kilitlenir
+  const claimed = await claimCallback(transaction._id);
+  if (!claimed) {
+    const current = await Transaction.findById(transaction._id).select('result');
+    return {
+      success: current?.result?.success === true,
+      displayOnly: true,
+      message: current?.result?.message
+    };
+  }
+
+  try {
+    const provider = getProvider(claimed, transaction.pos);
+    const result = await provider.processCallback(postData);
+
+    // Sonucu sunucu bildirimi belirleyen provider'larda (PayTR) dönüş sadece gösterim
+    if (result.displayOnly) {
+      return result;
+    }
+
+    // Kart kaydı istendiyse başarılı ödemede kasaya ekle
+    await storeCardFromTransaction(transaction._id);
+
+    // Ödeme linki / checkout oturumu ile yapıldıysa sonucu işle
+    await recordLinkPayment(transaction._id);
+    await recordCheckoutResult(transaction._id);
+
+    // Provider sonucu DB'ye yazdı - güncel hali ile bildir
+    notifyTransaction(transaction._id);
+
+    return result;
+  } finally {
+    await Transaction.updateOne({ _id: transaction._id }, { $unset: { callbackLockedUntil: 1 } });
+  }
+}
+
+/**
+ * Claim unsettled transaction for callback processing (atomik kilit)
+ * @returns {Promise<Transaction|null>} null = işlem sonuçlanmış veya başka callback işliyor
+ */
+async function claimCallback(transactionId) {
+  const now = new Date();
+  return Transaction.findOneAndUpdate(
+    {
+      _id: transactionId,
+      status: { $in: ['pending', 'processing'] },
+      $or: [{ callbackLockedUntil: null }, { callbackLockedUntil: { $lte: now } }]
+    },
+    { $set: { callbackLockedUntil: new Date(now.getTime() + CALLBACK_LOCK_MS) } },
+    { new: true }
+  ).populate('pos');
+}
+
+/**
+ * Process PayTR server-to-server notification
+ * Hash doğrulanır, işlem bildirimden sonuçlandırılır (tarayıcı dönüşünden önce/sonra fark etmez)
+ * Error has `code` (TRANSACTION_NOT_FOUND / INVALID_HASH) and `status`
+ */
+export async function processPaytrNotification(postData) {
+  const transaction = postData.merchant_oid
+    ? await Transaction.findOne({ orderId: postData.merchant_oid }).populate('pos')
+    : null;
+
+  if (!transaction || transaction.pos?.provider !== 'paytr') {
+    const error = new Error('İşlem bulunamadı');
+    error.code = 'TRANSACTION_NOT_FOUND';
+    error.status = 404;
+    throw error;
+  }
+
   const provider = getProvider(transaction, transaction.pos);
-  return provider.processCallback(postData);
+  const result = await provider.processNotification(postData);
+
+  // Tekrar gelen bildirim: işlem zaten sonuçlanmış
+  if (!result.settled) {
+    return result;
+  }
+
+  await storeCardFromTransaction(transaction._id);
+  await recordLinkPayment(transaction._id);
+  await recordCheckoutResult(transaction._id);
+  notifyTransaction(transaction._id);
+
+  return result;
 }
 
 /**
@@ -282,6 +615,14 @@ export async function getTransactionStatus(transactionId) {
     .select('_id type status amount result createdAt completedAt logs orderId')
     .sort({ createdAt: -1 });
 
+  // POS failover denemeleri (aynı mantıksal ödeme)
+  const attempts = transaction.attemptGroup
+    ? await Transaction.find({ attemptGroup: transaction.attemptGroup })
+      .select('_id pos status amount attemptNumber result.code result.message createdAt')
+      .populate('pos', 'name provider')
+      .sort({ attemptNumber: 1 })
+    : [];
+
   return {
     id: transaction._id,
     type: transaction.type,
@@ -289,7 +630,13 @@ export async function getTransactionStatus(transactionId) {
     amount: transaction.amount,
     currency: transaction.currency,
     installment: transaction.installment,
+    pricing: transaction.pricing,
+    campaign: transaction.campaign,
     orderId: transaction.orderId,
+    externalId: transaction.externalId,
+    bookingCode: transaction.bookingCode,
+    mit: transaction.mit?.reason ? transaction.mit : undefined,
+    cardToken: transaction.vault?.token,
     card: {
       masked: transaction.card?.masked,
       maskedNumber: transaction.card?.maskedNumber,
@@ -304,17 +651,99 @@ export async function getTransactionStatus(transactionId) {
     logs: transaction.logs,
     createdAt: transaction.createdAt,
     completedAt: transaction.completedAt,
+    refundedAmount: transaction.refundedAmount || 0,
+    refundableAmount: transaction.type === 'payment' && ['success', 'partially_refunded'].includes(transaction.status)
+      ? transaction.getRefundableAmount()
+      : 0,
     refundedAt: transaction.refundedAt,
     cancelledAt: transaction.cancelledAt,
     parentTransaction: transaction.parentTransaction,
-    childTransactions: childTransactions
+    childTransactions: childTransactions,
+    attemptGroup: transaction.attemptGroup,
+    attemptNumber: transaction.attemptNumber,
+    attempts: attempts.length > 1 ? attempts : []
   };
 }
 
 /**
- * Refund a completed payment
+ * Reserve refund amount on the original payment atomically
+ * Başarılı + devam eden iadeler toplamı ödeme tutarını aşamaz (eşzamanlı iadeler dahil)
+ * @returns {Promise<boolean>} false = bakiye yetersiz veya ödeme iade edilebilir durumda değil
+ */
+async function reserveRefund(originalTransaction, refundAmount) {
+  const reserved = await Transaction.findOneAndUpdate(
+    {
+      _id: originalTransaction._id,
+      type: 'payment',
+      status: { $in: ['success', 'partially_refunded'] },
+      $expr: {
+        $lte: [
+          { $add: [{ $ifNull: ['$refundedAmount', 0] }, { $ifNull: ['$refundReservedAmount', 0] }, refundAmount] },
+          { $add: ['$amount', 0.001] }
+        ]
+      }
+    },
+    { $inc: { refundReservedAmount: refundAmount } },
+    { new: true }
+  );
+
+  return Boolean(reserved);
+}
+
+/**
+ * Release refund reservation once the refund is final
+ * Başarılıysa tutar refundedAmount'a aktarılır ve ödeme durumu güncellenir.
+ * İade kaydındaki refundReserved bayrağı sayesinde rezervasyon tek sefer çözülür
+ * (istek akışı ve takılı işlem mutabakatı aynı iadeyi sonuçlandırabilir).
+ * @returns {Promise<Transaction|null>} Güncel ana işlem, rezervasyon zaten çözülmüşse null
+ */
+export async function releaseRefundReservation(refundTransaction, success) {
+  const claimed = await Transaction.updateOne(
+    { _id: refundTransaction._id, type: 'refund', refundReserved: true },
+    { $set: { refundReserved: false } }
+  );
+  if (claimed.modifiedCount === 0) {
+    return null;
+  }
+
+  const amount = refundTransaction.amount;
+  const pipeline = [
+    {
+      $set: {
+        refundReservedAmount: {
+          $max: [0, { $round: [{ $subtract: [{ $ifNull: ['$refundReservedAmount', 0] }, amount] }, 2] }]
+        }
+      }
+    }
+  ];
+
+  if (success) {
+    pipeline.push(
+      { $set: { refundedAmount: { $round: [{ $add: [{ $ifNull: ['$refundedAmount', 0] }, amount] }, 2] } } },
+      {
+        $set: {
+          status: { $cond: [{ $gte: ['$refundedAmount', { $subtract: ['$amount', 0.001] }] }, 'refunded', 'partially_refunded'] },
+          refundedAt: {
+            $cond: [
+              { $gte: ['$refundedAmount', { $subtract: ['$amount', 0.001] }] },
+              { $ifNull: ['$refundedAt', '$$NOW'] },
+              '$refundedAt'
+            ]
+          }
+        }
+      }
+    );
+  }
+
+  return Transaction.findByIdAndUpdate(refundTransaction.parentTransaction, pipeline, { new: true });
+}
+
+/**
+ * Refund a completed payment (full or partial)
+ * @param {string} transactionId - Original payment transaction
+ * @param {number} [amount] - Refund amount, defaults to the remaining refundable balance
  */
-export async function refundPayment(transactionId) {
+export async function refundPayment(transactionId, amount) {
   const originalTransaction = await Transaction.findById(transactionId).populate('pos');
 
   if (!originalTransaction) {
@@ -330,12 +759,27 @@ export async function refundPayment(transactionId) {
     throw new Error('POS bulunamadı veya aktif değil');
   }
 
+  // Kalan bakiye: başarılı + devam eden (rezerve) iadeler düşülür
+  const remainingAmount = originalTransaction.getRefundableAmount();
+
+  const refundAmount = amount !== undefined && amount !== null
+    ? roundAmount(amount)
+    : remainingAmount;
+
+  if (!(refundAmount > 0)) {
+    throw new Error('İade tutarı sıfırdan büyük olmalı');
+  }
+
+  if (refundAmount > remainingAmount || !await reserveRefund(originalTransaction, refundAmount)) {
+    throw new Error(`İade tutarı iade edilebilir bakiyeyi aşıyor (kalan: ${remainingAmount.toFixed(2)})`);
+  }
+
   // Create refund transaction
   const refundTransaction = new Transaction({
     pos: pos._id,
     type: 'refund',
     parentTransaction: originalTransaction._id,
-    amount: originalTransaction.amount,
+    amount: refundAmount,
     currency: originalTransaction.currency,
     orderId: originalTransaction.orderId,
     card: {
@@ -343,10 +787,19 @@ export async function refundPayment(transactionId) {
       bin: originalTransaction.card?.bin
     },
     customer: originalTransaction.customer,
-    status: 'processing'
+    status: 'processing',
+    refundReserved: true
   });
 
-  await refundTransaction.save();
+  try {
+    await refundTransaction.save();
+  } catch (error) {
+    await Transaction.updateOne(
+      { _id: originalTransaction._id },
+      { $inc: { refundReservedAmount: -refundAmount } }
+    );
+    throw error;
+  }
 
   try {
     const provider = getProvider(refundTransaction, pos);
@@ -357,11 +810,18 @@ export async function refundPayment(transactionId) {
 
     const result = await provider.refund(originalTransaction);
 
+    const updated = await releaseRefundReservation(refundTransaction, result.success) ||
+      await Transaction.findById(originalTransaction._id);
+    notifyTransaction(refundTransaction._id);
+
     return {
       success: result.success,
       transactionId: refundTransaction._id,
       message: result.message,
-      refNumber: result.refNumber
+      refNumber: result.refNumber,
+      amount: refundAmount,
+      refundedAmount: updated.refundedAmount,
+      refundableAmount: updated.getRefundableAmount()
     };
   } catch (error) {
     refundTransaction.status = 'failed';
@@ -371,6 +831,8 @@ export async function refundPayment(transactionId) {
       message: error.message
     };
     await refundTransaction.save();
+    await releaseRefundReservation(refundTransaction, false);
+    notifyTransaction(refundTransaction);
     throw error;
   }
 }
@@ -420,6 +882,7 @@ export async function cancelPayment(transactionId) {
     }
 
     const result = await provider.cancel(originalTransaction);
+    notifyTransaction(cancelTransaction._id);
 
     return {
       success: result.success,
@@ -434,6 +897,7 @@ export async function cancelPayment(transactionId) {
       message: error.message
     };
     await cancelTransaction.save();
+    notifyTransaction(cancelTransaction);
     throw error;
   }
 }
@@ -466,11 +930,232 @@ export async function queryBankStatus(transactionId) {
   return provider.status(transaction.orderId);
 }
 
+/**
+ * Merchant-initiated charge (MIT) - no-show, hasar, minibar vb.
+ * Misafir yokken kayıtlı kart (cardToken) veya orijinal işlemin kartı ile 3D'siz tahsilat
+ * Sadece 3D'siz ödemeye izin veren POS'larda yapılabilir
+ */
+export async function createMerchantCharge(data) {
+  const { originalTransactionId, cardToken, posId, amount, reason, description, bookingCode, externalId } = data;
+
+  const originalTransaction = await Transaction.findById(originalTransactionId);
+  if (!originalTransaction) {
+    throw new Error('Orijinal işlem bulunamadı');
+  }
+
+  // Kart daha önce başarılı bir işlemde kullanılmış olmalı
+  if (!['payment', 'pre_auth', 'post_auth'].includes(originalTransaction.type) ||
+      !['success', 'partially_refunded', 'refunded'].includes(originalTransaction.status)) {
+    throw new Error('Orijinal işlem başarılı bir ödeme olmalı');
+  }
+
+  const pos = await VirtualPos.findById(posId || originalTransaction.pos);
+  if (!pos || !pos.status) {
+    throw new Error('Sanal pos bulunamadı veya aktif değil');
+  }
+
+  const originalPos = await VirtualPos.findById(originalTransaction.pos).select('company');
+  if (!originalPos || originalPos.company.toString() !== pos.company.toString()) {
+    throw new Error('Orijinal işlem bu firmaya ait değil');
+  }
+
+  if (!isProviderSupported(pos.provider)) {
+    throw new Error(`Provider henüz desteklenmiyor: ${pos.provider}`);
+  }
+
+  const chargeBookingCode = bookingCode || originalTransaction.bookingCode;
+  if (!chargeBookingCode) {
+    throw new Error('bookingCode gerekli (orijinal işlemde rezervasyon kodu yok)');
+  }
+
+  // Kart: kayıtlı kart veya orijinal işlemin kartı (CVV saklanmaz)
+  let card;
+  if (cardToken) {
+    ({ card } = await resolveCardToken(pos.company, cardToken));
+  } else {
+    card = originalTransaction.getDecryptedCard();
+    if (!card.number || !card.expiry) {
+      throw new Error('Orijinal işlemin kart bilgisi bulunamadı');
+    }
+  }
+
+  const result = await createDirectCharge(pos, {
+    card,
+    amount,
+    currency: data.currency || originalTransaction.currency,
+    customer: originalTransaction.customer,
+    externalId,
+    bookingCode: chargeBookingCode,
+    mit: {
+      type: 'unscheduled',
+      reason,
+      description,
+      ...getMitReference(originalTransaction)
+    },
+    vault: cardToken ? { token: cardToken } : undefined
+  });
+
+  return {
+    ...result,
+    bookingCode: chargeBookingCode,
+    reason,
+    originalTransactionId: originalTransaction._id
+  };
+}
+
+/**
+ * Charge a stored card without the customer present (scheduled/recurring charges)
+ * posId verilmezse karta uygun ve 3D'siz ödemeye izinli ilk POS seçilir
+ */
+export async function chargeStoredCard(data) {
+  const { companyId, posId, cardToken, amount, currency, customer, externalId, bookingCode } = data;
+
+  const { storedCard, card } = await resolveCardToken(companyId, cardToken);
+
+  let pos;
+  if (posId) {
+    pos = await VirtualPos.findById(posId);
+    if (!pos || !pos.status || pos.company.toString() !== companyId.toString()) {
+      throw new Error('Sanal pos bulunamadı veya aktif değil');
+    }
+  } else {
+    const binInfo = await getBinInfo(parseInt(card.number.replace(/\s/g, '').slice(0, 8), 10));
+    const candidates = await rankPosCandidates(companyId, currency, binInfo, amount);
+    pos = candidates.find(p => p.allowDirectPayment && !p.threeDSecure?.required && supportsMit(p));
+    if (!pos) {
+      throw new Error('3D\'siz ödemeye izinli uygun sanal pos bulunamadı');
+    }
+  }
+
+  if (!isProviderSupported(pos.provider)) {
+    throw new Error(`Provider henüz desteklenmiyor: ${pos.provider}`);
+  }
+
+  // Kartın kaydedildiği (müşterinin onay verdiği) işlem tekrarlayan tahsilatın referansıdır
+  const sourceTransaction = storedCard.sourceTransaction
+    ? await Transaction.findById(storedCard.sourceTransaction).select('orderId result.authCode result.refNumber')
+    : null;
+
+  return createDirectCharge(pos, {
+    card,
+    amount,
+    currency,
+    customer,
+    externalId,
+    bookingCode,
+    mit: {
+      type: 'recurring',
+      ...(sourceTransaction ? getMitReference(sourceTransaction) : {})
+    },
+    vault: { token: cardToken, customerRef: storedCard.customerRef }
+  });
+}
+
+/**
+ * Can the POS provider send MIT-flagged charges
+ */
+function supportsMit(pos) {
+  try {
+    return getProvider({ currency: 'try', getDecryptedCard: () => ({}) }, pos).supports('mit');
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Original (cardholder-initiated) transaction reference for MIT
+ * İtiraz kanıtı olarak işlemde saklanır; provider'lar bankaya göndermez
+ */
+function getMitReference(originalTransaction) {
+  return {
+    originalTransaction: originalTransaction._id,
+    originalOrderId: originalTransaction.orderId,
+    originalAuthCode: originalTransaction.result?.authCode,
+    originalRefNumber: originalTransaction.result?.refNumber
+  };
+}
+
+/**
+ * Create single (no installment) non-3D charge without CVV and run it
+ * MIT ve planlı tahsilatlar için ortak - bankaya MIT/recurring olarak işaretlenir
+ */
+async function createDirectCharge(pos, { card, amount, currency, customer, externalId, bookingCode, mit, vault }) {
+  const bin = parseInt(card.number.replace(/\s/g, '').slice(0, 8), 10);
+  const binInfo = await getBinInfo(bin);
+
+  // Validate domestic card for TRY
+  if (currency !== 'try' && binInfo && isDomesticCard(binInfo)) {
+    throw new Error('Yurtiçi kartlarla sadece TL ödeme yapabilirsiniz');
+  }
+
+  await assertPosLimits(pos, amount, currency);
+
+  // Tek çekim - komisyon raporu için fiyatlandırma kaydedilir
+  const pricing = calculateInstallmentPricing(pos, amount, 1, binInfo, new Date());
+
+  const transaction = new Transaction({
+    pos: pos._id,
+    type: 'payment',
+    paymentModel: 'regular',
+    amount,
+    currency,
+    installment: 1,
+    pricing: pricing ? {
+      baseAmount: amount,
+      customerRate: pricing.customerRate,
+      installmentAmount: pricing.installmentAmount,
+      commissionRate: pricing.commissionRate,
+      commission: pricing.commission,
+      net: pricing.net
+    } : undefined,
+    card: {
+      holder: card.holder,
+      number: card.number,
+      expiry: card.expiry,
+      cvv: '',
+      bin
+    },
+    bin: binInfo ? {
+      bank: binInfo.bank || '',
+      bankCode: binInfo.bankCode || '',
+      brand: binInfo.brand || '',
+      type: binInfo.type || '',
+      family: binInfo.family || '',
+      country: binInfo.country || ''
+    } : {},
+    customer: customer || {},
+    status: 'pending',
+    externalId,
+    bookingCode,
+    mit,
+    vault
+  });
+
+  const provider = getProvider(transaction, pos);
+  assertDirectPaymentAllowed(pos, provider);
+
+  // CVV'siz tahsilat ancak MIT işareti gönderebilen provider ile yapılır
+  if (!provider.supports('mit')) {
+    const error = new Error(`${pos.provider} kart sahibi olmadan (MIT) tahsilatı desteklemiyor`);
+    error.code = 'MIT_NOT_SUPPORTED';
+    error.status = 422;
+    throw error;
+  }
+
+  await transaction.save();
+
+  return processDirectPayment(transaction, pos);
+}
+
 /**
  * Create pre-authorization (block amount without capture)
+ * paymentModel 'regular' = kart direkt bankaya gider, sonuç senkron döner
+ * paymentModel '3d' = formUrl döner, sonuç 3D callback ile gelir
  */
 export async function createPreAuth(data) {
-  const { posId, amount, currency, installment, card, customer, externalId } = data;
+  const { posId, amount, currency, installment, card, customer, externalId, bookingCode, vault, resultHandling } = data;
+  const paymentModel = data.paymentModel || 'regular';
+  const is3D = paymentModel === '3d';
 
   const pos = await VirtualPos.findById(posId).populate('company');
 
@@ -482,6 +1167,9 @@ export async function createPreAuth(data) {
     throw new Error(`Provider henüz desteklenmiyor: ${pos.provider}`);
   }
 
+  // Check POS limits (min/max/daily/monthly)
+  await assertPosLimits(pos, amount, currency);
+
   // Get BIN info
   const bin = parseInt(card.number.replace(/\s/g, '').slice(0, 8), 10);
   const binInfo = await getBinInfo(bin);
@@ -490,7 +1178,7 @@ export async function createPreAuth(data) {
   const transaction = new Transaction({
     pos: pos._id,
     type: 'pre_auth',
-    paymentModel: 'regular',
+    paymentModel,
     amount,
     currency,
     installment: installment || 1,
@@ -503,18 +1191,26 @@ export async function createPreAuth(data) {
     },
     bin: binInfo ? {
       bank: binInfo.bank || '',
+      bankCode: binInfo.bankCode || '',
       brand: binInfo.brand || '',
       type: binInfo.type || '',
       family: binInfo.family || '',
       country: binInfo.country || ''
     } : {},
     customer: customer || {},
-    status: 'processing',
-    externalId
+    status: is3D ? 'pending' : 'processing',
+    externalId,
+    bookingCode,
+    resultHandling: is3D ? resultHandling : undefined,
+    vault: vault || undefined
   });
 
   await transaction.save();
 
+  if (is3D) {
+    return initializePreAuth3D(transaction, pos);
+  }
+
   try {
     const provider = getProvider(transaction, pos);
 
@@ -523,13 +1219,65 @@ export async function createPreAuth(data) {
     }
 
     const result = await provider.preAuth();
+    const cardToken = await storeCardFromTransaction(transaction._id);
+    notifyTransaction(transaction._id);
 
     return {
       success: result.success,
       transactionId: transaction._id,
       message: result.message,
       authCode: result.authCode,
-      refNumber: result.refNumber
+      refNumber: result.refNumber,
+      cardToken: cardToken || vault?.token
+    };
+  } catch (error) {
+    transaction.status = 'failed';
+    transaction.result = {
+      success: false,
+      code: 'ERROR',
+      message: error.message
+    };
+    await transaction.save();
+    notifyTransaction(transaction);
+    throw error;
+  }
+}
+
+/**
+ * Start 3D Secure pre-authorization
+ * Provider bankanın ön provizyon işlem tipiyle 3D formunu hazırlar; sonuç normal callback akışında
+ * pre_auth transaction'a yazılır ve createPostAuth ile kapatılabilir
+ */
+async function initializePreAuth3D(transaction, pos) {
+  try {
+    const provider = getProvider(transaction, pos);
+
+    if (!provider.supports('preAuth3D')) {
+      throw new Error(`${pos.provider} 3D ön provizyon işlemini desteklemiyor`);
+    }
+
+    // POS regular modelde ise initialize() direkt satış yapar
+    if (pos.paymentModel === 'regular') {
+      throw new Error('Bu POS 3D ödeme modeline ayarlı değil');
+    }
+
+    const result = await provider.initialize();
+
+    if (!result.success) {
+      throw new Error(result.error || result.message || 'Ön provizyon başlatılamadı');
+    }
+
+    await Transaction.updateOne(
+      { _id: transaction._id },
+      { $set: { status: 'processing' } }
+    );
+
+    return {
+      success: true,
+      transactionId: transaction._id,
+      amount: transaction.amount,
+      installment: transaction.installment,
+      formUrl: `${process.env.CALLBACK_BASE_URL}/payment/${transaction._id}/form`
     };
   } catch (error) {
     transaction.status = 'failed';
@@ -539,14 +1287,60 @@ export async function createPreAuth(data) {
       message: error.message
     };
     await transaction.save();
+    notifyTransaction(transaction);
     throw error;
   }
 }
 
 /**
- * Capture pre-authorized amount
+ * Claim pre-auth for a capture / release operation (atomik)
+ * Kapatılmamış, başarılı ve kilitsiz (veya kilidi süresi dolmuş) ön provizyon kilitlenir
+ */
+async function claimPreAuth(preAuthTransaction, operationTransactionId) {
+  const now = new Date();
+  const claimed = await Transaction.updateOne(
+    {
+      _id: preAuthTransaction._id,
+      type: 'pre_auth',
+      status: 'success',
+      capturedAt: null,
+      $or: [
+        { 'preAuthLock.until': null },
+        { 'preAuthLock.until': { $lte: now } }
+      ]
+    },
+    {
+      $set: {
+        preAuthLock: {
+          transaction: operationTransactionId,
+          until: new Date(now.getTime() + PRE_AUTH_LOCK_MINUTES * 60 * 1000)
+        }
+      }
+    }
+  );
+
+  if (!claimed.modifiedCount) {
+    throw new Error('Bu ön provizyon için devam eden bir işlem var');
+  }
+}
+
+/**
+ * Release pre-auth lock held by the operation
  */
-export async function createPostAuth(preAuthTransactionId) {
+async function unlockPreAuth(preAuthTransaction, operationTransactionId) {
+  await Transaction.updateOne(
+    { _id: preAuthTransaction._id, 'preAuthLock.transaction': operationTransactionId },
+    { $unset: { preAuthLock: 1 } }
+  );
+}
+
+/**
+ * Capture pre-authorized amount (full or partial)
+ * Kapatılmayan kalan tutarın blokesi bankada çözülür
+ * @param {string} preAuthTransactionId - Pre-auth transaction
+ * @param {number} [amount] - Capture amount, defaults to the authorized amount
+ */
+export async function createPostAuth(preAuthTransactionId, amount) {
   const preAuthTransaction = await Transaction.findById(preAuthTransactionId).populate('pos');
 
   if (!preAuthTransaction) {
@@ -562,12 +1356,24 @@ export async function createPostAuth(preAuthTransactionId) {
     throw new Error('POS bulunamadı veya aktif değil');
   }
 
+  const captureAmount = amount !== undefined && amount !== null
+    ? roundAmount(amount)
+    : preAuthTransaction.amount;
+
+  if (!(captureAmount > 0)) {
+    throw new Error('Kapama tutarı sıfırdan büyük olmalı');
+  }
+
+  if (captureAmount > preAuthTransaction.amount) {
+    throw new Error(`Kapama tutarı ön provizyon tutarını aşıyor (${preAuthTransaction.amount.toFixed(2)})`);
+  }
+
   // Create post-auth transaction
   const postAuthTransaction = new Transaction({
     pos: pos._id,
     type: 'post_auth',
     parentTransaction: preAuthTransaction._id,
-    amount: preAuthTransaction.amount,
+    amount: captureAmount,
     currency: preAuthTransaction.currency,
     orderId: preAuthTransaction.orderId,
     card: {
@@ -578,6 +1384,7 @@ export async function createPostAuth(preAuthTransactionId) {
     status: 'processing'
   });
 
+  await claimPreAuth(preAuthTransaction, postAuthTransaction._id);
   await postAuthTransaction.save();
 
   try {
@@ -589,11 +1396,20 @@ export async function createPostAuth(preAuthTransactionId) {
 
     const result = await provider.postAuth(preAuthTransaction);
 
+    if (result.success) {
+      preAuthTransaction.capturedAmount = captureAmount;
+      preAuthTransaction.capturedAt = new Date();
+      await preAuthTransaction.save();
+    }
+    notifyTransaction(postAuthTransaction._id);
+
     return {
       success: result.success,
       transactionId: postAuthTransaction._id,
       message: result.message,
-      authCode: result.authCode
+      authCode: result.authCode,
+      amount: captureAmount,
+      releasedAmount: result.success ? roundAmount(preAuthTransaction.amount - captureAmount) : 0
     };
   } catch (error) {
     postAuthTransaction.status = 'failed';
@@ -603,7 +1419,79 @@ export async function createPostAuth(preAuthTransactionId) {
       message: error.message
     };
     await postAuthTransaction.save();
+    notifyTransaction(postAuthTransaction);
+    throw error;
+  } finally {
+    await unlockPreAuth(preAuthTransaction, postAuthTransaction._id);
+  }
+}
+
+/**
+ * Release pre-authorization (void the hold without capture)
+ * İptal alt işlemi oluşturulur; başarılı olursa ön provizyon 'cancelled' olur
+ */
+export async function releasePreAuth(preAuthTransactionId) {
+  const preAuthTransaction = await Transaction.findById(preAuthTransactionId).populate('pos');
+
+  if (!preAuthTransaction) {
+    throw new Error('Ön provizyon işlemi bulunamadı');
+  }
+
+  if (!preAuthTransaction.canReleasePreAuth()) {
+    throw new Error('Bu ön provizyonun blokesi çözülemez (kapatılmış veya iptal edilmiş olabilir)');
+  }
+
+  const pos = preAuthTransaction.pos;
+  if (!pos || !pos.status) {
+    throw new Error('POS bulunamadı veya aktif değil');
+  }
+
+  const releaseTransaction = new Transaction({
+    pos: pos._id,
+    type: 'cancel',
+    parentTransaction: preAuthTransaction._id,
+    amount: preAuthTransaction.amount,
+    currency: preAuthTransaction.currency,
+    orderId: preAuthTransaction.orderId,
+    card: {
+      masked: preAuthTransaction.card?.masked,
+      bin: preAuthTransaction.card?.bin
+    },
+    customer: preAuthTransaction.customer,
+    status: 'processing'
+  });
+
+  await claimPreAuth(preAuthTransaction, releaseTransaction._id);
+  await releaseTransaction.save();
+
+  try {
+    const provider = getProvider(releaseTransaction, pos);
+
+    if (!provider.supports('preAuthRelease')) {
+      throw new Error(`${pos.provider} ön provizyon iptalini desteklemiyor`);
+    }
+
+    const result = await provider.releasePreAuth(preAuthTransaction);
+    notifyTransaction(releaseTransaction._id);
+
+    return {
+      success: result.success,
+      transactionId: releaseTransaction._id,
+      message: result.message,
+      amount: preAuthTransaction.amount
+    };
+  } catch (error) {
+    releaseTransaction.status = 'failed';
+    releaseTransaction.result = {
+      success: false,
+      code: 'ERROR',
+      message: error.message
+    };
+    await releaseTransaction.save();
+    notifyTransaction(releaseTransaction);
     throw error;
+  } finally {
+    await unlockPreAuth(preAuthTransaction, releaseTransaction._id);
   }
 }
 
@@ -653,11 +1541,15 @@ export default {
   createPayment,
   getPaymentForm,
   processCallback,
+  processPaytrNotification,
   getTransactionStatus,
   refundPayment,
   cancelPayment,
   queryBankStatus,
+  createMerchantCharge,
+  chargeStoredCard,
   createPreAuth,
   createPostAuth,
+  releasePreAuth,
   getPosCapabilities
 };
@@ -0,0 +1,206 @@
+/**
+ * POS Limit Service
+ * VirtualPos.limits (min/max/günlük/aylık) kontrolü ve kullanım hesaplama
+ */
+
+import { Transaction } from '../models/index.js';
+
+// Limite sayılan işlemler: başarılı tahsilatlar (sonradan iade edilenler dahil)
+const USAGE_TYPES = ['payment', 'post_auth'];
+const USAGE_STATUSES = ['success', 'partially_refunded', 'refunded'];
+
+export const LIMIT_ERROR_CODES = {
+  MIN_AMOUNT: 'POS_LIMIT_MIN_AMOUNT',
+  MAX_AMOUNT: 'POS_LIMIT_MAX_AMOUNT',
+  DAILY: 'POS_LIMIT_DAILY_EXCEEDED',
+  MONTHLY: 'POS_LIMIT_MONTHLY_EXCEEDED'
+};
+
+/**
+ * Get start of day / month for usage windows
+ */
+function getUsageWindows(now = new Date()) {
+  const dayStart = new Date(now);
+  dayStart.setHours(0, 0, 0, 0);
+
+  const monthStart = new Date(dayStart);
+  monthStart.setDate(1);
+
+  return { dayStart, monthStart };
+}
+
+/**
+ * Round amount to 2 decimals
+ */
+function roundAmount(value) {
+  return Math.round(value * 100) / 100;
+}
+
+/**
+ * Get daily/monthly usage for a list of POS
+ * Tutarlar para birimi bazında ayrı toplanır
+ * @returns {Promise<Map<string, object>>} posId → { [currency]: { daily, monthly } }
+ */
+export async function getUsageForPosList(posIds, now = new Date()) {
+  const { dayStart, monthStart } = getUsageWindows(now);
+
+  const rows = await Transaction.aggregate([
+    {
+      $match: {
+        pos: { $in: posIds },
+        type: { $in: USAGE_TYPES },
+        status: { $in: USAGE_STATUSES },
+        createdAt: { $gte: monthStart }
+      }
+    },
+    {
+      $group: {
+        _id: { pos: '$pos', currency: '$currency' },
+        monthly: { $sum: '$amount' },
+        daily: {
+          $sum: { $cond: [{ $gte: ['$createdAt', dayStart] }, '$amount', 0] }
+        }
+      }
+    }
+  ]);
+
+  const usage = new Map();
+  for (const row of rows) {
+    const key = row._id.pos.toString();
+    if (!usage.has(key)) usage.set(key, {});
+    usage.get(key)[row._id.currency] = {
+      daily: roundAmount(row.daily),
+      monthly: roundAmount(row.monthly)
+    };
+  }
+
+  return usage;
+}
+
+/**
+ * Check amount against POS limits
+ * @param {object} pos - VirtualPos document
+ * @param {number} amount - Requested amount
+ * @param {object} usage - { daily, monthly } for the requested currency
+ * @returns {{allowed: boolean, code?: string, message?: string}}
+ */
+export function checkLimits(pos, amount, usage = {}) {
+  const limits = pos.limits || {};
+  const daily = usage.daily || 0;
+  const monthly = usage.monthly || 0;
+
+  if (limits.minAmount && amount < limits.minAmount) {
+    return {
+      allowed: false,
+      code: LIMIT_ERROR_CODES.MIN_AMOUNT,
+      message: `Tutar POS alt limitinin altında (min: ${limits.minAmount})`
+    };
+  }
+
+  if (limits.maxAmount && amount > limits.maxAmount) {
+    return {
+      allowed: false,
+      code: LIMIT_ERROR_CODES.MAX_AMOUNT,
+      message: `Tutar POS işlem limitini aşıyor (max: ${limits.maxAmount})`
+    };
+  }
+
+  if (limits.dailyLimit && daily + amount > limits.dailyLimit) {
+    return {
+      allowed: false,
+      code: LIMIT_ERROR_CODES.DAILY,
+      message: `POS günlük limiti aşılıyor (kalan: ${Math.max(0, roundAmount(limits.dailyLimit - daily))})`
+    };
+  }
+
+  if (limits.monthlyLimit && monthly + amount > limits.monthlyLimit) {
+    return {
+      allowed: false,
+      code: LIMIT_ERROR_CODES.MONTHLY,
+      message: `POS aylık limiti aşılıyor (kalan: ${Math.max(0, roundAmount(limits.monthlyLimit - monthly))})`
+    };
+  }
+
+  return { allowed: true };
+}
+
+/**
+ * Filter POS list to those that can accept the amount
+ */
+export async function filterPosByLimits(posList, amount, currency) {
+  if (!posList.length || !amount) return posList;
+
+  const usage = await getUsageForPosList(posList.map(p => p._id));
+
+  return posList.filter(pos => {
+    const check = checkLimits(pos, amount, usage.get(pos._id.toString())?.[currency]);
+    if (!check.allowed) {
+      console.log(`[POS] Skipped ${pos.name}: ${check.code}`);
+    }
+    return check.allowed;
+  });
+}
+
+/**
+ * Throw if the POS cannot accept the amount
+ * Error has `code` (POS_LIMIT_*) and `status` (422) for the API response
+ */
+export async function assertPosLimits(pos, amount, currency) {
+  const usage = await getUsageForPosList([pos._id]);
+  const check = checkLimits(pos, amount, usage.get(pos._id.toString())?.[currency]);
+
+  if (!check.allowed) {
+    const error = new Error(check.message);
+    error.code = check.code;
+    error.status = 422;
+    throw error;
+  }
+}
+
+/**
+ * Get usage and remaining headroom for a POS
+ */
+export async function getPosUsage(pos) {
+  const now = new Date();
+  const { dayStart, monthStart } = getUsageWindows(now);
+  const usage = (await getUsageForPosList([pos._id], now)).get(pos._id.toString()) || {};
+  const limits = pos.limits || {};
+
+  const currencies = pos.currencies?.length ? pos.currencies : Object.keys(usage);
+
+  return {
+    posId: pos._id,
+    limits: {
+      minAmount: limits.minAmount,
+      maxAmount: limits.maxAmount,
+      dailyLimit: limits.dailyLimit,
+      monthlyLimit: limits.monthlyLimit
+    },
+    period: {
+      dayStart,
+      monthStart
+    },
+    usage: currencies.map(currency => {
+      const used = usage[currency] || { daily: 0, monthly: 0 };
+      return {
+        currency,
+        daily: {
+          used: used.daily,
+          remaining: limits.dailyLimit ? Math.max(0, roundAmount(limits.dailyLimit - used.daily)) : null
+        },
+        monthly: {
+          used: used.monthly,
+          remaining: limits.monthlyLimit ? Math.max(0, roundAmount(limits.monthlyLimit - used.monthly)) : null
+        }
+      };
+    })
+  };
+}
+
+export default {
+  getUsageForPosList,
+  checkLimits,
+  filterPosByLimits,
+  assertPosLimits,
+  getPosUsage
+};
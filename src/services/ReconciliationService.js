@@ -0,0 +1,345 @@
+/**
+ * Reconciliation Service
+ * Uzun süre "processing" durumunda kalan işlemleri (3D sekmesi kapatıldı, callback gelmedi)
+ * banka durum sorgusu ile sonuçlandırır, sorgu desteklenmiyorsa "expired" olarak işaretler.
+ * Sorgulanamayan iadeler bankada gerçekleşmiş olabileceği için expire edilmez: rezervasyon korunur,
+ * işlem manuel incelemeye alınır ve banka ile kontrol edilip elle sonuçlandırılır.
+ */
+
+import { Transaction } from '../models/index.js';
+import { getProvider } from '../providers/index.js';
+import { notifyTransaction } from './WebhookService.js';
+import { recordLinkPayment } from './PaymentLinkService.js';
+import { recordCheckoutResult } from './CheckoutService.js';
+import { releaseRefundReservation } from './PaymentService.js';
+
+const STUCK_AFTER_MINUTES = parseInt(process.env.RECONCILE_AFTER_MINUTES) || 30;
+// Banka sorgusu sonuç vermezse bu süreden sonra expired
+const EXPIRE_AFTER_MINUTES = parseInt(process.env.RECONCILE_EXPIRE_AFTER_MINUTES) || 24 * 60;
+// Sonuçsuz sorgulanan işlem bu süre geçmeden tekrar sorgulanmaz
+const RECHECK_AFTER_MINUTES = parseInt(process.env.RECONCILE_RECHECK_MINUTES) || 15;
+const WORKER_INTERVAL = parseInt(process.env.RECONCILE_INTERVAL_MS) || 5 * 60 * 1000;
+const BATCH_SIZE = 50;
+
+// Banka durum sorgusundan dönen durum değerleri (provider'lar farklı değerler döner)
+const SUCCESS_STATUSES = ['success', 'approved', 'paid', 'completed', 'sale', 'satış', '00'];
+const FAILED_STATUSES = ['failed', 'declined', 'rejected', 'error', 'void', 'cancelled', 'canceled'];
+
+let workerTimer = null;
+
+/**
+ * Interpret provider.status() answer
+ * @returns {'success'|'failed'|null} null = karar verilemedi
+ */
+export function resolveBankStatus(statusResult) {
+  if (!statusResult) return null;
+
+  // Sorgu başarısız (bağlantı/yetki hatası, kayıt bulunamadı): karar verilmez,
+  // süre dolana kadar tekrar sorgulanır
+  if (!statusResult.success) return null;
+
+  // Başarı için bankanın açık onay durumu gerekir; tek başına onay kodu yeterli değil
+  // (reddedilen/iptal edilen işlemlerde de dönebilir)
+  const status = String(statusResult.status ?? '').trim().toLowerCase();
+  if (SUCCESS_STATUSES.includes(status)) return 'success';
+  if (FAILED_STATUSES.includes(status)) return 'failed';
+
+  return null;
+}
+
+/**
+ * Settle transaction atomically (only if still processing)
+ * Eşzamanlı gelen callback ile çakışmayı önler
+ */
+async function settleTransaction(transaction, status, result, logEntry) {
+  const now = new Date();
+  const update = await Transaction.updateOne(
+    { _id: transaction._id, status: 'processing' },
+    {
+      $set: {
+        status,
+        result,
+        completedAt: now,
+        'card.cvv': null
+      },
+      $push: {
+        logs: { type: 'reconcile', request: logEntry.request, response: logEntry.response, at: now }
+      }
+    }
+  );
+
+  if (update.modifiedCount === 0) {
+    return false;
+  }
+
+  // Takılı iade sonuçlandı: ana işlemdeki rezerve tutar serbest bırakılır
+  if (transaction.type === 'refund') {
+    await releaseRefundReservation(transaction, status === 'success');
+  }
+
+  await recordLinkPayment(transaction._id);
+  await recordCheckoutResult(transaction._id);
+  notifyTransaction(transaction._id);
+  return true;
+}
+
+/**
+ * Record an unresolved check (işlem processing kalır, sıranın sonuna geçer)
+ */
+async function markUnresolved(transaction, logEntry) {
+  const now = new Date();
+  await Transaction.updateOne(
+    { _id: transaction._id, status: 'processing' },
+    {
+      $set: { lastReconciledAt: now },
+      $push: {
+        logs: { type: 'reconcile', request: logEntry.request, response: logEntry.response, at: now }
+      }
+    }
+  );
+}
+
+/**
+ * Put transaction on manual review (processing kalır, worker tekrar almaz)
+ */
+async function markManualReview(transaction, logEntry) {
+  const now = new Date();
+  const update = await Transaction.updateOne(
+    { _id: transaction._id, status: 'processing', manualReviewAt: null },
+    {
+      $set: { manualReviewAt: now, lastReconciledAt: now },
+      $push: {
+        logs: { type: 'reconcile', request: logEntry.request, response: logEntry.response, at: now }
+      }
+    }
+  );
+  return update.modifiedCount > 0;
+}
+
+/**
+ * Reconcile a single stuck transaction
+ * @returns {Promise<string>} success | failed | expired | manual | skipped
+ */
+export async function reconcileTransaction(transaction, now = new Date()) {
+  const ageMinutes = Math.round((now - new Date(transaction.createdAt)) / 60000);
+  const pos = transaction.pos;
+
+  // Durum sorgusu sadece ödeme/ön provizyonda anlamlı (orderId bu işleme ait)
+  const canQuery = pos && transaction.orderId &&
+    ['payment', 'pre_auth'].includes(transaction.type);
+
+  if (canQuery) {
+    let provider = null;
+    try {
+      provider = getProvider(transaction, pos);
+    } catch (error) {
+      provider = null;
+    }
+
+    if (provider?.supports('status')) {
+      let statusResult;
+      try {
+        statusResult = await provider.status(transaction.orderId);
+      } catch (error) {
+        statusResult = { success: false, code: 'NETWORK_ERROR', message: error.message };
+      }
+
+      const decision = resolveBankStatus(statusResult);
+      const logEntry = {
+        request: { action: 'status_query', orderId: transaction.orderId, ageMinutes },
+        response: {
+          decision: decision || 'unresolved',
+          bankStatus: statusResult?.status ?? null,
+          code: statusResult?.code ?? null,
+          message: statusResult?.message || statusResult?.error || null
+        }
+      };
+
+      if (decision === 'success') {
+        const settled = await settleTransaction(transaction, 'success', {
+          success: true,
+          code: 'RECONCILED',
+          message: 'Banka durum sorgusu ile onaylandı',
+          authCode: statusResult.authCode,
+          refNumber: statusResult.refNumber
+        }, logEntry);
+        return settled ? 'success' : 'skipped';
+      }
+
+      if (decision === 'failed') {
+        const settled = await settleTransaction(transaction, 'failed', {
+          success: false,
+          code: statusResult.code || 'RECONCILED',
+          message: 'Banka durum sorgusuna göre işlem gerçekleşmedi'
+        }, logEntry);
+        return settled ? 'failed' : 'skipped';
+      }
+
+      // Karar verilemedi - süre dolmadıysa RECHECK_AFTER_MINUTES sonra tekrar sorgulanır
+      if (ageMinutes < EXPIRE_AFTER_MINUTES) {
+        await markUnresolved(transaction, logEntry);
+        return 'skipped';
+      }
+
+      const settled = await settleTransaction(transaction, 'expired', {
+        success: false,
+        code: 'EXPIRED',
+        message: 'Banka durum sorgusu sonuç vermedi, işlem zaman aşımına uğradı'
+      }, logEntry);
+      return settled ? 'expired' : 'skipped';
+    }
+  }
+
+  // İade bankada gerçekleşmiş olabilir: rezerve tutar serbest bırakılırsa aynı tutar ikinci kez iade edilebilir
+  if (transaction.type === 'refund') {
+    const marked = await markManualReview(transaction, {
+      request: { action: 'manual_review', ageMinutes },
+      response: { decision: 'manual_review', reason: 'status_not_applicable' }
+    });
+    return marked ? 'manual' : 'skipped';
+  }
+
+  const settled = await settleTransaction(transaction, 'expired', {
+    success: false,
+    code: 'EXPIRED',
+    message: 'İşlem tamamlanmadı, zaman aşımına uğradı'
+  }, {
+    request: { action: 'expire', ageMinutes },
+    response: {
+      decision: 'expired',
+      reason: canQuery ? 'status_not_supported' : 'status_not_applicable'
+    }
+  });
+  return settled ? 'expired' : 'skipped';
+}
+
+/**
+ * Find and reconcile stuck processing transactions
+ * @param {object} options
+ * @param {number} [options.olderThanMinutes] - Bu süreden eski processing işlemler
+ */
+export async function reconcileStuckTransactions({ olderThanMinutes = STUCK_AFTER_MINUTES, limit = BATCH_SIZE } = {}) {
+  const now = new Date();
+  const threshold = new Date(now.getTime() - olderThanMinutes * 60000);
+  const recheckThreshold = new Date(now.getTime() - RECHECK_AFTER_MINUTES * 60000);
+
+  // Hiç sorgulanmamışlar önce, sonra en uzun süredir sorgulanmayanlar - sonuçsuz kalan
+  // eski kayıtlar yeni takılan işlemlerin önünü kesmez
+  const transactions = await Transaction.find({
+    status: 'processing',
+    createdAt: { $lte: threshold },
+    manualReviewAt: null,
+    $or: [
+      { lastReconciledAt: null },
+      { lastReconciledAt: { $lte: recheckThreshold } }
+    ]
+  })
+    .populate('pos')
+    .sort({ lastReconciledAt: 1, createdAt: 1 })
+    .limit(limit);
+
+  const summary = { checked: transactions.length, success: 0, failed: 0, expired: 0, manual: 0, skipped: 0 };
+
+  for (const transaction of transactions) {
+    try {
+      const outcome = await reconcileTransaction(transaction, now);
+      summary[outcome]++;
+    } catch (error) {
+      summary.skipped++;
+      console.error(`[Reconcile] ${transaction._id} error:`, error.message);
+      await markUnresolved(transaction, {
+        request: { action: 'reconcile' },
+        response: { decision: 'unresolved', error: error.message }
+      }).catch(() => {});
+    }
+  }
+
+  if (summary.checked > 0) {
+    console.log('[Reconcile]', JSON.stringify(summary));
+  }
+
+  return summary;
+}
+
+/**
+ * Resolve a transaction on manual review after checking with the bank
+ * İadede rezerve tutar sonuca göre iade edilen tutara eklenir veya serbest bırakılır
+ * Error has `status` for the API response
+ * @param {object} params
+ * @param {'success'|'failed'} params.outcome - Bankadaki gerçek sonuç
+ */
+export async function resolveManualReview(transactionId, { outcome, note, user = 'system' } = {}) {
+  if (!['success', 'failed'].includes(outcome)) {
+    const error = new Error('outcome success veya failed olmalı');
+    error.status = 400;
+    throw error;
+  }
+
+  const transaction = await Transaction.findOne({
+    _id: transactionId,
+    status: 'processing',
+    manualReviewAt: { $ne: null }
+  });
+  if (!transaction) {
+    const error = new Error('Manuel incelemede işlem bulunamadı');
+    error.status = 404;
+    throw error;
+  }
+
+  const settled = await settleTransaction(transaction, outcome, {
+    success: outcome === 'success',
+    code: 'MANUAL_REVIEW',
+    message: note || (outcome === 'success' ? 'Banka kontrolü ile onaylandı' : 'Banka kontrolüne göre gerçekleşmedi')
+  }, {
+    request: { action: 'manual_review_resolve', outcome, note, user },
+    response: { decision: outcome }
+  });
+  if (!settled) {
+    const error = new Error('İşlem bu arada sonuçlandı');
+    error.status = 409;
+    throw error;
+  }
+
+  return Transaction.findById(transaction._id);
+}
+
+/**
+ * Start reconciliation worker
+ */
+export function startReconciliationWorker(interval = WORKER_INTERVAL) {
+  if (workerTimer) return;
+
+  let running = false;
+  workerTimer = setInterval(async () => {
+    if (running) return;
+    running = true;
+    try {
+      await reconcileStuckTransactions();
+    } catch (error) {
+      console.error('[Reconcile] Worker error:', error.message);
+    } finally {
+      running = false;
+    }
+  }, interval);
+
+  console.log('[Reconcile] Worker started');
+}
+
+/**
+ * Stop reconciliation worker
+ */
+export function stopReconciliationWorker() {
+  if (workerTimer) {
+    clearInterval(workerTimer);
+    workerTimer = null;
+  }
+}
+
+export default {
+  resolveBankStatus,
+  reconcileTransaction,
+  reconcileStuckTransactions,
+  resolveManualReview,
+  startReconciliationWorker,
+  stopReconciliationWorker
+};
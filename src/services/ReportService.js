@@ -0,0 +1,273 @@
+/**
+ * Report Service
+ * Komisyon ve net gelir raporu: başarılı satışların banka komisyonu, işlemin tamamlandığı
+ * tarihte geçerli komisyon dönemi, taksit sayısı ve kart kökenine (yurtiçi/yurtdışı/on-us)
+ * göre yeniden hesaplanır; POS, banka, ay ve para birimi kırılımında toplanır.
+ */
+
+import { Bin, Transaction, VirtualPos } from '../models/index.js';
+import { getCommissionRate, roundAmount } from './CommissionService.js';
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+// Türkiye saati (sabit UTC+3) - gün ve ay sınırları yerel saatle
+const TR_OFFSET_MS = 3 * 60 * 60 * 1000;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const SALE_TYPES = ['payment', 'post_auth'];
+// Satış gerçekleşmiş, sonradan iade edilmiş olabilir (iade komisyonu geri almaz)
+// Gün içinde iptal edilen satış bankaya gitmez, komisyon oluşmaz
+const COMMISSION_STATUSES = ['success', 'partially_refunded', 'refunded'];
+
+export const COMMISSION_GROUPS = ['pos', 'bank', 'month', 'currency', 'installment', 'origin'];
+const DEFAULT_COMMISSION_GROUPS = ['pos', 'bank', 'month', 'currency'];
+
+/**
+ * Create error with status for the API response
+ */
+function reportError(message, status = 400) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+/**
+ * Report period from from/to (YYYY-MM-DD, Türkiye günü, to dahil)
+ * Boş ise içinde bulunulan ayın başından itibaren
+ */
+export function resolveDateRange({ from, to } = {}, now = new Date()) {
+  for (const value of [from, to]) {
+    if (value && !DATE_PATTERN.test(value)) {
+      throw reportError('from/to YYYY-MM-DD formatında olmalı');
+    }
+  }
+
+  const local = new Date(now.getTime() + TR_OFFSET_MS);
+  const start = from
+    ? new Date(Date.parse(`${from}T00:00:00Z`) - TR_OFFSET_MS)
+    : new Date(Date.UTC(local.getUTCFullYear(), local.getUTCMonth(), 1) - TR_OFFSET_MS);
+  const end = to
+    ? new Date(Date.parse(`${to}T00:00:00Z`) - TR_OFFSET_MS + DAY_MS)
+    : now;
+
+  if (start >= end) {
+    throw reportError('from, to tarihinden sonra olamaz');
+  }
+
+  return { start, end };
+}
+
+/**
+ * Parse groupBy list ("pos,month")
+ */
+function resolveGroups(groupBy) {
+  if (!groupBy) return DEFAULT_COMMISSION_GROUPS;
+
+  const groups = [...new Set(String(groupBy).split(',').map(group => group.trim()).filter(Boolean))];
+  const unknown = groups.filter(group => !COMMISSION_GROUPS.includes(group));
+  if (unknown.length) {
+    throw reportError(`Geçersiz groupBy: ${unknown.join(', ')} (${COMMISSION_GROUPS.join(', ')})`);
+  }
+
+  return groups;
+}
+
+/**
+ * Month of a date in Turkey time (YYYY-MM)
+ */
+function monthOf(date) {
+  return new Date(date.getTime() + TR_OFFSET_MS).toISOString().slice(0, 7);
+}
+
+/**
+ * Card bin info with bankCode (on-us tespiti için)
+ * bankCode saklanmadan önce oluşmuş kayıtlarda kart BIN'inden (8, yoksa 6 hane) yerel bins
+ * koleksiyonundan tamamlanır - rapor dış BIN servislerine gitmez (rapor boyunca önbellekte)
+ */
+async function resolveBinInfo(transaction, binCache) {
+  const binInfo = transaction.bin || {};
+  const cardBin = transaction.card?.bin ? String(transaction.card.bin) : '';
+  if (binInfo.bankCode || !cardBin) return binInfo;
+
+  if (!binCache.has(cardBin)) {
+    const records = await Bin.find({ bin: { $in: [cardBin, cardBin.slice(0, 6)] } }).select('bin bankCode').lean();
+    const record = records.sort((a, b) => b.bin.length - a.bin.length)[0];
+    binCache.set(cardBin, record?.bankCode || '');
+  }
+  const bankCode = binCache.get(cardBin);
+  return bankCode ? { ...binInfo, bankCode } : binInfo;
+}
+
+/**
+ * Commission for a single sale
+ * Oran işlemin tamamlandığı andaki komisyon döneminden alınır
+ */
+export function calculateTransactionCommission(pos, transaction) {
+  const date = transaction.completedAt || transaction.createdAt;
+  const { rate, periodId, origin } = getCommissionRate(pos, {
+    count: transaction.installment || 1,
+    date,
+    binInfo: transaction.bin
+  });
+  const commission = roundAmount(transaction.amount * rate / 100);
+
+  return {
+    rate,
+    periodId,
+    origin,
+    commission,
+    net: roundAmount(transaction.amount - commission)
+  };
+}
+
+function emptyRow(keys) {
+  return {
+    ...keys,
+    count: 0,
+    gross: 0,
+    commission: 0,
+    net: 0,
+    // İşlem anında kaydedilen (pricing.commission) tahmini komisyon - karşılaştırma için
+    recordedCommission: 0,
+    // Komisyon dönemi tanımlı olmayan satışlar (oran 0 kabul edilir)
+    unratedCount: 0
+  };
+}
+
+function addToRow(row, transaction, result) {
+  row.count++;
+  row.gross = roundAmount(row.gross + transaction.amount);
+  row.commission = roundAmount(row.commission + result.commission);
+  row.net = roundAmount(row.net + result.net);
+  row.recordedCommission = roundAmount(row.recordedCommission + (transaction.pricing?.commission || 0));
+  if (!result.periodId) row.unratedCount++;
+}
+
+function finalizeRow(row) {
+  return {
+    ...row,
+    effectiveRate: row.gross ? roundAmount(row.commission / row.gross * 100) : 0
+  };
+}
+
+/**
+ * Commission & net revenue report
+ * @param {object} filters
+ * @param {string} [filters.company]
+ * @param {string} [filters.pos]
+ * @param {string} [filters.bankCode] - POS bankası (acquirer)
+ * @param {string} [filters.currency]
+ * @param {string} [filters.from] - YYYY-MM-DD
+ * @param {string} [filters.to] - YYYY-MM-DD (dahil)
+ * @param {string} [filters.groupBy] - pos, bank, month, currency, installment, origin
+ */
+export async function getCommissionReport({ company, pos, bankCode, currency, from, to, groupBy } = {}) {
+  const groups = resolveGroups(groupBy);
+  const { start, end } = resolveDateRange({ from, to });
+
+  const posQuery = {};
+  if (pos) posQuery._id = pos;
+  if (company) posQuery.company = company;
+  if (bankCode) posQuery.bankCode = bankCode;
+
+  const posList = await VirtualPos.find(posQuery).select('name bankCode provider commissionRates');
+  const posMap = new Map(posList.map(p => [p._id.toString(), p]));
+
+  const rows = new Map();
+  const totals = new Map();
+
+  if (posList.length) {
+    const query = {
+      pos: { $in: posList.map(p => p._id) },
+      type: { $in: SALE_TYPES },
+      status: { $in: COMMISSION_STATUSES },
+      completedAt: { $gte: start, $lt: end }
+    };
+    if (currency) query.currency = currency.toLowerCase();
+
+    // Satışlar cursor ile tek tek işlenir, sadece gruplar bellekte tutulur
+    // Provizyon kapamada taksit ve kart bilgisi ön provizyon kaydındadır
+    const cursor = Transaction.aggregate([
+      { $match: query },
+      {
+        $lookup: {
+          from: 'transactions',
+          localField: 'parentTransaction',
+          foreignField: '_id',
+          pipeline: [{ $project: { installment: 1, bin: 1, 'card.bin': 1 } }],
+          as: 'parent'
+        }
+      },
+      {
+        $project: {
+          pos: 1,
+          amount: 1,
+          currency: 1,
+          installment: 1,
+          bin: 1,
+          'card.bin': 1,
+          completedAt: 1,
+          createdAt: 1,
+          'pricing.commission': 1,
+          parent: { $first: '$parent' }
+        }
+      }
+    ]).cursor();
+
+    const binCache = new Map();
+    for await (const row of cursor) {
+      const transaction = row.parent
+        ? { ...row, installment: row.parent.installment, bin: row.parent.bin, card: row.parent.card }
+        : row;
+      transaction.bin = await resolveBinInfo(transaction, binCache);
+      const transactionPos = posMap.get(transaction.pos.toString());
+      const result = calculateTransactionCommission(transactionPos, transaction);
+
+      const dimensions = {
+        pos: transactionPos._id.toString(),
+        bank: transactionPos.bankCode,
+        month: monthOf(transaction.completedAt),
+        currency: transaction.currency,
+        installment: transaction.installment || 1,
+        origin: result.origin
+      };
+      const keys = Object.fromEntries(groups.map(group => [group, dimensions[group]]));
+      const rowKey = groups.map(group => keys[group]).join('|');
+
+      if (!rows.has(rowKey)) rows.set(rowKey, emptyRow(keys));
+      addToRow(rows.get(rowKey), transaction, result);
+
+      // Para birimleri toplanamaz, genel toplam para birimi bazında
+      if (!totals.has(transaction.currency)) totals.set(transaction.currency, emptyRow({ currency: transaction.currency }));
+      addToRow(totals.get(transaction.currency), transaction, result);
+    }
+  }
+
+  const result = [...rows.values()].map(row => {
+    const finalized = finalizeRow(row);
+    if (groups.includes('pos')) {
+      finalized.posName = posMap.get(row.pos)?.name;
+    }
+    return finalized;
+  });
+
+  result.sort((a, b) => {
+    for (const group of groups) {
+      if (a[group] === b[group]) continue;
+      return typeof a[group] === 'number' ? a[group] - b[group] : String(a[group]).localeCompare(String(b[group]));
+    }
+    return 0;
+  });
+
+  return {
+    period: { start, end },
+    groupBy: groups,
+    rows: result,
+    totals: [...totals.values()].map(finalizeRow)
+  };
+}
+
+export default {
+  resolveDateRange,
+  calculateTransactionCommission,
+  getCommissionReport
+};
@@ -0,0 +1,181 @@
+/**
+ * Result Handling Service
+ * 3D sonucundan sonra tarayıcıya ne döneceği: sonuç sayfası, redirect veya postMessage
+ * Öncelik: ödeme (Transaction.resultHandling) → POS (threeDSecure.successUrl/failUrl)
+ * → firma (settings.resultHandling) → varsayılan sayfa
+ */
+
+import { Transaction, Company } from '../models/index.js';
+import { signPayload } from './WebhookService.js';
+
+export const RESULT_MODES = ['page', 'redirect', 'postMessage'];
+
+export const RESULT_ERROR_CODES = {
+  INVALID: 'RESULT_HANDLING_INVALID',
+  ORIGIN_NOT_ALLOWED: 'RESULT_ORIGIN_NOT_ALLOWED'
+};
+
+/**
+ * Create error with code/status for the API response
+ */
+function resultError(message, code, status) {
+  const error = new Error(message);
+  error.code = code;
+  error.status = status;
+  return error;
+}
+
+/**
+ * Origin of an absolute http(s) URL (null if invalid)
+ */
+function getOrigin(value) {
+  try {
+    const url = new URL(value);
+    return ['http:', 'https:'].includes(url.protocol) ? url.origin : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Allowed postMessage origins for a company
+ * FRONTEND_URL (yönetim paneli) her zaman izinli
+ */
+export function getAllowedOrigins(company) {
+  const origins = (company?.settings?.resultHandling?.allowedOrigins || [])
+    .map(getOrigin)
+    .filter(Boolean);
+
+  const frontendOrigin = getOrigin(process.env.FRONTEND_URL);
+  if (frontendOrigin) origins.push(frontendOrigin);
+
+  return [...new Set(origins)];
+}
+
+/**
+ * Validate per-payment result handling
+ * Error code RESULT_HANDLING_INVALID (400) / RESULT_ORIGIN_NOT_ALLOWED (422)
+ * @returns {object|undefined} normalized options for Transaction.resultHandling
+ */
+export async function validateResultHandling(companyId, options) {
+  if (!options) return undefined;
+
+  const { mode, successUrl, failUrl, origin } = options;
+
+  if (mode && !RESULT_MODES.includes(mode)) {
+    throw resultError(`mode ${RESULT_MODES.join(', ')} olmalı`, RESULT_ERROR_CODES.INVALID, 400);
+  }
+
+  for (const [name, value] of Object.entries({ successUrl, failUrl })) {
+    if (value && !getOrigin(value)) {
+      throw resultError(`Geçersiz ${name}`, RESULT_ERROR_CODES.INVALID, 400);
+    }
+  }
+
+  let messageOrigin;
+  if (origin || mode === 'postMessage') {
+    const company = await Company.findById(companyId).select('settings.resultHandling');
+    messageOrigin = getOrigin(origin);
+
+    if (!messageOrigin || !getAllowedOrigins(company).includes(messageOrigin)) {
+      throw resultError('postMessage origin firma için izinli değil', RESULT_ERROR_CODES.ORIGIN_NOT_ALLOWED, 422);
+    }
+  }
+
+  return { mode, successUrl, failUrl, origin: messageOrigin };
+}
+
+/**
+ * Non-sensitive result payload (kart, hash ve ham banka cevabı içermez)
+ */
+export function buildResultPayload(transaction) {
+  return {
+    transactionId: transaction._id.toString(),
+    type: transaction.type,
+    status: transaction.status,
+    success: transaction.status === 'success',
+    amount: transaction.amount,
+    currency: transaction.currency,
+    installment: transaction.installment,
+    externalId: transaction.externalId || null,
+    bookingCode: transaction.bookingCode || null,
+    sessionId: transaction.checkoutSession?.sessionId || null,
+    code: transaction.result?.code || null,
+    message: transaction.result?.message || null
+  };
+}
+
+/**
+ * Sign payload with company webhook secret
+ * Webhook imzası ile aynı: hex(hmac_sha256(secret, `${t}.${result}`))
+ * @returns {{result: string, t: number, signature: string|null}} firma secret'ı yoksa signature null
+ */
+export function signResultPayload(company, payload) {
+  const result = Buffer.from(JSON.stringify(payload)).toString('base64url');
+  const t = Math.floor(Date.now() / 1000);
+  const secret = company?.getWebhookSecret?.();
+
+  return { result, t, signature: secret ? signPayload(secret, t, result) : null };
+}
+
+/**
+ * Resolve how to return a finished 3D transaction to the browser
+ * @returns {Promise<{mode, pending, url, origins, payload, template, company}|null>}
+ */
+export async function resolveResult(transactionId) {
+  const transaction = await Transaction.findById(transactionId)
+    .populate('pos', 'company threeDSecure')
+    .populate('checkoutSession', 'sessionId');
+
+  if (!transaction) return null;
+
+  const company = await Company.findById(transaction.pos?.company);
+  const paymentConfig = transaction.resultHandling || {};
+  const posConfig = transaction.pos?.threeDSecure || {};
+  const companyConfig = company?.settings?.resultHandling || {};
+
+  const payload = buildResultPayload(transaction);
+  const pickUrl = (config) => (payload.success ? config.successUrl : config.failUrl) || null;
+
+  const paymentUrl = pickUrl(paymentConfig);
+  const posUrl = pickUrl(posConfig);
+  const url = paymentUrl || posUrl || pickUrl(companyConfig);
+
+  // Ödemede URL verildiyse veya POS'ta tanımlıysa redirect varsayılır
+  const mode = paymentConfig.mode
+    || (paymentUrl || posUrl ? 'redirect' : null)
+    || companyConfig.mode
+    || 'page';
+
+  // Sonuç henüz kesinleşmedi (PayTR bildirimi bekleniyor): sayfa gösterilir, dönüş yapılmaz
+  const pending = ['pending', 'processing'].includes(payload.status);
+
+  let returnUrl = null;
+  if (url && !pending) {
+    const { result, t, signature } = signResultPayload(company, payload);
+    const target = new URL(url);
+    target.searchParams.set('result', result);
+    target.searchParams.set('t', t);
+    if (signature) target.searchParams.set('signature', signature);
+    returnUrl = target.toString();
+  }
+
+  return {
+    mode: pending || (mode === 'redirect' && !returnUrl) ? 'page' : mode,
+    pending,
+    url: returnUrl,
+    origins: paymentConfig.origin ? [paymentConfig.origin] : getAllowedOrigins(company),
+    payload,
+    template: companyConfig.pageTemplate || null,
+    company
+  };
+}
+
+export default {
+  RESULT_MODES,
+  getAllowedOrigins,
+  validateResultHandling,
+  buildResultPayload,
+  signResultPayload,
+  resolveResult
+};
@@ -0,0 +1,548 @@
+/**
+ * Schedule Service
+ * Kayıtlı kart ile ileri tarihli (bakiye) ve periyodik (aylık faturalama) tahsilatlar
+ * Tahsilatlar worker tarafından PaymentService.chargeStoredCard ile 3D'siz yapılır
+ */
+
+import { PaymentSchedule, StoredCard, Transaction, VirtualPos } from '../models/index.js';
+import { chargeStoredCard } from './PaymentService.js';
+import { notifyEvent } from './WebhookService.js';
+
+const WORKER_INTERVAL = parseInt(process.env.SCHEDULE_INTERVAL_MS) || 60 * 1000;
+const BATCH_SIZE = 20;
+// Bu süreden uzun 'processing' kalan tahsilat yarıda kalmış sayılır (worker çöktü/yeniden başladı)
+const STALE_PROCESSING_MINUTES = parseInt(process.env.SCHEDULE_STALE_MINUTES) || 30;
+const INTERVALS = ['day', 'week', 'month'];
+
+let workerTimer = null;
+
+/**
+ * Create error with status for the API response
+ */
+function scheduleError(message, status = 400) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+/**
+ * Add interval to date
+ */
+function addInterval(date, interval, count = 1) {
+  const next = new Date(date);
+  if (interval === 'day') next.setDate(next.getDate() + count);
+  if (interval === 'week') next.setDate(next.getDate() + count * 7);
+  if (interval === 'month') next.setMonth(next.getMonth() + count);
+  return next;
+}
+
+/**
+ * Validate charge list input
+ */
+function parseCharges(charges) {
+  return charges.map(c => {
+    const amount = parseFloat(c.amount);
+    const dueDate = new Date(c.dueDate);
+    if (isNaN(amount) || amount <= 0) {
+      throw scheduleError('Geçersiz tahsilat tutarı');
+    }
+    if (isNaN(dueDate.getTime())) {
+      throw scheduleError('Geçersiz tahsilat tarihi');
+    }
+    return { amount, dueDate, nextAttemptAt: dueDate, description: c.description };
+  });
+}
+
+/**
+ * Append next recurring charge if the schedule is not finished
+ * @returns {boolean} yeni tahsilat eklendi mi
+ */
+function appendRecurringCharge(schedule) {
+  const recurring = schedule.recurring;
+  if (schedule.type !== 'recurring' || !recurring?.nextDate) return false;
+
+  // Bekleyen tahsilat varsa yenisi oluşturulmaz
+  if (schedule.charges.some(c => ['pending', 'processing'].includes(c.status))) return false;
+
+  if (recurring.endDate && recurring.nextDate > recurring.endDate) return false;
+  if (recurring.maxCharges && schedule.charges.length >= recurring.maxCharges) return false;
+
+  schedule.charges.push({
+    amount: recurring.amount,
+    dueDate: recurring.nextDate,
+    nextAttemptAt: recurring.nextDate
+  });
+  recurring.nextDate = addInterval(recurring.nextDate, recurring.interval, recurring.intervalCount || 1);
+  return true;
+}
+
+/**
+ * Mark schedule completed when nothing is left to charge
+ */
+function completeIfFinished(schedule) {
+  const open = schedule.charges.some(c => ['pending', 'processing'].includes(c.status));
+  if (!open && schedule.status === 'active') {
+    schedule.status = 'completed';
+    return true;
+  }
+  return false;
+}
+
+/**
+ * Create schedule
+ */
+export async function createSchedule(data) {
+  const { companyId, posId, customerRef, cardToken, currency = 'try', type = 'plan', charges, recurring, retryPolicy, bookingCode, externalId, description } = data;
+
+  const storedCard = await StoredCard.findOne({ company: companyId, token: cardToken, customerRef });
+  if (!storedCard) {
+    throw scheduleError('Kayıtlı kart bulunamadı', 404);
+  }
+
+  if (posId) {
+    const pos = await VirtualPos.findOne({ _id: posId, company: companyId }).select('_id');
+    if (!pos) {
+      throw scheduleError('Sanal pos bulunamadı', 404);
+    }
+  }
+
+  const schedule = new PaymentSchedule({
+    company: companyId,
+    pos: posId || undefined,
+    type,
+    customerRef,
+    cardToken,
+    currency: currency.toLowerCase(),
+    bookingCode,
+    externalId,
+    description,
+    retryPolicy: retryPolicy || undefined
+  });
+
+  if (type === 'plan') {
+    if (!Array.isArray(charges) || !charges.length) {
+      throw scheduleError('En az bir tahsilat (charges) gerekli');
+    }
+    schedule.charges = parseCharges(charges);
+  } else if (type === 'recurring') {
+    const amount = parseFloat(recurring?.amount);
+    const startDate = new Date(recurring?.startDate || Date.now());
+    if (isNaN(amount) || amount <= 0) {
+      throw scheduleError('Geçersiz periyodik tahsilat tutarı');
+    }
+    if (!INTERVALS.includes(recurring?.interval)) {
+      throw scheduleError(`interval ${INTERVALS.join(', ')} olmalı`);
+    }
+    if (isNaN(startDate.getTime())) {
+      throw scheduleError('Geçersiz başlangıç tarihi');
+    }
+
+    schedule.recurring = {
+      amount,
+      interval: recurring.interval,
+      intervalCount: parseInt(recurring.intervalCount) || 1,
+      nextDate: startDate,
+      endDate: recurring.endDate ? new Date(recurring.endDate) : undefined,
+      maxCharges: recurring.maxCharges ? parseInt(recurring.maxCharges) : undefined
+    };
+    appendRecurringCharge(schedule);
+  } else {
+    throw scheduleError('type plan veya recurring olmalı');
+  }
+
+  schedule.updateNextRun();
+  await schedule.save();
+  return schedule;
+}
+
+/**
+ * Get schedule (company scoped)
+ */
+async function getSchedule(scheduleId, companyId = null) {
+  const query = { _id: scheduleId };
+  if (companyId) query.company = companyId;
+
+  const schedule = await PaymentSchedule.findOne(query);
+  if (!schedule) {
+    throw scheduleError('Ödeme planı bulunamadı', 404);
+  }
+  return schedule;
+}
+
+/**
+ * Pause schedule - bekleyen tahsilatlar çalıştırılmaz
+ */
+export async function pauseSchedule(scheduleId, companyId = null) {
+  const schedule = await getSchedule(scheduleId, companyId);
+  if (schedule.status !== 'active') {
+    throw scheduleError('Sadece aktif plan durdurulabilir');
+  }
+
+  schedule.status = 'paused';
+  schedule.updateNextRun();
+  await schedule.save();
+  return schedule;
+}
+
+/**
+ * Resume paused schedule
+ * Durdurulduğu sırada vadesi geçen tahsilatlar ilk çalışmada yapılır
+ */
+export async function resumeSchedule(scheduleId, companyId = null) {
+  const schedule = await getSchedule(scheduleId, companyId);
+  if (schedule.status !== 'paused') {
+    throw scheduleError('Sadece durdurulmuş plan devam ettirilebilir');
+  }
+
+  schedule.status = 'active';
+  schedule.updateNextRun();
+  await schedule.save();
+  return schedule;
+}
+
+/**
+ * Cancel schedule - bekleyen tahsilatlar iptal edilir
+ */
+export async function cancelSchedule(scheduleId, companyId = null) {
+  const schedule = await getSchedule(scheduleId, companyId);
+  if (['completed', 'cancelled'].includes(schedule.status)) {
+    throw scheduleError('Plan zaten tamamlanmış veya iptal edilmiş');
+  }
+
+  for (const charge of schedule.charges) {
+    if (charge.status === 'pending') charge.status = 'cancelled';
+  }
+  schedule.status = 'cancelled';
+  schedule.cancelledAt = new Date();
+  schedule.updateNextRun();
+  await schedule.save();
+  return schedule;
+}
+
+/**
+ * Amend schedule
+ * - cardToken, posId, description, retryPolicy
+ * - charges: [{ _id, amount?, dueDate?, remove? }] bekleyen tahsilatları değiştirir, _id'siz olanlar eklenir
+ * - recurring: { amount?, endDate?, maxCharges? }
+ */
+export async function amendSchedule(scheduleId, changes, companyId = null) {
+  const schedule = await getSchedule(scheduleId, companyId);
+  if (['completed', 'cancelled'].includes(schedule.status)) {
+    throw scheduleError('Tamamlanmış veya iptal edilmiş plan değiştirilemez');
+  }
+
+  if (changes.cardToken) {
+    const storedCard = await StoredCard.findOne({
+      company: schedule.company,
+      token: changes.cardToken,
+      customerRef: schedule.customerRef
+    });
+    if (!storedCard) {
+      throw scheduleError('Kayıtlı kart bulunamadı', 404);
+    }
+    schedule.cardToken = changes.cardToken;
+  }
+
+  if (changes.posId) {
+    const pos = await VirtualPos.findOne({ _id: changes.posId, company: schedule.company }).select('_id');
+    if (!pos) {
+      throw scheduleError('Sanal pos bulunamadı', 404);
+    }
+  }
+  if (changes.posId !== undefined) schedule.pos = changes.posId || undefined;
+  if (changes.description !== undefined) schedule.description = changes.description;
+  if (changes.retryPolicy) {
+    schedule.retryPolicy = {
+      maxAttempts: schedule.retryPolicy?.maxAttempts,
+      intervalHours: schedule.retryPolicy?.intervalHours,
+      ...changes.retryPolicy
+    };
+  }
+
+  for (const change of changes.charges || []) {
+    if (!change._id) {
+      schedule.charges.push(...parseCharges([change]));
+      continue;
+    }
+
+    const charge = schedule.charges.id(change._id);
+    if (!charge) {
+      throw scheduleError('Tahsilat bulunamadı', 404);
+    }
+    if (charge.status !== 'pending') {
+      throw scheduleError('Sadece bekleyen tahsilatlar değiştirilebilir');
+    }
+
+    if (change.remove) {
+      charge.status = 'cancelled';
+      continue;
+    }
+
+    const [parsed] = parseCharges([{
+      amount: change.amount ?? charge.amount,
+      dueDate: change.dueDate ?? charge.dueDate,
+      description: change.description ?? charge.description
+    }]);
+    charge.amount = parsed.amount;
+    charge.dueDate = parsed.dueDate;
+    charge.nextAttemptAt = parsed.dueDate;
+    charge.description = parsed.description;
+  }
+
+  if (changes.recurring && schedule.type === 'recurring') {
+    const { amount, endDate, maxCharges } = changes.recurring;
+    if (amount !== undefined) {
+      const parsedAmount = parseFloat(amount);
+      if (isNaN(parsedAmount) || parsedAmount <= 0) {
+        throw scheduleError('Geçersiz periyodik tahsilat tutarı');
+      }
+      schedule.recurring.amount = parsedAmount;
+      // Bekleyen tahsilat da yeni tutarla yapılır
+      for (const charge of schedule.charges) {
+        if (charge.status === 'pending') charge.amount = parsedAmount;
+      }
+    }
+    if (endDate !== undefined) schedule.recurring.endDate = endDate ? new Date(endDate) : undefined;
+    if (maxCharges !== undefined) schedule.recurring.maxCharges = maxCharges ? parseInt(maxCharges) : undefined;
+  }
+
+  if (schedule.status === 'active') completeIfFinished(schedule);
+  schedule.updateNextRun();
+  await schedule.save();
+  return schedule;
+}
+
+/**
+ * Execute one due charge
+ */
+async function executeCharge(scheduleId, chargeId) {
+  // Tahsilatı kilitle - aynı tahsilat iki kez çalışmaz
+  const claim = await PaymentSchedule.updateOne(
+    { _id: scheduleId, status: 'active', charges: { $elemMatch: { _id: chargeId, status: 'pending' } } },
+    { $set: { 'charges.$.status': 'processing', 'charges.$.processingAt': new Date() }, $inc: { 'charges.$.attempts': 1 } }
+  );
+  if (claim.modifiedCount === 0) return null;
+
+  const locked = await PaymentSchedule.findById(scheduleId);
+  const lockedCharge = locked.charges.id(chargeId);
+
+  let result = null;
+  let errorMessage = null;
+  try {
+    result = await chargeStoredCard({
+      companyId: locked.company,
+      posId: locked.pos,
+      cardToken: locked.cardToken,
+      amount: lockedCharge.amount,
+      currency: locked.currency,
+      externalId: locked.externalId,
+      bookingCode: locked.bookingCode
+    });
+    if (!result.success) errorMessage = result.message || 'Tahsilat reddedildi';
+  } catch (error) {
+    errorMessage = error.message;
+  }
+
+  return applyChargeOutcome(scheduleId, chargeId, { transactionId: result?.transactionId, errorMessage });
+}
+
+/**
+ * Write charge result, schedule retry / next recurring charge and send events
+ */
+async function applyChargeOutcome(scheduleId, chargeId, { transactionId = null, errorMessage = null }) {
+  const result = transactionId ? { transactionId } : null;
+
+  // Güncel hali ile sonucu yaz
+  const schedule = await PaymentSchedule.findById(scheduleId);
+  const charge = schedule.charges.id(chargeId);
+  const now = new Date();
+
+  if (result?.transactionId) {
+    charge.transaction = result.transactionId;
+    charge.transactions.push(result.transactionId);
+  }
+
+  let willRetry = false;
+  if (!errorMessage) {
+    charge.status = 'success';
+    charge.completedAt = now;
+    charge.lastError = null;
+  } else {
+    charge.lastError = errorMessage;
+    const { maxAttempts = 3, intervalHours = 24 } = schedule.retryPolicy || {};
+    if (charge.attempts < maxAttempts && schedule.status !== 'cancelled') {
+      willRetry = true;
+      charge.status = 'pending';
+      charge.nextAttemptAt = new Date(now.getTime() + intervalHours * 60 * 60 * 1000);
+    } else {
+      charge.status = 'failed';
+      charge.completedAt = now;
+    }
+  }
+
+  if (!willRetry) appendRecurringCharge(schedule);
+  const completed = completeIfFinished(schedule);
+  schedule.updateNextRun();
+  await schedule.save();
+
+  const eventData = {
+    scheduleId: schedule._id,
+    chargeId: charge._id,
+    bookingCode: schedule.bookingCode || null,
+    externalId: schedule.externalId || null,
+    customerRef: schedule.customerRef,
+    amount: charge.amount,
+    currency: schedule.currency,
+    attempt: charge.attempts,
+    transactionId: result?.transactionId || null
+  };
+
+  if (!errorMessage) {
+    notifyEvent(schedule.company, 'schedule.charge.success', eventData, result?.transactionId);
+  } else {
+    notifyEvent(schedule.company, 'schedule.charge.failed', {
+      ...eventData,
+      error: errorMessage,
+      willRetry,
+      nextAttemptAt: willRetry ? charge.nextAttemptAt : null
+    }, result?.transactionId);
+  }
+
+  if (completed) {
+    notifyEvent(schedule.company, 'schedule.completed', {
+      scheduleId: schedule._id,
+      bookingCode: schedule.bookingCode || null,
+      externalId: schedule.externalId || null,
+      charges: schedule.charges.map(c => ({ id: c._id, amount: c.amount, status: c.status }))
+    });
+  }
+
+  return charge.status;
+}
+
+/**
+ * Recover charges left 'processing' by a crashed run
+ * Bankaya gitmiş işlem varsa sonucu kullanılır (çift tahsilat olmaz), yoksa normal tekrar politikası uygulanır
+ */
+export async function recoverStaleCharges(now = new Date()) {
+  const threshold = new Date(now.getTime() - STALE_PROCESSING_MINUTES * 60 * 1000);
+
+  const schedules = await PaymentSchedule.find({
+    charges: { $elemMatch: { status: 'processing', processingAt: { $lte: threshold } } }
+  }).limit(BATCH_SIZE);
+
+  let recovered = 0;
+  for (const schedule of schedules) {
+    const stale = schedule.charges.filter(c =>
+      c.status === 'processing' && c.processingAt && c.processingAt <= threshold
+    );
+
+    for (const charge of stale) {
+      // Kurtarmayı kilitle - eşzamanlı worker aynı tahsilatı ele almaz
+      const claim = await PaymentSchedule.updateOne(
+        { _id: schedule._id, charges: { $elemMatch: { _id: charge._id, status: 'processing', processingAt: charge.processingAt } } },
+        { $set: { 'charges.$.processingAt': now } }
+      );
+      if (claim.modifiedCount === 0) continue;
+
+      // Yarıda kalan denemenin oluşturduğu işlem (kayıtlı kart, tutar, deneme başlangıcı)
+      const transaction = await Transaction.findOne({
+        type: 'payment',
+        'vault.token': schedule.cardToken,
+        amount: charge.amount,
+        currency: schedule.currency,
+        createdAt: { $gte: charge.processingAt }
+      }).sort({ createdAt: 1 }).select('status result.message');
+
+      // Banka sonucu henüz bilinmiyor: reconciliation sonuçlandırana kadar beklenir
+      if (transaction && ['pending', 'processing'].includes(transaction.status)) continue;
+
+      const succeeded = transaction && ['success', 'partially_refunded', 'refunded'].includes(transaction.status);
+      await applyChargeOutcome(schedule._id, charge._id, {
+        transactionId: transaction?._id,
+        errorMessage: succeeded ? null : (transaction?.result?.message || 'Tahsilat yarıda kaldı')
+      });
+      recovered++;
+    }
+  }
+
+  if (recovered > 0) {
+    console.log(`[Schedule] Recovered ${recovered} stale charge(s)`);
+  }
+  return recovered;
+}
+
+/**
+ * Run due charges of active schedules
+ */
+export async function processDueCharges(now = new Date()) {
+  await recoverStaleCharges(now);
+
+  const schedules = await PaymentSchedule.find({
+    status: 'active',
+    nextRunAt: { $lte: now }
+  })
+    .sort({ nextRunAt: 1 })
+    .limit(BATCH_SIZE);
+
+  let executed = 0;
+  for (const schedule of schedules) {
+    const due = schedule.charges.filter(c =>
+      c.status === 'pending' && (c.nextAttemptAt || c.dueDate) <= now
+    );
+
+    for (const charge of due) {
+      try {
+        if (await executeCharge(schedule._id, charge._id)) executed++;
+      } catch (error) {
+        console.error(`[Schedule] ${schedule._id}/${charge._id} error:`, error.message);
+      }
+    }
+  }
+
+  return executed;
+}
+
+/**
+ * Start schedule worker
+ */
+export function startScheduleWorker(interval = WORKER_INTERVAL) {
+  if (workerTimer) return;
+
+  let running = false;
+  workerTimer = setInterval(async () => {
+    if (running) return;
+    running = true;
+    try {
+      await processDueCharges();
+    } catch (error) {
+      console.error('[Schedule] Worker error:', error.message);
+    } finally {
+      running = false;
+    }
+  }, interval);
+
+  console.log('[Schedule] Worker started');
+}
+
+/**
+ * Stop schedule worker
+ */
+export function stopScheduleWorker() {
+  if (workerTimer) {
+    clearInterval(workerTimer);
+    workerTimer = null;
+  }
+}
+
+export default {
+  createSchedule,
+  pauseSchedule,
+  resumeSchedule,
+  cancelSchedule,
+  amendSchedule,
+  recoverStaleCharges,
+  processDueCharges,
+  startScheduleWorker,
+  stopScheduleWorker
+};
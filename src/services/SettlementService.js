@@ -0,0 +1,311 @@
+/**
+ * Settlement Service
+ * POS bazında günlük gün sonu (batch close): bankanın gün sonu saatine göre penceredeki işlemler
+ * batch'e bağlanır, para birimi + taksit kırılımında satış/iade/iptal toplamları çıkarılır.
+ * Worker geçmiş günlerin kapanmamış batch'lerini otomatik kapatır.
+ */
+
+import { Settlement, Transaction, VirtualPos } from '../models/index.js';
+import { roundAmount } from './CommissionService.js';
+import { notifyEvent } from './WebhookService.js';
+
+const WORKER_INTERVAL = parseInt(process.env.SETTLEMENT_INTERVAL_MS) || 15 * 60 * 1000;
+// Worker kaç gün geriye kadar kapanmamış batch arar
+const CATCHUP_DAYS = parseInt(process.env.SETTLEMENT_CATCHUP_DAYS) || 7;
+const BUSINESS_DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+const SALE_TYPES = ['payment', 'post_auth'];
+// Satış sonradan iade/iptal edilmiş olsa da batch'te satış olarak yer alır, iptal ayrıca düşülür
+const SETTLED_STATUSES = ['success', 'partially_refunded', 'refunded', 'cancelled'];
+
+let workerTimer = null;
+
+/**
+ * Create error with status for the API response
+ */
+function settlementError(message, status = 400) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+/**
+ * Empty total row
+ */
+function emptyTotal(currency, installment) {
+  return {
+    currency,
+    installment,
+    sales: { count: 0, amount: 0 },
+    refunds: { count: 0, amount: 0 },
+    cancels: { count: 0, amount: 0 },
+    net: 0
+  };
+}
+
+/**
+ * Which total an item counts towards
+ * Ön provizyon satış değildir; blokaj çözme (pre_auth'un cancel alt işlemi) iptal toplamına girmez
+ * @returns {'sales'|'refunds'|'cancels'|null}
+ */
+function getTotalKey(transaction, parent) {
+  if (SALE_TYPES.includes(transaction.type)) return 'sales';
+  if (transaction.type === 'refund') return 'refunds';
+  if (transaction.type === 'cancel' && parent?.type !== 'pre_auth') return 'cancels';
+  return null;
+}
+
+/**
+ * Sum transactions by currency + installment
+ * İade/iptal alt işlemleri ana işlemin taksit sayısıyla gruplanır
+ */
+export function summarizeTransactions(transactions, parents = new Map()) {
+  const rows = new Map();
+
+  for (const transaction of transactions) {
+    const parent = transaction.parentTransaction ? parents.get(transaction.parentTransaction.toString()) : null;
+    const key = getTotalKey(transaction, parent);
+    if (!key) continue;
+
+    const installment = parent?.installment || transaction.installment || 1;
+    const rowKey = `${transaction.currency}:${installment}`;
+    if (!rows.has(rowKey)) rows.set(rowKey, emptyTotal(transaction.currency, installment));
+
+    const row = rows.get(rowKey);
+    row[key].count++;
+    row[key].amount = roundAmount(row[key].amount + transaction.amount);
+  }
+
+  const totals = [...rows.values()]
+    .map(row => ({ ...row, net: roundAmount(row.sales.amount - row.refunds.amount - row.cancels.amount) }))
+    .sort((a, b) => a.currency.localeCompare(b.currency) || a.installment - b.installment);
+
+  // Para birimi özeti
+  const byCurrency = new Map();
+  for (const row of totals) {
+    if (!byCurrency.has(row.currency)) byCurrency.set(row.currency, emptyTotal(row.currency, undefined));
+    const sum = byCurrency.get(row.currency);
+    for (const key of ['sales', 'refunds', 'cancels']) {
+      sum[key].count += row[key].count;
+      sum[key].amount = roundAmount(sum[key].amount + row[key].amount);
+    }
+    sum.net = roundAmount(sum.net + row.net);
+  }
+
+  return { totals, summary: [...byCurrency.values()] };
+}
+
+/**
+ * Find unsettled transactions completed in the batch window
+ */
+async function findBatchTransactions(pos, { start, end }) {
+  const transactions = await Transaction.find({
+    pos: pos._id,
+    status: { $in: SETTLED_STATUSES },
+    completedAt: { $gte: start, $lt: end },
+    settlement: null
+  }).select('type status amount currency installment parentTransaction');
+
+  const parentIds = [...new Set(
+    transactions.filter(t => t.parentTransaction).map(t => t.parentTransaction.toString())
+  )];
+  const parents = await Transaction.find({ _id: { $in: parentIds } }).select('type installment');
+
+  return {
+    transactions,
+    parents: new Map(parents.map(p => [p._id.toString(), p]))
+  };
+}
+
+/**
+ * Batch preview for a POS and business date (kapatmadan)
+ * @param {string} [businessDate] - YYYY-MM-DD, boş ise şu anki açık batch
+ */
+export async function getBatchPreview(posId, businessDate) {
+  if (businessDate && !BUSINESS_DATE_PATTERN.test(businessDate)) {
+    throw settlementError('businessDate YYYY-MM-DD formatında olmalı');
+  }
+
+  const pos = await VirtualPos.findById(posId);
+  if (!pos) {
+    throw settlementError('POS bulunamadı', 404);
+  }
+
+  const window = pos.getBatchWindow(businessDate ? { businessDate } : {});
+  const existing = await Settlement.findOne({ pos: pos._id, businessDate: window.businessDate });
+  if (existing) {
+    return { closed: true, settlement: existing };
+  }
+
+  const { transactions, parents } = await findBatchTransactions(pos, window);
+
+  return {
+    closed: false,
+    posId: pos._id,
+    businessDate: window.businessDate,
+    cutoff: pos.getBatchCutoff(),
+    periodStart: window.start,
+    periodEnd: window.end,
+    transactionCount: transactions.length,
+    ...summarizeTransactions(transactions, parents)
+  };
+}
+
+/**
+ * Close batch (gün sonu) for a POS and business date
+ * Gün sonu saati geçmemiş batch kapatılamaz
+ * @param {object} [options]
+ * @param {string} [options.closedBy] - Kullanıcı id, worker için 'system'
+ */
+export async function closeBatch(posId, businessDate, { closedBy = 'system', now = new Date() } = {}) {
+  if (!BUSINESS_DATE_PATTERN.test(businessDate || '')) {
+    throw settlementError('businessDate YYYY-MM-DD formatında olmalı');
+  }
+
+  const pos = await VirtualPos.findById(posId);
+  if (!pos) {
+    throw settlementError('POS bulunamadı', 404);
+  }
+
+  const window = pos.getBatchWindow({ businessDate });
+  if (window.end > now) {
+    throw settlementError(`Gün sonu saati henüz gelmedi (${pos.getBatchCutoff()})`, 409);
+  }
+
+  if (await Settlement.exists({ pos: pos._id, businessDate })) {
+    throw settlementError('Bu gün için gün sonu zaten alınmış', 409);
+  }
+
+  const { transactions, parents } = await findBatchTransactions(pos, window);
+  const { totals, summary } = summarizeTransactions(transactions, parents);
+
+  let settlement;
+  try {
+    settlement = await Settlement.create({
+      company: pos.company,
+      pos: pos._id,
+      bankCode: pos.bankCode,
+      provider: pos.provider,
+      businessDate,
+      cutoff: pos.getBatchCutoff(),
+      periodStart: window.start,
+      periodEnd: window.end,
+      totals,
+      summary,
+      transactionCount: transactions.length,
+      closedAt: now,
+      closedBy
+    });
+  } catch (error) {
+    // Eşzamanlı kapanış (worker + manuel): unique index
+    if (error.code === 11000) {
+      throw settlementError('Bu gün için gün sonu zaten alınmış', 409);
+    }
+    throw error;
+  }
+
+  if (transactions.length) {
+    await Transaction.updateMany(
+      { _id: { $in: transactions.map(t => t._id) }, settlement: null },
+      { $set: { settlement: settlement._id, batchDate: businessDate } }
+    );
+  }
+
+  notifyEvent(pos.company, 'settlement.closed', {
+    settlementId: settlement._id,
+    posId: pos._id,
+    businessDate,
+    summary
+  });
+
+  return settlement;
+}
+
+/**
+ * Close past batches that are still open (worker)
+ * İşlemsiz günler için rapor oluşturulmaz
+ */
+export async function closeDueBatches(now = new Date()) {
+  const posList = await VirtualPos.find({});
+  const summary = { closed: 0, skipped: 0, failed: 0 };
+
+  for (const pos of posList) {
+    // Şu an açık olan batch'ten önceki günler
+    let window = pos.getBatchWindow({ date: now });
+
+    for (let day = 0; day < CATCHUP_DAYS; day++) {
+      window = pos.getBatchWindow({ date: new Date(window.start.getTime() - 1) });
+
+      try {
+        if (await Settlement.exists({ pos: pos._id, businessDate: window.businessDate })) {
+          summary.skipped++;
+          continue;
+        }
+
+        const pending = await Transaction.exists({
+          pos: pos._id,
+          status: { $in: SETTLED_STATUSES },
+          completedAt: { $gte: window.start, $lt: window.end },
+          settlement: null
+        });
+        if (!pending) {
+          summary.skipped++;
+          continue;
+        }
+
+        await closeBatch(pos._id, window.businessDate, { now });
+        summary.closed++;
+      } catch (error) {
+        summary.failed++;
+        console.error(`[Settlement] ${pos._id} ${window.businessDate} error:`, error.message);
+      }
+    }
+  }
+
+  if (summary.closed > 0 || summary.failed > 0) {
+    console.log('[Settlement]', JSON.stringify(summary));
+  }
+
+  return summary;
+}
+
+/**
+ * Start settlement worker
+ */
+export function startSettlementWorker(interval = WORKER_INTERVAL) {
+  if (workerTimer) return;
+
+  let running = false;
+  workerTimer = setInterval(async () => {
+    if (running) return;
+    running = true;
+    try {
+      await closeDueBatches();
+    } catch (error) {
+      console.error('[Settlement] Worker error:', error.message);
+    } finally {
+      running = false;
+    }
+  }, interval);
+
+  console.log('[Settlement] Worker started');
+}
+
+/**
+ * Stop settlement worker
+ */
+export function stopSettlementWorker() {
+  if (workerTimer) {
+    clearInterval(workerTimer);
+    workerTimer = null;
+  }
+}
+
+export default {
+  summarizeTransactions,
+  getBatchPreview,
+  closeBatch,
+  closeDueBatches,
+  startSettlementWorker,
+  stopSettlementWorker
+};
@@ -0,0 +1,633 @@
+/**
+ * Statement Service
+ * Banka panelinden indirilen işlem dosyalarının (CSV/XLSX) içe aktarımı ve sistemdeki işlemlerle
+ * otomatik mutabakat: orderId → refNumber → authCode sırasıyla eşleştirilir, tutar farkları ve
+ * iki taraftan birinde eksik kayıtlar rapora yazılır. Farkların çözümü denetim kaydıyla tutulur.
+ */
+
+import ExcelJS from 'exceljs';
+import { StatementImport, ReconciliationItem, Transaction, VirtualPos } from '../models/index.js';
+import { STATEMENT_MAPPINGS, getStatementMapping, normalizeHeader } from '../constants/statementMappings.js';
+import { maskCardNumber } from '../config/encryption.js';
+import { roundAmount } from './CommissionService.js';
+
+const BUSINESS_DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+// Türkiye saati (sabit UTC+3) - dosyalardaki tarihler yerel saatle gelir
+const TR_OFFSET_MS = 3 * 60 * 60 * 1000;
+const DAY_MS = 24 * 60 * 60 * 1000;
+// Başlık satırı bu kadar satır içinde aranır (bazı paneller üstte rapor bilgisi basar)
+const HEADER_SCAN_ROWS = 20;
+const AMOUNT_TOLERANCE = 0.01;
+// Dosya sonundaki ara toplam / genel toplam satırları
+const TOTAL_ROW_LABELS = ['toplam', 'geneltoplam', 'total'];
+
+const SETTLED_STATUSES = ['success', 'partially_refunded', 'refunded', 'cancelled'];
+// Ekstre işlem tipi → sistemdeki işlem tipleri
+const TYPE_GROUPS = {
+  sale: ['payment', 'post_auth'],
+  pre_auth: ['pre_auth'],
+  refund: ['refund'],
+  cancel: ['cancel']
+};
+const MATCH_KEYS = ['orderId', 'refNumber', 'authCode'];
+
+const CURRENCY_CODES = {
+  try: 'try', tl: 'try', ytl: 'try', 949: 'try',
+  eur: 'eur', 978: 'eur',
+  usd: 'usd', 840: 'usd',
+  gbp: 'gbp', 826: 'gbp'
+};
+
+/**
+ * Create error with status for the API response
+ */
+function statementError(message, status = 400) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+// ============================================
+// PARSING
+// ============================================
+
+/**
+ * Decode CSV buffer: UTF-8, geçersizse Windows-1254 (Türkçe Excel çıktısı)
+ */
+function decodeText(buffer) {
+  let text;
+  try {
+    text = new TextDecoder('utf-8', { fatal: true }).decode(buffer);
+  } catch {
+    text = new TextDecoder('windows-1254').decode(buffer);
+  }
+  return text.replace(/^\uFEFF/, '');
+}
+
+/**
+ * Parse CSV text into rows (tırnaklı alanlar, ; , veya tab ayraç)
+ */
+export function parseCsv(text) {
+  const firstLine = text.slice(0, text.search(/\r?\n|$/));
+  const delimiter = [';', '\t', ','].reduce((best, candidate) =>
+    firstLine.split(candidate).length > firstLine.split(best).length ? candidate : best
+  );
+
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === delimiter) {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  if (field || row.length) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  return rows;
+}
+
+/**
+ * Plain value of an ExcelJS cell (zengin metin, formül, köprü)
+ */
+function cellValue(value) {
+  if (value === null || value === undefined) return '';
+  if (value instanceof Date || typeof value !== 'object') return value;
+  if (value.richText) return value.richText.map(part => part.text).join('');
+  if ('result' in value) return cellValue(value.result);
+  if ('text' in value) return value.text;
+  return '';
+}
+
+/**
+ * Read first worksheet of an XLSX file into rows
+ */
+async function parseXlsx(buffer) {
+  const workbook = new ExcelJS.Workbook();
+  await workbook.xlsx.load(buffer);
+
+  const worksheet = workbook.worksheets[0];
+  if (!worksheet) return [];
+
+  const rows = [];
+  worksheet.eachRow({ includeEmpty: true }, (row) => {
+    // row.values 1 tabanlı
+    rows.push(row.values.slice(1).map(cellValue));
+  });
+  return rows;
+}
+
+/**
+ * Parse amount: "1.234,56", "1,234.56", "-150,00 TL" veya sayı
+ */
+export function parseAmount(value, decimal = ',') {
+  if (typeof value === 'number') return value;
+
+  let text = String(value ?? '').replace(/[^\d.,-]/g, '');
+  if (!/\d/.test(text)) return null;
+
+  const lastDot = text.lastIndexOf('.');
+  const lastComma = text.lastIndexOf(',');
+  let separator = null;
+
+  if (lastDot >= 0 && lastComma >= 0) {
+    separator = lastDot > lastComma ? '.' : ',';
+  } else if (lastDot >= 0 || lastComma >= 0) {
+    const candidate = lastDot >= 0 ? '.' : ',';
+    const decimals = text.length - text.lastIndexOf(candidate) - 1;
+    // Tek ayraç: panelin ondalık ayracı değilse ve ardından 3 hane geliyorsa binlik ayraçtır
+    separator = candidate !== decimal && decimals === 3 ? null : candidate;
+  }
+
+  if (separator) {
+    const [integer, fraction] = [text.slice(0, text.lastIndexOf(separator)), text.slice(text.lastIndexOf(separator) + 1)];
+    text = `${integer.replace(/[.,]/g, '')}.${fraction}`;
+  } else {
+    text = text.replace(/[.,]/g, '');
+  }
+
+  const amount = parseFloat(text);
+  return Number.isFinite(amount) ? amount : null;
+}
+
+/**
+ * Parse date in Turkey time: "19.10.2026 14:35:12", "2026-10-19 14:35", Excel tarihi
+ */
+export function parseDate(value) {
+  // ExcelJS hücredeki yerel saati UTC alanlarıyla döner
+  if (value instanceof Date) {
+    return Number.isNaN(value.getTime()) ? null : new Date(value.getTime() - TR_OFFSET_MS);
+  }
+
+  const text = String(value ?? '').trim();
+  let match = text.match(/^(\d{1,2})[./-](\d{1,2})[./-](\d{4})(?:[ T](\d{1,2}):(\d{2})(?::(\d{2}))?)?/);
+  let parts;
+  if (match) {
+    parts = [match[3], match[2], match[1], match[4], match[5], match[6]];
+  } else {
+    match = text.match(/^(\d{4})-(\d{2})-(\d{2})(?:[ T](\d{1,2}):(\d{2})(?::(\d{2}))?)?/);
+    if (!match) return null;
+    parts = match.slice(1, 7);
+  }
+
+  const [year, month, day, hours = 0, minutes = 0, seconds = 0] = parts.map(part => parseInt(part) || 0);
+  return new Date(Date.UTC(year, month - 1, day, hours, minutes, seconds) - TR_OFFSET_MS);
+}
+
+/**
+ * Resolve statement type label to sale / pre_auth / refund / cancel
+ */
+function parseType(value, mapping) {
+  const label = normalizeHeader(value);
+  if (!label) return null;
+
+  for (const [type, labels] of Object.entries(mapping.types)) {
+    if (labels.some(candidate => normalizeHeader(candidate) === label)) return type;
+  }
+  return null;
+}
+
+function parseCurrency(value) {
+  const code = String(value ?? '').trim().toLowerCase();
+  return CURRENCY_CODES[code] || null;
+}
+
+function parseCard(value) {
+  const card = String(value ?? '').trim();
+  // Bazı paneller tam kart numarası basabilir, saklamadan önce maskelenir
+  return /^\d{16,19}$/.test(card.replace(/\s/g, '')) ? maskCardNumber(card) : card || undefined;
+}
+
+/**
+ * Find header row and column indexes for the mapping
+ * @returns {{ headerIndex: number, columns: object }}
+ */
+function resolveColumns(rows, mapping) {
+  for (let index = 0; index < Math.min(rows.length, HEADER_SCAN_ROWS); index++) {
+    const headers = rows[index].map(normalizeHeader);
+    const columns = {};
+
+    for (const [field, aliases] of Object.entries(mapping.columns)) {
+      const position = aliases.map(normalizeHeader).map(alias => headers.indexOf(alias)).find(i => i >= 0);
+      if (position !== undefined) columns[field] = position;
+    }
+
+    const hasKey = MATCH_KEYS.some(key => columns[key] !== undefined);
+    if (hasKey && columns.amount !== undefined) {
+      return { headerIndex: index, columns };
+    }
+  }
+
+  throw statementError(`Dosyada ${mapping.name} kolon başlıkları bulunamadı`);
+}
+
+/**
+ * Parse statement file into normalized rows
+ * @param {Buffer} buffer
+ * @param {object} options
+ * @param {'csv'|'xlsx'} options.format
+ * @param {object} options.mapping - STATEMENT_MAPPINGS girdisi
+ */
+export async function parseStatement(buffer, { format, mapping }) {
+  const rows = format === 'xlsx' ? await parseXlsx(buffer) : parseCsv(decodeText(buffer));
+  const { headerIndex, columns } = resolveColumns(rows, mapping);
+  const pick = (row, field) => columns[field] !== undefined ? row[columns[field]] : undefined;
+  const text = (row, field) => String(pick(row, field) ?? '').trim() || undefined;
+
+  const parsed = [];
+  for (let index = headerIndex + 1; index < rows.length; index++) {
+    const row = rows[index];
+    const amount = parseAmount(pick(row, 'amount'), mapping.decimal);
+    const keys = MATCH_KEYS.map(key => text(row, key));
+
+    // Boş ve toplam satırları atlanır
+    if (amount === null || keys.every(key => !key)) continue;
+    const label = normalizeHeader(row.find(cell => String(cell ?? '').trim()));
+    if (TOTAL_ROW_LABELS.some(prefix => label.startsWith(prefix))) continue;
+
+    parsed.push({
+      line: index + 1,
+      orderId: keys[0],
+      refNumber: keys[1],
+      authCode: keys[2],
+      // İade/iptal satırları bazı panellerde eksi tutarla gelir
+      amount: roundAmount(Math.abs(amount)),
+      currency: parseCurrency(pick(row, 'currency')) || undefined,
+      date: parseDate(pick(row, 'date')) || undefined,
+      type: parseType(pick(row, 'type'), mapping) || undefined,
+      installment: parseInt(pick(row, 'installment')) || undefined,
+      card: parseCard(pick(row, 'card'))
+    });
+  }
+
+  return parsed;
+}
+
+/**
+ * Detect file format from parameter, file name or content (XLSX = zip)
+ */
+function detectFormat(buffer, { format, fileName }) {
+  if (format) {
+    if (!['csv', 'xlsx'].includes(format)) {
+      throw statementError('format csv veya xlsx olmalı');
+    }
+    return format;
+  }
+  if (/\.xlsx$/i.test(fileName || '')) return 'xlsx';
+  if (/\.(csv|txt)$/i.test(fileName || '')) return 'csv';
+  return buffer.subarray(0, 2).toString('latin1') === 'PK' ? 'xlsx' : 'csv';
+}
+
+// ============================================
+// MATCHING
+// ============================================
+
+/**
+ * Reconciliation period from from/to business dates or statement row dates
+ */
+function resolvePeriod(pos, rows, { from, to }) {
+  for (const value of [from, to]) {
+    if (value && !BUSINESS_DATE_PATTERN.test(value)) {
+      throw statementError('from/to YYYY-MM-DD formatında olmalı');
+    }
+  }
+
+  const dates = rows.map(row => row.date).filter(Boolean).map(date => date.getTime());
+  if ((!from || !to) && !dates.length) {
+    throw statementError('Dosyada işlem tarihi yok, from ve to gönderilmeli');
+  }
+
+  const start = from
+    ? pos.getBatchWindow({ businessDate: from }).start
+    : pos.getBatchWindow({ date: new Date(Math.min(...dates)) }).start;
+  const end = to
+    ? pos.getBatchWindow({ businessDate: to }).end
+    : pos.getBatchWindow({ date: new Date(Math.max(...dates)) }).end;
+
+  if (start >= end) {
+    throw statementError('from, to tarihinden sonra olamaz');
+  }
+
+  return { start, end };
+}
+
+/**
+ * Index transactions by match key
+ */
+function buildIndex(transactions) {
+  const index = Object.fromEntries(MATCH_KEYS.map(key => [key, new Map()]));
+
+  for (const transaction of transactions) {
+    const values = {
+      orderId: transaction.orderId,
+      refNumber: transaction.result?.refNumber,
+      authCode: transaction.result?.authCode
+    };
+    for (const key of MATCH_KEYS) {
+      const value = values[key]?.trim();
+      if (!value) continue;
+      if (!index[key].has(value)) index[key].set(value, []);
+      index[key].get(value).push(transaction);
+    }
+  }
+
+  return index;
+}
+
+/**
+ * Turkey calendar day of a date (YYYY-MM-DD)
+ */
+function localDay(date) {
+  return new Date(date.getTime() + TR_OFFSET_MS).toISOString().slice(0, 10);
+}
+
+/**
+ * Find transaction for a statement row
+ * Aynı orderId alt işlemlerde (iade/iptal/kapama) tekrar eder; tip ve tutar eşleşen tercih edilir
+ * Para birimi her eşleşmede aynı olmalı. Onay kodu (6 hane) bankalar arasında tekrar edebildiği için
+ * tek başına yetmez: tutar ve işlem günü de tutmalı
+ */
+function findMatch(row, index, used) {
+  const types = TYPE_GROUPS[row.type];
+  const amountMatches = transaction => Math.abs(transaction.amount - row.amount) <= AMOUNT_TOLERANCE;
+
+  for (const key of MATCH_KEYS) {
+    if (!row[key]) continue;
+
+    let candidates = (index[key].get(row[key]) || []).filter(transaction =>
+      !used.has(transaction._id.toString()) &&
+      (!types || types.includes(transaction.type)) &&
+      (!row.currency || transaction.currency === row.currency)
+    );
+
+    if (key === 'authCode') {
+      if (!row.date) continue;
+      candidates = candidates.filter(transaction =>
+        amountMatches(transaction) &&
+        transaction.completedAt &&
+        localDay(transaction.completedAt) === localDay(row.date)
+      );
+    }
+    if (!candidates.length) continue;
+
+    const transaction = candidates.find(amountMatches) || candidates[0];
+    return { transaction, matchedBy: key };
+  }
+
+  return null;
+}
+
+/**
+ * Match statement rows against transactions
+ * @returns {Array<object>} ReconciliationItem alanları
+ */
+export function matchRows(rows, transactions, { start, end }) {
+  const index = buildIndex(transactions);
+  const used = new Set();
+  const items = [];
+
+  for (const row of rows) {
+    const match = findMatch(row, index, used);
+
+    if (!match) {
+      items.push({ status: 'missing_in_system', row, bankAmount: row.amount });
+      continue;
+    }
+
+    const { transaction, matchedBy } = match;
+    used.add(transaction._id.toString());
+
+    const difference = roundAmount(row.amount - transaction.amount);
+    items.push({
+      status: Math.abs(difference) > AMOUNT_TOLERANCE ? 'amount_mismatch' : 'matched',
+      transaction: transaction._id,
+      row,
+      bankAmount: row.amount,
+      systemAmount: transaction.amount,
+      difference,
+      matchedBy
+    });
+  }
+
+  // Dönem içinde tamamlanıp ekstrede yer almayan işlemler
+  for (const transaction of transactions) {
+    if (used.has(transaction._id.toString())) continue;
+    if (transaction.completedAt < start || transaction.completedAt >= end) continue;
+
+    items.push({
+      status: 'missing_in_bank',
+      transaction: transaction._id,
+      systemAmount: transaction.amount,
+      difference: roundAmount(-transaction.amount)
+    });
+  }
+
+  return items;
+}
+
+function summarizeItems(items) {
+  const count = status => items.filter(item => item.status === status).length;
+  return {
+    matched: count('matched'),
+    amountMismatch: count('amount_mismatch'),
+    missingInSystem: count('missing_in_system'),
+    missingInBank: count('missing_in_bank'),
+    open: items.filter(item => item.status !== 'matched').length
+  };
+}
+
+/**
+ * Import statement file and reconcile
+ * @param {Buffer} buffer - Dosya içeriği
+ * @param {object} options
+ * @param {string} options.posId
+ * @param {string} [options.mapping] - Eşleme anahtarı, boş ise POS bankası / provider
+ * @param {string} [options.from] - İlk iş günü (YYYY-MM-DD), boş ise dosyadaki ilk tarih
+ * @param {string} [options.to] - Son iş günü (YYYY-MM-DD), boş ise dosyadaki son tarih
+ */
+export async function importStatement(buffer, { posId, fileName, format, mapping: mappingKey, from, to, createdBy = 'system' }) {
+  if (!Buffer.isBuffer(buffer) || !buffer.length) {
+    throw statementError('Dosya içeriği boş');
+  }
+
+  const pos = await VirtualPos.findById(posId);
+  if (!pos) {
+    throw statementError('POS bulunamadı', 404);
+  }
+
+  const mapping = mappingKey ? STATEMENT_MAPPINGS[mappingKey] : getStatementMapping(pos.bankCode, pos.provider);
+  if (!mapping) {
+    throw statementError(mappingKey
+      ? `Bilinmeyen eşleme: ${mappingKey}`
+      : `${pos.bankCode} için ekstre eşlemesi yok, mapping parametresi gönderilmeli`);
+  }
+
+  const fileFormat = detectFormat(buffer, { format, fileName });
+  let rows;
+  try {
+    rows = await parseStatement(buffer, { format: fileFormat, mapping });
+  } catch (error) {
+    if (error.status) throw error;
+    throw statementError(`Dosya okunamadı: ${error.message}`);
+  }
+
+  if (!rows.length) {
+    throw statementError('Dosyada işlem satırı bulunamadı');
+  }
+
+  const period = resolvePeriod(pos, rows, { from, to });
+
+  // Gün sonu saatine yakın işlemler için pencere her iki yönde bir gün genişletilir
+  const transactions = await Transaction.find({
+    pos: pos._id,
+    status: { $in: SETTLED_STATUSES },
+    completedAt: { $gte: new Date(period.start.getTime() - DAY_MS), $lt: new Date(period.end.getTime() + DAY_MS) }
+  }).select('type status amount currency orderId result.authCode result.refNumber completedAt');
+
+  const items = matchRows(rows, transactions, period);
+
+  const statementImport = await StatementImport.create({
+    company: pos.company,
+    pos: pos._id,
+    bankCode: pos.bankCode,
+    mapping: mappingKey || Object.keys(STATEMENT_MAPPINGS).find(key => STATEMENT_MAPPINGS[key] === mapping),
+    fileName,
+    format: fileFormat,
+    periodStart: period.start,
+    periodEnd: period.end,
+    rowCount: rows.length,
+    summary: summarizeItems(items),
+    createdBy
+  });
+
+  await ReconciliationItem.insertMany(items.map(item => ({
+    ...item,
+    import: statementImport._id,
+    company: pos.company,
+    pos: pos._id,
+    resolution: { status: item.status === 'matched' ? 'none' : 'open' }
+  })));
+
+  return statementImport;
+}
+
+// ============================================
+// REPORT & RESOLUTION
+// ============================================
+
+/**
+ * Amount totals per status for an import
+ */
+export async function getImportReport(importId) {
+  const statementImport = await StatementImport.findById(importId)
+    .populate('pos', 'name bankCode provider');
+  if (!statementImport) {
+    throw statementError('Ekstre bulunamadı', 404);
+  }
+
+  const totals = await ReconciliationItem.aggregate([
+    { $match: { import: statementImport._id } },
+    {
+      $group: {
+        _id: '$status',
+        count: { $sum: 1 },
+        bankAmount: { $sum: { $ifNull: ['$bankAmount', 0] } },
+        systemAmount: { $sum: { $ifNull: ['$systemAmount', 0] } },
+        difference: { $sum: { $ifNull: ['$difference', 0] } },
+        open: { $sum: { $cond: [{ $eq: ['$resolution.status', 'open'] }, 1, 0] } }
+      }
+    }
+  ]);
+
+  return {
+    import: statementImport,
+    totals: totals.map(({ _id, ...row }) => ({
+      status: _id,
+      ...row,
+      bankAmount: roundAmount(row.bankAmount),
+      systemAmount: roundAmount(row.systemAmount),
+      difference: roundAmount(row.difference)
+    }))
+  };
+}
+
+/**
+ * Record resolution action on a reconciliation item
+ * @param {string} itemId
+ * @param {object} options
+ * @param {'resolve'|'ignore'|'reopen'|'comment'} options.action
+ * @param {string} [options.note]
+ * @param {string} [options.user]
+ */
+export async function resolveItem(itemId, { action, note, user = 'system' }) {
+  if (!['resolve', 'ignore', 'reopen', 'comment'].includes(action)) {
+    throw statementError('action resolve, ignore, reopen veya comment olmalı');
+  }
+  if (action === 'comment' && !note) {
+    throw statementError('Not gerekli');
+  }
+
+  const item = await ReconciliationItem.findById(itemId);
+  if (!item) {
+    throw statementError('Mutabakat kaydı bulunamadı', 404);
+  }
+
+  if (action !== 'comment') {
+    if (item.status === 'matched') {
+      throw statementError('Eşleşen kayıt için çözüm aksiyonu alınamaz');
+    }
+
+    const nextStatus = { resolve: 'resolved', ignore: 'ignored', reopen: 'open' }[action];
+    if (item.resolution.status === nextStatus) {
+      throw statementError('Kayıt zaten bu durumda', 409);
+    }
+
+    item.resolution.status = nextStatus;
+    item.resolution.resolvedBy = action === 'reopen' ? undefined : user;
+    item.resolution.resolvedAt = action === 'reopen' ? undefined : new Date();
+  }
+
+  if (note) item.resolution.note = note;
+  item.history.push({ action, note, user, at: new Date() });
+  await item.save();
+
+  const open = await ReconciliationItem.countDocuments({ import: item.import, 'resolution.status': 'open' });
+  await StatementImport.updateOne({ _id: item.import }, { $set: { 'summary.open': open } });
+
+  return item;
+}
+
+export default {
+  parseStatement,
+  matchRows,
+  importStatement,
+  getImportReport,
+  resolveItem
+};
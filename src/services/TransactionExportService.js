@@ -0,0 +1,224 @@
+/**
+ * Transaction Export Service
+ * İşlem listesinin CSV/XLSX olarak akış halinde dışa aktarımı
+ * Kayıtlar MongoDB cursor'ı ile tek tek okunup yanıta yazılır, sonuç kümesi belleğe alınmaz
+ */
+
+import { once } from 'events';
+import ExcelJS from 'exceljs';
+import { Transaction } from '../models/index.js';
+
+// Türkiye saati (sabit UTC+3) - rapor tarihleri yerel saatle yazılır
+const TR_OFFSET_MS = 3 * 60 * 60 * 1000;
+
+/**
+ * Exportable columns
+ * select: cursor'da okunacak alanlar, value: hücre değeri
+ */
+export const EXPORT_COLUMNS = {
+  id: { header: 'İşlem ID', select: '_id', value: t => t._id.toString() },
+  createdAt: { header: 'Oluşturma Tarihi', select: 'createdAt', value: t => t.createdAt, date: true },
+  completedAt: { header: 'Tamamlanma Tarihi', select: 'completedAt', value: t => t.completedAt, date: true },
+  type: { header: 'İşlem Tipi', select: 'type', value: t => t.type },
+  status: { header: 'Durum', select: 'status', value: t => t.status },
+  paymentModel: { header: 'Ödeme Modeli', select: 'paymentModel', value: t => t.paymentModel },
+  pos: { header: 'POS', select: 'pos', populate: true, value: t => t.pos?.name },
+  provider: { header: 'Sağlayıcı', select: 'pos', populate: true, value: t => t.pos?.provider },
+  orderId: { header: 'Sipariş No', select: 'orderId', value: t => t.orderId },
+  amount: { header: 'Tutar', select: 'amount', value: t => t.amount },
+  currency: { header: 'Para Birimi', select: 'currency', value: t => t.currency?.toUpperCase() },
+  installment: { header: 'Taksit', select: 'installment', value: t => t.installment },
+  card: { header: 'Kart No', select: 'card.masked', value: t => t.card?.masked },
+  cardBin: { header: 'BIN', select: 'card.bin', value: t => t.card?.bin },
+  cardBank: { header: 'Kart Bankası', select: 'bin.bank', value: t => t.bin?.bank },
+  cardFamily: { header: 'Kart Ailesi', select: 'bin.family', value: t => t.bin?.family },
+  cardBrand: { header: 'Kart Markası', select: 'bin.brand', value: t => t.bin?.brand },
+  cardType: { header: 'Kart Tipi', select: 'bin.type', value: t => t.bin?.type },
+  authCode: { header: 'Onay Kodu', select: 'result.authCode', value: t => t.result?.authCode },
+  refNumber: { header: 'Referans No', select: 'result.refNumber', value: t => t.result?.refNumber },
+  resultMessage: { header: 'Banka Mesajı', select: 'result.message', value: t => t.result?.message },
+  bookingCode: { header: 'Rezervasyon Kodu', select: 'bookingCode', value: t => t.bookingCode },
+  externalId: { header: 'Harici Referans', select: 'externalId', value: t => t.externalId },
+  parentTransaction: { header: 'Ana İşlem', select: 'parentTransaction', value: t => t.parentTransaction?.toString() },
+  refundedAmount: { header: 'İade Edilen', select: 'refundedAmount', value: t => t.refundedAmount },
+  commissionRate: { header: 'Komisyon Oranı %', select: 'pricing.commissionRate', value: t => t.pricing?.commissionRate },
+  commission: { header: 'Komisyon', select: 'pricing.commission', value: t => t.pricing?.commission },
+  net: { header: 'Net Tutar', select: 'pricing.net', value: t => t.pricing?.net },
+  customerName: { header: 'Müşteri', select: 'customer.name', value: t => t.customer?.name },
+  customerEmail: { header: 'Müşteri E-posta', select: 'customer.email', value: t => t.customer?.email }
+};
+
+export const DEFAULT_COLUMNS = [
+  'id', 'createdAt', 'type', 'status', 'pos', 'orderId', 'amount', 'currency',
+  'installment', 'card', 'authCode', 'refNumber'
+];
+
+/**
+ * Create error with status for the API response
+ */
+function exportError(message, status = 400) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+/**
+ * Resolve column list from query ("id,amount,card" veya boş)
+ */
+export function resolveColumns(columns) {
+  if (!columns) return DEFAULT_COLUMNS;
+
+  const keys = String(columns).split(',').map(key => key.trim()).filter(Boolean);
+  const unknown = keys.filter(key => !EXPORT_COLUMNS[key]);
+  if (unknown.length) {
+    throw exportError(`Bilinmeyen kolon: ${unknown.join(', ')}`);
+  }
+  if (!keys.length) {
+    throw exportError('En az bir kolon seçilmeli');
+  }
+
+  return [...new Set(keys)];
+}
+
+/**
+ * Date as Turkey wall clock "YYYY-MM-DD HH:mm:ss"
+ */
+function formatDate(date) {
+  if (!date) return '';
+  return new Date(date.getTime() + TR_OFFSET_MS).toISOString().slice(0, 19).replace('T', ' ');
+}
+
+/**
+ * CSV cell
+ * =, +, -, @, tab, CR ile başlayan metinler Excel'de formül olarak çalışmasın diye ' ile başlatılır
+ */
+function csvField(value) {
+  if (value === null || value === undefined) return '';
+  let text = String(value);
+  if (typeof value !== 'number' && /^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Open cursor for the query with only the selected fields
+ */
+function openCursor(query, columns) {
+  const definitions = columns.map(key => EXPORT_COLUMNS[key]);
+  const select = [...new Set(['_id', ...definitions.map(column => column.select)])].join(' ');
+
+  let cursorQuery = Transaction.find(query)
+    .select(select)
+    .sort({ createdAt: -1 })
+    .lean();
+
+  if (definitions.some(column => column.populate)) {
+    cursorQuery = cursorQuery.populate('pos', 'name provider');
+  }
+
+  return cursorQuery.cursor();
+}
+
+/**
+ * Write with backpressure
+ * İstemci bağlantıyı keserse drain gelmez, close ile beklemeden çıkılır
+ */
+async function write(stream, chunk) {
+  if (stream.destroyed || stream.write(chunk)) return;
+
+  const controller = new AbortController();
+  try {
+    await Promise.race([
+      once(stream, 'drain', { signal: controller.signal }),
+      once(stream, 'close', { signal: controller.signal })
+    ]);
+  } finally {
+    controller.abort();
+  }
+}
+
+async function streamCsv(cursor, columns, res) {
+  const definitions = columns.map(key => EXPORT_COLUMNS[key]);
+
+  // BOM: Excel'in UTF-8 Türkçe karakterleri doğru açması için
+  await write(res, '\uFEFF' + definitions.map(column => csvField(column.header)).join(',') + '\r\n');
+
+  for await (const transaction of cursor) {
+    if (res.destroyed) break;
+    const values = definitions.map(column => {
+      const value = column.value(transaction);
+      return csvField(column.date ? formatDate(value) : value);
+    });
+    await write(res, values.join(',') + '\r\n');
+  }
+
+  res.end();
+}
+
+async function streamXlsx(cursor, columns, res) {
+  const definitions = columns.map(key => EXPORT_COLUMNS[key]);
+  const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({
+    stream: res,
+    useStyles: true,
+    useSharedStrings: false
+  });
+
+  const worksheet = workbook.addWorksheet('İşlemler');
+  worksheet.columns = definitions.map(column => ({
+    header: column.header,
+    width: column.date ? 20 : 16,
+    style: column.date ? { numFmt: 'yyyy-mm-dd hh:mm:ss' } : undefined
+  }));
+
+  for await (const transaction of cursor) {
+    if (res.destroyed) break;
+    worksheet.addRow(definitions.map(column => {
+      const value = column.value(transaction);
+      // Excel saat dilimi tutmaz, hücreye Türkiye saati yazılır
+      if (column.date) return value ? new Date(value.getTime() + TR_OFFSET_MS) : null;
+      return value ?? null;
+    })).commit();
+  }
+
+  worksheet.commit();
+  await workbook.commit();
+}
+
+/**
+ * Stream transactions matching the query to the response
+ * @param {object} res - Express response
+ * @param {object} query - Transaction filtresi (liste ile aynı)
+ * @param {object} options
+ * @param {'csv'|'xlsx'} [options.format='csv']
+ * @param {string[]} options.columns - EXPORT_COLUMNS anahtarları
+ */
+export async function streamTransactions(res, query, { format = 'csv', columns }) {
+  const cursor = openCursor(query, columns);
+  const stamp = formatDate(new Date()).slice(0, 10).replace(/-/g, '');
+
+  if (format === 'xlsx') {
+    res.setHeader('Content-Type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+  } else {
+    res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+  }
+  res.setHeader('Content-Disposition', `attachment; filename="transactions-${stamp}.${format}"`);
+
+  // İstemci bağlantıyı keserse cursor kapatılır
+  res.on('close', () => cursor.close().catch(() => {}));
+
+  try {
+    if (format === 'xlsx') {
+      await streamXlsx(cursor, columns, res);
+    } else {
+      await streamCsv(cursor, columns, res);
+    }
+  } finally {
+    await cursor.close().catch(() => {});
+  }
+}
+
+export default {
+  EXPORT_COLUMNS,
+  DEFAULT_COLUMNS,
+  resolveColumns,
+  streamTransactions
+};
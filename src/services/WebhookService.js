@@ -0,0 +1,359 @@
+/**
+ * Webhook Service
+ * İşlem durum değişikliklerini firmanın callbackUrl'ine HMAC imzalı olarak bildirir
+ *
+ * İmza: X-ORS-Signature: t=<unix>,v1=<hex hmac_sha256(secret, "<t>.<body>")>
+ * Firmanın imza anahtarı yoksa bildirim gönderilmez (deneme hata olarak kaydedilir, anahtar
+ * oluşturulunca sıradaki denemede veya manuel tekrar gönderimde iletilir)
+ */
+
+import crypto from 'crypto';
+import axios from 'axios';
+import { Company, Transaction, VirtualPos, WebhookDelivery } from '../models/index.js';
+
+const MAX_ATTEMPTS = parseInt(process.env.WEBHOOK_MAX_ATTEMPTS) || 8;
+const BASE_DELAY = parseInt(process.env.WEBHOOK_BASE_DELAY_MS) || 30 * 1000;
+const REQUEST_TIMEOUT = 10000;
+const WORKER_INTERVAL = 15 * 1000;
+// Deneme kilidi: istek zaman aşımından uzun olmalı, süreç çökerse kilit bu süre sonunda düşer
+const LOCK_DURATION = REQUEST_TIMEOUT * 6;
+
+// Bildirilen durumlar (pending/processing ara durumlar gönderilmez)
+const NOTIFY_STATUSES = ['success', 'failed', 'cancelled', 'partially_refunded', 'refunded', 'expired'];
+
+let workerTimer = null;
+
+/**
+ * Event name for transaction: <type>.<status> (payment.success, refund.failed ...)
+ */
+export function getEventName(transaction) {
+  return `${transaction.type}.${transaction.status}`;
+}
+
+/**
+ * Build non-sensitive webhook payload
+ */
+export function buildPayload(transaction, event) {
+  return {
+    event,
+    createdAt: new Date().toISOString(),
+    data: {
+      id: transaction._id.toString(),
+      type: transaction.type,
+      status: transaction.status,
+      amount: transaction.amount,
+      currency: transaction.currency,
+      installment: transaction.installment,
+      orderId: transaction.orderId || null,
+      externalId: transaction.externalId || null,
+      bookingCode: transaction.bookingCode || null,
+      parentTransaction: transaction.parentTransaction?._id?.toString() || transaction.parentTransaction?.toString() || null,
+      refundedAmount: transaction.refundedAmount || 0,
+      card: {
+        masked: transaction.card?.masked || null,
+        token: transaction.vault?.token || null
+      },
+      result: {
+        success: transaction.result?.success ?? null,
+        code: transaction.result?.code || null,
+        message: transaction.result?.message || null,
+        authCode: transaction.result?.authCode || null,
+        refNumber: transaction.result?.refNumber || null
+      },
+      completedAt: transaction.completedAt || null
+    }
+  };
+}
+
+/**
+ * Sign payload body
+ */
+export function signPayload(secret, timestamp, body) {
+  return crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+}
+
+/**
+ * Backoff delay for the next attempt (30s, 1m, 2m, 4m ...)
+ */
+function getRetryDelay(attemptCount) {
+  return BASE_DELAY * Math.pow(2, Math.max(0, attemptCount - 1));
+}
+
+/**
+ * Notify company about a transaction state change
+ * Hataları yutar - ödeme akışını asla bozmaz
+ * @param {Transaction|string} transactionOrId
+ */
+export async function notifyTransaction(transactionOrId) {
+  try {
+    const transaction = typeof transactionOrId === 'object' && transactionOrId._id
+      ? transactionOrId
+      : await Transaction.findById(transactionOrId);
+
+    if (!transaction || !NOTIFY_STATUSES.includes(transaction.status)) {
+      return null;
+    }
+
+    const posId = transaction.pos?._id || transaction.pos;
+    const pos = await VirtualPos.findById(posId).select('company');
+    if (!pos) return null;
+
+    const company = await Company.findById(pos.company);
+    if (!company?.settings?.callbackUrl) return null;
+
+    const event = getEventName(transaction);
+    return createDelivery(company, event, buildPayload(transaction, event), transaction._id);
+  } catch (error) {
+    console.error('[Webhook] Notify error:', error.message);
+    return null;
+  }
+}
+
+/**
+ * Notify company about a non-transaction event (schedule.charge.failed ...)
+ * Hataları yutar - çağıran akışı asla bozmaz
+ */
+export async function notifyEvent(companyId, event, data, transactionId = null) {
+  try {
+    const company = await Company.findById(companyId);
+    if (!company?.settings?.callbackUrl) return null;
+
+    return createDelivery(company, event, {
+      event,
+      createdAt: new Date().toISOString(),
+      data
+    }, transactionId);
+  } catch (error) {
+    console.error('[Webhook] Notify error:', error.message);
+    return null;
+  }
+}
+
+/**
+ * Store delivery and send first attempt immediately
+ */
+async function createDelivery(company, event, payload, transactionId = null) {
+  const delivery = await WebhookDelivery.create({
+    company: company._id,
+    transaction: transactionId || undefined,
+    event,
+    url: company.settings.callbackUrl,
+    payload,
+    status: 'pending',
+    nextAttemptAt: new Date()
+  });
+
+  // İlk deneme hemen (beklemeden)
+  attemptDelivery(delivery, company).catch(error => {
+    console.error('[Webhook] Delivery error:', error.message);
+  });
+
+  return delivery;
+}
+
+/**
+ * Claim delivery for an attempt (atomik kilit)
+ * Otomatik denemede sadece zamanı gelmiş pending kayıt alınır; manuel gönderimde durum fark etmez
+ * @param {object} [set] - Kilitle birlikte yazılacak alanlar
+ * @returns {Promise<WebhookDelivery|null>} null = kayıt başka süreçte gönderiliyor / gönderilmiş
+ */
+async function claimDelivery(deliveryId, { manual = false, set = {} } = {}) {
+  const now = new Date();
+  const query = {
+    _id: deliveryId,
+    $or: [{ lockedUntil: null }, { lockedUntil: { $lte: now } }]
+  };
+  if (!manual) {
+    query.status = 'pending';
+    query.nextAttemptAt = { $lte: now };
+  }
+
+  return WebhookDelivery.findOneAndUpdate(
+    query,
+    { $set: { ...set, lockedUntil: new Date(now.getTime() + LOCK_DURATION) } },
+    { new: true }
+  );
+}
+
+/**
+ * Send one delivery attempt
+ * Kayıt önce kilitlenir; inline ilk deneme ile worker aynı bildirimi iki kez göndermez
+ * @returns {Promise<WebhookDelivery|null>} null = kayıt başka süreçte gönderiliyor
+ */
+export async function attemptDelivery(delivery, company = null, { manual = false } = {}) {
+  const claimed = await claimDelivery(delivery._id, { manual });
+  if (!claimed) return null;
+
+  return sendAttempt(claimed, company, { manual });
+}
+
+/**
+ * Send claimed delivery and record the attempt (kilidi bırakır)
+ */
+async function sendAttempt(delivery, company, { manual }) {
+  const companyDoc = company || await Company.findById(delivery.company);
+  const secret = companyDoc?.getWebhookSecret?.();
+
+  const body = JSON.stringify(delivery.payload);
+  const timestamp = Math.floor(Date.now() / 1000);
+  const headers = {
+    'Content-Type': 'application/json',
+    'User-Agent': 'ORS-Payment-Webhook/1.0',
+    'X-ORS-Event': delivery.event,
+    'X-ORS-Delivery': delivery._id.toString()
+  };
+
+  const startedAt = Date.now();
+  const attempt = { at: new Date(), manual };
+
+  if (!secret) {
+    // İmzasız bildirim gönderilmez
+    attempt.error = 'Webhook imza anahtarı tanımlı değil';
+  } else {
+    headers['X-ORS-Signature'] = `t=${timestamp},v1=${signPayload(secret, timestamp, body)}`;
+
+    try {
+      const response = await axios.post(delivery.url, body, {
+        headers,
+        timeout: REQUEST_TIMEOUT,
+        // 2xx dışındaki cevapları hata olarak değerlendir
+        validateStatus: () => true
+      });
+
+      attempt.statusCode = response.status;
+      attempt.responseBody = typeof response.data === 'string'
+        ? response.data.slice(0, 1000)
+        : JSON.stringify(response.data ?? '').slice(0, 1000);
+
+      if (response.status < 200 || response.status >= 300) {
+        attempt.error = `HTTP ${response.status}`;
+      }
+    } catch (error) {
+      attempt.error = error.message;
+    }
+  }
+
+  attempt.duration = Date.now() - startedAt;
+
+  delivery.attempts.push(attempt);
+  delivery.attemptCount = (delivery.attemptCount || 0) + 1;
+
+  if (!attempt.error) {
+    delivery.status = 'success';
+    delivery.deliveredAt = new Date();
+    delivery.nextAttemptAt = null;
+    delivery.lastError = null;
+  } else {
+    delivery.lastError = attempt.error;
+    if (delivery.attemptCount >= MAX_ATTEMPTS) {
+      delivery.status = 'failed';
+      delivery.nextAttemptAt = null;
+    } else {
+      delivery.status = 'pending';
+      delivery.nextAttemptAt = new Date(Date.now() + getRetryDelay(delivery.attemptCount));
+    }
+  }
+
+  delivery.lockedUntil = null;
+  await delivery.save();
+  return delivery;
+}
+
+/**
+ * Manually redeliver (admin)
+ * Başarılı/başarısız fark etmeksizin tekrar gönderir, deneme sayacına eklenir
+ */
+export async function redeliver(deliveryId) {
+  const delivery = await WebhookDelivery.findById(deliveryId);
+  if (!delivery) {
+    throw new Error('Webhook kaydı bulunamadı');
+  }
+
+  // Güncel callbackUrl kullan (firma adresi değişmiş olabilir)
+  const company = await Company.findById(delivery.company);
+
+  // Manuel gönderimde limit sıfırlanır - başarısız olursa tekrar denenir
+  const claimed = await claimDelivery(delivery._id, {
+    manual: true,
+    set: {
+      url: company?.settings?.callbackUrl || delivery.url,
+      attemptCount: 0
+    }
+  });
+  if (!claimed) {
+    const error = new Error('Bildirim şu anda gönderiliyor, daha sonra tekrar deneyin');
+    error.status = 409;
+    throw error;
+  }
+
+  return sendAttempt(claimed, company, { manual: true });
+}
+
+/**
+ * Process due retries
+ */
+export async function processPendingDeliveries(limit = 50) {
+  const now = new Date();
+  const due = await WebhookDelivery.find({
+    status: 'pending',
+    nextAttemptAt: { $lte: now },
+    $or: [{ lockedUntil: null }, { lockedUntil: { $lte: now } }]
+  })
+    .sort({ nextAttemptAt: 1 })
+    .limit(limit);
+
+  for (const delivery of due) {
+    try {
+      await attemptDelivery(delivery);
+    } catch (error) {
+      console.error('[Webhook] Retry error:', error.message);
+    }
+  }
+
+  return due.length;
+}
+
+/**
+ * Start retry worker
+ */
+export function startWebhookWorker(interval = WORKER_INTERVAL) {
+  if (workerTimer) return;
+
+  let running = false;
+  workerTimer = setInterval(async () => {
+    if (running) return;
+    running = true;
+    try {
+      await processPendingDeliveries();
+    } catch (error) {
+      console.error('[Webhook] Worker error:', error.message);
+    } finally {
+      running = false;
+    }
+  }, interval);
+
+  console.log('[Webhook] Retry worker started');
+}
+
+/**
+ * Stop retry worker
+ */
+export function stopWebhookWorker() {
+  if (workerTimer) {
+    clearInterval(workerTimer);
+    workerTimer = null;
+  }
+}
+
+export default {
+  getEventName,
+  buildPayload,
+  signPayload,
+  notifyTransaction,
+  notifyEvent,
+  attemptDelivery,
+  redeliver,
+  processPendingDeliveries,
+  startWebhookWorker,
+  stopWebhookWorker
+};
@@ -0,0 +1,159 @@
+/**
+ * Simulated ACS (3D Secure challenge)
+ * Banka kapısı doğrulama oturumu açar; kart sahibi SMS kodunu girer veya iptal eder,
+ * sonuç protokole özel alanlarla üye işyeri callback'ine POST edilir
+ */
+
+import crypto from 'crypto';
+import express, { Router } from 'express';
+import { escapeHtml, renderMessagePage } from '../views/paymentPages.js';
+import { getCurrencyName, renderPostForm } from './common.js';
+import { getScenario, maskPan, SCENARIO_CARDS } from './scenarios.js';
+
+const CHALLENGE_TTL_MS = 15 * 60 * 1000;
+
+const challenges = new Map();
+
+/**
+ * Open challenge
+ * @param {object} options
+ * @param {string} options.bank - Sayfada gösterilen banka adı
+ * @param {number} options.amount
+ * @param {string} options.currency
+ * @param {string} [options.pan] - Kart numarası (yoksa sayfada sorulur: 3D host, SigmaPay)
+ * @param {string} [options.merchant]
+ * @param {Function} options.complete - async ({ authenticated, scenario, pan }) => ({ url, fields })
+ * @returns {string} challenge id
+ */
+export function createChallenge(options) {
+  const now = Date.now();
+  for (const [key, challenge] of challenges) {
+    if (challenge.expiresAt < now) challenges.delete(key);
+  }
+
+  const id = crypto.randomBytes(16).toString('hex');
+  challenges.set(id, { ...options, expiresAt: now + CHALLENGE_TTL_MS });
+  return id;
+}
+
+/**
+ * Challenge page
+ */
+function renderAcsPage(id, challenge) {
+  const amount = new Intl.NumberFormat('tr-TR', { minimumFractionDigits: 2, maximumFractionDigits: 2 })
+    .format(challenge.amount || 0);
+  const cards = Object.entries(SCENARIO_CARDS)
+    .map(([pan, scenario]) => `<li><code>${pan}</code> ${scenario}</li>`)
+    .join('');
+
+  const cardField = challenge.pan
+    ? `<div class="row"><span>Kart</span><strong>${escapeHtml(maskPan(challenge.pan))}</strong></div>`
+    : `<label>Kart numarası</label><input name="cardNumber" inputmode="numeric" autocomplete="off" required>`;
+
+  return `
+<!DOCTYPE html>
+<html>
+<head>
+  <meta charset="UTF-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1">
+  <title>3D Secure Doğrulama</title>
+  <style>
+    body { font-family: Arial, sans-serif; background: #eef1f5; margin: 0; padding: 40px 16px; }
+    .acs { max-width: 380px; margin: 0 auto; background: white; border-radius: 8px; box-shadow: 0 2px 10px rgba(0,0,0,0.1); overflow: hidden; }
+    .header { background: #1f3a5f; color: white; padding: 16px 20px; }
+    .header small { opacity: 0.7; }
+    .body { padding: 20px; }
+    .row { display: flex; justify-content: space-between; margin-bottom: 8px; color: #444; }
+    label { display: block; margin: 16px 0 6px; color: #444; }
+    input { width: 100%; box-sizing: border-box; padding: 10px; border: 1px solid #ccc; border-radius: 4px; font-size: 16px; }
+    .buttons { display: flex; gap: 10px; margin-top: 20px; }
+    button { flex: 1; padding: 12px; border: 0; border-radius: 4px; font-size: 15px; cursor: pointer; }
+    .approve { background: #27ae60; color: white; }
+    .cancel { background: #e0e0e0; color: #333; }
+    details { margin-top: 20px; color: #777; font-size: 13px; }
+    ul { padding-left: 18px; }
+  </style>
+</head>
+<body>
+  <form class="acs" method="POST" action="/simulator/acs/${id}/verify">
+    <div class="header">
+      <div>${escapeHtml(challenge.bank)}</div>
+      <small>3D Secure doğrulama (simülatör)</small>
+    </div>
+    <div class="body">
+      ${challenge.merchant ? `<div class="row"><span>İşyeri</span><strong>${escapeHtml(challenge.merchant)}</strong></div>` : ''}
+      <div class="row"><span>Tutar</span><strong>${amount} ${escapeHtml(getCurrencyName(challenge.currency))}</strong></div>
+      ${cardField}
+      <label>SMS doğrulama kodu (6 hane)</label>
+      <input name="otp" inputmode="numeric" maxlength="6" autocomplete="one-time-code" placeholder="123456">
+      <div class="buttons">
+        <button class="cancel" name="action" value="cancel" formnovalidate>İptal</button>
+        <button class="approve" name="action" value="approve">Onayla</button>
+      </div>
+      <details>
+        <summary>Senaryo kartları</summary>
+        <ul>${cards}</ul>
+        Diğer kartlar onaylanır.
+      </details>
+    </div>
+  </form>
+</body>
+</html>`;
+}
+
+const router = Router();
+
+router.use(express.urlencoded({ extended: true }));
+
+/**
+ * GET|POST /simulator/acs/:id
+ * Challenge page (Vakıf ACSUrl POST'u, iyzico yönlendirmesi)
+ */
+router.all('/:id', (req, res) => {
+  const challenge = challenges.get(req.params.id);
+  res.setHeader('Content-Type', 'text/html; charset=utf-8');
+
+  if (!challenge || challenge.expiresAt < Date.now()) {
+    return res.status(410).send(renderMessagePage('Doğrulama oturumu bulunamadı', 'Oturum sona erdi veya kullanıldı'));
+  }
+
+  res.send(renderAcsPage(req.params.id, challenge));
+});
+
+/**
+ * POST /simulator/acs/:id/verify
+ * Cardholder decision - sonuç callback'e POST edilir (oturum tek kullanımlık)
+ */
+router.post('/:id/verify', async (req, res) => {
+  const challenge = challenges.get(req.params.id);
+  challenges.delete(req.params.id);
+  res.setHeader('Content-Type', 'text/html; charset=utf-8');
+
+  if (!challenge || challenge.expiresAt < Date.now()) {
+    return res.status(410).send(renderMessagePage('Doğrulama oturumu bulunamadı', 'Oturum sona erdi veya kullanıldı'));
+  }
+
+  try {
+    const pan = challenge.pan || String(req.body.cardNumber || '').replace(/\D/g, '');
+    const scenario = challenge.pan ? challenge.scenario : getScenario(pan);
+    const authenticated = req.body.action === 'approve'
+      && /^\d{6}$/.test(req.body.otp || '')
+      && scenario !== '3d_fail';
+
+    const { url, fields } = await challenge.complete({ authenticated, scenario, pan });
+    res.send(renderPostForm(url, fields));
+  } catch (error) {
+    res.status(500).send(renderMessagePage('Simülatör hatası', error.message));
+  }
+});
+
+/**
+ * Render challenge page directly (bank gate response)
+ */
+export function sendChallenge(res, options) {
+  const id = createChallenge(options);
+  res.setHeader('Content-Type', 'text/html; charset=utf-8');
+  res.send(renderAcsPage(id, challenges.get(id)));
+}
+
+export default router;
@@ -0,0 +1,199 @@
+/**
+ * Akbank simulator (JSON API)
+ * gate: /simulator/akbank/securepay           - 3D kapısı (HMAC-SHA512 form hash doğrulanır)
+ * api:  /simulator/akbank/transaction/process - JSON, auth-hash header = HMAC-SHA512(gövde)
+ */
+
+import crypto from 'crypto';
+import express, { Router } from 'express';
+import { renderMessagePage } from '../views/paymentPages.js';
+import { findPosCredentials, renderPostForm } from './common.js';
+import { sendChallenge } from './acs.js';
+import { RESPONSES, getScenario, randomToken, respondTimeout } from './scenarios.js';
+import store from './store.js';
+
+const PROTOCOL = 'akbank';
+
+// Callback'te geri gönderilmeyen kart alanları
+const CARD_FIELDS = ['creditCard', 'expiredDate', 'cvv', 'hash'];
+
+// Akbank hata kodları (responseCode)
+const RESPONSE_CODES = {
+  '00': 'VPS-0000',
+  '51': 'VPS-1051',
+  '05': 'VPS-1005',
+  '12': 'VPS-1012',
+  '13': 'VPS-1013',
+  '99': 'VPS-1099'
+};
+
+const router = Router();
+
+function hmac(secretKey, data) {
+  return crypto.createHmac('sha512', secretKey).update(data, 'utf8').digest('base64');
+}
+
+/**
+ * 3D form hash
+ */
+function getFormHash(secretKey, form) {
+  return hmac(secretKey,
+    form.paymentModel + form.txnCode + form.merchantSafeId + form.terminalSafeId + form.orderId + form.lang +
+    form.amount + (form.ccbRewardAmount || '') + (form.pcbRewardAmount || '') + (form.xcbRewardAmount || '') +
+    form.currencyCode + form.installCount + form.okUrl + form.failUrl + form.emailAddress + (form.subMerchantId || '') +
+    form.creditCard + form.expiredDate + form.cvv + form.randomNumber + form.requestDateTime
+  );
+}
+
+/**
+ * POST /securepay
+ * 3D gate - ACS sayfası, sonuç okUrl/failUrl'e (hashParams + hash ile imzalı)
+ */
+router.post('/securepay', express.urlencoded({ extended: true }), async (req, res) => {
+  try {
+    const form = req.body;
+    const candidates = await findPosCredentials(PROTOCOL, c =>
+      c.merchantId === form.merchantSafeId && c.terminalId === form.terminalSafeId
+    );
+    const match = candidates.find(({ credentials }) => getFormHash(credentials.secretKey, form) === form.hash);
+
+    if (!match) {
+      return res.send(renderPostForm(form.failUrl, {
+        orderId: form.orderId,
+        mdStatus: '0',
+        responseCode: RESPONSE_CODES[RESPONSES.authFailed.code],
+        responseMessage: RESPONSES.authFailed.message
+      }));
+    }
+
+    const { credentials } = match;
+
+    sendChallenge(res, {
+      bank: 'Akbank',
+      amount: parseFloat(form.amount),
+      currency: form.currencyCode,
+      pan: form.creditCard,
+      scenario: getScenario(form.creditCard),
+      complete: async ({ authenticated, scenario, pan }) => {
+        const fields = Object.fromEntries(Object.entries(form).filter(([key]) => !CARD_FIELDS.includes(key)));
+
+        Object.assign(fields, {
+          mdStatus: authenticated ? '1' : '0',
+          responseCode: authenticated ? 'VPS-0000' : 'VPS-1073',
+          responseMessage: authenticated ? 'BAŞARILI' : RESPONSES.secureFailed.message,
+          secureId: authenticated ? randomToken() : '',
+          secureData: authenticated ? randomToken() : '',
+          secureMd: authenticated ? randomToken(32, 'hex').toUpperCase() : '',
+          secureEcomInd: authenticated ? (pan.startsWith('4') ? '05' : '02') : ''
+        });
+
+        if (authenticated) {
+          store.saveSecure(PROTOCOL, [fields.secureMd], { orderId: form.orderId, scenario, pan });
+        }
+
+        const params = Object.keys(fields);
+        fields.hashParams = params.join('+');
+        fields.hash = hmac(credentials.secretKey, params.map(key => fields[key]).join(''));
+
+        return { url: authenticated ? form.okUrl : form.failUrl, fields };
+      }
+    });
+  } catch (error) {
+    res.status(500).send(renderMessagePage('Simülatör hatası', error.message));
+  }
+});
+
+/**
+ * JSON response body
+ */
+function toResponse(request, outcome, extra = {}) {
+  return {
+    version: request.version || '1.00',
+    txnCode: request.txnCode,
+    responseCode: RESPONSE_CODES[outcome.code] || `VPS-10${outcome.code}`,
+    responseMessage: outcome.approved ? 'BAŞARILI' : outcome.message,
+    hostResponseCode: outcome.code,
+    hostMessage: outcome.approved ? 'ONAYLANDI' : outcome.message,
+    txnDateTime: new Date().toISOString().split('.')[0] + '.000',
+    terminal: request.terminal,
+    order: { orderId: outcome.order?.orderId || request.order?.orderId || '' },
+    transaction: {
+      authCode: outcome.authCode || '',
+      rrn: outcome.refNumber || '',
+      batchNumber: 1,
+      stan: 1,
+      amount: outcome.order?.amount ?? request.transaction?.amount,
+      currencyCode: request.transaction?.currencyCode
+    },
+    ...extra
+  };
+}
+
+/**
+ * POST /transaction/process
+ * 1000 satış, 1005 ön provizyon, 1006 provizyon kapama, 1002 iade, 1003 iptal, 1010 sorgu
+ */
+router.post('/transaction/process', express.text({ type: () => true }), async (req, res) => {
+  try {
+    const body = String(req.body || '');
+    const request = JSON.parse(body);
+    const candidates = await findPosCredentials(PROTOCOL, c =>
+      c.merchantId === request.terminal?.merchantSafeId && c.terminalId === request.terminal?.terminalSafeId
+    );
+    const match = candidates.find(({ credentials }) => hmac(credentials.secretKey, body) === req.get('auth-hash'));
+
+    if (!match) {
+      return res.json(toResponse(request, { ...RESPONSES.authFailed, approved: false }));
+    }
+
+    const amount = request.transaction?.amount;
+    const orderId = request.order?.orderId;
+    let outcome;
+
+    switch (request.txnCode) {
+      case '1000':
+      case '1005': {
+        // 3D provizyonda kart yerine secureTransaction gelir
+        const secure = store.findSecure(PROTOCOL, request.secureTransaction?.secureMd);
+        const scenario = secure?.scenario || getScenario(request.card?.cardNumber);
+        outcome = store.authorize(PROTOCOL, {
+          orderId: orderId || secure?.orderId || randomToken(10, 'hex').toUpperCase(),
+          type: request.txnCode === '1005' ? 'preauth' : 'sale',
+          amount,
+          currency: request.transaction?.currencyCode,
+          installment: request.transaction?.installCount,
+          scenario,
+          pan: request.card?.cardNumber || secure?.pan
+        });
+
+        if (scenario === 'timeout') return respondTimeout(res);
+        break;
+      }
+      case '1006':
+        outcome = store.capture(PROTOCOL, orderId, amount);
+        break;
+      case '1002':
+        outcome = store.refund(PROTOCOL, orderId, amount);
+        break;
+      case '1003':
+        outcome = store.voidOrder(PROTOCOL, orderId);
+        break;
+      case '1010': {
+        const order = store.findOrder(PROTOCOL, orderId);
+        outcome = order
+          ? { ...RESPONSES.approved, approved: true, order, authCode: order.authCode, refNumber: order.refNumber }
+          : { ...RESPONSES.notFound, approved: false };
+
+        return res.json(toResponse(request, outcome, order ? { txnStatus: order.status } : {}));
+      }
+      default:
+        outcome = { code: '12', message: `Desteklenmeyen işlem kodu: ${request.txnCode}`, approved: false };
+    }
+
+    res.json(toResponse(request, outcome));
+  } catch (error) {
+    res.status(400).json({ responseCode: 'VPS-1001', responseMessage: `İstek okunamadı: ${error.message}` });
+  }
+});
+
+export default router;
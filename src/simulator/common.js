@@ -0,0 +1,120 @@
+/**
+ * Bank simulator helpers
+ * Ham istek gövdesi (DATA=, data=, xmldata=, prmstr=), XML, banka → tarayıcı form POST
+ */
+
+import xml2js from 'xml2js';
+import { VirtualPos } from '../models/index.js';
+import { escapeHtml } from '../views/paymentPages.js';
+
+const xmlParser = new xml2js.Parser({ explicitRoot: false, explicitArray: false });
+
+/**
+ * Simulator is only mounted when explicitly enabled and never in production
+ */
+export function isSimulatorEnabled() {
+  return process.env.BANK_SIMULATOR_ENABLED === 'true' && process.env.NODE_ENV !== 'production';
+}
+
+/**
+ * Absolute simulator URL (ACS sayfası vb. tarayıcının açacağı adresler)
+ */
+export function getSimulatorUrl(path) {
+  const baseUrl = process.env.CALLBACK_BASE_URL || 'http://localhost:7043';
+  return `${baseUrl}/simulator${path}`;
+}
+
+// Protokollerin para birimi kodları → ISO (ACS sayfasında gösterim)
+const CURRENCY_NAMES = {
+  949: 'TRY', 840: 'USD', 978: 'EUR', 826: 'GBP',
+  TL: 'TRY', US: 'USD', EU: 'EUR', PU: 'GBP'
+};
+
+/**
+ * ISO currency name for numeric / Posnet currency code
+ */
+export function getCurrencyName(code) {
+  return CURRENCY_NAMES[code] || String(code || '').toUpperCase();
+}
+
+/**
+ * Extract XML from raw `name=<xml>` body
+ * Provider'lar XML'i URL encode etmeden gönderir; encode edilmiş gövde de kabul edilir
+ */
+export function readFormXml(body) {
+  const raw = String(body || '');
+  const value = raw.slice(raw.indexOf('=') + 1).trim();
+  return value.startsWith('<') ? value : decodeURIComponent(value.replace(/\+/g, ' '));
+}
+
+/**
+ * Parse XML (root element stripped, like providers)
+ */
+export async function parseXml(xml) {
+  return xmlParser.parseStringPromise(xml);
+}
+
+/**
+ * Build XML response
+ */
+export function buildXml(rootName, obj, encoding = 'UTF-8') {
+  const builder = new xml2js.Builder({ rootName, xmldec: { version: '1.0', encoding } });
+  return builder.buildObject(obj);
+}
+
+/**
+ * Send XML response
+ */
+export function sendXml(res, rootName, obj, encoding) {
+  res.type('application/xml').send(buildXml(rootName, obj, encoding));
+}
+
+/**
+ * POS credentials matching a provider request (merchant/terminal id, kullanıcı)
+ * Aynı üye işyeri no birden fazla POS'ta olabilir; hash doğrulaması çağıran tarafta yapılır
+ * @returns {Promise<Array<{pos, credentials}>>}
+ */
+export async function findPosCredentials(providers, match) {
+  const list = await VirtualPos.find({ provider: { $in: [].concat(providers) } });
+
+  return list
+    .map(pos => ({ pos, credentials: pos.getDecryptedCredentials() }))
+    .filter(({ credentials }) => match(credentials));
+}
+
+/**
+ * Auto-submit form (bank → merchant callback)
+ */
+export function renderPostForm(url, fields = {}) {
+  const inputs = Object.entries(fields)
+    .map(([key, value]) => `<input type="hidden" name="${escapeHtml(key)}" value="${escapeHtml(value)}">`)
+    .join('\n    ');
+
+  return `
+<!DOCTYPE html>
+<html>
+<head>
+  <meta charset="UTF-8">
+  <title>Bank Simulator</title>
+</head>
+<body>
+  <p style="font-family: Arial, sans-serif; text-align: center; margin-top: 40px;">Üye işyerine yönlendiriliyorsunuz...</p>
+  <form id="bankForm" method="POST" action="${escapeHtml(url)}">
+    ${inputs}
+  </form>
+  <script>document.getElementById('bankForm').submit();</script>
+</body>
+</html>`;
+}
+
+export default {
+  isSimulatorEnabled,
+  getSimulatorUrl,
+  getCurrencyName,
+  readFormXml,
+  parseXml,
+  buildXml,
+  sendXml,
+  findPosCredentials,
+  renderPostForm
+};
@@ -0,0 +1,249 @@
+/**
+ * Garanti BBVA simulator (GVPS v512)
+ * gate: /simulator/garanti/gt3dengine - 3D kapısı (secure3dhash doğrulanır)
+ * api:  /simulator/garanti/VPServlet  - data=<GVPSRequest> (HashData doğrulanır)
+ */
+
+import crypto from 'crypto';
+import express, { Router } from 'express';
+import { findPosCredentials, readFormXml, parseXml, sendXml, renderPostForm } from './common.js';
+import { renderMessagePage } from '../views/paymentPages.js';
+import { sendChallenge } from './acs.js';
+import { RESPONSES, getScenario, randomToken, respondTimeout } from './scenarios.js';
+import store from './store.js';
+
+const PROTOCOL = 'garanti';
+
+const router = Router();
+
+/**
+ * SHA1(password + '0' + terminalId)
+ */
+function getHashedPassword({ password, terminalId }) {
+  return crypto.createHash('sha1').update(password + '0' + terminalId).digest('hex').toUpperCase();
+}
+
+function sha512(data) {
+  return crypto.createHash('sha512').update(data).digest('hex').toUpperCase();
+}
+
+/**
+ * 3D gate hash
+ */
+function get3DHash(credentials, form) {
+  return sha512(
+    form.terminalid + form.orderid + form.txnamount + form.txncurrencycode + form.successurl + form.errorurl +
+    form.txntype + (form.txninstallmentcount || '') + credentials.secretKey + getHashedPassword(credentials)
+  );
+}
+
+/**
+ * Provision hash: SHA512(orderId + terminalId + cardNumber + amount + currency + hashedPassword)
+ */
+function getProvisionHash(credentials, request) {
+  return sha512(
+    (request.Order?.OrderID || '') + (request.Terminal?.ID || '') + (request.Card?.Number || '') +
+    (request.Transaction?.Amount || '') + (request.Transaction?.CurrencyCode || '') + getHashedPassword(credentials)
+  );
+}
+
+/**
+ * Response hash over listed callback fields + store key
+ */
+function signCallback(credentials, fields) {
+  const params = ['clientid', 'oid', 'authcode', 'procreturncode', 'response', 'mdstatus', 'cavv', 'eci', 'md', 'rnd'];
+  const values = params.map(param => fields[param] || '').join('');
+  return {
+    ...fields,
+    hashparams: params.join(':') + ':',
+    hashparamsval: values,
+    hash: crypto.createHash('sha512').update(values + credentials.secretKey).digest('base64')
+  };
+}
+
+/**
+ * POST /gt3dengine
+ * 3D gate - ACS sayfası, sonuç successurl/errorurl'e
+ */
+router.post('/gt3dengine', express.urlencoded({ extended: true }), async (req, res) => {
+  try {
+    const form = req.body;
+    const candidates = await findPosCredentials(PROTOCOL, c => c.terminalId === form.terminalid);
+    const match = candidates.find(({ credentials }) => get3DHash(credentials, form) === form.secure3dhash);
+
+    if (!match) {
+      return res.send(renderPostForm(form.errorurl, {
+        orderid: form.orderid,
+        mdstatus: '7',
+        mderrormessage: RESPONSES.authFailed.message
+      }));
+    }
+
+    const { credentials } = match;
+    const amount = parseInt(form.txnamount) / 100;
+    const is3DPay = String(form.secure3dsecuritylevel).toUpperCase() === '3D_PAY';
+
+    sendChallenge(res, {
+      bank: 'Garanti BBVA',
+      merchant: form.companyname,
+      amount,
+      currency: form.txncurrencycode,
+      pan: form.cardnumber,
+      scenario: getScenario(form.cardnumber),
+      complete: async ({ authenticated, scenario, pan }) => {
+        const fields = {
+          clientid: form.terminalid,
+          oid: form.orderid,
+          orderid: form.orderid,
+          terminalid: form.terminalid,
+          txnamount: form.txnamount,
+          txncurrencycode: form.txncurrencycode,
+          txninstallmentcount: form.txninstallmentcount || '',
+          secure3dsecuritylevel: form.secure3dsecuritylevel,
+          mdstatus: authenticated ? '1' : '0',
+          mderrormessage: authenticated ? '' : RESPONSES.secureFailed.message,
+          rnd: randomToken(10, 'hex')
+        };
+
+        if (!authenticated) {
+          return { url: form.errorurl, fields: signCallback(credentials, fields) };
+        }
+
+        Object.assign(fields, {
+          md: randomToken(),
+          xid: randomToken(),
+          eci: pan.startsWith('4') ? '05' : '02',
+          cavv: randomToken()
+        });
+
+        store.saveSecure(PROTOCOL, [fields.md], {
+          orderId: form.orderid, amount, currency: form.txncurrencycode, installment: form.txninstallmentcount, scenario, pan
+        });
+
+        // 3D Pay: ödeme bankada tamamlanır
+        if (is3DPay) {
+          const sale = store.authorize(PROTOCOL, {
+            orderId: form.orderid,
+            type: form.txntype === 'preauth' ? 'preauth' : 'sale',
+            amount,
+            currency: form.txncurrencycode,
+            installment: form.txninstallmentcount,
+            scenario,
+            pan
+          });
+          Object.assign(fields, {
+            response: sale.approved ? 'Approved' : 'Declined',
+            procreturncode: sale.code,
+            authcode: sale.authCode || '',
+            hostrefnum: sale.refNumber || '',
+            errmsg: sale.approved ? '' : sale.message
+          });
+        }
+
+        const approved = !is3DPay || fields.procreturncode === RESPONSES.approved.code;
+        return { url: approved ? form.successurl : form.errorurl, fields: signCallback(credentials, fields) };
+      }
+    });
+  } catch (error) {
+    res.status(500).send(renderMessagePage('Simülatör hatası', error.message));
+  }
+});
+
+/**
+ * GVPSResponse body
+ */
+function toResponse(request, outcome, extra = {}) {
+  return {
+    Mode: request.Mode || '',
+    Order: { OrderID: request.Order?.OrderID || '', GroupID: '' },
+    Transaction: {
+      Response: {
+        Source: 'HOST',
+        Code: outcome.code,
+        ReasonCode: outcome.code,
+        Message: outcome.approved ? 'Approved' : 'Declined',
+        ErrorMsg: outcome.approved ? '' : outcome.message,
+        SysErrMsg: ''
+      },
+      RetrefNum: outcome.refNumber || '',
+      AuthCode: outcome.authCode || '',
+      BatchNum: '000001',
+      SequenceNum: '000001',
+      ProvDate: new Date().toISOString().slice(0, 10).replace(/-/g, '')
+    },
+    ...extra
+  };
+}
+
+/**
+ * POST /VPServlet
+ * XML API: sales, preauth, postauth, refund, void, orderinq
+ */
+router.post('/VPServlet', express.text({ type: () => true }), async (req, res) => {
+  try {
+    const request = await parseXml(readFormXml(req.body));
+    const candidates = await findPosCredentials(PROTOCOL, c => c.terminalId === request.Terminal?.ID);
+    const match = candidates.find(({ credentials }) => getProvisionHash(credentials, request) === request.Terminal?.HashData);
+
+    if (!match) {
+      return sendXml(res, 'GVPSResponse', toResponse(request, { ...RESPONSES.authFailed, approved: false }));
+    }
+
+    const { Order: order = {}, Transaction: txn = {}, Card: card = {} } = request;
+    const amount = txn.Amount ? parseInt(txn.Amount) / 100 : undefined;
+    let outcome;
+
+    switch (txn.Type) {
+      case 'sales':
+      case 'preauth': {
+        const secure = txn.Secure3D?.Md ? store.findSecure(PROTOCOL, txn.Secure3D.Md) : null;
+        const scenario = secure?.scenario || getScenario(card.Number);
+        outcome = store.authorize(PROTOCOL, {
+          orderId: order.OrderID,
+          type: txn.Type === 'preauth' ? 'preauth' : 'sale',
+          amount,
+          currency: txn.CurrencyCode,
+          installment: txn.InstallmentCnt,
+          scenario,
+          pan: card.Number || secure?.pan
+        });
+
+        if (scenario === 'timeout') return respondTimeout(res);
+        break;
+      }
+      case 'postauth':
+        outcome = store.capture(PROTOCOL, order.OrderID, amount);
+        break;
+      case 'refund':
+        outcome = store.refund(PROTOCOL, order.OrderID, amount);
+        break;
+      case 'void':
+        outcome = store.voidOrder(PROTOCOL, order.OrderID);
+        break;
+      case 'orderinq': {
+        const found = store.findOrder(PROTOCOL, order.OrderID);
+        outcome = found
+          ? { ...RESPONSES.approved, approved: true, authCode: found.authCode, refNumber: found.refNumber }
+          : { ...RESPONSES.notFound, approved: false };
+
+        return sendXml(res, 'GVPSResponse', toResponse(request, outcome, found ? {
+          Order: {
+            OrderID: found.orderId,
+            OrderStatus: found.status,
+            TotalAmount: Math.round((found.capturedAmount || found.amount) * 100),
+            AuthCode: found.authCode || '',
+            RetrefNum: found.refNumber
+          }
+        } : {}));
+      }
+      default:
+        outcome = { code: '12', message: `Desteklenmeyen işlem tipi: ${txn.Type}`, approved: false };
+    }
+
+    sendXml(res, 'GVPSResponse', toResponse(request, outcome));
+  } catch (error) {
+    res.status(400).type('text/plain').send(`XML okunamadı: ${error.message}`);
+  }
+});
+
+export default router;
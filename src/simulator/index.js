@@ -0,0 +1,73 @@
+/**
+ * Local bank simulator
+ * POS'un urls.api / urls.gate alanları simülatör adreslerine yönlendirilerek bankasız uçtan uca test yapılır.
+ * Sadece BANK_SIMULATOR_ENABLED=true ve production dışında yüklenir (bkz. server.js)
+ */
+
+import { Router } from 'express';
+import { getSimulatorUrl } from './common.js';
+import { SCENARIO_CARDS } from './scenarios.js';
+import acsRoutes from './acs.js';
+import garantiRoutes from './garanti.js';
+import nestpayRoutes from './nestpay.js';
+import posnetRoutes from './posnet.js';
+import akbankRoutes from './akbank.js';
+import vakifbankRoutes from './vakifbank.js';
+import { createInterVposRouter } from './intervpos.js';
+import paytrRoutes from './paytr.js';
+import iyzicoRoutes from './iyzico.js';
+import sigmapayRoutes from './sigmapay.js';
+
+// POS urls ayarları (provider → { api, gate })
+export const SIMULATOR_URLS = {
+  garanti: { api: '/garanti/VPServlet', gate: '/garanti/gt3dengine' },
+  payten: { api: '/nestpay/api', gate: '/nestpay/est3Dgate' },
+  ykb: { api: '/posnet/XML', gate: '/posnet/YKBPaymentService' },
+  akbank: { api: '/akbank/transaction/process', gate: '/akbank/securepay' },
+  vakifbank: { api: '/vakifbank/Vposreq.aspx', gate: '/vakifbank/MPI_Enrollment.aspx' },
+  qnb: { api: '/qnb/Default.aspx', gate: '/qnb/3DHost.aspx' },
+  denizbank: { api: '/denizbank/Default.aspx', gate: '/denizbank/3DHost.aspx' },
+  paytr: { api: '/paytr/odeme/api/get-token', gate: '/paytr/odeme/guvenli' },
+  iyzico: { api: '/iyzico', gate: '/iyzico' },
+  sigmapay: { api: '/sigmapay/pay', gate: '/sigmapay/pay' }
+};
+
+const router = Router();
+
+/**
+ * GET /simulator
+ * POS URL'leri ve senaryo kartları
+ */
+router.get('/', (req, res) => {
+  const urls = Object.fromEntries(
+    Object.entries(SIMULATOR_URLS).map(([provider, { api, gate }]) => [
+      provider,
+      { api: getSimulatorUrl(api), gate: getSimulatorUrl(gate) }
+    ])
+  );
+
+  res.json({
+    status: true,
+    data: {
+      urls,
+      scenarioCards: SCENARIO_CARDS,
+      otp: 'Herhangi bir 6 haneli kod'
+    }
+  });
+});
+
+router.use('/acs', acsRoutes);
+router.use('/garanti', garantiRoutes);
+router.use('/nestpay', nestpayRoutes);
+router.use('/posnet', posnetRoutes);
+router.use('/akbank', akbankRoutes);
+router.use('/vakifbank', vakifbankRoutes);
+router.use('/qnb', createInterVposRouter('qnb'));
+router.use('/denizbank', createInterVposRouter('denizbank'));
+router.use('/paytr', paytrRoutes);
+router.use('/iyzico', iyzicoRoutes);
+router.use('/sigmapay', sigmapayRoutes);
+
+export { isSimulatorEnabled } from './common.js';
+
+export default router;
@@ -0,0 +1,220 @@
+/**
+ * InterVPOS simulator (QNB, Denizbank)
+ * gate: /simulator/{qnb|denizbank}/3DHost.aspx  - 3D kapısı (SHA1 base64 hash doğrulanır)
+ * api:  /simulator/{qnb|denizbank}/Default.aspx - form POST, cevap key=value;; formatında
+ */
+
+import crypto from 'crypto';
+import express, { Router } from 'express';
+import { renderMessagePage } from '../views/paymentPages.js';
+import { findPosCredentials, renderPostForm } from './common.js';
+import { sendChallenge } from './acs.js';
+import { RESPONSES, getScenario, randomToken, respondTimeout } from './scenarios.js';
+import store from './store.js';
+
+const BANK_NAMES = {
+  qnb: 'QNB',
+  denizbank: 'Denizbank'
+};
+
+function sha1Base64(data) {
+  return crypto.createHash('sha1').update(data).digest('base64');
+}
+
+/**
+ * Gate hash: (MbrId | ShopCode) + OrderId + PurchAmount + OkUrl + FailUrl + TxnType + InstallmentCount + Rnd + MerchantPass
+ */
+function getGateHash(first, form, merchantPass) {
+  return sha1Base64(
+    first + form.OrderId + form.PurchAmount + form.OkUrl + form.FailUrl + form.TxnType +
+    (form.InstallmentCount || '') + form.Rnd + merchantPass
+  );
+}
+
+/**
+ * key=value;; response body
+ */
+function sendResult(res, outcome, extra = {}) {
+  const fields = {
+    OrderId: outcome.order?.orderId || '',
+    ProcReturnCode: outcome.code,
+    Response: outcome.approved ? 'Approved' : 'Declined',
+    AuthCode: outcome.authCode || '',
+    HostRefNum: outcome.refNumber || '',
+    TransId: outcome.order?.transId || '',
+    ErrMsg: outcome.approved ? '' : outcome.message,
+    ...extra
+  };
+
+  res.type('text/plain').send(Object.entries(fields).map(([key, value]) => `${key}=${value}`).join(';;'));
+}
+
+/**
+ * Router for an InterVPOS bank
+ * @param {'qnb'|'denizbank'} provider
+ */
+export function createInterVposRouter(provider) {
+  const router = Router();
+  const protocol = provider;
+
+  /**
+   * POST /3DHost.aspx
+   * 3D gate - ACS sayfası, sonuç OkUrl/FailUrl'e (HASHPARAMS ile imzalı)
+   */
+  router.post('/3DHost.aspx', express.urlencoded({ extended: true }), async (req, res) => {
+    try {
+      const form = req.body;
+      const merchantId = provider === 'qnb' ? form.MerchantID : form.ShopCode;
+      const first = provider === 'qnb' ? form.MbrId : form.ShopCode;
+      const candidates = await findPosCredentials(provider, c => c.merchantId === merchantId);
+      const match = candidates.find(({ credentials }) => getGateHash(first, form, credentials.secretKey) === form.Hash);
+
+      if (!match) {
+        return res.send(renderPostForm(form.FailUrl, {
+          OrderId: form.OrderId,
+          '3DStatus': '0',
+          ProcReturnCode: RESPONSES.authFailed.code,
+          ErrorCode: RESPONSES.authFailed.code,
+          ErrMsg: RESPONSES.authFailed.message,
+          ErrorMessage: RESPONSES.authFailed.message
+        }));
+      }
+
+      const { credentials } = match;
+
+      sendChallenge(res, {
+        bank: BANK_NAMES[provider],
+        amount: parseFloat(form.PurchAmount),
+        currency: form.Currency,
+        pan: form.Pan,
+        scenario: getScenario(form.Pan),
+        complete: async ({ authenticated, scenario, pan }) => {
+          const requestGuid = authenticated ? randomToken(16, 'hex') : '';
+          const fields = {
+            OrderId: form.OrderId,
+            MerchantID: form.MerchantID || '',
+            ShopCode: form.ShopCode || '',
+            PurchAmount: form.PurchAmount,
+            Currency: form.Currency,
+            InstallmentCount: form.InstallmentCount || '',
+            TxnType: form.TxnType,
+            '3DStatus': authenticated ? '1' : '0',
+            RequestGuid: requestGuid,
+            MD: requestGuid,
+            PayerTxnId: authenticated ? randomToken() : '',
+            PayerAuthenticationCode: authenticated ? randomToken() : '',
+            Eci: authenticated ? (pan.startsWith('4') ? '05' : '02') : '',
+            ErrorCode: authenticated ? '' : RESPONSES.secureFailed.code,
+            ErrMsg: authenticated ? '' : RESPONSES.secureFailed.message,
+            ErrorMessage: authenticated ? '' : RESPONSES.secureFailed.message
+          };
+
+          if (authenticated) {
+            store.saveSecure(protocol, [requestGuid], {
+              orderId: form.OrderId,
+              type: form.TxnType === 'PreAuth' ? 'preauth' : 'sale',
+              amount: form.PurchAmount,
+              currency: form.Currency,
+              installment: form.InstallmentCount,
+              scenario,
+              pan
+            });
+          }
+
+          const params = ['OrderId', 'MerchantID', 'ShopCode', 'PurchAmount', '3DStatus', 'RequestGuid', 'MD', 'Eci', 'PayerAuthenticationCode'];
+          fields.HASHPARAMS = params.join(':');
+          fields.HASHPARAMSVAL = params.map(param => fields[param]).join('');
+          fields.HASH = sha1Base64(fields.HASHPARAMSVAL + credentials.secretKey);
+
+          return { url: authenticated ? form.OkUrl : form.FailUrl, fields };
+        }
+      });
+    } catch (error) {
+      res.status(500).send(renderMessagePage('Simülatör hatası', error.message));
+    }
+  });
+
+  /**
+   * POST /Default.aspx
+   * 3DModelPayment, NonSecure (Auth, PreAuth, PostAuth, Credit, Void), Inquiry
+   */
+  router.post('/Default.aspx', express.urlencoded({ extended: true }), async (req, res) => {
+    try {
+      const form = req.body;
+      const candidates = await findPosCredentials(provider, c => c.username === form.UserCode && c.password === form.UserPass);
+
+      if (!candidates.length) {
+        return sendResult(res, { ...RESPONSES.authFailed, approved: false });
+      }
+
+      // QNB 3D provizyonu RequestGuid, Denizbank NonSecure + MD ile gelir
+      const secure = store.findSecure(protocol, form.RequestGuid || form.MD);
+
+      if (form.SecureType === '3DModelPayment' || (secure && ['Auth', 'PreAuth'].includes(form.TxnType))) {
+        if (!secure) return sendResult(res, { ...RESPONSES.notFound, approved: false });
+
+        const outcome = store.authorize(protocol, {
+          orderId: form.OrderId || secure.orderId,
+          type: secure.type,
+          amount: form.PurchAmount || secure.amount,
+          currency: form.Currency || secure.currency,
+          installment: form.InstallmentCount || secure.installment,
+          scenario: secure.scenario,
+          pan: secure.pan
+        });
+
+        if (secure.scenario === 'timeout') return respondTimeout(res);
+        return sendResult(res, outcome);
+      }
+
+      if (form.SecureType === 'Inquiry') {
+        const order = store.findOrder(protocol, form.OrderId);
+        if (!order) return sendResult(res, { ...RESPONSES.notFound, approved: false });
+
+        return sendResult(res, {
+          ...RESPONSES.approved, approved: true, order, authCode: order.authCode, refNumber: order.refNumber
+        }, { PurchAmount: order.capturedAmount || order.amount, TxnStatus: order.status });
+      }
+
+      let outcome;
+
+      switch (form.TxnType) {
+        case 'Auth':
+        case 'PreAuth': {
+          const scenario = getScenario(form.Pan);
+          outcome = store.authorize(protocol, {
+            orderId: form.OrderId,
+            type: form.TxnType === 'PreAuth' ? 'preauth' : 'sale',
+            amount: form.PurchAmount,
+            currency: form.Currency,
+            installment: form.InstallmentCount,
+            scenario,
+            pan: form.Pan
+          });
+
+          if (scenario === 'timeout') return respondTimeout(res);
+          break;
+        }
+        case 'PostAuth':
+          outcome = store.capture(protocol, form.OrgOrderId, form.PurchAmount);
+          break;
+        case 'Credit':
+          outcome = store.refund(protocol, form.OrgOrderId, form.PurchAmount);
+          break;
+        case 'Void':
+          outcome = store.voidOrder(protocol, form.OrgOrderId);
+          break;
+        default:
+          outcome = { code: '12', message: `Desteklenmeyen işlem tipi: ${form.TxnType}`, approved: false };
+      }
+
+      sendResult(res, outcome);
+    } catch (error) {
+      res.status(500).type('text/plain').send(`ProcReturnCode=99;;ErrMsg=${error.message}`);
+    }
+  });
+
+  return router;
+}
+
+export default createInterVposRouter;
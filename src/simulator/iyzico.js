@@ -0,0 +1,218 @@
+/**
+ * iyzico simulator (REST API)
+ * api: /simulator/iyzico - /payment/3dsecure/initialize, /payment/3dsecure/auth, /payment/auth,
+ * /payment/refund, /payment/cancel (IYZWS imzası doğrulanır)
+ */
+
+import crypto from 'crypto';
+import express, { Router } from 'express';
+import { findPosCredentials, getSimulatorUrl, renderPostForm } from './common.js';
+import { createChallenge } from './acs.js';
+import { RESPONSES, getScenario, randomDigits, randomToken, respondTimeout } from './scenarios.js';
+import store from './store.js';
+
+const PROTOCOL = 'iyzico';
+
+/**
+ * API key / secret of the POS (banka tarafı: extra alanı, yoksa username / secretKey)
+ */
+function getIyzicoKeys(credentials) {
+  const extra = credentials.extra || {};
+  return {
+    apiKey: extra.apiKey || credentials.username,
+    apiSecret: extra.apiSecret || credentials.secretKey
+  };
+}
+
+// Ortak sonuç kodu → iyzico errorCode
+const ERROR_CODES = {
+  '51': '10051',
+  '05': '5092',
+  '12': '5093',
+  '13': '5094',
+  '99': '1001'
+};
+
+const router = Router();
+
+router.use(express.json());
+
+/**
+ * PKI string (iyzico imza formatı): [key=value,key=[...],list=[a, b]]
+ */
+function getPkiString(data) {
+  const isArray = Array.isArray(data);
+  const items = Object.entries(data).map(([key, value]) => {
+    const text = value && typeof value === 'object' ? getPkiString(value) : value;
+    return isArray ? text : `${key}=${text}`;
+  });
+  return `[${items.join(isArray ? ', ' : ',')}]`;
+}
+
+/**
+ * Verify `Authorization: IYZWS apiKey:hash` header
+ */
+async function authenticate(req) {
+  const [apiKey, signature] = String(req.get('authorization') || '').replace(/^IYZWS /, '').split(':');
+  const candidates = await findPosCredentials(PROTOCOL, c => getIyzicoKeys(c).apiKey === apiKey);
+
+  return candidates.find(({ credentials }) => {
+    const keys = getIyzicoKeys(credentials);
+    const hash = crypto.createHash('sha1')
+      .update(keys.apiKey + req.get('x-iyzi-rnd') + keys.apiSecret + getPkiString(req.body))
+      .digest('base64');
+    return hash === signature;
+  });
+}
+
+/**
+ * Response body
+ */
+function toResponse(request, outcome, extra = {}) {
+  const base = {
+    status: outcome.approved ? 'success' : 'failure',
+    locale: request.locale || 'tr',
+    systemTime: Date.now(),
+    conversationId: request.conversationId
+  };
+
+  if (!outcome.approved) {
+    return { ...base, errorCode: ERROR_CODES[outcome.code] || outcome.code, errorMessage: outcome.message, ...extra };
+  }
+
+  return {
+    ...base,
+    price: outcome.order ? Number(outcome.order.amount) : undefined,
+    paidPrice: outcome.order ? Number(outcome.order.amount) : undefined,
+    currency: outcome.order?.currency,
+    installment: outcome.order?.installment,
+    paymentId: outcome.order?.orderId,
+    paymentStatus: 'SUCCESS',
+    authCode: outcome.authCode,
+    hostReference: outcome.refNumber,
+    itemTransactions: outcome.order ? [{ paymentTransactionId: outcome.order.transId }] : undefined,
+    ...extra
+  };
+}
+
+/**
+ * Authenticated route wrapper
+ */
+function handle(handler) {
+  return async (req, res) => {
+    try {
+      if (!await authenticate(req)) {
+        return res.json(toResponse(req.body, { ...RESPONSES.authFailed, approved: false }));
+      }
+      await handler(req, res);
+    } catch (error) {
+      res.status(500).json({ status: 'failure', errorCode: '1', errorMessage: error.message });
+    }
+  };
+}
+
+/**
+ * Sale for request (3D sonrası veya direkt)
+ */
+function authorizePayment(request, { paymentId, scenario, pan }) {
+  return store.authorize(PROTOCOL, {
+    orderId: paymentId,
+    amount: request.paidPrice || request.price,
+    currency: request.currency,
+    installment: request.installment,
+    scenario,
+    pan,
+    aliases: [request.conversationId]
+  });
+}
+
+/**
+ * POST /payment/3dsecure/initialize
+ * threeDSHtmlContent tarayıcıyı ACS sayfasına yönlendirir
+ */
+router.post('/payment/3dsecure/initialize', handle(async (req, res) => {
+  const request = req.body;
+  const pan = request.paymentCard?.cardNumber;
+
+  const id = createChallenge({
+    bank: 'iyzico',
+    amount: parseFloat(request.paidPrice || request.price),
+    currency: request.currency,
+    pan,
+    scenario: getScenario(pan),
+    complete: async ({ authenticated, scenario }) => {
+      const paymentId = randomDigits(8);
+      const conversationData = authenticated ? randomToken() : '';
+
+      if (authenticated) {
+        store.saveSecure(PROTOCOL, [paymentId], { request, conversationData, scenario, pan });
+      }
+
+      return {
+        url: request.callbackUrl,
+        fields: {
+          status: authenticated ? 'success' : 'failure',
+          paymentId,
+          conversationData,
+          conversationId: request.conversationId,
+          mdStatus: authenticated ? '1' : '0',
+          ...(authenticated ? {} : { errorCode: 'MD0', errorMessage: RESPONSES.secureFailed.message })
+        }
+      };
+    }
+  });
+
+  const html = renderPostForm(getSimulatorUrl(`/acs/${id}`), {});
+  res.json({
+    ...toResponse(request, { ...RESPONSES.approved, approved: true }),
+    threeDSHtmlContent: Buffer.from(html).toString('base64')
+  });
+}));
+
+/**
+ * POST /payment/3dsecure/auth
+ * 3D sonrası ödemeyi tamamla
+ */
+router.post('/payment/3dsecure/auth', handle(async (req, res) => {
+  const secure = store.findSecure(PROTOCOL, req.body.paymentId);
+
+  if (!secure || secure.conversationData !== req.body.conversationData) {
+    return res.json(toResponse(req.body, { ...RESPONSES.notFound, approved: false }));
+  }
+
+  const outcome = authorizePayment(secure.request, { paymentId: req.body.paymentId, scenario: secure.scenario, pan: secure.pan });
+
+  if (secure.scenario === 'timeout') return respondTimeout(res);
+  res.json(toResponse(req.body, outcome));
+}));
+
+/**
+ * POST /payment/auth
+ * Non-3D payment
+ */
+router.post('/payment/auth', handle(async (req, res) => {
+  const pan = req.body.paymentCard?.cardNumber;
+  const scenario = getScenario(pan);
+  const outcome = authorizePayment(req.body, { paymentId: randomDigits(8), scenario, pan });
+
+  if (scenario === 'timeout') return respondTimeout(res);
+  res.json(toResponse(req.body, outcome));
+}));
+
+/**
+ * POST /payment/refund
+ */
+router.post('/payment/refund', handle(async (req, res) => {
+  const outcome = store.refund(PROTOCOL, req.body.paymentTransactionId, req.body.price);
+  res.json(toResponse(req.body, outcome, { paymentTransactionId: req.body.paymentTransactionId }));
+}));
+
+/**
+ * POST /payment/cancel
+ */
+router.post('/payment/cancel', handle(async (req, res) => {
+  const outcome = store.voidOrder(PROTOCOL, req.body.paymentId);
+  res.json(toResponse(req.body, outcome));
+}));
+
+export default router;
@@ -0,0 +1,210 @@
+/**
+ * NestPay / Payten simulator (İş Bankası, Halkbank, Ziraat, TEB...)
+ * gate: /simulator/nestpay/est3Dgate - 3D kapısı (ver3 SHA512 hash doğrulanır, cevap HASH ile imzalanır)
+ * api:  /simulator/nestpay/api       - DATA=<CC5Request> (Name/Password/ClientId doğrulanır)
+ */
+
+import crypto from 'crypto';
+import express, { Router } from 'express';
+import { renderMessagePage } from '../views/paymentPages.js';
+import { findPosCredentials, readFormXml, parseXml, sendXml, renderPostForm } from './common.js';
+import { sendChallenge } from './acs.js';
+import { RESPONSES, getScenario, maskPan, randomToken, respondTimeout } from './scenarios.js';
+import store from './store.js';
+
+const PROTOCOL = 'nestpay';
+
+// Cevapta geri gönderilmeyen kart alanları
+const CARD_FIELDS = ['pan', 'cv2', 'Ecom_Payment_Card_ExpDate_Year', 'Ecom_Payment_Card_ExpDate_Month'];
+
+const router = Router();
+
+/**
+ * ver3 hash: alfabetik sıralı değerler | ile, sonuna store key; SHA512 base64
+ * hash ve encoding alanları dahil edilmez
+ */
+function getHash(fields, storeKey) {
+  const escape = (value) => String(value || '').replace(/\\/g, '\\\\').replace(/\|/g, '\\|');
+
+  const hashVal = Object.keys(fields)
+    .filter(key => !['hash', 'encoding'].includes(key.toLowerCase()))
+    .sort((a, b) => a.localeCompare(b, 'en', { sensitivity: 'base' }))
+    .map(key => `${escape(fields[key])}|`)
+    .join('') + escape(storeKey);
+
+  const hash = crypto.createHash('sha512').update(hashVal).digest('hex');
+  return Buffer.from(hash, 'hex').toString('base64');
+}
+
+/**
+ * POST /est3Dgate
+ * 3D gate - 3d, 3d_pay, 3d_host (3d_host'ta kart ACS sayfasında girilir)
+ */
+router.post('/est3Dgate', express.urlencoded({ extended: true }), async (req, res) => {
+  try {
+    const form = req.body;
+    const candidates = await findPosCredentials('payten', c => c.merchantId === form.clientid);
+    const match = candidates.find(({ credentials }) => getHash(form, credentials.secretKey) === form.hash);
+
+    if (!match) {
+      return res.send(renderPostForm(form.failUrl, {
+        oid: form.oid,
+        Response: 'Error',
+        mdStatus: '0',
+        ProcReturnCode: RESPONSES.authFailed.code,
+        ErrMsg: RESPONSES.authFailed.message,
+        mdErrorMsg: RESPONSES.authFailed.message
+      }));
+    }
+
+    const { credentials } = match;
+    const storeType = String(form.storetype || '3d').toLowerCase();
+
+    sendChallenge(res, {
+      bank: 'NestPay',
+      amount: parseFloat(form.amount),
+      currency: form.currency,
+      pan: form.pan,
+      scenario: getScenario(form.pan),
+      complete: async ({ authenticated, scenario, pan }) => {
+        const fields = Object.fromEntries(
+          Object.entries(form).filter(([key]) => !CARD_FIELDS.includes(key) && key.toLowerCase() !== 'hash')
+        );
+
+        Object.assign(fields, {
+          maskedCreditCard: maskPan(pan),
+          mdStatus: authenticated ? '1' : '0',
+          mdErrorMsg: authenticated ? 'Authenticated' : RESPONSES.secureFailed.message,
+          md: authenticated ? randomToken() : '',
+          xid: authenticated ? randomToken() : '',
+          eci: authenticated ? (pan.startsWith('4') ? '05' : '02') : '',
+          cavv: authenticated ? randomToken() : ''
+        });
+
+        if (authenticated) {
+          store.saveSecure(PROTOCOL, [fields.md], {
+            orderId: form.oid, amount: form.amount, currency: form.currency, installment: form.taksit, scenario, pan
+          });
+        }
+
+        // 3D Pay / 3D Host: ödeme bankada tamamlanır
+        if (authenticated && storeType !== '3d') {
+          const sale = store.authorize(PROTOCOL, {
+            orderId: form.oid,
+            type: form.islemtipi === 'PreAuth' ? 'preauth' : 'sale',
+            amount: form.amount,
+            currency: form.currency,
+            installment: form.taksit,
+            scenario,
+            pan
+          });
+          Object.assign(fields, {
+            Response: sale.approved ? 'Approved' : 'Declined',
+            ProcReturnCode: sale.code,
+            AuthCode: sale.authCode || '',
+            HostRefNum: sale.refNumber || '',
+            TransId: sale.order?.transId || '',
+            ErrMsg: sale.approved ? '' : sale.message
+          });
+        }
+
+        const approved = authenticated && (storeType === '3d' || fields.Response === 'Approved');
+        fields.HASH = getHash(fields, credentials.secretKey);
+
+        return { url: approved ? form.okUrl : form.failUrl, fields };
+      }
+    });
+  } catch (error) {
+    res.status(500).send(renderMessagePage('Simülatör hatası', error.message));
+  }
+});
+
+/**
+ * CC5Response body
+ */
+function toResponse(request, outcome, extra = {}) {
+  return {
+    OrderId: outcome.order?.orderId || request.OrderId || '',
+    GroupId: outcome.order?.orderId || request.OrderId || '',
+    Response: outcome.approved ? 'Approved' : (outcome === RESPONSES.authFailed ? 'Error' : 'Declined'),
+    AuthCode: outcome.authCode || '',
+    HostRefNum: outcome.refNumber || '',
+    ProcReturnCode: outcome.code,
+    TransId: outcome.order?.transId || '',
+    ErrMsg: outcome.approved ? '' : outcome.message,
+    ...extra
+  };
+}
+
+/**
+ * POST /api
+ * XML API: Auth, PreAuth, PostAuth, Credit, Void, OrderInquiry, OrderHistory
+ */
+router.post('/api', express.text({ type: () => true }), async (req, res) => {
+  try {
+    const request = await parseXml(readFormXml(req.body));
+    const candidates = await findPosCredentials('payten', c =>
+      c.merchantId === request.ClientId && c.username === request.Name && c.password === request.Password
+    );
+
+    if (!candidates.length) {
+      return sendXml(res, 'CC5Response', toResponse(request, RESPONSES.authFailed));
+    }
+
+    let outcome;
+
+    switch (request.Type) {
+      case 'Auth':
+      case 'PreAuth': {
+        // 3D provizyonda Number = md
+        const secure = store.findSecure(PROTOCOL, request.Number);
+        const scenario = secure?.scenario || getScenario(request.Number);
+        outcome = store.authorize(PROTOCOL, {
+          orderId: request.OrderId || secure?.orderId || randomToken(10, 'hex'),
+          type: request.Type === 'PreAuth' ? 'preauth' : 'sale',
+          amount: request.Total,
+          currency: request.Currency,
+          installment: request.Taksit,
+          scenario,
+          pan: secure?.pan || request.Number
+        });
+
+        if (scenario === 'timeout') return respondTimeout(res);
+        break;
+      }
+      case 'PostAuth':
+        outcome = store.capture(PROTOCOL, request.OrderId, request.Total);
+        break;
+      case 'Credit':
+        outcome = store.refund(PROTOCOL, request.OrderId, request.Total);
+        break;
+      case 'Void':
+        outcome = store.voidOrder(PROTOCOL, request.OrderId);
+        break;
+      case 'OrderInquiry':
+      case 'OrderHistory': {
+        const order = store.findOrder(PROTOCOL, request.OrderId);
+        if (!order) {
+          outcome = { ...RESPONSES.notFound, approved: false };
+          break;
+        }
+
+        const extra = request.Type === 'OrderInquiry'
+          ? { ORDERSTATUS: order.status, AMOUNT: order.capturedAmount || order.amount }
+          : { ORDERHISTORY: { TRX: order.history.map(h => ({ TYPE: h.type, AMOUNT: h.amount, REFNUM: h.refNumber })) } };
+
+        return sendXml(res, 'CC5Response', toResponse(request, {
+          ...RESPONSES.approved, approved: true, order, authCode: order.authCode, refNumber: order.refNumber
+        }, extra));
+      }
+      default:
+        outcome = { code: '12', message: `Desteklenmeyen işlem tipi: ${request.Type}`, approved: false };
+    }
+
+    sendXml(res, 'CC5Response', toResponse(request, outcome));
+  } catch (error) {
+    res.status(400).type('text/plain').send(`XML okunamadı: ${error.message}`);
+  }
+});
+
+export default router;
@@ -0,0 +1,166 @@
+/**
+ * PayTR simulator (Direkt API)
+ * gate: /simulator/paytr/odeme/guvenli - kart formu POST'u (paytr_token doğrulanır)
+ * iade: /simulator/paytr/odeme/iade    - JSON cevap
+ * Kesin sonuç /payment/notify/paytr bildirimiyle gönderilir, tarayıcı sonra ok/fail adresine döner
+ */
+
+import crypto from 'crypto';
+import axios from 'axios';
+import express, { Router } from 'express';
+import { renderMessagePage } from '../views/paymentPages.js';
+import { findPosCredentials } from './common.js';
+import { sendChallenge } from './acs.js';
+import { RESPONSES, TIMEOUT_MS, getScenario, randomDigits } from './scenarios.js';
+import store from './store.js';
+
+const PROTOCOL = 'paytr';
+
+const router = Router();
+
+/**
+ * Merchant key / salt of the POS (banka tarafı: extra alanı, yoksa secretKey / password)
+ */
+function getPaytrKeys(credentials) {
+  const extra = credentials.extra || {};
+  return {
+    merchantKey: extra.merchantKey || credentials.secretKey,
+    merchantSalt: extra.merchantSalt || credentials.password
+  };
+}
+
+function hmac(key, data) {
+  return crypto.createHmac('sha256', key).update(data).digest('base64');
+}
+
+/**
+ * Payment token: merchant_id + user_ip + merchant_oid + email + payment_amount + payment_type +
+ * installment_count + currency + test_mode + non_3d + merchant_salt
+ */
+function getPaymentToken(keys, form) {
+  return hmac(keys.merchantKey,
+    form.merchant_id + form.user_ip + form.merchant_oid + form.email + form.payment_amount + form.payment_type +
+    form.installment_count + form.currency + form.test_mode + form.non_3d + keys.merchantSalt
+  );
+}
+
+/**
+ * Server-to-server notification (PayTR "OK" cevabını bekler)
+ */
+async function sendNotification(keys, form, outcome) {
+  const status = outcome.approved ? 'success' : 'failed';
+  const totalAmount = Math.round(parseFloat(form.payment_amount) * 100).toString();
+  const baseUrl = process.env.CALLBACK_BASE_URL || 'http://localhost:7043';
+
+  const notification = {
+    merchant_oid: form.merchant_oid,
+    status,
+    total_amount: totalAmount,
+    payment_amount: totalAmount,
+    payment_type: 'card',
+    currency: form.currency,
+    installment_count: form.installment_count || '1',
+    test_mode: form.test_mode,
+    ...(outcome.approved ? {} : { failed_reason_code: outcome.code, failed_reason_msg: outcome.message }),
+    hash: hmac(keys.merchantKey, form.merchant_oid + keys.merchantSalt + status + totalAmount)
+  };
+
+  try {
+    await axios.post(`${baseUrl}/payment/notify/paytr`, new URLSearchParams(notification).toString(), {
+      headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+      timeout: 30000
+    });
+  } catch (error) {
+    console.error('[Simulator] PayTR notification failed:', error.message);
+  }
+}
+
+/**
+ * POST /odeme/guvenli
+ * Card form - ACS sayfası, bildirim, tarayıcı dönüşü
+ */
+router.post(['/odeme/guvenli', '/odeme/guvenli/test'], express.urlencoded({ extended: true }), async (req, res) => {
+  try {
+    const form = req.body;
+    const candidates = await findPosCredentials(PROTOCOL, c => c.merchantId === form.merchant_id);
+    const match = candidates.find(({ credentials }) => getPaymentToken(getPaytrKeys(credentials), form) === form.paytr_token);
+
+    if (!match) {
+      return res.status(400).send(renderMessagePage('PAYTR ödeme hatası', 'paytr_token doğrulanamadı'));
+    }
+
+    const keys = getPaytrKeys(match.credentials);
+
+    sendChallenge(res, {
+      bank: 'PayTR',
+      amount: parseFloat(form.payment_amount),
+      currency: form.currency,
+      pan: form.card_number,
+      scenario: getScenario(form.card_number),
+      complete: async ({ authenticated, scenario, pan }) => {
+        const outcome = authenticated
+          ? store.authorize(PROTOCOL, {
+            orderId: form.merchant_oid,
+            amount: form.payment_amount,
+            currency: form.currency,
+            installment: form.installment_count,
+            scenario,
+            pan
+          })
+          : { ...RESPONSES.secureFailed, approved: false };
+
+        // Zaman aşımı: bildirim gecikir, tarayıcı sonuç beklerken döner
+        if (scenario === 'timeout') {
+          setTimeout(() => sendNotification(keys, form, outcome), TIMEOUT_MS);
+        } else {
+          await sendNotification(keys, form, outcome);
+        }
+
+        return {
+          url: outcome.approved ? form.merchant_ok_url : form.merchant_fail_url,
+          fields: { merchant_oid: form.merchant_oid, status: outcome.approved ? 'success' : 'failed' }
+        };
+      }
+    });
+  } catch (error) {
+    res.status(500).send(renderMessagePage('Simülatör hatası', error.message));
+  }
+});
+
+/**
+ * POST /odeme/iade
+ * Refund - paytr_token: merchant_id + merchant_oid + return_amount + merchant_salt
+ */
+router.post('/odeme/iade', express.urlencoded({ extended: true }), async (req, res) => {
+  try {
+    const form = req.body;
+    const candidates = await findPosCredentials(PROTOCOL, c => c.merchantId === form.merchant_id);
+    const match = candidates.find(({ credentials }) => {
+      const keys = getPaytrKeys(credentials);
+      return hmac(keys.merchantKey, form.merchant_id + form.merchant_oid + form.return_amount + keys.merchantSalt) === form.paytr_token;
+    });
+
+    if (!match) {
+      return res.json({ status: 'error', err_no: '002', err_msg: 'paytr_token doğrulanamadı' });
+    }
+
+    const outcome = store.refund(PROTOCOL, form.merchant_oid, parseInt(form.return_amount) / 100);
+
+    if (!outcome.approved) {
+      return res.json({ status: 'error', err_no: outcome.code, err_msg: outcome.message });
+    }
+
+    res.json({
+      status: 'success',
+      is_test: 1,
+      merchant_oid: form.merchant_oid,
+      return_amount: form.return_amount,
+      reference_no: form.reference_no || '',
+      return_id: randomDigits(10)
+    });
+  } catch (error) {
+    res.status(500).json({ status: 'error', err_no: '999', err_msg: error.message });
+  }
+});
+
+export default router;
@@ -0,0 +1,235 @@
+/**
+ * Yapı Kredi Posnet simulator
+ * api:  /simulator/posnet/XML               - xmldata=<posnetRequest> (oosRequestData, oosTranData MAC doğrulanır)
+ * gate: /simulator/posnet/YKBPaymentService - posnetData/digest ile 3D kapısı
+ * MerchantPacket storeKey ile 3DES şifrelenir (provider'ın çözdüğü format)
+ */
+
+import crypto from 'crypto';
+import express, { Router } from 'express';
+import { renderMessagePage } from '../views/paymentPages.js';
+import { findPosCredentials, readFormXml, parseXml, sendXml, renderPostForm } from './common.js';
+import { sendChallenge } from './acs.js';
+import { RESPONSES, getScenario, randomDigits, randomToken, respondTimeout } from './scenarios.js';
+import store from './store.js';
+
+const PROTOCOL = 'posnet';
+
+const router = Router();
+
+/**
+ * Base64 SHA256
+ */
+function hashString(data) {
+  return crypto.createHash('sha256').update(data, 'utf8').digest('base64');
+}
+
+/**
+ * MAC: hash(xid;amount;currency;mid;hash(storeKey;tid))
+ */
+function getMac(credentials, { xid, amount, currency }) {
+  const hashedStoreKey = hashString(credentials.secretKey + ';' + credentials.terminalId);
+  return hashString([xid, amount, currency, credentials.merchantId, hashedStoreKey].join(';'));
+}
+
+/**
+ * MerchantPacket: hex(IV) + hex(3DES-CBC(data)) + 8 hane kontrol değeri
+ * Anahtar: MD5(storeKey) hex büyük harf ilk 24 karakter
+ */
+function encryptMerchantPacket(data, storeKey) {
+  const key = crypto.createHash('md5').update(storeKey).digest('hex').toUpperCase().substr(0, 24);
+  const iv = crypto.randomBytes(8);
+  const cipher = crypto.createCipheriv('des-ede3-cbc', key, iv);
+  const encrypted = cipher.update(data, 'utf8', 'hex') + cipher.final('hex');
+  const checksum = crypto.createHash('sha1').update(encrypted).digest('hex').slice(0, 8);
+
+  return (iv.toString('hex') + encrypted + checksum).toUpperCase();
+}
+
+/**
+ * Yes/no response
+ */
+function toResponse(outcome, extra = {}) {
+  return {
+    approved: outcome.approved ? '1' : '0',
+    respCode: outcome.approved ? '' : outcome.code,
+    respText: outcome.approved ? '' : outcome.message,
+    hostlogkey: outcome.refNumber || '',
+    authCode: outcome.authCode || '',
+    ...extra
+  };
+}
+
+/**
+ * POST /XML
+ * oosRequestData, oosTranData, sale, auth, capt, return, reverse, agreement
+ */
+router.post('/XML', express.text({ type: () => true }), async (req, res) => {
+  try {
+    const request = await parseXml(readFormXml(req.body));
+    const candidates = await findPosCredentials('ykb', c => c.merchantId === request.mid && c.terminalId === request.tid);
+
+    if (!candidates.length) {
+      return sendXml(res, 'posnetResponse', toResponse(RESPONSES.authFailed), 'ISO-8859-9');
+    }
+
+    const { credentials } = candidates[0];
+    const toAmount = (value) => (value ? parseInt(value) / 100 : undefined);
+    let outcome;
+
+    if (request.oosRequestData) {
+      // 3D başlangıcı: kart ve tutar bankada saklanır, data1 kapıda geri gelir
+      const data = request.oosRequestData;
+      const data1 = randomToken(24, 'hex').toUpperCase();
+      const data2 = randomToken(24, 'hex').toUpperCase();
+      const sign = hashString([data1, data2, hashString(credentials.secretKey + ';' + credentials.terminalId)].join(';'));
+
+      store.saveSecure(PROTOCOL, [data1], {
+        credentials,
+        xid: data.XID,
+        type: data.tranType === 'Auth' ? 'preauth' : 'sale',
+        amount: data.amount,
+        currency: data.currencyCode,
+        installment: data.installment,
+        pan: data.ccno,
+        scenario: getScenario(data.ccno),
+        sign
+      });
+
+      return sendXml(res, 'posnetResponse', {
+        approved: '1',
+        oosRequestDataResponse: { data1, data2, sign }
+      }, 'ISO-8859-9');
+    }
+
+    if (request.oosTranData) {
+      // 3D provizyon: MAC provider'ın formatıyla doğrulanır (ilk + → %2B)
+      const data = request.oosTranData;
+      const secure = store.findSecure(PROTOCOL, data.bankData);
+
+      if (!secure) {
+        outcome = { ...RESPONSES.notFound, approved: false };
+      } else if (getMac(credentials, secure) !== String(data.mac || '').replace('%2B', '+')) {
+        outcome = { code: '0148', message: 'MAC doğrulanamadı', approved: false };
+      } else {
+        outcome = store.authorize(PROTOCOL, {
+          orderId: secure.xid,
+          type: secure.type,
+          amount: toAmount(secure.amount),
+          currency: secure.currency,
+          installment: secure.installment,
+          scenario: secure.scenario,
+          pan: secure.pan
+        });
+
+        if (secure.scenario === 'timeout') return respondTimeout(res);
+      }
+    } else if (request.sale || request.auth) {
+      const data = request.sale || request.auth;
+      const scenario = getScenario(data.ccno);
+      outcome = store.authorize(PROTOCOL, {
+        orderId: data.orderID,
+        type: request.auth ? 'preauth' : 'sale',
+        amount: toAmount(data.amount),
+        currency: data.currencyCode,
+        installment: data.installment,
+        scenario,
+        pan: data.ccno
+      });
+
+      if (scenario === 'timeout') return respondTimeout(res);
+    } else if (request.capt) {
+      outcome = store.capture(PROTOCOL, request.capt.hostlogkey || request.capt.orderID, toAmount(request.capt.amount));
+    } else if (request.return) {
+      outcome = store.refund(PROTOCOL, request.return.hostlogkey || request.return.orderID, toAmount(request.return.amount));
+    } else if (request.reverse) {
+      outcome = store.voidOrder(PROTOCOL, request.reverse.hostlogkey || request.reverse.orderID);
+    } else if (request.agreement) {
+      const order = store.findOrder(PROTOCOL, request.agreement.orderID);
+      outcome = order
+        ? { ...RESPONSES.approved, approved: true, authCode: order.authCode, refNumber: order.refNumber }
+        : { ...RESPONSES.notFound, approved: false };
+
+      if (order) {
+        return sendXml(res, 'posnetResponse', toResponse(outcome, {
+          transactions: { transaction: { state: order.status, amount: Math.round(order.amount * 100), orderID: order.orderId } }
+        }), 'ISO-8859-9');
+      }
+    } else {
+      outcome = { code: '0127', message: 'Desteklenmeyen işlem', approved: false };
+    }
+
+    sendXml(res, 'posnetResponse', toResponse(outcome), 'ISO-8859-9');
+  } catch (error) {
+    res.status(400).type('text/plain').send(`XML okunamadı: ${error.message}`);
+  }
+});
+
+/**
+ * POST /YKBPaymentService
+ * 3D gate - posnetData ile oosRequestData kaydı bulunur, digest doğrulanır
+ */
+router.post('/YKBPaymentService', express.urlencoded({ extended: true }), async (req, res) => {
+  try {
+    const form = req.body;
+    const secure = store.findSecure(PROTOCOL, form.posnetData);
+
+    if (!secure || secure.sign !== form.digest) {
+      // MerchantPacket olmadan dönüş: provider "Banka yanıtı alınamadı" ile sonuçlandırır
+      return res.send(renderPostForm(form.merchantReturnURL, {}));
+    }
+
+    const { credentials } = secure;
+
+    sendChallenge(res, {
+      bank: 'Yapı Kredi',
+      amount: parseInt(secure.amount) / 100,
+      currency: secure.currency,
+      pan: secure.pan,
+      scenario: secure.scenario,
+      complete: async ({ authenticated }) => {
+        const bankData = randomToken(32, 'hex').toUpperCase();
+        const trantime = new Date().toISOString().replace(/\D/g, '').slice(0, 14);
+
+        // mid;tid;pay;instcount;xid;totalPoint;totalPointAmount;weburl;hostip;port;tds_tx_status;tds_md_status;tds_md_errormessage;trantime;currency
+        const merchantData = [
+          credentials.merchantId,
+          credentials.terminalId,
+          secure.amount,
+          secure.installment,
+          secure.xid,
+          '0',
+          '0',
+          form.merchantReturnURL,
+          '127.0.0.1',
+          '0',
+          authenticated ? 'Y' : 'N',
+          authenticated ? '1' : '0',
+          authenticated ? '' : RESPONSES.secureFailed.message,
+          trantime,
+          secure.currency
+        ].join(';');
+
+        const merchantPacket = encryptMerchantPacket(merchantData, credentials.secretKey);
+        store.saveSecure(PROTOCOL, [bankData], { ...secure, authenticated });
+
+        return {
+          url: form.merchantReturnURL,
+          fields: {
+            MerchantPacket: merchantPacket,
+            BankPacket: bankData,
+            Sign: hashString([merchantPacket, bankData, randomDigits(8)].join(';')),
+            CCPrefix: secure.pan.slice(0, 6),
+            TranType: 'Sale',
+            PosnetAmount: secure.amount,
+            Xid: secure.xid
+          }
+        };
+      }
+    });
+  } catch (error) {
+    res.status(500).send(renderMessagePage('Simülatör hatası', error.message));
+  }
+});
+
+export default router;
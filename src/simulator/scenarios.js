@@ -0,0 +1,86 @@
+/**
+ * Scenario cards for the bank simulator
+ * Kart numarası sonucu belirler; listede olmayan kartlar onaylanır
+ */
+
+import crypto from 'crypto';
+
+export const SCENARIO_CARDS = {
+  '4508034508034509': 'approve',
+  '5406675406675403': 'approve',
+  '4000000000000002': 'decline',   // Limit yetersiz (51)
+  '4000000000000119': 'timeout',   // Banka onaylar, yanıt istemci zaman aşımından sonra gelir
+  '4000000000003063': '3d_fail'    // ACS doğrulaması başarısız
+};
+
+// Provider HTTP zaman aşımı 30 sn (BaseProvider.post)
+export const TIMEOUT_MS = parseInt(process.env.BANK_SIMULATOR_TIMEOUT_MS) || 35000;
+
+// Ortak sonuç kodları - her protokol kendi alan adlarına çevirir
+export const RESPONSES = {
+  approved: { code: '00', message: 'Onaylandı' },
+  declined: { code: '51', message: 'Limit yetersiz' },
+  notFound: { code: '05', message: 'Sipariş bulunamadı' },
+  duplicate: { code: '12', message: 'Sipariş numarası daha önce kullanılmış' },
+  invalidState: { code: '12', message: 'İşlem sipariş durumuna uygun değil' },
+  invalidAmount: { code: '13', message: 'Geçersiz tutar' },
+  unavailable: { code: '91', message: 'Banka yanıt vermedi' },
+  authFailed: { code: '99', message: 'Üye işyeri bilgileri veya hash doğrulanamadı' },
+  secureFailed: { code: '0', message: 'Kart sahibi doğrulanamadı' }
+};
+
+/**
+ * Scenario for card number
+ * @returns {'approve'|'decline'|'timeout'|'3d_fail'}
+ */
+export function getScenario(cardNumber) {
+  return SCENARIO_CARDS[String(cardNumber || '').replace(/\D/g, '')] || 'approve';
+}
+
+/**
+ * Mask card number (first 6 + last 4)
+ */
+export function maskPan(cardNumber) {
+  const pan = String(cardNumber || '').replace(/\D/g, '');
+  if (pan.length < 10) return pan;
+  return pan.slice(0, 6) + '*'.repeat(pan.length - 10) + pan.slice(-4);
+}
+
+/**
+ * Random numeric string
+ */
+export function randomDigits(length) {
+  let value = '';
+  while (value.length < length) {
+    value += crypto.randomInt(0, 10).toString();
+  }
+  return value;
+}
+
+/**
+ * Random token (md, xid, cavv...)
+ */
+export function randomToken(bytes = 20, encoding = 'base64') {
+  return crypto.randomBytes(bytes).toString(encoding);
+}
+
+/**
+ * Wait past the provider timeout, then answer 504
+ */
+export async function respondTimeout(res) {
+  await new Promise(resolve => setTimeout(resolve, TIMEOUT_MS));
+  if (!res.headersSent) {
+    res.status(504).type('text/plain').send('Gateway Timeout');
+  }
+}
+
+export default {
+  SCENARIO_CARDS,
+  TIMEOUT_MS,
+  RESPONSES,
+  getScenario,
+  maskPan,
+  randomDigits,
+  randomToken,
+  respondTimeout
+};
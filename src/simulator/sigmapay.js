@@ -0,0 +1,79 @@
+/**
+ * SigmaPay simulator (hosted payment page)
+ * gate: /simulator/sigmapay/pay - MD5 imza doğrulanır, kart ACS sayfasında girilir, sonuç backURL'e
+ */
+
+import crypto from 'crypto';
+import express, { Router } from 'express';
+import { renderMessagePage } from '../views/paymentPages.js';
+import { findPosCredentials } from './common.js';
+import { sendChallenge } from './acs.js';
+import { RESPONSES, maskPan, randomDigits } from './scenarios.js';
+import store from './store.js';
+
+const PROTOCOL = 'sigmapay';
+
+const router = Router();
+
+/**
+ * Signature: amount:amountcurr:currency:number:description:trtype:account:backURL:secretKey1:secretKey2
+ */
+function getSignature(credentials, form) {
+  const extra = credentials.extra || {};
+  const secretKey1 = extra.secretKey1 || credentials.secretKey;
+  const secretKey2 = extra.secretKey2 || credentials.password;
+
+  const data = [
+    form.amount, form.amountcurr, form.currency, form.number, form.description, form.trtype,
+    form.account, form.backURL, secretKey1, secretKey2
+  ].join(':');
+
+  return crypto.createHash('md5').update(data).digest('hex').toUpperCase();
+}
+
+/**
+ * POST /pay
+ */
+router.post('/pay', express.urlencoded({ extended: true }), async (req, res) => {
+  try {
+    const form = req.body;
+    const candidates = await findPosCredentials(PROTOCOL, c => c.merchantId === form.account);
+    const match = candidates.find(({ credentials }) => getSignature(credentials, form) === form.signature);
+
+    if (!match) {
+      return res.status(400).send(renderMessagePage('SigmaPay ödeme hatası', 'İmza doğrulanamadı'));
+    }
+
+    sendChallenge(res, {
+      bank: 'SigmaPay',
+      amount: parseFloat(form.amount),
+      currency: form.amountcurr,
+      complete: async ({ authenticated, scenario, pan }) => {
+        const outcome = authenticated
+          ? store.authorize(PROTOCOL, {
+            orderId: form.number,
+            amount: form.amount,
+            currency: form.amountcurr,
+            scenario,
+            pan
+          })
+          : { ...RESPONSES.secureFailed, approved: false };
+
+        if (outcome.approved && scenario !== 'timeout') {
+          return {
+            url: form.backURL,
+            fields: { number: form.number, transID: outcome.order.transId, operID: randomDigits(10), PAN: maskPan(pan), amount: form.amount }
+          };
+        }
+
+        // Zaman aşımı: banka onaylar ama üye işyerine sonuç ulaşmaz
+        const failure = scenario === 'timeout' ? RESPONSES.unavailable : outcome;
+        return { url: form.backURL, fields: { number: form.number, rc: failure.code, rctext: failure.message } };
+      }
+    });
+  } catch (error) {
+    res.status(500).send(renderMessagePage('Simülatör hatası', error.message));
+  }
+});
+
+export default router;
@@ -0,0 +1,185 @@
+/**
+ * In-memory bank state for the simulator
+ * 3D doğrulama kayıtları (md, RequestGuid, paymentId...) ve sipariş defteri (satış, ön provizyon,
+ * provizyon kapama, iade, iptal). Süreç yeniden başlarsa kayıtlar silinir
+ */
+
+import { RESPONSES, maskPan, randomDigits, randomToken } from './scenarios.js';
+
+const SECURE_TTL_MS = 30 * 60 * 1000;
+const ORDER_TTL_MS = 7 * 24 * 60 * 60 * 1000;
+
+const secureRecords = new Map();
+const orders = new Map();
+
+/**
+ * Drop expired entries
+ */
+function sweep(map) {
+  const now = Date.now();
+  for (const [key, entry] of map) {
+    if (entry.expiresAt < now) map.delete(key);
+  }
+}
+
+/**
+ * Store same value under several keys
+ */
+function put(map, protocol, keys, value, ttlMs) {
+  sweep(map);
+  const expiresAt = Date.now() + ttlMs;
+  for (const key of keys) {
+    if (key) map.set(`${protocol}:${key}`, { value, expiresAt });
+  }
+}
+
+/**
+ * Get value by key (null if missing/expired)
+ */
+function get(map, protocol, key) {
+  const entry = key ? map.get(`${protocol}:${key}`) : null;
+  if (!entry || entry.expiresAt < Date.now()) return null;
+  return entry.value;
+}
+
+/**
+ * Save 3D authentication record (provizyon isteği bu kayıtla eşleşir)
+ */
+export function saveSecure(protocol, keys, data) {
+  put(secureRecords, protocol, keys, data, SECURE_TTL_MS);
+  return data;
+}
+
+/**
+ * Find 3D authentication record
+ */
+export function findSecure(protocol, key) {
+  return get(secureRecords, protocol, key);
+}
+
+/**
+ * Find order by order id, reference number or alias
+ */
+export function findOrder(protocol, key) {
+  return get(orders, protocol, key);
+}
+
+/**
+ * Operation result with new auth code / reference number
+ */
+function result(response, order, extra = {}) {
+  return { approved: response === RESPONSES.approved, ...response, order, ...extra };
+}
+
+/**
+ * Sale or pre-authorization
+ * Onaylanmış sipariş numarası tekrar kullanılamaz; reddedilen sipariş tekrar denenebilir
+ * @param {object} data - { orderId, type: 'sale'|'preauth', amount, currency, installment, scenario, pan, aliases }
+ */
+export function authorize(protocol, data) {
+  const { orderId, type = 'sale', amount, currency, installment = 1, scenario, pan, aliases = [] } = data;
+
+  const existing = findOrder(protocol, orderId);
+  if (existing && existing.status !== 'declined') {
+    return result(RESPONSES.duplicate, existing);
+  }
+
+  const value = parseFloat(amount);
+  if (isNaN(value) || value <= 0) {
+    return result(RESPONSES.invalidAmount, null);
+  }
+
+  const approved = scenario !== 'decline';
+  const order = {
+    orderId,
+    type,
+    status: approved ? (type === 'preauth' ? 'authorized' : 'captured') : 'declined',
+    amount: value,
+    capturedAmount: approved && type === 'sale' ? value : 0,
+    refundedAmount: 0,
+    currency,
+    installment: parseInt(installment) || 1,
+    maskedPan: maskPan(pan),
+    scenario,
+    authCode: approved ? randomDigits(6) : null,
+    refNumber: randomDigits(12),
+    transId: randomToken(12, 'hex'),
+    createdAt: new Date(),
+    history: []
+  };
+  order.history.push({ type, amount: value, approved, refNumber: order.refNumber, at: order.createdAt });
+
+  put(orders, protocol, [orderId, order.refNumber, order.transId, ...aliases], order, ORDER_TTL_MS);
+
+  return result(approved ? RESPONSES.approved : RESPONSES.declined, order, {
+    authCode: order.authCode,
+    refNumber: order.refNumber
+  });
+}
+
+/**
+ * Record follow-up operation on an order
+ */
+function addOperation(protocol, order, type, amount) {
+  const refNumber = randomDigits(12);
+  order.history.push({ type, amount, approved: true, refNumber, at: new Date() });
+  put(orders, protocol, [refNumber], order, ORDER_TTL_MS);
+  return result(RESPONSES.approved, order, { authCode: order.authCode, refNumber });
+}
+
+/**
+ * Capture pre-authorization (amount ≤ authorized amount, default full)
+ */
+export function capture(protocol, key, amount) {
+  const order = findOrder(protocol, key);
+  if (!order) return result(RESPONSES.notFound, null);
+  if (order.type !== 'preauth' || order.status !== 'authorized') return result(RESPONSES.invalidState, order);
+
+  const value = amount === undefined || amount === '' ? order.amount : parseFloat(amount);
+  if (isNaN(value) || value <= 0 || value > order.amount) return result(RESPONSES.invalidAmount, order);
+
+  order.status = 'captured';
+  order.capturedAmount = value;
+  return addOperation(protocol, order, 'postauth', value);
+}
+
+/**
+ * Refund captured amount (partial allowed, default remaining)
+ */
+export function refund(protocol, key, amount) {
+  const order = findOrder(protocol, key);
+  if (!order) return result(RESPONSES.notFound, null);
+  if (order.status !== 'captured') return result(RESPONSES.invalidState, order);
+
+  const remaining = Math.round((order.capturedAmount - order.refundedAmount) * 100) / 100;
+  const value = amount === undefined || amount === '' ? remaining : parseFloat(amount);
+  if (isNaN(value) || value <= 0 || value > remaining) return result(RESPONSES.invalidAmount, order);
+
+  order.refundedAmount = Math.round((order.refundedAmount + value) * 100) / 100;
+  if (order.refundedAmount >= order.capturedAmount) order.status = 'refunded';
+  return addOperation(protocol, order, 'refund', value);
+}
+
+/**
+ * Void sale / release pre-authorization (iade yapılmış sipariş iptal edilemez)
+ */
+export function voidOrder(protocol, key) {
+  const order = findOrder(protocol, key);
+  if (!order) return result(RESPONSES.notFound, null);
+  if (!['authorized', 'captured'].includes(order.status) || order.refundedAmount > 0) {
+    return result(RESPONSES.invalidState, order);
+  }
+
+  order.status = 'voided';
+  return addOperation(protocol, order, 'void', order.capturedAmount || order.amount);
+}
+
+export default {
+  saveSecure,
+  findSecure,
+  findOrder,
+  authorize,
+  capture,
+  refund,
+  voidOrder
+};
@@ -0,0 +1,173 @@
+/**
+ * VakıfBank simulator (MPI + VPOS 7/24)
+ * gate: /simulator/vakifbank/MPI_Enrollment.aspx - sunucudan sunucuya kayıt sorgusu, ACSUrl döner
+ * api:  /simulator/vakifbank/Vposreq.aspx        - prmstr=<VposRequest> veya <SearchRequest>
+ */
+
+import express, { Router } from 'express';
+import { findPosCredentials, getSimulatorUrl, readFormXml, parseXml, sendXml } from './common.js';
+import { createChallenge } from './acs.js';
+import { RESPONSES, getScenario, randomToken, respondTimeout } from './scenarios.js';
+import store from './store.js';
+
+const PROTOCOL = 'vakifbank';
+
+const router = Router();
+
+/**
+ * POST /MPI_Enrollment.aspx
+ * Enrollment check - kart kayıtlıysa (Status Y) ACS oturumu açılır
+ */
+router.post('/MPI_Enrollment.aspx', express.urlencoded({ extended: true }), async (req, res) => {
+  try {
+    const form = req.body;
+    const candidates = await findPosCredentials(PROTOCOL, c =>
+      c.merchantId === form.MerchantId && c.password === form.MerchantPassword
+    );
+
+    if (!candidates.length) {
+      return sendXml(res, 'IPaySecure', {
+        MessageErrorCode: '2005',
+        ErrorMessage: RESPONSES.authFailed.message
+      });
+    }
+
+    const requestId = form.VerifyEnrollmentRequestId;
+    const scenario = getScenario(form.Pan);
+
+    const id = createChallenge({
+      bank: 'VakıfBank',
+      amount: parseFloat(form.PurchaseAmount),
+      currency: form.Currency,
+      pan: form.Pan,
+      scenario,
+      complete: async ({ authenticated, pan }) => {
+        const fields = {
+          Status: authenticated ? 'Y' : 'N',
+          VerifyEnrollmentRequestId: requestId,
+          MerchantId: form.MerchantId,
+          PurchAmount: form.PurchaseAmount,
+          PurchCurrency: form.Currency,
+          InstallmentCount: form.InstallmentCount || '',
+          Eci: authenticated ? (pan.startsWith('4') ? '05' : '02') : '',
+          Cavv: authenticated ? randomToken() : '',
+          ErrorCode: authenticated ? '' : '1073',
+          ErrorMessage: authenticated ? '' : RESPONSES.secureFailed.message
+        };
+
+        if (authenticated) {
+          store.saveSecure(PROTOCOL, [requestId], { orderId: requestId, scenario, pan });
+        }
+
+        return { url: authenticated ? form.SuccessUrl : form.FailureUrl, fields };
+      }
+    });
+
+    sendXml(res, 'IPaySecure', {
+      Message: {
+        $: { ID: requestId },
+        VERes: {
+          Status: 'Y',
+          PaReq: randomToken(48),
+          TermUrl: form.SuccessUrl,
+          MD: randomToken(),
+          ACSUrl: getSimulatorUrl(`/acs/${id}`)
+        }
+      },
+      VerifyEnrollmentRequestId: requestId,
+      MessageErrorCode: '',
+      ErrorMessage: ''
+    });
+  } catch (error) {
+    sendXml(res, 'IPaySecure', { MessageErrorCode: '9999', ErrorMessage: error.message });
+  }
+});
+
+/**
+ * VposResponse body
+ */
+function toResponse(request, outcome, extra = {}) {
+  return {
+    MerchantId: request.MerchantId || '',
+    TransactionType: request.TransactionType || '',
+    TransactionId: outcome.refNumber || '',
+    ResultCode: outcome.approved ? '0000' : outcome.code.padStart(4, '0'),
+    ResultDetail: outcome.approved ? 'İşlem başarılı' : outcome.message,
+    AuthCode: outcome.authCode || '',
+    HostDate: new Date().toISOString().replace(/\D/g, '').slice(0, 14),
+    Rrn: outcome.refNumber || '',
+    CurrencyAmount: outcome.order?.amount ?? request.CurrencyAmount ?? '',
+    CurrencyCode: request.CurrencyCode || '',
+    OrderId: outcome.order?.orderId || request.OrderId || '',
+    ...extra
+  };
+}
+
+/**
+ * POST /Vposreq.aspx
+ * Sale, Auth, Capture, Refund, Cancel; TransactionType yoksa sipariş sorgusu
+ */
+router.post('/Vposreq.aspx', express.text({ type: () => true }), async (req, res) => {
+  try {
+    const request = await parseXml(readFormXml(req.body));
+    const candidates = await findPosCredentials(PROTOCOL, c =>
+      c.merchantId === request.MerchantId && c.password === request.Password && c.terminalId === request.TerminalNo
+    );
+
+    if (!candidates.length) {
+      return sendXml(res, 'VposResponse', toResponse(request, { ...RESPONSES.authFailed, approved: false }));
+    }
+
+    // İade/iptal/kapama: ReferenceTransactionId orijinal işlemin TransactionId'si
+    const reference = request.ReferenceTransactionId || request.OrderId;
+    let outcome;
+
+    switch (request.TransactionType) {
+      case 'Sale':
+      case 'Auth': {
+        const secure = store.findSecure(PROTOCOL, request.MpiTransactionId);
+        const scenario = secure?.scenario || getScenario(request.Pan);
+        outcome = store.authorize(PROTOCOL, {
+          orderId: request.OrderId,
+          type: request.TransactionType === 'Auth' ? 'preauth' : 'sale',
+          amount: request.CurrencyAmount,
+          currency: request.CurrencyCode,
+          installment: request.NumberOfInstallments,
+          scenario,
+          pan: request.Pan
+        });
+
+        if (scenario === 'timeout') return respondTimeout(res);
+        break;
+      }
+      case 'Capture':
+        outcome = store.capture(PROTOCOL, reference, request.CurrencyAmount);
+        break;
+      case 'Refund':
+        outcome = store.refund(PROTOCOL, reference, request.CurrencyAmount);
+        break;
+      case 'Cancel':
+        outcome = store.voidOrder(PROTOCOL, reference);
+        break;
+      case undefined: {
+        const order = store.findOrder(PROTOCOL, request.OrderId);
+        outcome = order
+          ? { ...RESPONSES.approved, approved: true, order, authCode: order.authCode, refNumber: order.refNumber }
+          : { ...RESPONSES.notFound, approved: false };
+
+        return sendXml(res, 'VposResponse', toResponse(request, outcome, order ? {
+          TransactionStatus: order.status,
+          CurrencyAmount: order.capturedAmount || order.amount
+        } : {}));
+      }
+      default:
+        outcome = { code: '12', message: `Desteklenmeyen işlem tipi: ${request.TransactionType}`, approved: false };
+    }
+
+    sendXml(res, 'VposResponse', toResponse(request, outcome));
+  } catch (error) {
+    res.status(400).type('text/plain').send(`XML okunamadı: ${error.message}`);
+  }
+});
+
+export default router;
@@ -0,0 +1,342 @@
+/**
+ * Hosted payment pages (checkout, payment link)
+ * Kart bilgisi sadece bu sayfalarda girilir; üye işyeri kart verisine dokunmaz
+ * Sayfa taksitleri `${basePath}/installments` ile sorgular, ödemeyi `${basePath}/pay`
+ * ile başlatır ve tarayıcıyı 3D formuna (formUrl) yönlendirir
+ */
+
+const DEFAULT_PRIMARY_COLOR = '#27ae60';
+const DEFAULT_BACKGROUND_COLOR = '#f5f5f5';
+
+/**
+ * Escape text for HTML output
+ */
+export function escapeHtml(value) {
+  return String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+/**
+ * Resolve company branding with safe defaults
+ * Renkler sadece hex kabul edilir, logo sadece http(s)
+ */
+export function getBranding(company) {
+  const branding = company?.settings?.branding || {};
+  const isColor = (value) => /^#[0-9a-f]{3,8}$/i.test(value || '');
+
+  return {
+    displayName: branding.displayName || company?.name || '',
+    logoUrl: /^https?:\/\//i.test(branding.logoUrl || '') ? branding.logoUrl : null,
+    primaryColor: isColor(branding.primaryColor) ? branding.primaryColor : DEFAULT_PRIMARY_COLOR,
+    backgroundColor: isColor(branding.backgroundColor) ? branding.backgroundColor : DEFAULT_BACKGROUND_COLOR
+  };
+}
+
+/**
+ * Format amount for display (tr-TR)
+ */
+function formatAmount(amount, currency) {
+  const value = new Intl.NumberFormat('tr-TR', { minimumFractionDigits: 2, maximumFractionDigits: 2 }).format(amount);
+  return `${value} ${String(currency).toUpperCase()}`;
+}
+
+/**
+ * Simple message page (error, expired, paid)
+ */
+export function renderMessagePage(title, message, branding = getBranding(null)) {
+  return `
+<!DOCTYPE html>
+<html>
+<head>
+  <meta charset="UTF-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1">
+  <title>${escapeHtml(title)}</title>
+  <style>
+    body { font-family: Arial, sans-serif; display: flex; justify-content: center; align-items: center; height: 100vh; margin: 0; background: ${branding.backgroundColor}; }
+    .result { text-align: center; padding: 40px; background: white; border-radius: 10px; box-shadow: 0 2px 10px rgba(0,0,0,0.1); max-width: 400px; }
+    h1 { margin: 0 0 10px; color: #e74c3c; }
+    p { color: #666; margin: 0; }
+  </style>
+</head>
+<body>
+  <div class="result">
+    <h1>${escapeHtml(title)}</h1>
+    <p>${escapeHtml(message)}</p>
+  </div>
+</body>
+</html>
+  `;
+}
+
+/**
+ * Card entry page
+ * @param {object} options
+ * @param {string} options.basePath - Public route prefix (installments/pay)
+ * @param {number} options.amount
+ * @param {string} options.currency
+ * @param {object} options.branding - getBranding() result
+ * @param {string[]} [options.lines] - Description lines under the title
+ * @param {object} [options.customer] - Prefill (name)
+ */
+export function renderCardPage({ basePath, amount, currency, branding, lines = [], customer = {} }) {
+  return `
+<!DOCTYPE html>
+<html>
+<head>
+  <meta charset="UTF-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1">
+  <title>Ödeme - ${escapeHtml(branding.displayName)}</title>
+  <style>
+    body { font-family: Arial, sans-serif; display: flex; justify-content: center; align-items: center; min-height: 100vh; margin: 0; background: ${branding.backgroundColor}; }
+    .card { padding: 30px; background: white; border-radius: 10px; box-shadow: 0 2px 10px rgba(0,0,0,0.1); width: 100%; max-width: 400px; box-sizing: border-box; }
+    .logo { max-height: 48px; max-width: 200px; margin-bottom: 10px; }
+    h1 { margin: 0 0 5px; font-size: 20px; }
+    .amount { font-size: 28px; font-weight: bold; margin: 15px 0; }
+    .muted { color: #666; margin: 0; }
+    .bank { color: #666; font-size: 13px; min-height: 16px; margin-top: 4px; }
+    label { display: block; margin: 12px 0 4px; color: #333; font-size: 14px; }
+    input, select { width: 100%; padding: 10px; border: 1px solid #ddd; border-radius: 5px; box-sizing: border-box; font-size: 16px; }
+    .row { display: flex; gap: 10px; }
+    .row > div { flex: 1; }
+    button { width: 100%; margin-top: 20px; padding: 12px; border: 0; border-radius: 5px; background: ${branding.primaryColor}; color: white; font-size: 16px; cursor: pointer; }
+    button:disabled { background: #95a5a6; }
+    #error { color: #e74c3c; margin-top: 12px; }
+  </style>
+</head>
+<body>
+  <form class="card" id="paymentForm">
+    ${branding.logoUrl ? `<img class="logo" src="${escapeHtml(branding.logoUrl)}" alt="">` : ''}
+    <h1>${escapeHtml(branding.displayName)}</h1>
+    ${lines.filter(Boolean).map(line => `<p class="muted">${escapeHtml(line)}</p>`).join('\n    ')}
+    <div class="amount">${escapeHtml(formatAmount(amount, currency))}</div>
+
+    <label for="holder">Kart Üzerindeki İsim</label>
+    <input id="holder" autocomplete="cc-name" value="${escapeHtml(customer.name)}" required>
+
+    <label for="number">Kart Numarası</label>
+    <input id="number" inputmode="numeric" autocomplete="cc-number" maxlength="23" required>
+    <div class="bank" id="bank"></div>
+
+    <div class="row">
+      <div>
+        <label for="expiry">Son Kullanma (AA/YY)</label>
+        <input id="expiry" autocomplete="cc-exp" placeholder="AA/YY" maxlength="5" required>
+      </div>
+      <div>
+        <label for="cvv">CVV</label>
+        <input id="cvv" inputmode="numeric" autocomplete="cc-csc" maxlength="4" required>
+      </div>
+    </div>
+
+    <label for="installment">Taksit</label>
+    <select id="installment" disabled>
+      <option value="1">Tek Çekim</option>
+    </select>
+
+    <button type="submit" id="submit">Öde</button>
+    <div id="error"></div>
+  </form>
+  <script>
+    var basePath = ${JSON.stringify(basePath)};
+    var form = document.getElementById('paymentForm');
+    var numberInput = document.getElementById('number');
+    var installmentSelect = document.getElementById('installment');
+    var bankBox = document.getElementById('bank');
+    var errorBox = document.getElementById('error');
+    var lastBin = null;
+
+    function post(path, body) {
+      return fetch(basePath + path, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(body)
+      }).then(function (res) { return res.json(); });
+    }
+
+    function resetInstallments() {
+      installmentSelect.innerHTML = '<option value="1">Tek Çekim</option>';
+      installmentSelect.disabled = true;
+      bankBox.textContent = '';
+    }
+
+    numberInput.addEventListener('input', function () {
+      var digits = numberInput.value.replace(/\\D/g, '');
+      if (digits.length < 8) {
+        if (lastBin) resetInstallments();
+        lastBin = null;
+        return;
+      }
+
+      var bin = digits.slice(0, 8);
+      if (bin === lastBin) return;
+      lastBin = bin;
+
+      post('/installments', { bin: bin }).then(function (result) {
+        if (bin !== lastBin) return;
+        if (!result.success) {
+          resetInstallments();
+          bankBox.textContent = result.error || '';
+          return;
+        }
+
+        bankBox.textContent = [result.bank, result.brand, result.cardType].filter(Boolean).join(' · ');
+        installmentSelect.innerHTML = '';
+        (result.installments || []).forEach(function (option) {
+          var el = document.createElement('option');
+          el.value = option.count;
+          el.textContent = option.count === 1
+            ? 'Tek Çekim - ' + option.total
+            : option.count + ' Taksit - ' + option.installmentAmount + ' x ' + option.count + ' = ' + option.total;
+          installmentSelect.appendChild(el);
+        });
+        installmentSelect.disabled = false;
+      });
+    });
+
+    form.addEventListener('submit', function (e) {
+      e.preventDefault();
+      errorBox.textContent = '';
+      document.getElementById('submit').disabled = true;
+
+      post('/pay', {
+        card: {
+          holder: document.getElementById('holder').value,
+          number: numberInput.value,
+          expiry: document.getElementById('expiry').value,
+          cvv: document.getElementById('cvv').value
+        },
+        installment: parseInt(installmentSelect.value, 10) || 1
+      }).then(function (result) {
+        if (result.success && result.formUrl) {
+          window.location.href = result.formUrl;
+          return;
+        }
+        errorBox.textContent = result.error || 'Ödeme başlatılamadı';
+        document.getElementById('submit').disabled = false;
+      }).catch(function () {
+        errorBox.textContent = 'Bağlantı hatası';
+        document.getElementById('submit').disabled = false;
+      });
+    });
+  </script>
+</body>
+</html>
+  `;
+}
+
+/**
+ * JSON for inline <script> (</script> kapanışını engeller)
+ */
+function toScriptJson(value) {
+  return JSON.stringify(value).replace(/</g, '\\u003c');
+}
+
+/**
+ * Fill custom result template ({{key}} yer tutucuları HTML-escape edilir)
+ */
+function fillTemplate(template, values) {
+  return template.replace(/\{\{\s*(\w+)\s*\}\}/g, (match, key) => escapeHtml(values[key]));
+}
+
+/**
+ * 3D result page
+ * redirect: tarayıcı imzalı sonuç ile dönüş URL'ine gider
+ * postMessage: sonuç sadece izinli origin'lere gönderilir, üst pencere yoksa dönüş URL'ine gider
+ * page: sonuç sayfası (firma şablonu veya varsayılan), izinli origin'lere ayrıca postMessage
+ * pending: sonuç bekleniyor, sayfa durum kesinleşene kadar kendini yeniler
+ * @param {object} target - ResultHandlingService.resolveResult() result
+ */
+export function renderResultPage(target, branding = getBranding(null)) {
+  const { mode, pending, url, origins, payload, template } = target;
+  const title = pending ? 'Payment Pending' : (payload.success ? 'Payment Successful' : 'Payment Failed');
+  const refreshUrl = pending ? `/payment/${payload.transactionId}/callback` : null;
+
+  const script = `
+  <script>
+    var mode = ${toScriptJson(mode)};
+    var returnUrl = ${toScriptJson(url)};
+    var origins = ${toScriptJson(origins)};
+    var refreshUrl = ${toScriptJson(refreshUrl)};
+    var message = { type: 'payment_result', data: ${toScriptJson(payload)} };
+
+    var parentWindow = window.opener || (window.parent !== window ? window.parent : null);
+    if (parentWindow) {
+      origins.forEach(function (origin) {
+        try {
+          parentWindow.postMessage(message, origin);
+        } catch (e) {
+          console.error('postMessage error:', e);
+        }
+      });
+    }
+
+    if (returnUrl && (mode === 'redirect' || (mode === 'postMessage' && !parentWindow))) {
+      window.location.href = returnUrl;
+    }
+
+    if (refreshUrl) {
+      setTimeout(function () { window.location.href = refreshUrl; }, 3000);
+    }
+  </script>`;
+
+  if (mode === 'page' && template) {
+    const html = fillTemplate(template, {
+      title,
+      status: payload.status,
+      success: payload.success,
+      message: payload.message,
+      amount: payload.amount,
+      currency: String(payload.currency || '').toUpperCase(),
+      installment: payload.installment,
+      transactionId: payload.transactionId,
+      externalId: payload.externalId,
+      bookingCode: payload.bookingCode
+    });
+    return html.includes('</body>') ? html.replace('</body>', `${script}\n</body>`) : html + script;
+  }
+
+  const statusClass = pending ? 'pending' : (payload.success ? 'success' : 'error');
+  const icon = pending ? '…' : (payload.success ? '✓' : '✗');
+  const isRedirecting = url && mode !== 'page';
+
+  return `
+<!DOCTYPE html>
+<html>
+<head>
+  <meta charset="UTF-8">
+  <title>${title}</title>
+  <style>
+    body { font-family: Arial, sans-serif; display: flex; justify-content: center; align-items: center; height: 100vh; margin: 0; background: ${branding.backgroundColor}; }
+    .result { text-align: center; padding: 40px; background: white; border-radius: 10px; box-shadow: 0 2px 10px rgba(0,0,0,0.1); max-width: 400px; }
+    .success { color: ${branding.primaryColor}; }
+    .error { color: #e74c3c; }
+    .pending { color: #f39c12; }
+    .icon { font-size: 60px; margin-bottom: 20px; }
+    h1 { margin: 0 0 10px; }
+    p { color: #666; margin: 0; }
+    a { color: #666; }
+  </style>
+</head>
+<body>
+  <div class="result">
+    <div class="icon ${statusClass}">${icon}</div>
+    <h1 class="${statusClass}">${title}</h1>
+    <p>${escapeHtml(payload.message)}</p>
+    ${isRedirecting ? `<p><a href="${escapeHtml(url)}">Yönlendiriliyor...</a></p>` : ''}
+  </div>${script}
+</body>
+</html>
+  `;
+}
+
+export default {
+  escapeHtml,
+  getBranding,
+  renderMessagePage,
+  renderCardPage,
+  renderResultPage
+};